@@ -3,18 +3,43 @@ class StudyTimer {
         this.timeLeft = 25 * 60; // Will be updated by loadSettings()
         this.isRunning = false;
         this.isPaused = false; // New state to track if timer is paused
-        this.interval = null;
+        this.activeSegments = []; // Finished running intervals of the current session
+        this.segmentStart = null; // When the current running interval began
+        this.timerEngine = new TimerEngine({
+            onTick: (seconds) => this.handleEngineTick(seconds),
+            onComplete: () => this.handleEngineComplete()
+        });
+        // Catch up straight away when a throttled background tab comes back
+        document.addEventListener('visibilitychange', () => this.timerEngine.tick());
+        this.setupTabSync();
         this.startTime = null;
         this.studySessions = [];
         this.dataFile = 'study-data.json';
+        this.heatmapYear = null; // null = last 365 days, otherwise a calendar year
+        this.heatmapWeekStart = 'sunday'; // 'sunday' or 'monday'
+        this.heatmapColorScale = 'grayscale';
+        this.timeZone = ''; // IANA timezone for study days, '' = this device's
+        this.dayStartHour = 0; // Hour a new study day begins (night owls can pick 4am)
+        this.archivedSessions = []; // Sessions older than 365 days, kept in IndexedDB
         this.lastDisplayDate = null; // Track when we last updated the display
         
         // Settings
         this.timerMode = 'timer'; // 'timer' or 'stopwatch'
         this.focusMinutes = 25;
+        this.idleMinutes = 30; // Ask about time away after this long without input, 0 = off
+        this.maxSessionHours = 6; // Stopwatch sessions pause at this length, 0 = no limit
+        this.sessionLimitPausedAt = null; // When the limit paused a session nobody was watching
+        
+        // Notice when a session is left running with nobody there
+        this.idleWatch = new IdleWatch({
+            idleMinutes: this.idleMinutes,
+            onReturn: (awaySince) => this.handleUserReturn(awaySince)
+        });
+        this.idleWatch.start();
         
         // Current editing session
         this.currentEditingIndex = -1;
+        this.addingSession = false;
         
         // Debug counter for pause button clicks
         this.pauseButtonClickCount = 0;
@@ -50,7 +75,7 @@ class StudyTimer {
         
         this.setupEventListeners();
         this.setupTimerScrollEvents();
-        this.loadStudySessions();
+        this.loadStudySessions().then(() => this.checkUnfinishedTimer());
         this.loadSettings();
         this.updateDisplay(); // Update display after loading settings
         this.initializeProgressBar(); // Initialize progress bar visibility
@@ -96,7 +121,17 @@ class StudyTimer {
         // Check immediately
         checkDateChange();
         
-        // Check every hour to catch date changes
+        // Refresh right when the next study day begins, then keep going
+        const scheduleNextDay = () => {
+            clearTimeout(this.dayBoundaryTimeout);
+            this.dayBoundaryTimeout = setTimeout(() => {
+                checkDateChange();
+                scheduleNextDay();
+            }, StudyDates.msUntilNextDay() + 1000);
+        };
+        scheduleNextDay();
+        
+        // Check every hour as well, in case the timeout drifted while asleep
         setInterval(checkDateChange, 60 * 60 * 1000);
         
         // Also check when the page becomes visible (user returns to tab)
@@ -127,10 +162,13 @@ class StudyTimer {
         // Log filters event listeners
         document.getElementById('logTimeFilter').addEventListener('change', () => this.updateLogDisplay());
         document.getElementById('logSortBy').addEventListener('change', () => this.updateLogDisplay());
+        document.getElementById('addSessionBtn').addEventListener('click', () => this.openAddSession());
         
         // Edit session modal event listeners
         document.getElementById('closeEditSession').addEventListener('click', () => this.closeEditSessionModal());
         document.getElementById('saveEditSession').addEventListener('click', () => this.saveEditSession());
+        document.getElementById('editSessionStart').addEventListener('change', () => this.onSessionTimesChange());
+        document.getElementById('editSessionEnd').addEventListener('change', () => this.onSessionTimesChange());
         
         // PWA install button event listener
         const installAppBtn = document.getElementById('installAppBtn');
@@ -175,6 +213,13 @@ class StudyTimer {
     
     populateSettingsForm() {
         document.getElementById('timerMode').value = this.timerMode;
+        document.getElementById('heatmapWeekStart').value = this.heatmapWeekStart;
+        document.getElementById('heatmapColorScale').value = this.heatmapColorScale;
+        this.populateTimeZoneOptions();
+        document.getElementById('timeZone').value = this.timeZone;
+        document.getElementById('dayStartHour').value = String(this.dayStartHour);
+        document.getElementById('idleMinutes').value = this.idleMinutes;
+        document.getElementById('maxSessionHours').value = this.maxSessionHours;
         
         // Populate focus time inputs
         const totalSeconds = this.focusMinutes * 60;
@@ -187,6 +232,22 @@ class StudyTimer {
         this.updateFocusTimeVisibility();
     }
     
+    // Fill the timezone dropdown once; the first option follows the device
+    populateTimeZoneOptions() {
+        const select = document.getElementById('timeZone');
+        if (select.options.length > 1) return;
+        
+        select.options[0].textContent = `Device (${StudyDates.getBrowserTimeZone()})`;
+        StudyDates.getSupportedTimeZones().forEach(zone => {
+            select.add(new Option(zone.replace(/_/g, ' '), zone));
+        });
+        
+        // Keep a saved zone selectable even if this browser doesn't list it
+        if (this.timeZone && !StudyDates.getSupportedTimeZones().includes(this.timeZone)) {
+            select.add(new Option(this.timeZone, this.timeZone));
+        }
+    }
+    
     onTimerModeChange() {
         this.updateFocusTimeVisibility();
         // Update progress bar visibility immediately
@@ -216,6 +277,16 @@ class StudyTimer {
         
         this.timerMode = mode;
         this.focusMinutes = focusMinutes + (focusSeconds / 60); // Convert to decimal minutes
+        this.heatmapWeekStart = document.getElementById('heatmapWeekStart').value;
+        this.heatmapColorScale = document.getElementById('heatmapColorScale').value;
+        this.timeZone = document.getElementById('timeZone').value;
+        this.dayStartHour = parseInt(document.getElementById('dayStartHour').value) || 0;
+        this.idleMinutes = Math.max(0, parseInt(document.getElementById('idleMinutes').value) || 0);
+        this.maxSessionHours = Math.max(0, parseFloat(document.getElementById('maxSessionHours').value) || 0);
+        this.idleWatch.setIdleMinutes(this.idleMinutes);
+        StudyDates.configure({ timeZone: this.timeZone, dayStartHour: this.dayStartHour });
+        this.lastDisplayDate = this.getCurrentDate();
+        this.updateStudyDisplay();
         
         // Reset timer if mode changed or focus time changed
         if (mode === 'timer') {
@@ -228,7 +299,13 @@ class StudyTimer {
         // Save to localStorage
         localStorage.setItem('timerSettings', JSON.stringify({
             timerMode: this.timerMode,
-            focusMinutes: this.focusMinutes
+            focusMinutes: this.focusMinutes,
+            heatmapWeekStart: this.heatmapWeekStart,
+            heatmapColorScale: this.heatmapColorScale,
+            timeZone: this.timeZone,
+            dayStartHour: this.dayStartHour,
+            idleMinutes: this.idleMinutes,
+            maxSessionHours: this.maxSessionHours
         }));
         
         this.closeSettings();
@@ -242,6 +319,18 @@ class StudyTimer {
                 const settings = JSON.parse(saved);
                 this.timerMode = settings.timerMode || 'timer';
                 this.focusMinutes = settings.focusMinutes || 25;
+                this.heatmapWeekStart = settings.heatmapWeekStart || 'sunday';
+                this.heatmapColorScale = settings.heatmapColorScale || 'grayscale';
+                this.timeZone = settings.timeZone || '';
+                this.dayStartHour = settings.dayStartHour || 0;
+                if (settings.idleMinutes !== undefined) {
+                    this.idleMinutes = settings.idleMinutes;
+                }
+                if (settings.maxSessionHours !== undefined) {
+                    this.maxSessionHours = settings.maxSessionHours;
+                }
+                this.idleWatch.setIdleMinutes(this.idleMinutes);
+                StudyDates.configure({ timeZone: this.timeZone, dayStartHour: this.dayStartHour });
                 
                 // Apply settings
                 if (this.timerMode === 'timer') {
@@ -311,21 +400,21 @@ class StudyTimer {
         let filteredSessions = [...this.studySessions];
         
         if (timeFilter !== 'all') {
-            const now = new Date();
-            const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+            // Date keys sort chronologically, so plain string comparison works
+            const today = this.getCurrentDate();
             
             filteredSessions = this.studySessions.filter(session => {
-                const sessionDate = new Date(session.date);
+                const sessionDate = session.date;
                 
                 switch (timeFilter) {
                     case 'week':
-                        const weekAgo = new Date(today.getTime() - (7 * 24 * 60 * 60 * 1000));
+                        const weekAgo = StudyDates.addDays(today, -7);
                         return sessionDate >= weekAgo;
                     case 'month':
-                        const monthAgo = new Date(today.getFullYear(), today.getMonth(), 1);
+                        const monthAgo = `${today.substring(0, 7)}-01`;
                         return sessionDate >= monthAgo;
                     case 'year':
-                        const yearAgo = new Date(today.getFullYear(), 0, 1);
+                        const yearAgo = `${today.substring(0, 4)}-01-01`;
                         return sessionDate >= yearAgo;
                     default:
                         return true;
@@ -357,8 +446,7 @@ class StudyTimer {
             // Find the actual index in the original studySessions array
             const actualIndex = this.studySessions.findIndex(s => s === session);
             
-            const date = new Date(session.date);
-            const formattedDate = date.toLocaleDateString('en-US', { 
+            const formattedDate = StudyDates.formatDateKey(session.date, { 
                 weekday: 'long', 
                 year: 'numeric', 
                 month: 'long', 
@@ -368,7 +456,8 @@ class StudyTimer {
             const time = new Date(session.timestamp).toLocaleTimeString('en-US', { 
                 hour: '2-digit', 
                 minute: '2-digit',
-                hour12: true
+                hour12: true,
+                timeZone: StudyDates.getTimeZone()
             });
             
             // Show description if available
@@ -376,11 +465,18 @@ class StudyTimer {
             const notes = session.notes ? `<div class="log-entry-notes">${session.notes}</div>` : '';
             const image = session.image ? `<div class="log-entry-image"><img src="${session.image}" alt="Session image" style="max-width: 100px; max-height: 60px; border-radius: 4px;"></div>` : '';
             
+            // Timeline of running intervals when the session was paused
+            const timeline = session.segments && session.segments.length > 1
+                ? `<div class="log-entry-timeline">${ActiveSegments.formatTimeline(session.segments)}</div>`
+                : '';
+            const manual = SessionTimes.isManual(session) ? ' <span class="log-entry-manual">· added by hand</span>' : '';
+            
             html += `
                 <div class="log-entry" data-session-index="${actualIndex}">
                     <div class="log-entry-info">
                         <div class="log-entry-date">${formattedDate}</div>
-                        <div class="log-entry-time">Started at ${time}</div>
+                        <div class="log-entry-time">Started at ${time}${manual}</div>
+                        ${timeline}
                         ${description}
                         ${notes}
                         ${image}
@@ -400,59 +496,146 @@ class StudyTimer {
     
     editSession(index) {
         this.currentEditingIndex = index;
+        this.addingSession = false;
         const session = this.studySessions[index];
         
         // Populate the edit form
         document.getElementById('editSessionDate').value = session.date;
+        this.fillSessionTimes(session);
         document.getElementById('editSessionDescription').value = session.description || '';
         document.getElementById('editSessionImage').value = session.image || '';
         document.getElementById('editSessionNotes').value = session.notes || '';
         
         // Show the modal
+        document.querySelector('#editSessionModal .modal-header h3').textContent = 'Edit Study Session';
+        document.getElementById('editSessionModal').style.display = 'flex';
+    }
+    
+    // Open the session form empty to log time studied away from the timer,
+    // starting from the hour that just ended
+    openAddSession() {
+        const end = new Date();
+        const start = new Date(end.getTime() - 60 * 60 * 1000);
+        this.currentEditingIndex = -1;
+        this.addingSession = true;
+        
+        document.getElementById('editSessionDate').value = StudyDates.getDateKey(start);
+        this.fillSessionTimes({ timestamp: start.toISOString(), seconds: 60 * 60, pausedSeconds: 0 });
+        document.getElementById('editSessionDescription').value = '';
+        document.getElementById('editSessionImage').value = '';
+        document.getElementById('editSessionNotes').value = '';
+        
+        document.querySelector('#editSessionModal .modal-header h3').textContent = 'Add Study Session';
         document.getElementById('editSessionModal').style.display = 'flex';
     }
     
+    // Fill the start, end and studied inputs; what was shown is remembered so
+    // saving untouched times leaves the recorded ones alone
+    fillSessionTimes(session) {
+        document.getElementById('editSessionStart').value = StudyDates.getTimeValue(SessionTimes.getStart(session));
+        document.getElementById('editSessionEnd').value = StudyDates.getTimeValue(SessionTimes.getEnd(session));
+        document.getElementById('editSessionDuration').value = Math.round((session.seconds || 0) / 60);
+        this.editingPausedSeconds = session.pausedSeconds || 0;
+        this.shownSessionTimes = this.getSessionTimesKey();
+    }
+    
+    getSessionTimesKey() {
+        return ['editSessionDate', 'editSessionStart', 'editSessionEnd', 'editSessionDuration']
+            .map(id => document.getElementById(id).value)
+            .join('|');
+    }
+    
+    // Times entered in the session form; an end at or before the start is
+    // taken to be the next day
+    readSessionTimes() {
+        const date = document.getElementById('editSessionDate').value;
+        const startValue = document.getElementById('editSessionStart').value;
+        const endValue = document.getElementById('editSessionEnd').value;
+        if (!date) throw new Error('Pick the date of the session');
+        if (!startValue || !endValue) throw new Error('Enter a start and end time');
+        
+        const start = StudyDates.getMoment(date, startValue);
+        let end = StudyDates.getMoment(date, endValue);
+        if (end <= start) {
+            end = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+        }
+        const studiedSeconds = Math.round((parseFloat(document.getElementById('editSessionDuration').value) || 0) * 60);
+        return { start, end, studiedSeconds };
+    }
+    
+    // Keep the studied minutes in step when the start or end moves
+    onSessionTimesChange() {
+        try {
+            const { start, end } = this.readSessionTimes();
+            const spanSeconds = Math.round((end - start) / 1000);
+            document.getElementById('editSessionDuration').value = Math.max(1, Math.round((spanSeconds - this.editingPausedSeconds) / 60));
+        } catch (error) {
+            // Wait until both times are filled in
+        }
+    }
+    
     closeEditSessionModal() {
         document.getElementById('editSessionModal').style.display = 'none';
         this.currentEditingIndex = -1;
+        this.addingSession = false;
     }
     
     saveEditSession() {
-        const newDate = document.getElementById('editSessionDate').value;
         const newDescription = document.getElementById('editSessionDescription').value.trim();
         const newImage = document.getElementById('editSessionImage').value.trim();
         const newNotes = document.getElementById('editSessionNotes').value.trim();
         
-        if (this.currentEditingIndex === -1) {
+        const editing = this.addingSession ? null
+            : this.currentEditingIndex === -1 ? this.studySessions[this.studySessions.length - 1]
+            : this.studySessions[this.currentEditingIndex];
+        
+        // Only check and rewrite the times when they were changed
+        let times = null;
+        if (this.addingSession || this.getSessionTimesKey() !== this.shownSessionTimes) {
+            try {
+                times = this.readSessionTimes();
+                SessionTimes.validate(times, this.studySessions, editing);
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+        }
+        
+        if (this.addingSession) {
+            const session = SessionTimes.apply({ date: StudyDates.getDateKey(times.start), source: 'manual' }, times);
+            session.description = newDescription || undefined;
+            session.image = newImage || undefined;
+            session.notes = newNotes || undefined;
+            this.studySessions.push(session);
+            console.log('Session added by hand:', session);
+        } else if (this.currentEditingIndex === -1) {
             // This is a new session - update the latest session with the details
-            if (this.studySessions.length > 0) {
-                const latestSession = this.studySessions[this.studySessions.length - 1];
-                latestSession.description = newDescription || undefined;
-                latestSession.image = newImage || undefined;
-                latestSession.notes = newNotes || undefined;
+            if (editing) {
+                editing.description = newDescription || undefined;
+                editing.image = newImage || undefined;
+                editing.notes = newNotes || undefined;
                 
-                // Update timestamp if date changed
-                if (newDate !== latestSession.date) {
-                    latestSession.date = newDate;
-                    latestSession.timestamp = new Date(newDate + 'T00:00:00.000Z').toISOString();
+                if (times) {
+                    SessionTimes.apply(editing, times);
+                    editing.date = StudyDates.getDateKey(times.start);
+                    editing.source = 'manual';
                 }
                 
-                console.log('New session details added:', latestSession);
+                console.log('New session details added:', editing);
             }
         } else {
             // This is editing an existing session
-            const session = this.studySessions[this.currentEditingIndex];
-            session.date = newDate;
-            session.description = newDescription || undefined;
-            session.image = newImage || undefined;
-            session.notes = newNotes || undefined;
+            editing.description = newDescription || undefined;
+            editing.image = newImage || undefined;
+            editing.notes = newNotes || undefined;
             
-            // Update timestamp if date changed
-            if (newDate !== session.date) {
-                session.timestamp = new Date(newDate + 'T00:00:00.000Z').toISOString();
+            if (times) {
+                SessionTimes.apply(editing, times);
+                editing.date = StudyDates.getDateKey(times.start);
+                editing.source = 'manual';
             }
             
-            console.log('Session updated:', session);
+            console.log('Session updated:', editing);
         }
         
         // Save and update displays
@@ -501,6 +684,11 @@ class StudyTimer {
             console.log('Error loading study sessions:', error);
             this.studySessions = [];
         }
+        
+        // Older history lives in IndexedDB
+        await this.loadArchivedSessions();
+        await this.archiveOldSessions();
+        
         this.updateStudyDisplay();
     }
     
@@ -522,6 +710,9 @@ class StudyTimer {
             localStorage.setItem('studyData', JSON.stringify(data));
             console.log('Study sessions saved to localStorage');
             
+            // Let other open tabs refresh their heatmap and log
+            this.tabSync.send('sessions-changed');
+            
         } catch (error) {
             console.log('Error saving study sessions:', error);
         }
@@ -530,16 +721,13 @@ class StudyTimer {
     updateStudyDisplay() {
         console.log('Updating display with', this.studySessions.length, 'sessions');
         
-        // Clean up old sessions outside the 365-day window
-        this.cleanupOldSessions();
-        
-        if (this.studySessions.length === 0) {
+        if (this.getAllSessions().length === 0) {
             this.heatmapContainer.innerHTML = '<p style="color: #666; font-size: 14px; font-family: \'IBM Plex Mono\', monospace;">No study sessions yet. Start studying to track your progress!</p>';
             return;
         }
         
-        // Create heatmap data for the last 365 days
-        const heatmapData = this.createHeatmapData();
+        // Create heatmap data for the last 365 days or the selected year
+        const heatmapData = this.createHeatmapData(this.heatmapYear);
         
         console.log('Study sessions:', this.studySessions);
         console.log('Heatmap data:', heatmapData);
@@ -562,154 +750,31 @@ class StudyTimer {
         console.log(`Date Range: ${startDate} to ${endDate} (${dateKeys.length} days)`);
         console.log(`Total Study Time: ${totalHours}h ${totalMinutes}m`);
         console.log(`Current Streak: ${currentStreak} days`);
-        console.log(`Days Studied: ${daysWithStudy}/365 (${Math.round((daysWithStudy / 365) * 100)}%)`);
+        console.log(`Days Studied: ${daysWithStudy}/${dateKeys.length} (${Math.round((daysWithStudy / dateKeys.length) * 100)}%)`);
         console.log(`Average Study Time per Day: ${averageStudyTime}m`);
         console.log('========================');
         
         let html = '<div style="text-align: center; margin: 0 auto; display: flex; flex-direction: column; align-items: center;">';
         
-        // Create heatmap data for the last 365 days
-        html += '<div style="display: flex; flex-direction: column; gap: 2px; align-items: center;">';
-        
-        // Add month labels at the top - positioned above the grid columns
-        const monthLabels = ['Sep', 'Oct', 'Nov', 'Dec', 'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug'];
-        html += '<div style="display: flex; gap: 1px; margin-bottom: 8px; font-family: \'IBM Plex Mono\', monospace; font-size: 10px; color: #8b949e; margin-left: 38px;">';
-        
-        // Create month labels with more realistic spacing
-        // Each month has roughly 4-5 weeks, so we'll adjust the spacing
-        let currentWeek = 0;
-        monthLabels.forEach((month, monthIndex) => {
-            // More realistic month lengths (some months have 4 weeks, some have 5)
-            const weeksInMonth = monthIndex === 0 ? 4 : (monthIndex % 2 === 0 ? 4 : 5); // Alternating pattern
-            const monthWidth = weeksInMonth * 12; // 12px per week
-            
-            // Add month label
-            html += `<div style="width: ${monthWidth}px; text-align: center; font-size: 10px;">${month}</div>`;
-            currentWeek += weeksInMonth;
+        // Year selector for browsing older history
+        html += this.renderHeatmapYearSelector();
+        
+        // Calendar-aligned grid from the shared heatmap component
+        const heatmap = new StudyHeatmap({
+            weekStart: this.heatmapWeekStart,
+            colorScale: this.heatmapColorScale,
+            today: this.getCurrentDate(),
+            cellAttributes: (dateKey) => this.hackMode ? `data-hack-date="${dateKey}"` : '',
+            tooltipSuffix: () => this.hackMode ? ' (Click to add time)' : '',
+            splitSession: (session) => StudyDates.splitSession(session)
         });
-        
-        // Fill remaining weeks if needed - extend to cover exactly 365 days
-        const weeksNeeded = Math.ceil(365 / 7);
-        while (currentWeek < weeksNeeded) {
-            html += '<div style="width: 12px; text-align: center; font-size: 10px;"></div>';
-            currentWeek++;
-        }
-        html += '</div>';
-        
-        // Add day of week labels on the left - dynamically adjust based on today
-        const today = new Date();
-        const todayDayOfWeek = today.getDay(); // 0 = Sunday, 1 = Monday, etc.
-        
-        // Create dynamic day order starting from today's day of the week
-        const dynamicDays = [];
-        for (let i = 0; i < 7; i++) {
-            const dayIndex = (todayDayOfWeek + i) % 7;
-            dynamicDays.push(['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][dayIndex]);
-        }
-        
-        console.log('Today is:', dynamicDays[0], 'Day order:', dynamicDays);
-        
-        // Create the main grid: 7 rows (days) x exactly 365 days
-        const totalDays = Object.keys(heatmapData).length;
-        const totalWeeks = Math.ceil(totalDays / 7);
-        
-        console.log('Grid creation - Total days:', totalDays, 'Total weeks needed:', totalWeeks);
-        
-        for (let dayIndex = 0; dayIndex < 7; dayIndex++) {
-            html += '<div style="display: flex; gap: 1px; align-items: center;">';
-            
-            // Add day label on the left - use dynamic order
-            html += `<div style="width: 30px; text-align: right; margin-right: 8px; font-family: 'IBM Plex Mono', monospace; font-size: 10px; color: #8b949e;">${dynamicDays[dayIndex]}</div>`;
-            
-            // Add week columns for this day - only for the weeks we have data
-            for (let weekIndex = 0; weekIndex < totalWeeks; weekIndex++) {
-                const dayOffset = weekIndex * 7 + dayIndex;
-                const dateKey = Object.keys(heatmapData).sort()[dayOffset];
-                
-                if (dateKey) {
-                    const totalSeconds = heatmapData[dateKey];
-                    let color = '#161b22'; // No time studied (dark)
-                    
-                    // Light color gradient: more time = more white, all study sessions are clearly visible
-                    if (totalSeconds > 0 && totalSeconds <= 300) color = '#6A6B6A';      // 0-5 minutes (light gray)
-                    else if (totalSeconds > 300 && totalSeconds <= 600) color = '#818180';      // 5-10 minutes (lighter gray)
-                    else if (totalSeconds > 600 && totalSeconds <= 1200) color = '#999999';      // 10-20 minutes
-                    else if (totalSeconds > 1200 && totalSeconds <= 2400) color = '#B1B0B0';      // 20-40 minutes
-                    else if (totalSeconds > 2400 && totalSeconds <= 3600) color = '#CBC8C9';      // 40-60 minutes
-                    else if (totalSeconds > 3600 && totalSeconds <= 4800) color = '#DCDDDC';      // 60-80 minutes
-                    else if (totalSeconds > 4800 && totalSeconds <= 6000) color = '#ECEDED';      // 80-100 minutes
-                    else if (totalSeconds > 6000 && totalSeconds <= 7200) color = '#F3F3F2';      // 100-120 minutes
-                    else if (totalSeconds > 7200 && totalSeconds <= 9000) color = '#F9F7F6';      // 120-150 minutes
-                    else if (totalSeconds > 9000 && totalSeconds <= 10200) color = '#FDFDFD';      // 150-170 minutes
-                    else if (totalSeconds > 10200 && totalSeconds <= 12000) color = '#FDFDFD';      // 170-200 minutes
-                    else if (totalSeconds > 12000 && totalSeconds <= 15000) color = '#FDFDFD';      // 200-250 minutes
-                    else if (totalSeconds > 15000 && totalSeconds <= 18000) color = '#ffffff';      // 250-300 minutes
-                    else if (totalSeconds > 18000 && totalSeconds <= 21600) color = '#ffffff';      // 300-360 minutes (5-6 hours)
-                    else if (totalSeconds > 21600 && totalSeconds <= 25200) color = '#ffffff';      // 360-420 minutes (6-7 hours)
-                    else if (totalSeconds > 25200 && totalSeconds <= 28800) color = '#ffffff';      // 420-480 minutes (7-8 hours)
-                    else if (totalSeconds > 28800 && totalSeconds <= 32400) color = '#ffffff';      // 480-540 minutes (8-9 hours)
-                    else if (totalSeconds > 32400 && totalSeconds <= 36000) color = '#ffffff';      // 540-600 minutes (9-10 hours)
-                    else if (totalSeconds > 36000) color = '#ffffff';                       // 600+ minutes (10+ hours - pure white)
-                    
-                    // Format display time
-                    let displayTime;
-                    if (totalSeconds < 60) {
-                        displayTime = `${totalSeconds}s`;
-                    } else if (totalSeconds < 3600) {
-                        const minutes = Math.floor(totalSeconds / 60);
-                        const seconds = totalSeconds % 60;
-                        if (seconds === 0) {
-                            displayTime = `${minutes}m`;
-                        } else {
-                            displayTime = `${minutes}m ${seconds}s`;
-                        }
-                    } else {
-                        const hours = Math.floor(totalSeconds / 3600);
-                        const minutes = Math.floor((totalSeconds % 3600) / 60); 
-                        if (minutes === 0) {
-                            displayTime = `${hours}h`;
-                        } else {
-                            displayTime = `${hours}h ${minutes}m`;
-                        }
-                    }
-                    
-                    // Format date for better display
-                    const dateObj = new Date(dateKey);
-                    const formattedDate = dateObj.toLocaleDateString('en-US', { 
-                        weekday: 'short', 
-                        month: 'short', 
-                        day: 'numeric',
-                        year: 'numeric'
-                    });
-                    
-                    // Check if this is today
-                    const today = this.getCurrentDate();
-                    const isToday = dateKey === today;
-                    
-                    // Add special styling for today
-                    const todayStyle = isToday ? 'border: 2px solidrgba(255, 204, 0, 0.46); box-shadow: 0 0 5pxrgba(255, 204, 0, 0.52);' : '';
-                    
-                    // Add hack mode click functionality
-                    const hackDataAttr = this.hackMode ? `data-hack-date="${dateKey}"` : '';
-                    const hackCursor = this.hackMode ? 'cursor: pointer;' : 'cursor: pointer;';
-                    
-                    html += `<div style="width: 12px; height: 12px; background-color: ${color}; border-radius: 2px; border: 1px solid #30363d; ${hackCursor} ${todayStyle}; transition: all 0.2s ease;" onmouseover="this.style.transform='scale(1.3)'; this.style.zIndex='10';" onmouseout="this.style.transform='scale(1)'; this.style.zIndex='1';" title="${formattedDate}: ${displayTime} studied${isToday ? ' (Today)' : ''}${this.hackMode ? ' (Click to add time)' : ''}" ${hackDataAttr}></div>`;
-                } else {
-                    // Empty day (no date)
-                    html += '<div style="width: 12px; height: 12px; background-color: transparent; border: 1px solid transparent;"></div>';
-                }
-            }
-            
-            html += '</div>'; // Close day row
-        }
-        
-        html += '</div>'; // Close the main flex container
+        html += heatmap.render({ startDate, endDate, sessions: this.getAllSessions() });
         
         // Add statistics below the heatmap
         const statsTotalStudyTime = Object.values(heatmapData).reduce((sum, seconds) => sum + seconds, 0);
         const statsTotalHours = Math.floor(statsTotalStudyTime / 3600);
         const statsTotalMinutes = Math.floor((statsTotalStudyTime % 3600) / 60);
-        const totalSessions = this.studySessions.length;
+        const totalSessions = this.getAllSessions().filter(session => heatmapData[session.date] !== undefined).length;
         
         // Format total time display
         let timeDisplay;
@@ -721,90 +786,186 @@ class StudyTimer {
         
         html += `
             <div style="margin-top: 16px; text-align: center; font-family: 'IBM Plex Mono', monospace; font-size: 12px; color: #666;">
-                ${timeDisplay} total • ${totalSessions} sessions
+                ${timeDisplay} total • ${totalSessions} sessions${this.heatmapYear ? ` in ${this.heatmapYear}` : ''}
             </div>
         `;
         
         this.heatmapContainer.innerHTML = html;
+        
+        const yearSelect = document.getElementById('heatmapYearSelect');
+        if (yearSelect) {
+            yearSelect.addEventListener('change', (e) => {
+                this.heatmapYear = e.target.value ? parseInt(e.target.value, 10) : null;
+                this.updateStudyDisplay();
+            });
+        }
+    }
+    
+    // Every session we know about, including archived history
+    getAllSessions() {
+        return [...this.archivedSessions, ...this.studySessions];
     }
     
-    cleanupOldSessions() {
-        const today = new Date();
-        const cutoffDate = new Date(today);
-        cutoffDate.setDate(today.getDate() - 365); // Remove sessions older than 365 days
+    // Years that have at least one session, newest first
+    getSessionYears() {
+        const years = new Set(this.getAllSessions()
+            .filter(session => session.date)
+            .map(session => parseInt(session.date.substring(0, 4), 10)));
+        years.add(new Date().getUTCFullYear());
+        return [...years].sort((a, b) => b - a);
+    }
+    
+    renderHeatmapYearSelector() {
+        const years = this.getSessionYears();
         
-        const cutoffDateString = cutoffDate.toISOString().split('T')[0];
+        // Nothing to browse until there is history from an earlier year
+        if (years.length < 2 && !this.heatmapYear) {
+            return '';
+        }
         
-        const initialCount = this.studySessions.length;
-        this.studySessions = this.studySessions.filter(session => {
-            return session.date >= cutoffDateString;
-        });
+        const options = [`<option value="" ${!this.heatmapYear ? 'selected' : ''}>Last 12 months</option>`]
+            .concat(years.map(year => `<option value="${year}" ${this.heatmapYear === year ? 'selected' : ''}>${year}</option>`))
+            .join('');
         
-        const removedCount = initialCount - this.studySessions.length;
-        if (removedCount > 0) {
-            console.log(`Cleaned up ${removedCount} old study sessions older than ${cutoffDateString}`);
-            // Save the cleaned data
-            this.saveStudySessions();
+        return `<select id="heatmapYearSelect" style="align-self: flex-end; margin-bottom: 10px; font-family: 'IBM Plex Mono', monospace; font-size: 11px; padding: 4px 6px; border-radius: 4px; border: 1px solid #30363d; background: #161b22; color: #8b949e; cursor: pointer;">${options}</select>`;
+    }
+    
+    // Move sessions older than 365 days out of localStorage into IndexedDB.
+    // Nothing is deleted: archived sessions still show up when browsing older years.
+    // The cutoff is a study day key from StudyDates, like session.date, so it
+    // follows the chosen timezone and day start rather than the UTC date.
+    async archiveOldSessions() {
+        const cutoffDateString = StudyDates.addDays(StudyDates.today(), -365);
+        
+        const oldSessions = this.studySessions.filter(session => session.date < cutoffDateString);
+        if (oldSessions.length === 0) return;
+        
+        try {
+            const db = await this.openHistoryDb();
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction('sessions', 'readwrite');
+                const store = transaction.objectStore('sessions');
+                oldSessions.forEach(session => {
+                    store.put({ ...session, archiveId: `${session.timestamp}-${session.seconds}` });
+                });
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+            
+            // Only drop them from localStorage once they are safely archived
+            this.studySessions = this.studySessions.filter(session => session.date >= cutoffDateString);
+            this.archivedSessions = this.archivedSessions
+                .filter(archived => !oldSessions.some(session => session.timestamp === archived.timestamp && session.seconds === archived.seconds))
+                .concat(oldSessions);
+            await this.saveStudySessions();
+            console.log(`Archived ${oldSessions.length} study sessions older than ${cutoffDateString}`);
+        } catch (error) {
+            console.error('Error archiving old sessions, keeping them in localStorage:', error);
         }
     }
     
-    calculateCurrentStreak(heatmapData) {
-        const dates = Object.keys(heatmapData).sort().reverse(); // Sort from newest to oldest
-        let streak = 0;
+    async loadArchivedSessions() {
+        try {
+            const db = await this.openHistoryDb();
+            this.archivedSessions = await new Promise((resolve, reject) => {
+                const request = db.transaction('sessions', 'readonly').objectStore('sessions').getAll();
+                request.onsuccess = () => resolve((request.result || []).map(({ archiveId, ...session }) => session));
+                request.onerror = () => reject(request.error);
+            });
+            console.log('Loaded', this.archivedSessions.length, 'archived sessions from IndexedDB');
+        } catch (error) {
+            console.error('Error loading archived sessions:', error);
+            this.archivedSessions = [];
+        }
+    }
+    
+    openHistoryDb() {
+        if (this.historyDbPromise) return this.historyDbPromise;
         
-        for (const date of dates) {
-            if (heatmapData[date] > 0) {
-                streak++;
-            } else {
-                break; // Break on first day with no study time
+        this.historyDbPromise = new Promise((resolve, reject) => {
+            if (!('indexedDB' in window)) {
+                reject(new Error('IndexedDB not supported'));
+                return;
             }
+            const request = indexedDB.open('studo-history', 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('sessions', { keyPath: 'archiveId' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        
+        return this.historyDbPromise;
+    }
+    
+    calculateCurrentStreak(heatmapData) {
+        const dates = Object.keys(heatmapData).sort();
+        if (dates.length === 0) return 0;
+        
+        // Count back from today (or the end of a past year being viewed)
+        const today = this.getCurrentDate();
+        let date = heatmapData[today] !== undefined ? today : dates[dates.length - 1];
+        
+        // Today still counts as part of the streak until it is over
+        if (date === today && !(heatmapData[date] > 0)) {
+            date = StudyDates.addDays(date, -1);
+        }
+        
+        let streak = 0;
+        while (heatmapData[date] > 0) {
+            streak++;
+            date = StudyDates.addDays(date, -1);
         }
         
         return streak;
     }
     
+    // Today's study day in the user's timezone and day start hour
     getCurrentDate() {
-        return new Date().toISOString().split('T')[0];
+        return StudyDates.today();
     }
     
-    createHeatmapData() {
+    createHeatmapData(year = null) {
         const heatmapData = {};
-        const today = new Date();
-        
-        // Calculate start date as exactly 365 days ago from today
-        // This ensures the first block shows exactly one year ago and includes today
-        const startDate = new Date(today);
-        startDate.setDate(today.getDate() - 364); // 364 days ago + today = 365 days total
+        const today = this.getCurrentDate();
         
-        console.log('Today:', today.toISOString().split('T')[0]);
-        console.log('Start date (365 days ago):', startDate.toISOString().split('T')[0]);
+        let startDate;
+        let endDate;
+        if (year) {
+            // A full calendar year
+            startDate = `${year}-01-01`;
+            endDate = `${year}-12-31`;
+        } else {
+            // Start exactly 364 days before today so the window includes today
+            startDate = StudyDates.addDays(today, -364);
+            endDate = today;
+        }
         
-        // Create data for exactly 365 days from start date to today (inclusive)
-        const currentDate = new Date(startDate);
-        let dayCount = 0;
+        console.log('Today:', today);
+        console.log('Start date:', startDate);
         
-        while (dayCount < 365) {
-            const dateKey = currentDate.toISOString().split('T')[0];
+        // Create data for every day from start date (inclusive)
+        for (let dateKey = startDate; dateKey <= endDate; dateKey = StudyDates.addDays(dateKey, 1)) {
             heatmapData[dateKey] = 0;
-            currentDate.setDate(currentDate.getDate() + 1);
-            dayCount++;
         }
         
         console.log('Created heatmap data for exactly', Object.keys(heatmapData).length, 'days');
         console.log('Date range:', Object.keys(heatmapData)[0], 'to', Object.keys(heatmapData)[Object.keys(heatmapData).length - 1]);
         
         // Fill in study session data
-        console.log('Processing', this.studySessions.length, 'sessions for heatmap');
+        const sessions = this.getAllSessions();
+        console.log('Processing', sessions.length, 'sessions for heatmap');
         console.log('Today\'s date:', this.getCurrentDate());
         console.log('Today\'s date in heatmap data:', heatmapData[this.getCurrentDate()]);
         
-        this.studySessions.forEach(session => {
-            console.log('Processing session:', session.date, 'with', session.seconds, 'seconds');
-            if (heatmapData[session.date] !== undefined) {
-                heatmapData[session.date] += session.seconds || 0;
-                console.log('Added', session.seconds || 0, 'seconds for', session.date, 'Total now:', heatmapData[session.date]);
+        // Sessions that run past the start of a new day count towards both days
+        Object.entries(StudyDates.getDailyTotals(sessions)).forEach(([date, seconds]) => {
+            console.log('Processing day:', date, 'with', seconds, 'seconds');
+            if (heatmapData[date] !== undefined) {
+                heatmapData[date] += seconds;
+                console.log('Added', seconds, 'seconds for', date, 'Total now:', heatmapData[date]);
             } else {
-                console.log('Session date not in current 365-day window:', session.date, 'Available dates:', Object.keys(heatmapData).slice(0, 5), '...');
+                console.log('Session date not in current heatmap window:', date);
             }
         });
         
@@ -823,10 +984,16 @@ class StudyTimer {
     }
     
     start() {
+        if (this.mirroring) {
+            console.log('Timer is running in another tab');
+            return;
+        }
         if (!this.isRunning) {
             this.isRunning = true;
             this.isPaused = false; // Reset paused state when starting
             this.startTime = new Date();
+            this.activeSegments = [];
+            this.segmentStart = this.startTime;
             
             // Ensure paused visual state is removed
             document.querySelector('.timer-controls').classList.remove('paused');
@@ -859,29 +1026,75 @@ class StudyTimer {
             `;
             
             // Start the timer/stopwatch
-            this.interval = setInterval(() => {
-                if (this.timerMode === 'timer') {
-                    // Countdown timer
-                    this.timeLeft--;
-                    this.updateDisplay();
-                    
-                    if (this.timeLeft <= 0) {
-                        this.handleStop();
-                    }
-                } else {
-                    // Stopwatch
-                    this.timeLeft++;
-                    this.updateDisplay();
-                }
-            }, 1000);
+            PhaseNotifications.requestPermission();
+            this.runEngine();
             
             // Update display immediately to show the change
+            this.saveTimerState();
             this.updateDisplay();
         } else {
             console.log('Timer is already running, cannot start again');
         }
     }
     
+    // Keep the display in step with the timer engine. The saved state holds
+    // target times rather than the seconds shown, so ticks don't save it.
+    handleEngineTick(seconds) {
+        if (this.pauseAtSessionLimit()) return;
+        this.timeLeft = seconds;
+        this.updateDisplay();
+    }
+    
+    handleEngineComplete() {
+        // The owning tab finishes mirrored timers
+        if (this.mirroring) return;
+        this.handleStop();
+    }
+    
+    // Run the engine from the current timeLeft: counting down in timer
+    // mode, counting up as a stopwatch
+    runEngine() {
+        if (this.timerMode === 'stopwatch') {
+            this.timerEngine.startStopwatch(this.timeLeft);
+        } else {
+            this.timerEngine.startCountdown(this.timeLeft);
+        }
+        this.schedulePhaseNotification();
+    }
+    
+    // Have the service worker announce the end of the countdown, in case this
+    // tab is throttled in the background or closed by then
+    schedulePhaseNotification() {
+        const targetEnd = this.timerEngine.getTargetEnd();
+        if (!targetEnd) {
+            this.scheduleSessionLimitNotification();
+            return;
+        }
+        
+        let title = "Time's up!";
+        let body = 'Your focus session is complete. Nice work!';
+        
+        PhaseNotifications.schedule({ id: 'phase-end', title, body, at: targetEnd });
+    }
+    
+    // An open-ended session pauses itself at the length limit; say so even
+    // if nobody is looking at the tab
+    scheduleSessionLimitNotification() {
+        const limitTime = this.isOpenEnded() ? this.getSessionLimitTime() : null;
+        if (!limitTime) return;
+        
+        PhaseNotifications.schedule({
+            id: 'phase-end',
+            title: 'Timer Paused',
+            body: `This session reached ${this.maxSessionHours} hours, the longest one can run. Resume it or stop to save it.`,
+            at: limitTime.getTime()
+        });
+    }
+    
+    cancelPhaseNotification() {
+        PhaseNotifications.cancel('phase-end');
+    }
+    
     handleStop() {
         this.stop().catch(error => {
             console.error('Error stopping timer:', error);
@@ -902,7 +1115,6 @@ class StudyTimer {
             this.resume();
         } else {
             console.log('❌ Invalid state - cannot pause/resume');
-            this.logTimerState();
         }
         
         console.log('After action - isRunning =', this.isRunning, 'isPaused =', this.isPaused);
@@ -916,14 +1128,25 @@ class StudyTimer {
         }
     }
     
-    pause() {
+    // `at` backdates the pause, e.g. to when a length limit was reached
+    pause(at = null) {
+        if (this.mirroring) {
+            this.sendTimerCommand('pause');
+            return;
+        }
         console.log('=== pause() called ===');
         console.log('Input state: isRunning =', this.isRunning, 'isPaused =', this.isPaused);
         
         if (this.isRunning) {
             this.isRunning = false;
             this.isPaused = true;
-            clearInterval(this.interval);
+            this.timeLeft = this.timerEngine.stop();
+            this.cancelPhaseNotification();
+            ActiveSegments.end(this, at || new Date());
+            if (at && this.isOpenEnded()) {
+                // Show the study time up to the backdated pause
+                this.timeLeft = ActiveSegments.getActiveSeconds(this.activeSegments);
+            }
             
             // Change pause button to resume button (play icon)
             this.pauseBtn.innerHTML = `
@@ -934,24 +1157,28 @@ class StudyTimer {
             
             // Add paused visual state
             document.querySelector('.timer-controls').classList.add('paused');
+            this.saveTimerState();
             
             console.log('✅ Timer paused successfully - button now shows play icon (▶️)');
-            this.logTimerState();
         } else {
             console.log('❌ Cannot pause - timer is not running');
-            this.logTimerState();
         }
         
         console.log('=== pause() end ===');
     }
     
     resume() {
+        if (this.mirroring) {
+            this.sendTimerCommand('resume');
+            return;
+        }
         console.log('=== resume() called ===');
         console.log('Input state: isRunning =', this.isRunning, 'isPaused =', this.isPaused);
         
         if (this.isPaused) {
             this.isRunning = true;
             this.isPaused = false;
+            ActiveSegments.begin(this);
             
             // Change resume button back to pause button (pause icon)
             this.pauseBtn.innerHTML = `
@@ -964,34 +1191,27 @@ class StudyTimer {
             document.querySelector('.timer-controls').classList.remove('paused');
             
             // Restart the timer
-            this.interval = setInterval(() => {
-                if (this.timerMode === 'timer') {
-                    if (this.timeLeft > 0) {
-                        this.timeLeft--;
-                        this.updateDisplay();
-                    } else {
-                        this.stop();
-                    }
-                } else {
-                    this.timeLeft++;
-                    this.updateDisplay();
-                }
-            }, 1000);
+            this.runEngine();
+            this.saveTimerState();
             
             console.log('✅ Timer resumed successfully - button now shows pause icon (⏸️)');
-            this.logTimerState();
         } else {
             console.log('❌ Cannot resume - timer is not paused');
-            this.logTimerState();
         }
         
         console.log('=== resume() end ===');
     }
     
     async stop() {
+        if (this.mirroring) {
+            this.sendTimerCommand('stop');
+            return;
+        }
         this.isRunning = false;
         this.isPaused = false; // Reset paused state when stopping
-        clearInterval(this.interval);
+        this.timerEngine.stop();
+        this.cancelPhaseNotification();
+        this.clearTimerState();
         
         // Ensure paused visual state is removed
         document.querySelector('.timer-controls').classList.remove('paused');
@@ -1046,15 +1266,425 @@ class StudyTimer {
         console.log('Button reset complete, ready for next session');
     }
     
-    // Debug method to check timer state
-    logTimerState() {
-        console.log('=== Timer State Debug ===');
-        console.log('isRunning:', this.isRunning);
-        console.log('isPaused:', this.isPaused);
-        console.log('timeLeft:', this.timeLeft);
-        console.log('timerMode:', this.timerMode);
-        console.log('interval:', this.interval ? 'active' : 'null');
-        console.log('========================');
+    // Cross-tab coordination: only the tab that owns the running timer runs and
+    // records it. Other tabs mirror its state and send it their button presses.
+    setupTabSync() {
+        this.tabSync = new TabSync();
+        this.mirroring = false;
+        this.mirrorOwnerId = null;
+        this.lastMirrorUpdate = 0;
+        
+        this.tabSync
+            .on('timer-state', (message) => this.handleRemoteTimerState(message))
+            .on('timer-stopped', (message) => {
+                if (this.mirroring && message.from === this.mirrorOwnerId) {
+                    this.lastMirrorUpdate = Date.now();
+                    this.endMirroring();
+                }
+            })
+            .on('owner-leaving', (message) => {
+                if (!this.mirroring || message.from !== this.mirrorOwnerId) return;
+                // Stagger so only one tab takes over; the others then mirror it
+                setTimeout(() => {
+                    if (this.mirroring && this.mirrorOwnerId === message.from) {
+                        this.adoptTimer();
+                    }
+                }, 50 + Math.random() * 200);
+            })
+            .on('timer-command', (message) => this.handleTabCommand(message.action))
+            .on('who-owns-timer', () => {
+                if (this.ownsTimer()) this.broadcastTimerState();
+            })
+            .on('sessions-changed', () => this.reloadSessionsFromOtherTab());
+        
+        // Let another tab carry on if this one closes mid-session
+        window.addEventListener('pagehide', () => {
+            if (this.ownsTimer()) {
+                this.tabSync.send('owner-leaving');
+            }
+        });
+    }
+    
+    ownsTimer() {
+        return !this.mirroring && (this.isRunning || this.isPaused);
+    }
+    
+    broadcastTimerState(state = this.loadTimerState()) {
+        if (state) this.tabSync.send('timer-state', { state });
+    }
+    
+    handleRemoteTimerState(message) {
+        if (this.ownsTimer()) {
+            // Both tabs think they own the timer: the lower id keeps it
+            if (this.tabSync.outranks(message.from)) {
+                this.broadcastTimerState();
+                return;
+            }
+            console.log('🔀 Another tab owns the timer, mirroring it instead');
+        }
+        
+        this.mirroring = true;
+        this.mirrorOwnerId = message.from;
+        this.lastMirrorUpdate = Date.now();
+        this.applyMirrorState(message.state);
+    }
+    
+    // Show another tab's timer here without running or recording it
+    applyMirrorState(state) {
+        this.timerMode = state.timerMode;
+        this.startTime = new Date(state.startTime);
+        this.isPaused = state.isPaused;
+        this.isRunning = !state.isPaused;
+        
+        if (state.isPaused) {
+            this.timerEngine.stop();
+            this.timeLeft = state.timeLeft;
+        } else if (state.targetEndTime) {
+            this.timerEngine.startCountdownUntil(new Date(state.targetEndTime).getTime());
+            this.timeLeft = this.timerEngine.getSeconds();
+        } else {
+            // State is only sent when it changes, so count up from the
+            // recorded segments rather than the seconds shown when it was sent
+            this.timeLeft = state.segmentStart
+                ? ActiveSegments.getActiveSeconds([...(state.segments || []), { start: state.segmentStart, end: new Date().toISOString() }])
+                : state.timeLeft;
+            this.timerEngine.startStopwatch(this.timeLeft);
+        }
+        
+        this.showTimerControls(true, state.isPaused);
+        this.updateDisplay();
+    }
+    
+    endMirroring() {
+        this.mirroring = false;
+        this.mirrorOwnerId = null;
+        this.isRunning = false;
+        this.isPaused = false;
+        this.startTime = null;
+        this.timerEngine.stop();
+        this.timeLeft = this.timerMode === 'timer' ? Math.round(this.focusMinutes * 60) : 0;
+        this.showTimerControls(false, false);
+        this.updateDisplay();
+    }
+    
+    // Carry on with the owning tab's session here (it closed or stopped answering)
+    adoptTimer() {
+        const state = this.loadTimerState();
+        this.endMirroring();
+        if (state) {
+            console.log('🔀 Taking over the timer from another tab');
+            this.resumeUnfinishedTimer(state);
+        }
+    }
+    
+    sendTimerCommand(action) {
+        const sentAt = Date.now();
+        this.tabSync.send('timer-command', { action });
+        
+        // No reply means the owning tab is gone: take over and do it here
+        setTimeout(() => {
+            if (this.mirroring && this.lastMirrorUpdate < sentAt) {
+                this.adoptTimer();
+                this.handleTabCommand(action);
+            }
+        }, 1000);
+    }
+    
+    handleTabCommand(action) {
+        if (!this.ownsTimer()) return;
+        console.log('🔀 Timer command from another tab:', action);
+        if (action === 'pause') {
+            this.pause();
+        } else if (action === 'resume') {
+            this.resume();
+        } else if (action === 'stop') {
+            this.handleStop();
+        }
+    }
+    
+    // Another tab saved sessions: pick them up so the heatmap and log match
+    async reloadSessionsFromOtherTab() {
+        await this.loadStudySessions();
+        this.updateLogDisplay();
+    }
+    
+    // Timer buttons and layout for a running (or paused) timer vs an idle one
+    showTimerControls(active, paused) {
+        this.playBtn.innerHTML = active
+            ? `
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M6 6H18V18H6V6Z" fill="white"/>
+                </svg>
+            `
+            : `
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M8 5V19L19 12L8 5Z" fill="white"/>
+                </svg>
+            `;
+        this.playBtn.removeEventListener('click', active ? this.startFunction : this.stopFunction);
+        this.playBtn.addEventListener('click', active ? this.stopFunction : this.startFunction);
+        this.pauseBtn.innerHTML = paused
+            ? `
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M8 5V19L19 12L8 5Z" fill="white"/>
+                </svg>
+            `
+            : `
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M6 4H10V20H6V4ZM14 4H18V20H14V4Z" fill="white"/>
+                </svg>
+            `;
+        
+        document.querySelector('.timer-controls').classList.toggle('paused', paused);
+        document.querySelector('.container').classList.toggle('fullscreen', active);
+    }
+    
+    // Live timer state, saved on every tick so a reload or crash can pick the
+    // session back up
+    saveTimerState() {
+        if (this.mirroring) return;
+        if (!this.isRunning && !this.isPaused) return;
+        if (!this.startTime) return;
+        
+        const now = new Date();
+        const state = {
+            timerMode: this.timerMode,
+            startTime: this.startTime.toISOString(),
+            isPaused: this.isPaused,
+            segments: this.activeSegments,
+            segmentStart: this.segmentStart ? this.segmentStart.toISOString() : null,
+            timeLeft: this.timeLeft,
+            targetEndTime: this.isRunning && this.timerEngine.getTargetEnd() ? new Date(this.timerEngine.getTargetEnd()).toISOString() : null,
+            savedAt: now.toISOString()
+        };
+        
+        try {
+            localStorage.setItem('activeTimer', JSON.stringify(state));
+        } catch (error) {
+            console.error('Error saving timer state:', error);
+        }
+        this.broadcastTimerState(state);
+    }
+    
+    clearTimerState() {
+        localStorage.removeItem('activeTimer');
+        this.tabSync.send('timer-stopped');
+    }
+    
+    loadTimerState() {
+        try {
+            const state = JSON.parse(localStorage.getItem('activeTimer'));
+            return state && state.startTime ? state : null;
+        } catch (error) {
+            console.error('Error reading saved timer state:', error);
+            return null;
+        }
+    }
+    
+    // When a saved session would have ended: the countdown target if it has
+    // passed, the last save if it was paused, the length limit if an
+    // open-ended session ran past it, otherwise now
+    getUnfinishedSessionEnd(state) {
+        const now = new Date();
+        if (state.isPaused) {
+            return new Date(state.savedAt);
+        }
+        const limitTime = this.isOpenEnded(state.timerMode)
+            ? this.getSessionLimitTime(state.segments || [], state.segmentStart)
+            : null;
+        if (limitTime && limitTime < now) {
+            return limitTime;
+        }
+        if (state.targetEndTime && new Date(state.targetEndTime) < now) {
+            return new Date(state.targetEndTime);
+        }
+        return now;
+    }
+    
+    // Offer to resume, record or discard a session left running by a reload or crash
+    async checkUnfinishedTimer() {
+        // Another open tab may be running it right now; if so we now mirror it
+        const ownerState = await this.tabSync.findOwner();
+        if (ownerState) return;
+        
+        const state = this.loadTimerState();
+        if (!state) return;
+        
+        const endTime = this.getUnfinishedSessionEnd(state);
+        const segments = state.segmentStart
+            ? [...state.segments, { start: state.segmentStart, end: endTime.toISOString() }]
+            : state.segments;
+        const activeSeconds = ActiveSegments.getActiveSeconds(segments);
+        const startedAt = new Date(state.startTime).toLocaleString('en-US', {
+            weekday: 'short',
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZone: StudyDates.getTimeZone()
+        });
+        const modeName = state.timerMode === 'stopwatch' ? 'stopwatch' : 'timer';
+        const countdownFinished = !state.isPaused && state.targetEndTime && new Date(state.targetEndTime) <= new Date();
+        
+        document.getElementById('resumeTimerSummary').textContent =
+            `A ${modeName} session started ${startedAt} was still ${state.isPaused ? 'paused' : 'running'} when the page closed ` +
+            `(${StudyHeatmap.formatDuration(activeSeconds)} studied${countdownFinished ? ', time was already up' : ''}).`;
+        document.getElementById('resumeTimerBtn').style.display = countdownFinished ? 'none' : 'block';
+        
+        const modal = document.getElementById('resumeTimerModal');
+        const choose = (handler) => () => {
+            modal.style.display = 'none';
+            handler();
+        };
+        document.getElementById('resumeTimerBtn').onclick = choose(() => this.resumeUnfinishedTimer(state));
+        document.getElementById('recordTimerBtn').onclick = choose(() => this.recordUnfinishedTimer(state));
+        document.getElementById('discardTimerBtn').onclick = choose(() => {
+            this.clearTimerState();
+            console.log('🗑️ Discarded unfinished session from', state.startTime);
+        });
+        
+        modal.style.display = 'flex';
+    }
+    
+    resumeUnfinishedTimer(state) {
+        console.log('▶️ Resuming unfinished session from', state.startTime);
+        this.timerMode = state.timerMode;
+        this.start();
+        
+        // start() begins a fresh session; put the saved one back
+        this.startTime = new Date(state.startTime);
+        this.activeSegments = state.segments || [];
+        this.segmentStart = state.segmentStart ? new Date(state.segmentStart) : null;
+        
+        if (state.isPaused) {
+            this.segmentStart = null;
+            this.pause();
+            this.timeLeft = state.timeLeft;
+        } else if (state.targetEndTime) {
+            this.timerEngine.startCountdownUntil(new Date(state.targetEndTime).getTime());
+            this.timeLeft = this.timerEngine.getSeconds();
+            this.schedulePhaseNotification();
+        } else if (state.segmentStart) {
+            // Stopwatch shows active time including the time the page was closed
+            this.timeLeft = ActiveSegments.getActiveSeconds([...this.activeSegments, { start: state.segmentStart, end: new Date().toISOString() }]);
+            this.runEngine();
+        }
+        
+        this.updateDisplay();
+        this.saveTimerState();
+    }
+    
+    async recordUnfinishedTimer(state) {
+        console.log('💾 Recording unfinished session from', state.startTime);
+        this.clearTimerState();
+        
+        const endTime = this.getUnfinishedSessionEnd(state);
+        this.startTime = new Date(state.startTime);
+        this.activeSegments = state.segments || [];
+        this.segmentStart = state.segmentStart ? new Date(state.segmentStart) : null;
+        
+        await this.recordStudySession(endTime);
+        this.startTime = null;
+    }
+    
+    // Sessions that count up with no end of their own
+    isOpenEnded(mode = this.timerMode) {
+        return mode === 'stopwatch';
+    }
+    
+    // When the session reaches the maximum length, going by the running
+    // segments; null without a limit or while paused
+    getSessionLimitTime(segments = this.activeSegments, segmentStart = this.segmentStart) {
+        if (!(this.maxSessionHours > 0) || !segmentStart) return null;
+        const remainingSeconds = Math.max(0, this.maxSessionHours * 3600 - ActiveSegments.getActiveSeconds(segments));
+        return new Date(new Date(segmentStart).getTime() + remainingSeconds * 1000);
+    }
+    
+    // Pause an open-ended session that has reached the maximum length. The
+    // pause is dated when the limit was reached, even if the tab was asleep
+    // and only notices later.
+    pauseAtSessionLimit() {
+        if (this.mirroring || !this.isRunning || !this.isOpenEnded()) return false;
+        const limitTime = this.getSessionLimitTime();
+        if (!limitTime || limitTime > new Date()) return false;
+        
+        this.pause(limitTime);
+        this.updateDisplay();
+        console.log('⏸️ Session reached the', this.maxSessionHours, 'hour limit');
+        
+        // Someone at the screen hears now; otherwise it's mentioned on return
+        if (this.idleWatch.isAway()) {
+            this.sessionLimitPausedAt = limitTime;
+        } else {
+            setTimeout(() => alert(`Paused after ${this.maxSessionHours} hours, the longest a session can run. Resume to keep going or stop to save it.`), 0);
+        }
+        return true;
+    }
+    
+    // Running time of the current session after `since`
+    getActiveSecondsSince(since) {
+        const segments = this.segmentStart
+            ? [...this.activeSegments, { start: this.segmentStart.toISOString(), end: new Date().toISOString() }]
+            : this.activeSegments;
+        return ActiveSegments.getActiveSeconds(segments.map(segment => ({
+            start: new Date(Math.max(new Date(segment.start), since)).toISOString(),
+            end: segment.end
+        })));
+    }
+    
+    // Back after being away: a session that kept running meanwhile can be
+    // kept, trimmed back to when they were last seen, or discarded
+    handleUserReturn(awaySince) {
+        const limitPausedAt = this.sessionLimitPausedAt;
+        this.sessionLimitPausedAt = null;
+        if (this.mirroring || !this.startTime || !this.isOpenEnded()) return;
+        
+        const awaySeconds = this.getActiveSecondsSince(awaySince);
+        if (awaySeconds < this.idleMinutes * 60 && !limitPausedAt) return;
+        
+        const lastSeen = awaySince.toLocaleString('en-US', {
+            weekday: 'short',
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZone: StudyDates.getTimeZone()
+        });
+        document.getElementById('idleReturnSummary').textContent =
+            `You were last seen ${lastSeen}. The timer counted ${StudyHeatmap.formatDuration(awaySeconds)} of study since then` +
+            (limitPausedAt ? `, then paused at the ${this.maxSessionHours}-hour limit.` : '.');
+        
+        const modal = document.getElementById('idleReturnModal');
+        const choose = (handler) => () => {
+            modal.style.display = 'none';
+            handler();
+        };
+        document.getElementById('keepIdleTimeBtn').onclick = choose(() => console.log('✅ Kept time away in the session'));
+        document.getElementById('trimIdleTimeBtn').onclick = choose(() => this.trimSessionAfter(awaySince));
+        document.getElementById('discardIdleSessionBtn').onclick = choose(() => {
+            this.discardSession().catch(error => console.error('Error discarding session:', error));
+        });
+        
+        modal.style.display = 'flex';
+    }
+    
+    // Drop the running time after `cut` and leave the session paused there
+    trimSessionAfter(cut) {
+        if (this.isRunning) {
+            this.pause(cut);
+        }
+        this.activeSegments = this.activeSegments
+            .filter(segment => new Date(segment.start) < cut)
+            .map(segment => new Date(segment.end) > cut ? { ...segment, end: cut.toISOString() } : segment);
+        this.timeLeft = ActiveSegments.getActiveSeconds(this.activeSegments);
+        this.updateDisplay();
+        this.saveTimerState();
+        console.log('✂️ Trimmed session back to', cut.toISOString());
+    }
+    
+    // End the current session without recording it
+    async discardSession() {
+        console.log('🗑️ Discarding session started', this.startTime);
+        this.startTime = null;
+        this.activeSegments = [];
+        this.segmentStart = null;
+        await this.stop();
     }
     
     // Global method to check if mode switching is allowed
@@ -1081,13 +1711,17 @@ class StudyTimer {
         return true;
     }
     
-    async recordStudySession() {
-        const today = this.getCurrentDate();
+    async recordStudySession(endTime = new Date()) {
+        // File the session under the study day it started on
+        const today = StudyDates.getDateKey(this.startTime);
         
-        // Calculate exact minutes and seconds studied
-        const endTime = new Date();
-        const timeDiff = endTime - this.startTime;
-        const totalSeconds = Math.floor(timeDiff / 1000);
+        // Only time spent running counts as study time
+        let segments = ActiveSegments.take(this, endTime);
+        if (segments.length === 0) {
+            segments = [{ start: this.startTime.toISOString(), end: endTime.toISOString() }];
+        }
+        const totalSeconds = ActiveSegments.getActiveSeconds(segments);
+        const pausedSeconds = Math.max(0, Math.floor((endTime - this.startTime) / 1000) - totalSeconds);
         const minutes = Math.floor(totalSeconds / 60);
         const seconds = totalSeconds % 60;
         
@@ -1101,14 +1735,17 @@ class StudyTimer {
             seconds: timeStudied,
             minutes: minutes,
             secondsRemainder: seconds,
+            pausedSeconds: pausedSeconds,
+            segments: segments,
+            source: 'timer',
             description: undefined,
             image: undefined,
             notes: undefined
         });
-        console.log('New study session recorded for:', today, 'Time:', minutes + 'm ' + seconds + 's', 'Total seconds:', timeStudied);
+        console.log('New study session recorded for:', today, 'Time:', minutes + 'm ' + seconds + 's', 'Total seconds:', timeStudied, 'Paused:', pausedSeconds + 's');
         
         console.log('Total sessions:', this.studySessions.length);
-        console.log('Total study time today:', this.studySessions.filter(s => s.date === today).reduce((sum, s) => sum + s.seconds, 0), 'seconds');
+        console.log('Total study time today:', StudyDates.getDailyTotals(this.studySessions)[this.getCurrentDate()] || 0, 'seconds');
         
         // Save to localStorage
         await this.saveStudySessions();
@@ -1144,7 +1781,9 @@ class StudyTimer {
             const latestSession = this.studySessions[this.studySessions.length - 1];
             
             // Clear the form for a fresh new session
+            this.addingSession = false;
             document.getElementById('editSessionDate').value = latestSession.date;
+            this.fillSessionTimes(latestSession);
             document.getElementById('editSessionDescription').value = '';
             document.getElementById('editSessionImage').value = '';
             document.getElementById('editSessionNotes').value = '';
@@ -1182,7 +1821,13 @@ class StudyTimer {
         // Save the new mode to localStorage
         localStorage.setItem('timerSettings', JSON.stringify({
             timerMode: this.timerMode,
-            focusMinutes: this.focusMinutes
+            focusMinutes: this.focusMinutes,
+            heatmapWeekStart: this.heatmapWeekStart,
+            heatmapColorScale: this.heatmapColorScale,
+            timeZone: this.timeZone,
+            dayStartHour: this.dayStartHour,
+            idleMinutes: this.idleMinutes,
+            maxSessionHours: this.maxSessionHours
         }));
     }
     
@@ -1589,6 +2234,7 @@ class StudyTimer {
                 seconds: seconds,
                 minutes: minutes,
                 secondsRemainder: 0,
+                source: 'manual',
                 description: undefined,
                 image: undefined,
                 notes: undefined
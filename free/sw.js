@@ -1,8 +1,18 @@
-const CACHE_NAME = 'studo-v1.0.0';
+importScripts('../shared/phase-notifications.js');
+
+const CACHE_NAME = 'studo-v1.6.3';
 const urlsToCache = [
   './',
   './index.html',
   './script.js',
+  '../shared/date-utils.js',
+  '../shared/heatmap.js',
+  '../shared/timer-engine.js',
+  '../shared/phase-notifications.js',
+  '../shared/tab-sync.js',
+  '../shared/session-times.js',
+  '../shared/idle-watch.js',
+  '../shared/active-segments.js',
   './styles.css',
   './manifest.json'
 ];
@@ -26,6 +36,8 @@ self.addEventListener('install', (event) => {
 
 // Fetch event - serve from cache when offline
 self.addEventListener('fetch', (event) => {
+  PhaseNotifications.catchUp(event);
+
   event.respondWith(
     caches.match(event.request)
       .then((response) => {
@@ -45,7 +57,7 @@ self.addEventListener('activate', (event) => {
     caches.keys().then((cacheNames) => {
       return Promise.all(
         cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
+          if (cacheName !== CACHE_NAME && cacheName !== PHASE_NOTIFICATION_CACHE) {
             console.log('Deleting old cache:', cacheName);
             return caches.delete(cacheName);
           }
@@ -55,8 +67,27 @@ self.addEventListener('activate', (event) => {
   );
 });
 
+// Phase-end notifications scheduled by the timer page
+self.addEventListener('message', (event) => {
+  PhaseNotifications.handleWorkerMessage(event);
+});
+
+// Bring the timer tab forward when a notification is clicked
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clientList) => {
+      if (clientList.length > 0) {
+        return clientList[0].focus();
+      }
+      return self.clients.openWindow('./');
+    })
+  );
+});
+
 // Background sync for offline data
 self.addEventListener('sync', (event) => {
+  PhaseNotifications.catchUp(event);
   if (event.tag === 'background-sync') {
     event.waitUntil(doBackgroundSync());
   }
@@ -8,6 +8,27 @@ class FlashcardSystem {
         this.isCardFlipped = false;
         this.isInitialized = false;
         this.statisticsUpdateTimeout = null;
+        this.scheduler = new FlashcardScheduler();
+        this.deckImporter = new DeckImporter();
+        this.deckExporter = new DeckExporter();
+        this.cardRenderer = new CardRenderer();
+        this.cardTypes = new CardTypes();
+        this.imageOcclusion = new ImageOcclusion();
+        this.occlusionEditor = null;
+        this.occlusionFigure = null;
+        this.cardAudio = new CardAudio();
+        this.pendingAudio = { front: null, back: null };
+        this.recordingSide = null;
+        this.currentFaces = null;
+        this.typedAnswerGrade = null;
+        this.reviewTimer = new ReviewTimer();
+        this.typicalRecallMs = null;
+        this.exportDeckId = null;
+        this.pendingImport = null;
+        // Bumped for each file read and preview, so a slow one that finishes
+        // late doesn't overwrite a newer one
+        this.importFileRequest = 0;
+        this.importPreviewRequest = 0;
         
         // Initialize when DOM is ready
         this.initialize();
@@ -82,7 +103,7 @@ class FlashcardSystem {
                         <li>Go to your <strong>Supabase project dashboard</strong></li>
                         <li>Navigate to the <strong>SQL Editor</strong></li>
                         <li>Copy and paste the contents of <code>flashcard-setup.sql</code></li>
-                        <li>Run the SQL script</li>
+                        <li>Run the SQL script, then do the same with <code>flashcard-migrations.sql</code></li>
                         <li>Refresh this page</li>
                     </ol>
                 </div>
@@ -111,6 +132,9 @@ class FlashcardSystem {
     }
     
     initializeEventListeners() {
+        // Review times don't count while the tab is hidden
+        this.reviewTimer.watch();
+        
         // Tab navigation
         document.querySelectorAll('.tab-btn').forEach(btn => {
             btn.addEventListener('click', (e) => this.switchTab(e.target.dataset.tab));
@@ -122,14 +146,57 @@ class FlashcardSystem {
         document.getElementById('close-deck-modal').addEventListener('click', () => this.hideCreateDeckModal());
         document.getElementById('cancel-deck-btn').addEventListener('click', () => this.hideCreateDeckModal());
         
+        // Deck import
+        document.getElementById('import-deck-btn').addEventListener('click', () => this.showImportModal());
+        document.getElementById('close-import-modal').addEventListener('click', () => this.hideImportModal());
+        document.getElementById('cancel-import-btn').addEventListener('click', () => this.hideImportModal());
+        document.getElementById('import-file').addEventListener('change', (e) => this.handleImportFile(e.target.files[0]));
+        document.getElementById('import-target-deck').addEventListener('change', () => this.updateImportPreview());
+        document.getElementById('confirm-import-btn').addEventListener('click', () => this.importDeck());
+        
+        // Deck export
+        document.getElementById('close-export-modal').addEventListener('click', () => this.hideExportModal());
+        document.querySelectorAll('.export-option').forEach(btn => {
+            btn.addEventListener('click', () => this.exportDeck(btn.dataset.format));
+        });
+        
         // Card creation
         document.getElementById('save-card-btn').addEventListener('click', () => this.addCard());
         document.getElementById('close-card-modal').addEventListener('click', () => this.hideAddCardModal());
         document.getElementById('cancel-card-btn').addEventListener('click', () => this.hideAddCardModal());
+        document.getElementById('card-type').addEventListener('change', () => this.updateCardTypeForm());
+        document.getElementById('card-front').addEventListener('input', () => this.updateCardPreview());
+        document.getElementById('card-back').addEventListener('input', () => this.updateCardPreview());
+        
+        // Image occlusion editor
+        this.occlusionEditor = new OcclusionEditor(document.getElementById('occlusion-stage'), {
+            onChange: () => this.updateCardPreview()
+        });
+        document.getElementById('occlusion-image-input').addEventListener('change', (e) => this.loadOcclusionImage(e.target.files[0]));
+        document.querySelectorAll('.occlusion-tool').forEach(btn => {
+            btn.addEventListener('click', () => this.setOcclusionTool(btn.dataset.tool));
+        });
+        document.getElementById('occlusion-undo-btn').addEventListener('click', () => this.occlusionEditor.undo());
+        document.getElementById('occlusion-clear-btn').addEventListener('click', () => this.occlusionEditor.clear());
+        
+        // Card audio
+        document.querySelectorAll('.card-record-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.toggleRecording(btn.dataset.side));
+        });
+        document.querySelectorAll('.card-audio-remove-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setRecording(btn.dataset.side, null));
+        });
+        document.getElementById('play-front-audio-btn').addEventListener('click', () => this.playFace('front', true));
+        document.getElementById('play-back-audio-btn').addEventListener('click', () => this.playFace('back', true));
+        this.populateLanguageSelects();
         
         // Review functionality
         document.getElementById('start-review-btn').addEventListener('click', () => this.startReview());
         document.getElementById('flip-card-btn').addEventListener('click', () => this.flipCard());
+        document.getElementById('check-answer-btn').addEventListener('click', () => this.flipCard());
+        document.getElementById('type-answer-input').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !this.isCardFlipped) this.flipCard();
+        });
         document.getElementById('review-deck-select').addEventListener('change', (e) => this.onDeckSelectChange(e));
         
         // Difficulty buttons
@@ -142,6 +209,9 @@ class FlashcardSystem {
         document.getElementById('start-deck-review-btn').addEventListener('click', () => this.startDeckReview());
         document.getElementById('add-card-to-deck-btn').addEventListener('click', () => this.showAddCardModal());
         document.getElementById('delete-deck-btn').addEventListener('click', () => this.deleteDeck());
+        document.getElementById('export-deck-btn').addEventListener('click', () => this.showExportModal(this.currentDeck?.id));
+        document.getElementById('deck-details-language').addEventListener('change', () => this.updateDeckSettings());
+        document.getElementById('deck-details-read-aloud').addEventListener('change', () => this.updateDeckSettings());
         
         // Modal backdrop clicks
         document.querySelectorAll('.modal').forEach(modal => {
@@ -230,6 +300,11 @@ class FlashcardSystem {
                 <div class="deck-header">
                     <h3>${this.escapeHtml(deck.name)}</h3>
                     <div class="deck-actions">
+                        <button class="btn-icon" onclick="flashcardSystem.showExportModal('${deck.id}')" title="Export Deck">
+                            <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" width="16" height="16">
+                                <path d="M12 15V3M7 8l5-5 5 5M5 21h14" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                            </svg>
+                        </button>
                         <button class="btn-icon" onclick="flashcardSystem.showDeckDetails('${deck.id}')" title="Deck Details">
                             <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" width="16" height="16">
                                 <path d="M12 20h9M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
@@ -258,6 +333,8 @@ class FlashcardSystem {
         
         const name = document.getElementById('deck-name').value.trim();
         const description = document.getElementById('deck-description').value.trim();
+        const language = document.getElementById('deck-language').value;
+        const readAloud = document.getElementById('deck-read-aloud').checked;
         
         if (!name) {
             this.showNotification('Please enter a deck name', 'error');
@@ -268,6 +345,8 @@ class FlashcardSystem {
             const { data: deck, error } = await this.insertDeck({
                 name,
                 description,
+                language: language || null,
+                read_aloud: readAloud,
                 user_id: await this.getCurrentUserId()
             });
             
@@ -282,6 +361,8 @@ class FlashcardSystem {
             // Clear form
             document.getElementById('deck-name').value = '';
             document.getElementById('deck-description').value = '';
+            document.getElementById('deck-language').value = '';
+            document.getElementById('deck-read-aloud').checked = false;
         } catch (error) {
             console.error('Failed to create deck:', error);
             this.showNotification('Failed to create deck', 'error');
@@ -315,6 +396,301 @@ class FlashcardSystem {
         }
     }
     
+    // Deck Import
+    async showImportModal() {
+        if (!this.isInitialized) {
+            this.showNotification('System is still initializing. Please wait.', 'info');
+            return;
+        }
+        
+        this.resetImportForm();
+        
+        // Offer existing decks as import targets
+        const { data: decks } = await this.getDecks();
+        const select = document.getElementById('import-target-deck');
+        select.innerHTML = '<option value="new">New deck</option>' +
+            (decks || []).map(deck => `<option value="${deck.id}">${this.escapeHtml(deck.name)}</option>`).join('');
+        
+        document.getElementById('import-deck-modal').style.display = 'block';
+    }
+    
+    hideImportModal() {
+        document.getElementById('import-deck-modal').style.display = 'none';
+        this.resetImportForm();
+    }
+    
+    resetImportForm() {
+        this.pendingImport = null;
+        this.importFileRequest++;
+        document.getElementById('import-file').value = '';
+        document.getElementById('import-deck-name').value = '';
+        document.getElementById('import-target-deck').value = 'new';
+        document.getElementById('import-new-deck-group').style.display = 'block';
+        document.getElementById('import-preview').style.display = 'none';
+        document.getElementById('import-preview-body').innerHTML = '';
+        document.getElementById('confirm-import-btn').disabled = true;
+    }
+    
+    async handleImportFile(file) {
+        if (!file) return;
+        
+        const summary = document.getElementById('import-summary');
+        document.getElementById('import-preview').style.display = 'block';
+        document.getElementById('import-preview-body').innerHTML = '';
+        document.getElementById('confirm-import-btn').disabled = true;
+        summary.textContent = 'Reading file...';
+        const request = ++this.importFileRequest;
+        
+        try {
+            const parsed = await this.deckImporter.parseFile(file);
+            if (request !== this.importFileRequest) return;
+            
+            if (parsed.cards.length === 0) {
+                summary.textContent = 'No cards found in this file. CSV/TSV files need at least a front and back column.';
+                return;
+            }
+            
+            this.pendingImport = { ...parsed, fileName: file.name };
+            
+            const nameInput = document.getElementById('import-deck-name');
+            if (!nameInput.value.trim()) {
+                nameInput.value = parsed.deckName;
+            }
+            
+            await this.updateImportPreview();
+        } catch (error) {
+            if (request !== this.importFileRequest) return;
+            console.error('Failed to read import file:', error);
+            this.pendingImport = null;
+            summary.textContent = error.message || 'Failed to read file';
+        }
+    }
+    
+    async updateImportPreview() {
+        const target = document.getElementById('import-target-deck').value;
+        document.getElementById('import-new-deck-group').style.display = target === 'new' ? 'block' : 'none';
+        
+        if (!this.pendingImport) return;
+        
+        const request = ++this.importPreviewRequest;
+        const pendingImport = this.pendingImport;
+        let existingCards = [];
+        if (target !== 'new') {
+            const { data, error } = await this.getCardsByDeck(target);
+            if (request !== this.importPreviewRequest || pendingImport !== this.pendingImport) return;
+            if (error) {
+                this.showNotification('Failed to check for duplicate cards', 'error');
+            }
+            existingCards = data || [];
+        }
+        
+        const { unique, duplicates } = this.deckImporter.findDuplicates(this.pendingImport.cards, existingCards);
+        this.pendingImport.unique = unique;
+        
+        const historyCount = unique.reduce((sum, card) => sum + (card.history?.length || 0), 0);
+        const summary = document.getElementById('import-summary');
+        summary.innerHTML = `
+            <span><strong>${unique.length}</strong> new cards</span>
+            <span><strong>${duplicates.length}</strong> duplicates skipped</span>
+            ${historyCount > 0 ? `<span><strong>${historyCount}</strong> past reviews</span>` : ''}
+        `;
+        
+        const previewLimit = 20;
+        const rows = unique.slice(0, previewLimit).map(card => `
+            <tr>
+                <td>${this.escapeHtml(card.front.substring(0, 100))}</td>
+                <td>${this.escapeHtml(card.back.substring(0, 100))}</td>
+                <td>${this.escapeHtml(card.tags)}</td>
+            </tr>
+        `).join('');
+        const more = unique.length > previewLimit
+            ? `<tr><td colspan="3" class="import-preview-more">...and ${unique.length - previewLimit} more</td></tr>`
+            : '';
+        document.getElementById('import-preview-body').innerHTML = rows + more;
+        
+        document.getElementById('confirm-import-btn').disabled = unique.length === 0;
+    }
+    
+    async importDeck() {
+        if (!this.pendingImport || !this.pendingImport.unique) return;
+        
+        const target = document.getElementById('import-target-deck').value;
+        const deckName = document.getElementById('import-deck-name').value.trim();
+        const confirmBtn = document.getElementById('confirm-import-btn');
+        
+        if (target === 'new' && !deckName) {
+            this.showNotification('Please enter a deck name', 'error');
+            return;
+        }
+        
+        confirmBtn.disabled = true;
+        confirmBtn.textContent = 'Importing...';
+        
+        let createdDeckId = null;
+        try {
+            const userId = await this.getCurrentUserId();
+            let deckId = target;
+            
+            if (target === 'new') {
+                const { data: deck, error } = await this.insertDeck({
+                    name: deckName,
+                    description: this.pendingImport.deckDescription || `Imported from ${this.pendingImport.fileName}`,
+                    language: this.pendingImport.deckLanguage || null,
+                    user_id: userId
+                });
+                if (error) throw error;
+                deckId = deck.id;
+                createdDeckId = deck.id;
+            }
+            
+            const cards = this.pendingImport.unique;
+            const now = new Date().toISOString();
+            const cardRows = cards.map(card => ({
+                front: card.front,
+                back: card.back,
+                tags: card.tags,
+                deck_id: deckId,
+                user_id: userId,
+                next_review: now,
+                last_reviewed: null,
+                card_state: CARD_STATES.NEW,
+                // Our own JSON bundles keep reversed, cloze and occlusion cards apart
+                ...(card.cardType ? { card_type: card.cardType, card_ord: card.cardOrd || 1 } : {}),
+                ...(card.occlusion ? { occlusion: card.occlusion } : {}),
+                ...(card.audio ? { audio: card.audio } : {}),
+                // Anki packages carry their own scheduling state
+                ...(card.scheduling || {})
+            }));
+            
+            const { data: insertedCards, error: cardsError, inserted } = await this.insertCards(cardRows);
+            if (cardsError) {
+                const deckToRemove = createdDeckId;
+                createdDeckId = null;
+                await this.rollBackImport(deckToRemove, inserted || []);
+                throw cardsError;
+            }
+            
+            // Rows come back in insert order, so history can be matched by index
+            const historyRows = [];
+            insertedCards.forEach((inserted, index) => {
+                (cards[index].history || []).forEach(entry => {
+                    historyRows.push({
+                        card_id: inserted.id,
+                        user_id: userId,
+                        difficulty: entry.difficulty,
+                        review_date: entry.review_date,
+                        response_time_ms: entry.response_time_ms,
+                        recall_time_ms: entry.recall_time_ms ?? null,
+                        rating_time_ms: entry.rating_time_ms ?? null
+                    });
+                });
+            });
+            
+            if (historyRows.length > 0) {
+                const { error: historyError } = await this.insertReviewHistory(historyRows);
+                if (historyError) {
+                    this.showNotification('Cards imported, but review history could not be saved', 'info');
+                }
+            }
+            
+            this.hideImportModal();
+            this.showNotification(`Imported ${insertedCards.length} cards!`, 'success');
+            this.loadDecks();
+            this.populateReviewDeckSelect();
+            this.updateStatistics();
+        } catch (error) {
+            console.error('Failed to import deck:', error);
+            let message = error.partialImport || 'Failed to import deck';
+            
+            // A deck created for this import goes again when the import fails
+            if (createdDeckId) {
+                try {
+                    await this.rollBackImport(createdDeckId, []);
+                } catch (rollbackError) {
+                    message = rollbackError.partialImport;
+                }
+            }
+            this.showNotification(message, 'error');
+        } finally {
+            confirmBtn.disabled = false;
+            confirmBtn.textContent = 'Import';
+        }
+    }
+    
+    // Undo a failed import: delete the deck it created, or the cards it had
+    // already added to an existing deck, so retrying doesn't duplicate them.
+    // If that fails too, the error says how many cards were left behind.
+    async rollBackImport(createdDeckId, insertedCards) {
+        const { error } = createdDeckId
+            ? await this.deleteDeckById(createdDeckId)
+            : await this.deleteCardsByIds(insertedCards.map(card => card.id));
+        if (!error) return;
+        
+        console.error('Failed to undo partial import:', error);
+        const where = createdDeckId ? 'the new deck' : 'the deck';
+        const message = `Import failed partway: ${insertedCards.length} cards were added to ${where} and could not be removed`;
+        throw Object.assign(new Error(message), { partialImport: message });
+    }
+    
+    // Deck Export
+    showExportModal(deckId) {
+        if (!deckId) return;
+        
+        this.exportDeckId = deckId;
+        document.getElementById('export-deck-modal').style.display = 'block';
+    }
+    
+    hideExportModal() {
+        document.getElementById('export-deck-modal').style.display = 'none';
+        this.exportDeckId = null;
+    }
+    
+    async exportDeck(format) {
+        if (!this.exportDeckId) return;
+        
+        try {
+            const { data: deck, error: deckError } = await this.getDeckById(this.exportDeckId);
+            if (deckError) throw deckError;
+            
+            const { data: cards, error: cardsError } = await this.getCardsByDeck(this.exportDeckId);
+            if (cardsError) throw cardsError;
+            
+            if (cards.length === 0) {
+                this.showNotification('This deck has no cards to export', 'info');
+                return;
+            }
+            
+            if (format === 'json') {
+                const { data: history, error: historyError } = await this.getReviewHistoryForCards(cards.map(card => card.id));
+                if (historyError) throw historyError;
+                
+                this.deckExporter.download(
+                    this.deckExporter.fileName(deck, 'json'),
+                    this.deckExporter.toJson(deck, cards, history),
+                    'application/json'
+                );
+            } else if (format === 'csv') {
+                this.deckExporter.download(
+                    this.deckExporter.fileName(deck, 'csv'),
+                    this.deckExporter.toCsv(cards),
+                    'text/csv;charset=utf-8'
+                );
+            } else if (format === 'anki') {
+                this.deckExporter.download(
+                    this.deckExporter.fileName(deck, 'txt'),
+                    this.deckExporter.toAnkiText(deck, cards),
+                    'text/plain;charset=utf-8'
+                );
+            }
+            
+            this.hideExportModal();
+            this.showNotification(`Exported ${cards.length} cards`, 'success');
+        } catch (error) {
+            console.error('Failed to export deck:', error);
+            this.showNotification('Failed to export deck', 'error');
+        }
+    }
+    
     // Card Management
     async addCard() {
         if (!this.isInitialized) {
@@ -322,31 +698,80 @@ class FlashcardSystem {
             return;
         }
         
+        const type = document.getElementById('card-type').value;
         const front = document.getElementById('card-front').value.trim();
         const back = document.getElementById('card-back').value.trim();
         const tags = document.getElementById('card-tags').value.trim();
         const deckId = this.currentDeck?.id || document.getElementById('add-card-modal').dataset.deckId;
         
-        if (!front || !back) {
-            this.showNotification('Please fill in both front and back of the card', 'error');
+        const occlusion = type === CARD_TYPES.IMAGE_OCCLUSION
+            ? this.occlusionEditor.getOcclusion(document.getElementById('occlusion-mode').value)
+            : null;
+        
+        // Reversed, cloze and occlusion notes make one card per direction,
+        // deletion or mask
+        let cards;
+        try {
+            cards = this.cardTypes.generateCards(type, front, back, occlusion);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
             return;
         }
         
         try {
-            const { data: card, error } = await this.insertCard({
-                front,
-                back,
+            const userId = await this.getCurrentUserId();
+            const now = new Date().toISOString();
+            
+            // The image is stored once and shared by every mask's card
+            if (occlusion) {
+                let stored;
+                try {
+                    stored = await this.imageOcclusion.storeImage(this.occlusionEditor.file, userId);
+                } catch (error) {
+                    console.error('Failed to upload occlusion image:', error);
+                    this.showNotification('Could not upload the image, so the card was not added', 'error');
+                    return;
+                }
+                const withImage = { ...occlusion, image: stored.image, width: stored.width, height: stored.height };
+                cards = cards.map(card => ({ ...card, occlusion: withImage }));
+            }
+            
+            // Recorded clips, likewise shared by the note's cards
+            const audio = {};
+            try {
+                for (const side of ['front', 'back']) {
+                    if (this.pendingAudio[side]) {
+                        audio[side] = await this.cardAudio.storeClip(this.pendingAudio[side], userId);
+                    }
+                }
+            } catch (error) {
+                console.error('Failed to upload recording:', error);
+                await this.removeCardMedia(cards.map(card => ({ ...card, audio })));
+                this.showNotification('Could not upload the recording, so the card was not added', 'error');
+                return;
+            }
+            if (Object.keys(audio).length > 0) {
+                cards = cards.map(card => ({ ...card, audio }));
+            }
+            
+            const { error } = await this.insertCards(cards.map(card => ({
+                ...card,
                 tags,
                 deck_id: deckId,
-                user_id: await this.getCurrentUserId(),
-                next_review: new Date().toISOString(), // Make immediately available for review
-                last_reviewed: null // Mark as new card
-            });
+                user_id: userId,
+                next_review: now, // Make immediately available for review
+                last_reviewed: null, // Mark as new card
+                card_state: CARD_STATES.NEW
+            })));
             
-            if (error) throw error;
+            if (error) {
+                // Nothing refers to the uploaded files now
+                await this.removeCardMedia(cards);
+                throw error;
+            }
             
             this.hideAddCardModal();
-            this.showNotification('Card added successfully!', 'success');
+            this.showNotification(cards.length > 1 ? `${cards.length} cards added successfully!` : 'Card added successfully!', 'success');
             this.loadDecks();
             this.updateStatistics();
             
@@ -354,6 +779,11 @@ class FlashcardSystem {
             document.getElementById('card-front').value = '';
             document.getElementById('card-back').value = '';
             document.getElementById('card-tags').value = '';
+            document.getElementById('occlusion-image-input').value = '';
+            this.occlusionEditor.reset();
+            this.setRecording('front', null);
+            this.setRecording('back', null);
+            this.updateCardPreview();
         } catch (error) {
             console.error('Failed to add card:', error);
             this.showNotification('Failed to add card', 'error');
@@ -400,7 +830,10 @@ class FlashcardSystem {
             
             console.log(`Starting review with ${cards.length} cards`);
             
-            this.currentDeck = { id: deckId };
+            // The deck's language and read-aloud setting apply to every card
+            const { data: deck } = await this.getDeckById(deckId);
+            this.currentDeck = deck || { id: deckId };
+            this.typicalRecallMs = await this.getTypicalRecallTime();
             this.reviewCards = cards;
             this.currentCardIndex = 0;
             this.isCardFlipped = false;
@@ -443,8 +876,11 @@ class FlashcardSystem {
             reviewControls.style.display = 'flex';
         }
         
+        this.cardAudio.stop();
+        this.reviewTimer.finish();
         this.currentDeck = null;
         this.currentCard = null;
+        this.currentFaces = null;
         this.reviewCards = [];
         this.currentCardIndex = 0;
     }
@@ -457,6 +893,7 @@ class FlashcardSystem {
         
         this.currentCard = this.reviewCards[this.currentCardIndex];
         this.isCardFlipped = false;
+        this.typedAnswerGrade = null;
         
         const cardFrontContent = document.getElementById('card-front-content');
         const cardBackContent = document.getElementById('card-back-content');
@@ -464,15 +901,50 @@ class FlashcardSystem {
         const difficultyButtons = document.getElementById('difficulty-buttons');
         const flashcard = document.getElementById('current-card');
         const cardFront = document.querySelector('.card-front');
+        const faces = this.cardTypes.getFaces(this.currentCard);
+        this.currentFaces = faces;
+        
+        // The deck's language sets the reading direction of both faces
+        const language = this.currentDeck?.language || '';
+        [cardFrontContent, cardBackContent].forEach(content => {
+            if (!content) return;
+            content.lang = language;
+            content.dir = this.cardAudio.isRtl(language) ? 'rtl' : 'auto';
+        });
         
         if (cardFrontContent) {
-            cardFrontContent.textContent = this.currentCard.front;
+            this.cardRenderer.renderInto(cardFrontContent, faces.front);
         }
         if (cardBackContent) {
-            cardBackContent.textContent = this.currentCard.back;
+            this.cardRenderer.renderInto(cardBackContent, faces.back);
             cardBackContent.style.display = 'none';
         }
         
+        // Image occlusion cards draw their masks over the image
+        this.occlusionFigure = null;
+        if (cardFrontContent && this.currentCard.occlusion && this.cardTypes.getType(this.currentCard) === CARD_TYPES.IMAGE_OCCLUSION) {
+            this.occlusionFigure = this.imageOcclusion.createFigure(this.currentCard.occlusion, (this.currentCard.card_ord || 1) - 1);
+            cardFrontContent.appendChild(this.occlusionFigure);
+        }
+        
+        // Type-in cards ask for the answer before showing it
+        const isTypeIn = this.cardTypes.getType(this.currentCard) === CARD_TYPES.TYPE_IN;
+        const typeAnswer = document.getElementById('type-answer');
+        const typeAnswerInput = document.getElementById('type-answer-input');
+        if (typeAnswer) typeAnswer.style.display = isTypeIn ? 'flex' : 'none';
+        if (typeAnswerInput) {
+            typeAnswerInput.value = '';
+            if (isTypeIn) typeAnswerInput.focus();
+        }
+        this.showTypedAnswerResult(null);
+        this.showRatingSuggestion(null);
+        this.updateAudioButtons();
+        if (this.currentDeck?.read_aloud) {
+            this.playFace('front');
+        } else {
+            this.cardAudio.stop();
+        }
+        
         // Hide the "Show Answer" button since cards are now clickable
         if (flipCardBtn) {
             flipCardBtn.style.display = 'none';
@@ -497,6 +969,7 @@ class FlashcardSystem {
         }
         
         this.updateProgress();
+        this.reviewTimer.start();
     }
     
     flipCard() {
@@ -508,10 +981,33 @@ class FlashcardSystem {
         const flashcard = document.getElementById('current-card');
         const cardFront = document.querySelector('.card-front');
         
+        const isTypeIn = this.cardTypes.getType(this.currentCard) === CARD_TYPES.TYPE_IN;
+        const typeAnswer = document.getElementById('type-answer');
+        
+        if (this.occlusionFigure) {
+            this.imageOcclusion.showMasks(this.occlusionFigure, this.currentCard.occlusion, (this.currentCard.card_ord || 1) - 1, this.isCardFlipped);
+        }
+        
+        this.updateAudioButtons();
+        
         if (this.isCardFlipped) {
             if (cardBackContent) cardBackContent.style.display = 'block';
             if (flipCardBtn) flipCardBtn.style.display = 'none';
             if (difficultyButtons) difficultyButtons.style.display = 'flex';
+            if (this.currentDeck?.read_aloud) this.playFace('back');
+            
+            if (isTypeIn) {
+                const typed = document.getElementById('type-answer-input').value;
+                this.typedAnswerGrade = this.cardTypes.gradeAnswer(typed, this.cardTypes.getExpectedAnswer(this.currentCard));
+                if (typeAnswer) typeAnswer.style.display = 'none';
+                this.showTypedAnswerResult(typed, this.typedAnswerGrade);
+            }
+            
+            // How long recall took suggests a rating
+            this.reviewTimer.flip();
+            const { recallMs } = this.reviewTimer.read();
+            const suggestedRating = this.scheduler.suggestRating(recallMs, this.typicalRecallMs || undefined, this.typedAnswerGrade?.suggestedRating);
+            this.showRatingSuggestion(recallMs, suggestedRating);
             
             // Hide the click hint when card is flipped
             if (cardFront) {
@@ -527,6 +1023,13 @@ class FlashcardSystem {
             if (flipCardBtn) flipCardBtn.style.display = 'none'; // Keep hidden
             if (difficultyButtons) difficultyButtons.style.display = 'none';
             
+            if (isTypeIn) {
+                this.typedAnswerGrade = null;
+                if (typeAnswer) typeAnswer.style.display = 'flex';
+                this.showTypedAnswerResult(null);
+            }
+            this.showRatingSuggestion(null);
+            
             // Show click hint again when card is flipped back (only for first card)
             if (cardFront && this.currentCardIndex === 0) {
                 cardFront.classList.remove('hide-hint');
@@ -539,73 +1042,84 @@ class FlashcardSystem {
         }
     }
     
+    // Play buttons appear for faces with a recording, or for every face once
+    // the deck has a language to read it in
+    updateAudioButtons() {
+        const faces = this.currentFaces || {};
+        const canSpeak = !!this.currentDeck?.language && this.cardAudio.isSpeechSupported();
+        const showFront = !!faces.frontAudio || canSpeak;
+        const showBack = this.isCardFlipped && (!!faces.backAudio || canSpeak);
+        
+        document.getElementById('card-audio-buttons').style.display = showFront || showBack ? 'flex' : 'none';
+        document.getElementById('play-front-audio-btn').style.display = showFront ? 'inline-block' : 'none';
+        document.getElementById('play-back-audio-btn').style.display = showBack ? 'inline-block' : 'none';
+    }
+    
+    // Play a face's recording, or read its text aloud
+    async playFace(side, requested = false) {
+        if (!this.currentFaces) return;
+        
+        const content = document.getElementById(side === 'front' ? 'card-front-content' : 'card-back-content');
+        try {
+            await this.cardAudio.playFace(this.currentFaces[`${side}Audio`], content ? content.innerText : '', this.currentDeck?.language || '');
+        } catch (error) {
+            // Browsers may refuse to autoplay; only report it when asked to play
+            console.error('Failed to play card audio:', error);
+            if (requested) this.showNotification('Could not play the audio', 'error');
+        }
+    }
+    
+    // What was typed on a type-in card and how close it was; null clears it
+    showTypedAnswerResult(typed, grade = null) {
+        const result = document.getElementById('type-answer-result');
+        if (!result) return;
+        
+        if (typed === null || !grade) {
+            result.style.display = 'none';
+            result.innerHTML = '';
+            return;
+        }
+        
+        const outcome = grade.similarity === 1 ? 'correct' : grade.suggestedRating === 'hard' ? 'close' : 'wrong';
+        const verdicts = { correct: 'Correct', close: 'Almost', wrong: 'Not quite' };
+        result.className = `type-answer-result ${outcome}`;
+        result.innerHTML = `
+            <span class="type-answer-verdict">${verdicts[outcome]} · ${Math.round(grade.similarity * 100)}% match</span>
+            <span class="type-answer-typed">You typed: ${typed.trim() ? this.escapeHtml(typed) : '<em>nothing</em>'}</span>
+        `;
+        result.style.display = 'flex';
+    }
+    
+    // Recall time and the suggested rating, which is also highlighted on the
+    // difficulty buttons; null clears both
+    showRatingSuggestion(recallMs, rating = null) {
+        const suggestion = document.getElementById('rating-suggestion');
+        document.querySelectorAll('.btn-difficulty').forEach(btn => {
+            btn.classList.toggle('suggested', !!rating && btn.dataset.difficulty === rating);
+        });
+        if (!suggestion) return;
+        
+        if (recallMs === null || !rating) {
+            suggestion.style.display = 'none';
+            suggestion.textContent = '';
+            return;
+        }
+        
+        const label = rating.charAt(0).toUpperCase() + rating.slice(1);
+        suggestion.textContent = `Recalled in ${(recallMs / 1000).toFixed(1)}s · suggested: ${label}`;
+        suggestion.style.display = 'block';
+    }
+    
     async rateCard(difficulty) {
         if (!this.currentCard) return;
         
         try {
-            const reviewCount = this.currentCard.review_count || 0;
-            const previousDifficulty = this.currentCard.difficulty || 'good';
-            
-            // Enhanced spaced repetition algorithm
-            let intervalDays;
-            
-            switch (difficulty) {
-                case 'again':
-                    // Reset interval, start over
-                    intervalDays = Math.max(1, Math.floor(reviewCount * 0.5)); // 1, 1, 2, 3, 4...
-                    break;
-                    
-                case 'hard':
-                    // Shorter intervals, more frequent reviews
-                    if (reviewCount === 0) {
-                        intervalDays = 2; // First time: 2 days
-                    } else {
-                        intervalDays = Math.max(2, Math.floor(reviewCount * 1.5)); // 2, 3, 4, 6, 9...
-                    }
-                    break;
-                    
-                case 'good':
-                    // Standard spaced repetition intervals
-                    if (reviewCount === 0) {
-                        intervalDays = 4; // First time: 4 days
-                    } else if (reviewCount === 1) {
-                        intervalDays = 7; // Second time: 1 week
-                    } else {
-                        intervalDays = Math.floor(reviewCount * 3.5); // 7, 10, 14, 17, 21...
-                    }
-                    break;
-                    
-                case 'easy':
-                    // Longer intervals, less frequent reviews
-                    if (reviewCount === 0) {
-                        intervalDays = 7; // First time: 1 week
-                    } else if (reviewCount === 1) {
-                        intervalDays = 14; // Second time: 2 weeks
-                    } else {
-                        intervalDays = Math.floor(reviewCount * 5); // 14, 20, 25, 30...
-                    }
-                    break;
-                    
-                default:
-                    intervalDays = 7;
-            }
-            
-            // Apply some randomization to avoid bunching
-            const randomFactor = 0.8 + (Math.random() * 0.4); // 0.8 to 1.2
-            intervalDays = Math.max(1, Math.floor(intervalDays * randomFactor));
-            
             const now = new Date();
-            const nextReview = new Date(now.getTime() + (intervalDays * 24 * 60 * 60 * 1000));
-            
-            console.log(`Rating card as ${difficulty}, review count: ${reviewCount}, next review in ${intervalDays} days: ${nextReview.toISOString()}`);
-            
-            // Update the card with review data
-            const { error } = await this.updateCardReview(this.currentCard.id, {
-                difficulty,
-                next_review: nextReview.toISOString(),
-                review_count: reviewCount + 1,
-                last_reviewed: now.toISOString()
-            });
+            const times = this.reviewTimer.read();
+            const reviewData = this.scheduler.scheduleReview(this.currentCard, difficulty, now);
+
+            // Persist the new scheduling state on the card
+            const { error } = await this.updateCardReview(this.currentCard.id, reviewData);
             
             if (error) throw error;
             
@@ -618,7 +1132,9 @@ class FlashcardSystem {
                     user_id: userId,
                     difficulty: difficulty,
                     review_date: now.toISOString(),
-                    response_time_ms: null // We could track this in the future
+                    response_time_ms: times.totalMs,
+                    recall_time_ms: times.recallMs,
+                    rating_time_ms: times.ratingMs
                 });
             
             if (historyError) {
@@ -629,6 +1145,17 @@ class FlashcardSystem {
             // Update statistics, but throttled during review sessions to avoid too many calls
             this.scheduleStatisticsUpdate();
             
+            // Other cards of the same note wait until the next session, so a
+            // reversed or cloze card doesn't give away its sibling's answer
+            this.reviewCards = this.reviewCards.filter((card, index) =>
+                index <= this.currentCardIndex || !this.cardTypes.isSibling(this.currentCard, card));
+            
+            // Cards still in (re)learning come back later in the same session
+            const updatedCard = { ...this.currentCard, ...reviewData };
+            if (reviewData.card_state !== CARD_STATES.REVIEW && this.scheduler.isDue(updatedCard, now)) {
+                this.reviewCards.push(updatedCard);
+            }
+            
             this.currentCardIndex++;
             this.displayCurrentCard();
         } catch (error) {
@@ -681,10 +1208,130 @@ class FlashcardSystem {
     }
     
     hideAddCardModal() {
+        this.cardAudio.stopRecording();
         document.getElementById('add-card-modal').style.display = 'none';
         this.currentDeck = null;
     }
     
+    async toggleRecording(side) {
+        if (this.recordingSide === side) {
+            this.cardAudio.stopRecording();
+            return;
+        }
+        if (this.recordingSide) {
+            this.showNotification('Stop the other recording first', 'info');
+            return;
+        }
+        
+        try {
+            await this.cardAudio.startRecording(blob => {
+                this.recordingSide = null;
+                this.setRecording(side, blob);
+            });
+            this.recordingSide = side;
+            this.updateRecordingControls(side);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+    
+    // Keep (or with null, drop) the clip recorded for a face of the new card
+    setRecording(side, blob) {
+        const preview = document.getElementById(`card-${side}-audio`);
+        if (preview.src) URL.revokeObjectURL(preview.src);
+        
+        this.pendingAudio[side] = blob;
+        if (blob) {
+            preview.src = URL.createObjectURL(blob);
+        } else {
+            preview.removeAttribute('src');
+        }
+        this.updateRecordingControls(side);
+    }
+    
+    updateRecordingControls(side) {
+        const recordBtn = document.querySelector(`.card-record-btn[data-side="${side}"]`);
+        const removeBtn = document.querySelector(`.card-audio-remove-btn[data-side="${side}"]`);
+        const preview = document.getElementById(`card-${side}-audio`);
+        const recording = this.recordingSide === side;
+        const hasClip = !!this.pendingAudio[side];
+        
+        recordBtn.textContent = recording ? 'Stop Recording' : hasClip ? 'Record Again' : 'Record Audio';
+        recordBtn.classList.toggle('recording', recording);
+        preview.style.display = hasClip && !recording ? 'block' : 'none';
+        removeBtn.style.display = hasClip && !recording ? 'inline-block' : 'none';
+    }
+    
+    // Labels and hints for the chosen card type
+    updateCardTypeForm() {
+        const type = document.getElementById('card-type').value;
+        const labels = {
+            [CARD_TYPES.CLOZE]: ['Text', 'Extra (optional)', 'e.g. The capital of France is {{c1::Paris}}', 'Shown under the answer'],
+            [CARD_TYPES.TYPE_IN]: ['Front (Question)', 'Back (Answer to type)', 'Enter the question or prompt', 'Enter the exact answer'],
+            [CARD_TYPES.REVERSED]: ['Front', 'Back', 'Enter one side', 'Enter the other side'],
+            [CARD_TYPES.IMAGE_OCCLUSION]: ['Header (optional)', 'Extra (optional)', 'Shown above the image', 'Shown with the answer']
+        };
+        const [frontLabel, backLabel, frontPlaceholder, backPlaceholder] = labels[type] ||
+            ['Front (Question)', 'Back (Answer)', 'Enter the question or prompt', 'Enter the answer or explanation'];
+        
+        document.getElementById('card-front-label').textContent = frontLabel;
+        document.getElementById('card-back-label').textContent = backLabel;
+        document.getElementById('card-front').placeholder = frontPlaceholder;
+        document.getElementById('card-back').placeholder = backPlaceholder;
+        document.getElementById('occlusion-group').style.display = type === CARD_TYPES.IMAGE_OCCLUSION ? 'block' : 'none';
+        this.updateCardPreview();
+    }
+    
+    async loadOcclusionImage(file) {
+        if (!file) return;
+        
+        try {
+            await this.occlusionEditor.load(file);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            document.getElementById('occlusion-image-input').value = '';
+        }
+    }
+    
+    setOcclusionTool(tool) {
+        this.occlusionEditor.setTool(tool);
+        document.querySelectorAll('.occlusion-tool').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tool === tool);
+        });
+    }
+    
+    // Live preview of the first card the note will make, as it looks in review
+    updateCardPreview() {
+        const type = document.getElementById('card-type').value;
+        const front = document.getElementById('card-front').value;
+        const back = document.getElementById('card-back').value;
+        const clozeNumbers = this.cardTypes.getClozeNumbers(front);
+        const faces = this.cardTypes.getFaces({ card_type: type, card_ord: clozeNumbers[0] || 1, front, back });
+        
+        ['front', 'back'].forEach(side => {
+            const preview = document.getElementById(`card-${side}-preview`);
+            if (!preview) return;
+            
+            preview.style.display = (faces[side] || '').trim() ? 'block' : 'none';
+            this.cardRenderer.renderInto(preview, faces[side] || '');
+        });
+        
+        const summary = document.getElementById('card-type-summary');
+        if (summary) {
+            let count = 1;
+            if (type === CARD_TYPES.CLOZE) count = clozeNumbers.length;
+            if (type === CARD_TYPES.REVERSED) count = 2;
+            if (type === CARD_TYPES.IMAGE_OCCLUSION) count = this.occlusionEditor.masks.length;
+            if (type === CARD_TYPES.CLOZE && count === 0) {
+                summary.textContent = 'Wrap each answer in {{c1::...}}, {{c2::...}} to make a card per number';
+            } else if (type === CARD_TYPES.IMAGE_OCCLUSION && count === 0) {
+                summary.textContent = 'Choose an image and draw a mask over each label to hide';
+            } else {
+                summary.textContent = count === 1 ? 'Makes 1 card' : `Makes ${count} cards, each scheduled on its own`;
+            }
+        }
+    }
+    
     async showDeckDetails(deckId) {
         try {
             const { data: deck, error } = await this.getDeckById(deckId);
@@ -696,6 +1343,8 @@ class FlashcardSystem {
             document.getElementById('deck-details-description').textContent = deck.description || 'No description';
             document.getElementById('deck-card-count').textContent = `${deck.card_count || 0} cards`;
             document.getElementById('deck-last-reviewed').textContent = this.formatLastReviewed(deck.last_reviewed);
+            document.getElementById('deck-details-language').value = deck.language || '';
+            document.getElementById('deck-details-read-aloud').checked = !!deck.read_aloud;
             
             document.getElementById('deck-details-modal').style.display = 'block';
         } catch (error) {
@@ -704,12 +1353,37 @@ class FlashcardSystem {
         }
     }
     
+    async updateDeckSettings() {
+        if (!this.currentDeck?.id) return;
+        
+        const settings = {
+            language: document.getElementById('deck-details-language').value || null,
+            read_aloud: document.getElementById('deck-details-read-aloud').checked
+        };
+        
+        const { error } = await this.updateDeck(this.currentDeck.id, settings);
+        if (error) {
+            this.showNotification('Failed to save deck settings', 'error');
+            return;
+        }
+        this.currentDeck = { ...this.currentDeck, ...settings };
+        this.showNotification('Deck settings saved', 'success');
+    }
+    
     hideDeckDetailsModal() {
         document.getElementById('deck-details-modal').style.display = 'none';
         this.currentDeck = null;
     }
     
     // Utility Functions
+    populateLanguageSelects() {
+        document.querySelectorAll('.deck-language-select').forEach(select => {
+            select.innerHTML = '<option value="">Not set</option>' + CARD_LANGUAGES
+                .map(language => `<option value="${language.code}">${this.escapeHtml(language.name)}</option>`)
+                .join('');
+        });
+    }
+    
     async populateReviewDeckSelect() {
         try {
             const { data: decks, error } = await this.getDecks();
@@ -856,6 +1530,8 @@ class FlashcardSystem {
         this.createDifficultyChart(stats.difficultyDistribution);
         this.createActivityChart(stats.dailyActivity);
         this.createDeckPerformanceChart(stats.deckPerformance);
+        this.createTimePerCardChart(stats.timePerCard);
+        this.createRecallTimeChart(stats.recallTimeByRating);
     }
     
     createPerformanceChart(performanceData) {
@@ -1007,6 +1683,134 @@ class FlashcardSystem {
         });
     }
     
+    createTimePerCardChart(timeData) {
+        const ctx = document.getElementById('time-per-card-chart');
+        if (!ctx || !timeData) return;
+        
+        if (this.timePerCardChart) {
+            this.timePerCardChart.destroy();
+        }
+        
+        this.timePerCardChart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: timeData.labels || [],
+                datasets: [{
+                    label: 'Recall',
+                    data: timeData.recall || [],
+                    backgroundColor: 'rgba(0, 122, 255, 0.6)',
+                    borderColor: '#007AFF',
+                    borderWidth: 1
+                }, {
+                    label: 'Rating',
+                    data: timeData.rating || [],
+                    backgroundColor: 'rgba(255, 152, 0, 0.6)',
+                    borderColor: '#ff9800',
+                    borderWidth: 1
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        labels: {
+                            color: '#ccc'
+                        }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: ${context.parsed.y}s`
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        stacked: true,
+                        beginAtZero: true,
+                        grid: {
+                            color: 'rgba(255, 255, 255, 0.1)'
+                        },
+                        ticks: {
+                            color: '#999',
+                            callback: (value) => `${value}s`
+                        }
+                    },
+                    x: {
+                        stacked: true,
+                        grid: {
+                            color: 'rgba(255, 255, 255, 0.1)'
+                        },
+                        ticks: {
+                            color: '#999'
+                        }
+                    }
+                }
+            }
+        });
+    }
+    
+    createRecallTimeChart(recallData) {
+        const ctx = document.getElementById('recall-time-chart');
+        if (!ctx || !recallData) return;
+        
+        if (this.recallTimeChart) {
+            this.recallTimeChart.destroy();
+        }
+        
+        this.recallTimeChart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: recallData.labels || [],
+                datasets: [{
+                    label: 'Average recall time',
+                    data: recallData.seconds || [],
+                    backgroundColor: [
+                        '#f44336',
+                        '#ff9800',
+                        '#4CAF50',
+                        '#2196F3'
+                    ],
+                    borderWidth: 0
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.parsed.y}s`
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        grid: {
+                            color: 'rgba(255, 255, 255, 0.1)'
+                        },
+                        ticks: {
+                            color: '#999',
+                            callback: (value) => `${value}s`
+                        }
+                    },
+                    x: {
+                        grid: {
+                            color: 'rgba(255, 255, 255, 0.1)'
+                        },
+                        ticks: {
+                            color: '#999'
+                        }
+                    }
+                }
+            }
+        });
+    }
+    
     createDeckPerformanceChart(deckData) {
         const ctx = document.getElementById('deck-performance-chart');
         if (!ctx || !deckData) return;
@@ -1135,12 +1939,36 @@ class FlashcardSystem {
         }
     }
     
+    async updateDeck(deckId, deckData) {
+        try {
+            if (!window.supabaseClient) {
+                throw new Error('Supabase client not available');
+            }
+            
+            const { data, error } = await window.supabaseClient
+                .from('flashcard_decks')
+                .update(deckData)
+                .eq('id', deckId)
+                .select()
+                .single();
+            
+            if (error) throw error;
+            return { data, error: null };
+        } catch (error) {
+            console.error('Update deck error:', error);
+            return { data: null, error };
+        }
+    }
+    
     async deleteDeckById(deckId) {
         try {
             if (!window.supabaseClient) {
                 throw new Error('Supabase client not available');
             }
             
+            // Note the cards' stored files before the rows go
+            const { data: cards } = await this.getCardsByDeck(deckId);
+            
             // First delete all cards in the deck
             const { error: cardsError } = await window.supabaseClient
                 .from('flashcards')
@@ -1148,6 +1976,7 @@ class FlashcardSystem {
                 .eq('deck_id', deckId);
             
             if (cardsError) throw cardsError;
+            await this.removeCardMedia(cards || []);
             
             // Then delete the deck
             const { error } = await window.supabaseClient
@@ -1183,64 +2012,262 @@ class FlashcardSystem {
         }
     }
     
-    async getCardsForReview(deckId) {
+    // Bulk insert, chunked to keep request payloads small
+    async insertCards(cardsData, chunkSize = 200) {
+        const inserted = [];
         try {
             if (!window.supabaseClient) {
                 throw new Error('Supabase client not available');
             }
             
-            // Get current time plus a small buffer to catch cards that should be due now
-            const now = new Date();
-            now.setMinutes(now.getMinutes() + 1); // Add 1 minute buffer
+            for (let i = 0; i < cardsData.length; i += chunkSize) {
+                const { data, error } = await window.supabaseClient
+                    .from('flashcards')
+                    .insert(cardsData.slice(i, i + chunkSize))
+                    .select();
+                
+                if (error) throw error;
+                inserted.push(...(data || []));
+            }
             
-            const { data, error } = await window.supabaseClient
-                .from('flashcards')
-                .select('*')
-                .eq('deck_id', deckId)
-                .lte('next_review', now.toISOString())
-                .order('next_review', { ascending: true });
+            return { data: inserted, error: null };
+        } catch (error) {
+            console.error('Insert cards error:', error);
+            // Chunks inserted before the failure, so the caller can undo them
+            return { data: null, error, inserted };
+        }
+    }
+    
+    async deleteCardsByIds(cardIds, chunkSize = 200) {
+        try {
+            if (!window.supabaseClient) {
+                throw new Error('Supabase client not available');
+            }
             
-            if (error) throw error;
+            for (let i = 0; i < cardIds.length; i += chunkSize) {
+                const { data, error } = await window.supabaseClient
+                    .from('flashcards')
+                    .delete()
+                    .in('id', cardIds.slice(i, i + chunkSize))
+                    .select();
+                
+                if (error) throw error;
+                await this.removeCardMedia(data || []);
+            }
             
-            console.log(`Found ${data?.length || 0} cards for review in deck ${deckId}`);
+            return { error: null };
+        } catch (error) {
+            console.error('Delete cards error:', error);
+            return { error };
+        }
+    }
+    
+    // Storage references a card holds, by the store that keeps them
+    getCardMediaRefs(card) {
+        return {
+            images: card.occlusion && card.occlusion.image ? [card.occlusion.image] : [],
+            audio: card.audio ? [card.audio.front, card.audio.back].filter(Boolean) : []
+        };
+    }
+    
+    // Delete the stored files of cards that are gone. Sibling cards share
+    // their note's files, and a re-imported deck can share another deck's,
+    // so files some remaining card still uses are kept.
+    async removeCardMedia(cards) {
+        const images = [...new Set(cards.flatMap(card => this.getCardMediaRefs(card).images))];
+        const audio = [...new Set(cards.flatMap(card => this.getCardMediaRefs(card).audio))];
+        if (images.length === 0 && audio.length === 0) return;
+        
+        try {
+            const inUse = { images: new Set(), audio: new Set() };
+            const lookups = [];
+            if (images.length > 0) lookups.push(['occlusion->>image', images]);
+            if (audio.length > 0) lookups.push(['audio->>front', audio], ['audio->>back', audio]);
+            
+            for (const [column, refs] of lookups) {
+                const { data, error } = await window.supabaseClient
+                    .from('flashcards')
+                    .select('occlusion, audio')
+                    .in(column, refs);
+                if (error) throw error;
+                
+                (data || []).forEach(card => {
+                    const used = this.getCardMediaRefs(card);
+                    used.images.forEach(ref => inUse.images.add(ref));
+                    used.audio.forEach(ref => inUse.audio.add(ref));
+                });
+            }
+            
+            await this.imageOcclusion.mediaStore.remove(images.filter(ref => !inUse.images.has(ref)));
+            await this.cardAudio.mediaStore.remove(audio.filter(ref => !inUse.audio.has(ref)));
+        } catch (error) {
+            // The cards are gone either way; at worst a file is left behind
+            console.error('Remove card media error:', error);
+        }
+    }
+    
+    async insertReviewHistory(historyData, chunkSize = 500) {
+        try {
+            if (!window.supabaseClient) {
+                throw new Error('Supabase client not available');
+            }
+            
+            for (let i = 0; i < historyData.length; i += chunkSize) {
+                const { error } = await window.supabaseClient
+                    .from('review_history')
+                    .insert(historyData.slice(i, i + chunkSize));
+                
+                if (error) throw error;
+            }
+            
+            return { error: null };
+        } catch (error) {
+            console.error('Insert review history error:', error);
+            return { error };
+        }
+    }
+    
+    // A page at a time (PostgREST caps responses at 1000 rows); id keeps
+    // the pages from overlapping
+    async getCardsByDeck(deckId, pageSize = 1000) {
+        try {
+            if (!window.supabaseClient) {
+                throw new Error('Supabase client not available');
+            }
             
-            // If no cards found with time buffer, get all cards from the deck for new cards
-            if (!data || data.length === 0) {
-                console.log('No cards due, checking for new cards...');
-                const { data: allCards, error: allError } = await window.supabaseClient
+            const cards = [];
+            for (let from = 0; ; from += pageSize) {
+                const { data, error } = await window.supabaseClient
                     .from('flashcards')
                     .select('*')
                     .eq('deck_id', deckId)
-                    .is('last_reviewed', null)
-                    .order('created_at', { ascending: true });
+                    .order('id')
+                    .range(from, from + pageSize - 1);
                 
-                if (allError) throw allError;
-                console.log(`Found ${allCards?.length || 0} new cards to review`);
-                
-                // If still no cards, let's be more lenient and get all cards for review
-                if (!allCards || allCards.length === 0) {
-                    console.log('No new cards either, getting all cards in deck for review...');
-                    const { data: allDeckCards, error: allDeckError } = await window.supabaseClient
-                        .from('flashcards')
-                        .select('*')
-                        .eq('deck_id', deckId)
-                        .order('created_at', { ascending: true });
+                if (error) throw error;
+                cards.push(...(data || []));
+                if (!data || data.length < pageSize) break;
+            }
+            return { data: cards, error: null };
+        } catch (error) {
+            console.error('Get cards by deck error:', error);
+            return { data: null, error };
+        }
+    }
+    
+    // Cards are looked up in chunks, and each chunk's history read a page
+    // at a time, since a chunk of well-reviewed cards can pass 1000 rows
+    async getReviewHistoryForCards(cardIds, chunkSize = 200, pageSize = 1000) {
+        try {
+            if (!window.supabaseClient) {
+                throw new Error('Supabase client not available');
+            }
+            
+            const history = [];
+            for (let i = 0; i < cardIds.length; i += chunkSize) {
+                for (let from = 0; ; from += pageSize) {
+                    const { data, error } = await window.supabaseClient
+                        .from('review_history')
+                        .select('card_id, difficulty, review_date, response_time_ms, recall_time_ms, rating_time_ms')
+                        .in('card_id', cardIds.slice(i, i + chunkSize))
+                        .order('id')
+                        .range(from, from + pageSize - 1);
                     
-                    if (allDeckError) throw allDeckError;
-                    console.log(`Found ${allDeckCards?.length || 0} total cards in deck - making them all available for review`);
-                    return { data: allDeckCards, error: null };
+                    if (error) throw error;
+                    history.push(...(data || []));
+                    if (!data || data.length < pageSize) break;
                 }
-                
-                return { data: allCards, error: null };
             }
             
-            return { data, error: null };
+            return { data: history, error: null };
+        } catch (error) {
+            console.error('Get review history error:', error);
+            return { data: null, error };
+        }
+    }
+    
+    // The user's usual recall time, from their most recent timed reviews
+    async getTypicalRecallTime(sampleSize = 200) {
+        try {
+            if (!window.supabaseClient) {
+                throw new Error('Supabase client not available');
+            }
+            
+            const userId = await this.getCurrentUserId();
+            const { data, error } = await window.supabaseClient
+                .from('review_history')
+                .select('difficulty, recall_time_ms')
+                .eq('user_id', userId)
+                .not('recall_time_ms', 'is', null)
+                .order('review_date', { ascending: false })
+                .limit(sampleSize);
+            
+            if (error) throw error;
+            return this.scheduler.typicalRecallTime(data || []);
+        } catch (error) {
+            console.error('Get typical recall time error:', error);
+            return this.scheduler.typicalRecallTime([]);
+        }
+    }
+    
+    async getCardsForReview(deckId) {
+        try {
+            if (!window.supabaseClient) {
+                throw new Error('Supabase client not available');
+            }
+            
+            const { data: cards, error } = await this.getCardsByDeck(deckId);
+            if (error) throw error;
+            
+            // Let the scheduler decide what is due: learning cards, due reviews, then new cards
+            const newCardsStudiedToday = await this.countNewCardsStudiedToday(cards || []);
+            const dueCards = this.scheduler.getDueCards(cards || [], new Date(), newCardsStudiedToday);
+
+            return { data: dueCards, error: null };
         } catch (error) {
             console.error('Get cards for review error:', error);
             return { data: null, error };
         }
     }
     
+    // New cards whose first review was today, so the daily new card limit
+    // holds across sessions and reloads. Only cards reviewed today can count;
+    // any with review history from before today were not new.
+    async countNewCardsStudiedToday(cards, chunkSize = 200) {
+        const todayStart = new Date();
+        todayStart.setHours(0, 0, 0, 0);
+        
+        const reviewedToday = cards
+            .filter(card => card.last_reviewed && new Date(card.last_reviewed) >= todayStart)
+            .map(card => card.id);
+        if (reviewedToday.length === 0) return 0;
+        
+        try {
+            if (!window.supabaseClient) {
+                throw new Error('Supabase client not available');
+            }
+            
+            const seenBefore = new Set();
+            for (let i = 0; i < reviewedToday.length; i += chunkSize) {
+                const { data, error } = await window.supabaseClient
+                    .from('review_history')
+                    .select('card_id')
+                    .in('card_id', reviewedToday.slice(i, i + chunkSize))
+                    .lt('review_date', todayStart.toISOString());
+                
+                if (error) throw error;
+                (data || []).forEach(entry => seenBefore.add(entry.card_id));
+            }
+            
+            return reviewedToday.filter(id => !seenBefore.has(id)).length;
+        } catch (error) {
+            // Without history, count every card reviewed today rather than
+            // hand out a fresh batch of new cards
+            console.error('Count new cards studied today error:', error);
+            return reviewedToday.length;
+        }
+    }
+    
     async updateCardReview(cardId, reviewData) {
         try {
             if (!window.supabaseClient) {
@@ -1412,6 +2439,12 @@ class FlashcardSystem {
         // Daily activity data (last 7 days)
         const dailyActivity = this.generateDailyActivity(reviewHistory, 7);
         
+        // Time spent per card (last 14 days) and hesitation by rating, from
+        // reviews timed since recall and rating times were recorded
+        const timedReviews = reviewHistory.filter(r => r.recall_time_ms !== null && r.recall_time_ms !== undefined);
+        const timePerCard = this.generateTimePerCard(timedReviews, 14);
+        const recallTimeByRating = this.generateRecallTimeByRating(timedReviews);
+        
         // Performance over time
         const performanceData = this.generatePerformanceData(reviewHistory);
         
@@ -1452,7 +2485,9 @@ class FlashcardSystem {
             performanceData,
             difficultyDistribution,
             dailyActivity,
-            deckPerformance
+            deckPerformance,
+            timePerCard,
+            recallTimeByRating
         };
     }
     
@@ -1482,6 +2517,50 @@ class FlashcardSystem {
         return { labels, reviews };
     }
     
+    // Average recall and rating seconds per card for each day; days without
+    // timed reviews are left empty
+    generateTimePerCard(timedReviews, days) {
+        const labels = [];
+        const recall = [];
+        const rating = [];
+        const now = new Date();
+        const averageSeconds = (reviews, field) => reviews.length > 0
+            ? Math.round(reviews.reduce((sum, r) => sum + (r[field] || 0), 0) / reviews.length / 100) / 10
+            : null;
+        
+        for (let i = days - 1; i >= 0; i--) {
+            const date = new Date(now);
+            date.setDate(date.getDate() - i);
+            labels.push(date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
+            
+            const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+            const dayEnd = new Date(dayStart);
+            dayEnd.setDate(dayEnd.getDate() + 1);
+            
+            const dayReviews = timedReviews.filter(r => {
+                const reviewDate = new Date(r.review_date);
+                return reviewDate >= dayStart && reviewDate < dayEnd;
+            });
+            
+            recall.push(averageSeconds(dayReviews, 'recall_time_ms'));
+            rating.push(averageSeconds(dayReviews, 'rating_time_ms'));
+        }
+        
+        return { labels, recall, rating };
+    }
+    
+    // Average recall seconds for each rating given
+    generateRecallTimeByRating(timedReviews) {
+        const ratings = ['again', 'hard', 'good', 'easy'];
+        const seconds = ratings.map(rating => {
+            const reviews = timedReviews.filter(r => r.difficulty === rating);
+            if (reviews.length === 0) return 0;
+            return Math.round(reviews.reduce((sum, r) => sum + r.recall_time_ms, 0) / reviews.length / 100) / 10;
+        });
+        
+        return { labels: ['Again', 'Hard', 'Good', 'Easy'], seconds };
+    }
+    
     generatePerformanceData(reviewHistory) {
         if (reviewHistory.length === 0) {
             return { labels: [], successRates: [] };
@@ -2159,7 +3238,14 @@ class FlashcardSystem {
                     next_review: new Date().toISOString(),
                     last_reviewed: null,
                     review_count: 0,
-                    difficulty: 'good'
+                    difficulty: 'good',
+                    card_state: CARD_STATES.NEW,
+                    ease_factor: null,
+                    interval_days: 0,
+                    learning_step: 0,
+                    lapses: 0,
+                    stability: null,
+                    fsrs_difficulty: null
                 })
                 .eq('user_id', userId);
             
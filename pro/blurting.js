@@ -4,6 +4,8 @@ class BlurtingApp {
         this.notes = [];
         this.currentNote = null;
         this.isEditing = false;
+        this.syncEngine = null;
+        this.pendingConflicts = [];
         
         this.init();
     }
@@ -20,6 +22,20 @@ class BlurtingApp {
         
         // Render notes
         this.renderNotes();
+        
+        // Notes edited on both sides need the user to pick a version
+        if (this.pendingConflicts.length > 0) {
+            await this.resolveConflicts(this.pendingConflicts);
+        }
+        
+        // Catch up on edits made while offline
+        window.addEventListener('online', async () => {
+            await this.loadNotes();
+            this.renderNotes();
+            if (this.pendingConflicts.length > 0) {
+                await this.resolveConflicts(this.pendingConflicts);
+            }
+        });
     }
     
     async initializeSupabase() {
@@ -56,35 +72,34 @@ class BlurtingApp {
     }
     
     async loadNotes() {
+        this.syncEngine = new NoteSyncEngine(window.supabaseClient);
+        
         try {
-            // Try to load from localStorage first
-            const storedNotes = localStorage.getItem('blurting_notes');
-            this.notes = storedNotes ? JSON.parse(storedNotes) : [];
+            // Show local notes straight away
+            this.notes = this.syncEngine.loadLocal();
             
-            // If Supabase is available, try to sync
+            // If Supabase is available, reconcile with the cloud copy
             if (typeof supabase !== 'undefined' && window.supabaseClient) {
                 try {
-                    const { data, error } = await window.supabaseClient
-                        .from('blurting_notes')
-                        .select('*')
-                        .order('created_at', { ascending: false });
+                    const userId = await this.getUserId();
+                    if (!userId) {
+                        console.log('No authenticated user, using local notes');
+                        return;
+                    }
                     
-                    if (!error && data) {
-                        this.notes = data;
-                        // Update localStorage
-                        localStorage.setItem('blurting_notes', JSON.stringify(data));
-                        console.log('Successfully synced with Supabase');
-                    } else if (error && (error.code === 'PGRST116' || error.code === 'PGRST205')) {
+                    const { notes, conflicts } = await this.syncEngine.sync(userId);
+                    this.notes = notes;
+                    this.pendingConflicts = conflicts;
+                    console.log('Successfully synced with Supabase');
+                } catch (error) {
+                    if (error.code === 'PGRST116' || error.code === 'PGRST205') {
                         console.log('Table blurting_notes does not exist yet. Please run the SQL setup first.');
                         this.showNotification('Database table not found. Notes will be saved locally until you set up the database.', 'info');
-                    } else if (error) {
-                        console.log('Supabase error:', error);
-                        this.showNotification('Database connection failed. Notes will be saved locally.', 'info');
-                    }
-                } catch (error) {
-                    console.log('Supabase sync failed, using localStorage:', error);
-                    if (error.message && error.message.includes('404')) {
+                    } else if (error.message && error.message.includes('404')) {
                         this.showNotification('Database table not found. Please run the SQL setup in Supabase.', 'info');
+                    } else {
+                        console.log('Supabase sync failed, using localStorage:', error);
+                        this.showNotification('Database connection failed. Notes will be saved locally.', 'info');
                     }
                 }
             }
@@ -94,9 +109,19 @@ class BlurtingApp {
         }
     }
     
+    async getUserId() {
+        try {
+            const { data: { user } } = await window.supabaseClient.auth.getUser();
+            return user ? user.id : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
     async saveNote(noteData) {
         try {
             let savedNote;
+            const now = new Date().toISOString();
             
             if (this.isEditing && this.currentNote) {
                 // Update existing note
@@ -106,76 +131,49 @@ class BlurtingApp {
                         ...this.notes[index],
                         title: noteData.title,
                         content: noteData.content,
-                        updated_at: new Date().toISOString()
+                        updated_at: now,
+                        dirty: true
                     };
                     savedNote = this.notes[index];
                 }
             } else {
-                // Create new note
+                // Create new note with an id shared by the local and remote copies
                 savedNote = {
-                    id: Date.now().toString(),
+                    id: ClientIds.generate(),
                     title: noteData.title,
                     content: noteData.content,
-                    created_at: new Date().toISOString(),
-                    updated_at: new Date().toISOString()
+                    created_at: now,
+                    updated_at: now,
+                    synced_at: null,
+                    dirty: true
                 };
                 this.notes.unshift(savedNote);
             }
             
             // Save to localStorage
-            localStorage.setItem('blurting_notes', JSON.stringify(this.notes));
+            this.syncEngine.saveLocal(this.notes);
             
             // Try to sync with Supabase if available
-            if (typeof supabase !== 'undefined' && window.supabaseClient) {
+            if (savedNote && typeof supabase !== 'undefined' && window.supabaseClient) {
                 try {
-                    if (this.isEditing && this.currentNote) {
-                        // Get current user ID from Supabase auth
-                        const { data: { user } } = await window.supabaseClient.auth.getUser();
-                        const userId = user ? user.id : null;
-                        
-                        if (!userId) {
-                            console.log('No authenticated user, skipping Supabase sync');
-                            return savedNote;
-                        }
-                        
-                        const { error: updateError } = await window.supabaseClient
-                            .from('blurting_notes')
-                            .update({
-                                title: noteData.title,
-                                content: noteData.content,
-                                updated_at: new Date().toISOString()
-                            })
-                            .eq('id', this.currentNote.id)
-                            .eq('user_id', userId); // Ensure user can only update their own notes
-                        
-                        if (!updateError) {
-                            console.log('Note updated in Supabase');
-                        } else {
-                            throw updateError;
-                        }
+                    const userId = await this.getUserId();
+                    
+                    if (!userId) {
+                        console.log('No authenticated user, skipping Supabase sync');
+                        return savedNote;
+                    }
+                    
+                    const pushed = await this.syncEngine.push(savedNote, userId);
+                    
+                    if (pushed.conflict) {
+                        // Someone else edited this note since we last synced
+                        await this.resolveConflicts([pushed.conflict]);
                     } else {
-                        // Get current user ID from Supabase auth
-                        const { data: { user } } = await window.supabaseClient.auth.getUser();
-                        const userId = user ? user.id : null;
-                        
-                        if (!userId) {
-                            console.log('No authenticated user, skipping Supabase sync');
-                            return savedNote;
-                        }
-                        
-                        const { error: insertError } = await window.supabaseClient
-                            .from('blurting_notes')
-                            .insert([{
-                                title: noteData.title,
-                                content: noteData.content,
-                                user_id: userId
-                            }]);
-                        
-                        if (!insertError) {
-                            console.log('Note created in Supabase');
-                        } else {
-                            throw insertError;
-                        }
+                        const index = this.notes.findIndex(note => note.id === savedNote.id);
+                        if (index !== -1) this.notes[index] = pushed.note;
+                        this.syncEngine.saveLocal(this.notes);
+                        savedNote = pushed.note;
+                        console.log('Note saved to Supabase');
                     }
                 } catch (error) {
                     console.log('Supabase sync failed, note saved locally:', error);
@@ -198,23 +196,30 @@ class BlurtingApp {
     
     async deleteNote(noteId) {
         try {
-            // Try to delete from Supabase first if available
-            if (typeof supabase !== 'undefined' && window.supabaseClient) {
-                try {
-                    await window.supabaseClient
-                        .from('blurting_notes')
-                        .delete()
-                        .eq('id', noteId);
-                } catch (error) {
-                    console.log('Supabase delete failed:', error);
-                }
-            }
+            const note = this.notes.find(n => n.id === noteId);
             
             // Remove from local notes array
-            this.notes = this.notes.filter(note => note.id !== noteId);
+            this.notes = this.notes.filter(n => n.id !== noteId);
+            this.syncEngine.saveLocal(this.notes);
             
-            // Update localStorage
-            localStorage.setItem('blurting_notes', JSON.stringify(this.notes));
+            // Remember the delete until Supabase has it
+            if (note && note.synced_at) {
+                const tombstones = this.syncEngine.loadTombstones().filter(entry => entry.id !== noteId);
+                tombstones.push({ id: noteId, synced_at: note.synced_at });
+                this.syncEngine.saveTombstones(tombstones);
+                
+                if (typeof supabase !== 'undefined' && window.supabaseClient) {
+                    try {
+                        const userId = await this.getUserId();
+                        if (userId) {
+                            await this.syncEngine.deleteRemote(noteId, userId);
+                            this.syncEngine.saveTombstones(tombstones.filter(entry => entry.id !== noteId));
+                        }
+                    } catch (error) {
+                        console.log('Supabase delete failed, will retry on next sync:', error);
+                    }
+                }
+            }
             
             return true;
         } catch (error) {
@@ -223,6 +228,44 @@ class BlurtingApp {
         }
     }
     
+    // Ask the user about each note that was edited both here and elsewhere
+    async resolveConflicts(conflicts) {
+        for (const conflict of conflicts || []) {
+            const choice = await this.showConflictDialog(conflict);
+            try {
+                const userId = await this.getUserId();
+                this.notes = await this.syncEngine.resolveConflict(this.notes, conflict, choice, userId);
+            } catch (error) {
+                console.error('Failed to resolve conflict:', error);
+                this.showNotification('Could not save your choice. The note will be checked again on the next sync.', 'error');
+            }
+        }
+        this.pendingConflicts = [];
+        this.renderNotes();
+    }
+    
+    showConflictDialog(conflict) {
+        const { local, remote } = conflict;
+        
+        document.getElementById('conflictNoteTitle').textContent = local.title;
+        document.getElementById('conflictLocalDate').textContent = this.formatDate(local.updated_at);
+        document.getElementById('conflictRemoteDate').textContent = this.formatDate(remote.updated_at);
+        document.getElementById('conflictLocalContent').textContent = `${local.title}\n\n${local.content || ''}`;
+        document.getElementById('conflictRemoteContent').textContent = `${remote.title}\n\n${remote.content || ''}`;
+        
+        this.showModal('conflictModal');
+        
+        return new Promise(resolve => {
+            const buttons = document.querySelectorAll('#conflictModal [data-choice]');
+            const handler = (e) => {
+                buttons.forEach(btn => btn.removeEventListener('click', handler));
+                this.hideModal('conflictModal');
+                resolve(e.currentTarget.dataset.choice);
+            };
+            buttons.forEach(btn => btn.addEventListener('click', handler));
+        });
+    }
+    
     renderNotes() {
         const notesList = document.getElementById('notesList');
         if (!notesList) return;
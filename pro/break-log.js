@@ -0,0 +1,73 @@
+// Break Log
+// Optional record of the breaks taken between interval study phases. Breaks
+// are kept apart from study sessions so they never count as study time, but
+// can still be compared with the break that was planned.
+
+const BREAK_LOG_STORAGE_KEY = 'breakLog';
+
+const BreakLog = {
+    entries: null,
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(BREAK_LOG_STORAGE_KEY));
+            this.entries = Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            console.error('Error loading break log:', error);
+            this.entries = [];
+        }
+        return this.entries;
+    },
+
+    save() {
+        localStorage.setItem(BREAK_LOG_STORAGE_KEY, JSON.stringify(this.getAll()));
+    },
+
+    getAll() {
+        return this.entries || this.load();
+    },
+
+    // entry: { date, timestamp, sequenceName, phaseName, kind, plannedSeconds,
+    // extendedSeconds, takenSeconds }; a break ended before its time is skipped
+    add(entry) {
+        const saved = {
+            ...entry,
+            id: ClientIds.generate(),
+            skipped: entry.takenSeconds < entry.plannedSeconds + (entry.extendedSeconds || 0)
+        };
+        this.getAll().push(saved);
+        this.save();
+        return saved;
+    },
+
+    // Add entries from an archive that this device doesn't have yet
+    merge(entries) {
+        const known = new Set(this.getAll().map(entry => entry.id));
+        (entries || []).filter(entry => entry && entry.id && !known.has(entry.id)).forEach(entry => this.getAll().push(entry));
+        this.save();
+    },
+
+    // Totals for the breaks on the given study days (all days if omitted)
+    summarize(dateKeys = null) {
+        const wanted = dateKeys ? new Set(dateKeys) : null;
+        const entries = this.getAll().filter(entry => !wanted || wanted.has(entry.date));
+        const allowedSeconds = entries.reduce((sum, entry) => sum + entry.plannedSeconds + (entry.extendedSeconds || 0), 0);
+        const takenSeconds = entries.reduce((sum, entry) => sum + entry.takenSeconds, 0);
+
+        return {
+            breaks: entries.length,
+            skipped: entries.filter(entry => entry.skipped).length,
+            allowedSeconds,
+            takenSeconds,
+            // Share of the allowed break time actually taken
+            adherence: allowedSeconds > 0 ? Math.round((takenSeconds / allowedSeconds) * 100) : null
+        };
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BreakLog };
+} else {
+    window.BreakLog = BreakLog;
+}
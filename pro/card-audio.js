@@ -0,0 +1,163 @@
+// Card Audio
+// Sound for flashcards: clips recorded with MediaRecorder and attached to a
+// card face (kept with CardMediaStore), and read-aloud through the browser's
+// speechSynthesis in the deck's language. A face with a recording plays that;
+// otherwise its text is spoken.
+
+const AUDIO_BUCKET = 'flashcard-audio';
+const MAX_RECORDING_SECONDS = 60;
+
+// First format the browser can record wins
+const RECORDING_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/mp4', 'audio/ogg'];
+
+// Deck languages offered in the deck settings (BCP 47 tags)
+const CARD_LANGUAGES = [
+    { code: 'ar-SA', name: 'Arabic' },
+    { code: 'zh-CN', name: 'Chinese (Mandarin)' },
+    { code: 'nl-NL', name: 'Dutch' },
+    { code: 'en-GB', name: 'English (UK)' },
+    { code: 'en-US', name: 'English (US)' },
+    { code: 'fr-FR', name: 'French' },
+    { code: 'de-DE', name: 'German' },
+    { code: 'el-GR', name: 'Greek' },
+    { code: 'he-IL', name: 'Hebrew' },
+    { code: 'hi-IN', name: 'Hindi' },
+    { code: 'it-IT', name: 'Italian' },
+    { code: 'ja-JP', name: 'Japanese' },
+    { code: 'ko-KR', name: 'Korean' },
+    { code: 'fa-IR', name: 'Persian' },
+    { code: 'pl-PL', name: 'Polish' },
+    { code: 'pt-BR', name: 'Portuguese (Brazil)' },
+    { code: 'pt-PT', name: 'Portuguese (Portugal)' },
+    { code: 'ru-RU', name: 'Russian' },
+    { code: 'es-ES', name: 'Spanish (Spain)' },
+    { code: 'es-MX', name: 'Spanish (Mexico)' },
+    { code: 'sv-SE', name: 'Swedish' },
+    { code: 'tr-TR', name: 'Turkish' },
+    { code: 'uk-UA', name: 'Ukrainian' },
+    { code: 'ur-PK', name: 'Urdu' },
+    { code: 'vi-VN', name: 'Vietnamese' }
+];
+
+// Scripts written right to left, by primary language subtag
+const RTL_LANGUAGES = new Set(['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'ps', 'sd', 'ug', 'ur', 'yi']);
+
+class CardAudio {
+    constructor() {
+        this.mediaStore = new CardMediaStore(AUDIO_BUCKET);
+        this.recorder = null;
+        this.recordingLimit = null;
+        this.player = null;
+    }
+
+    isRecordingSupported() {
+        return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia && window.MediaRecorder);
+    }
+
+    isSpeechSupported() {
+        return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+    }
+
+    isRtl(language) {
+        return RTL_LANGUAGES.has(String(language || '').split('-')[0].toLowerCase());
+    }
+
+    // Starts recording from the microphone; onStop gets the clip as a Blob
+    // when stopRecording is called or after MAX_RECORDING_SECONDS
+    async startRecording(onStop) {
+        if (!this.isRecordingSupported()) {
+            throw new Error('Recording audio is not supported in this browser');
+        }
+        if (this.recorder) {
+            throw new Error('Already recording');
+        }
+
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        } catch (error) {
+            throw new Error(error.name === 'NotAllowedError'
+                ? 'Microphone access was blocked. Allow it in your browser to record.'
+                : 'No microphone could be opened');
+        }
+
+        const mimeType = RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+        const chunks = [];
+
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        };
+        recorder.onstop = () => {
+            stream.getTracks().forEach(track => track.stop());
+            clearTimeout(this.recordingLimit);
+            this.recorder = null;
+            onStop(new Blob(chunks, { type: (recorder.mimeType || 'audio/webm').split(';')[0] }));
+        };
+
+        this.recorder = recorder;
+        recorder.start();
+        this.recordingLimit = setTimeout(() => this.stopRecording(), MAX_RECORDING_SECONDS * 1000);
+    }
+
+    stopRecording() {
+        if (this.recorder && this.recorder.state !== 'inactive') {
+            this.recorder.stop();
+        }
+    }
+
+    isRecording() {
+        return !!this.recorder;
+    }
+
+    // Upload a clip; returns the reference to keep on the card
+    async storeClip(blob, userId) {
+        const extensions = { 'audio/mp4': 'm4a', 'audio/ogg': 'ogg' };
+        return this.mediaStore.store(blob, userId, extensions[blob.type] || 'webm');
+    }
+
+    // Play a face: its recording if it has one, otherwise its text read aloud
+    async playFace(audioRef, text, language) {
+        this.stop();
+        if (audioRef) {
+            this.player = new Audio(await this.mediaStore.resolveUrl(audioRef));
+            await this.player.play();
+        } else {
+            this.speak(text, language);
+        }
+    }
+
+    speak(text, language) {
+        if (!this.isSpeechSupported() || !String(text || '').trim()) return;
+
+        const utterance = new SpeechSynthesisUtterance(text);
+        if (language) {
+            utterance.lang = language;
+            // Prefer a voice for the exact locale, then any for the language
+            const voices = window.speechSynthesis.getVoices();
+            const base = language.split('-')[0].toLowerCase();
+            utterance.voice = voices.find(voice => voice.lang.toLowerCase() === language.toLowerCase()) ||
+                voices.find(voice => voice.lang.toLowerCase().split(/[-_]/)[0] === base) ||
+                null;
+        }
+        window.speechSynthesis.speak(utterance);
+    }
+
+    stop() {
+        if (this.isSpeechSupported()) {
+            window.speechSynthesis.cancel();
+        }
+        if (this.player) {
+            this.player.pause();
+            this.player = null;
+        }
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CardAudio, CARD_LANGUAGES, RTL_LANGUAGES };
+} else {
+    window.CardAudio = CardAudio;
+    window.CARD_LANGUAGES = CARD_LANGUAGES;
+}
@@ -0,0 +1,79 @@
+// Card Media Store
+// Files attached to cards (occlusion images, recorded audio) are uploaded to a
+// Supabase Storage bucket and referenced from the card as "storage:<path>".
+// flashcard-migrations.sql creates the buckets. Older cards may still hold a
+// data URL instead, which is shown as it is.
+
+const CARD_MEDIA_STORAGE_PREFIX = 'storage:';
+const CARD_MEDIA_SIGNED_URL_SECONDS = 60 * 60;
+
+class CardMediaStore {
+    constructor(bucket) {
+        this.bucket = bucket;
+        this.signedUrls = {};
+    }
+
+    // Returns the storage reference; throws if the upload fails (offline, or
+    // the bucket hasn't been set up)
+    async store(blob, userId, extension) {
+        const path = `${userId}/${Date.now()}-${Math.random().toString(36).slice(2, 10)}.${extension}`;
+
+        const { error } = await window.supabaseClient.storage
+            .from(this.bucket)
+            .upload(path, blob, { contentType: blob.type });
+        if (error) {
+            throw new Error(`Upload to the ${this.bucket} storage bucket failed: ${error.message}`);
+        }
+        return `${CARD_MEDIA_STORAGE_PREFIX}${path}`;
+    }
+
+    // Delete stored files; references that aren't in storage (data URLs on
+    // older cards) are skipped
+    async remove(refs) {
+        const paths = [...new Set(refs)]
+            .filter(ref => String(ref || '').startsWith(CARD_MEDIA_STORAGE_PREFIX))
+            .map(ref => ref.slice(CARD_MEDIA_STORAGE_PREFIX.length));
+        if (paths.length === 0) return { error: null };
+
+        try {
+            const { error } = await window.supabaseClient.storage
+                .from(this.bucket)
+                .remove(paths);
+            if (error) throw error;
+
+            paths.forEach(path => delete this.signedUrls[`${CARD_MEDIA_STORAGE_PREFIX}${path}`]);
+            return { error: null };
+        } catch (error) {
+            console.error(`Remove from ${this.bucket} error:`, error);
+            return { error };
+        }
+    }
+
+    // A URL the browser can load for a stored reference
+    async resolveUrl(ref) {
+        if (!String(ref || '').startsWith(CARD_MEDIA_STORAGE_PREFIX)) {
+            return ref;
+        }
+
+        const cached = this.signedUrls[ref];
+        if (cached && cached.expires > Date.now()) {
+            return cached.url;
+        }
+
+        const { data, error } = await window.supabaseClient.storage
+            .from(this.bucket)
+            .createSignedUrl(ref.slice(CARD_MEDIA_STORAGE_PREFIX.length), CARD_MEDIA_SIGNED_URL_SECONDS);
+        if (error) throw error;
+
+        // Refresh a little before the link runs out
+        this.signedUrls[ref] = { url: data.signedUrl, expires: Date.now() + (CARD_MEDIA_SIGNED_URL_SECONDS - 60) * 1000 };
+        return data.signedUrl;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CardMediaStore, CARD_MEDIA_STORAGE_PREFIX };
+} else {
+    window.CardMediaStore = CardMediaStore;
+}
@@ -0,0 +1,282 @@
+// Card Renderer
+// Turns the text on a card face into HTML: a small Markdown subset (emphasis,
+// headings, lists, quotes, links and images), code blocks with syntax
+// highlighting and $...$ / $$...$$ maths typeset with KaTeX. Everything typed
+// is escaped before any markup is added, so HTML on a card shows as text.
+
+// Pinned: pro/sw.js precaches this KaTeX version, so change both together
+const CARD_RENDER_LIBRARIES = {
+    katex: 'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.js',
+    katexStyles: 'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.css'
+};
+
+// Keyword sets by language family; aliases map fence names onto them
+const CODE_LANGUAGES = {
+    js: {
+        comment: '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/',
+        keywords: 'async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield'
+    },
+    python: {
+        comment: '#[^\\n]*',
+        keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield'
+    },
+    c: {
+        comment: '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/',
+        keywords: 'abstract auto bool boolean break case catch char class const continue default delete do double else enum extends extern false final float for fn func go if implements import include int interface let long match mut namespace new nil null package private protected public return short signed sizeof static string struct super switch template this throw throws true try typedef union unsigned using var virtual void volatile while'
+    },
+    sql: {
+        comment: '--[^\\n]*',
+        keywords: 'all alter and as asc between by case create delete desc distinct drop else end exists foreign from group having in inner insert into is join key left like limit not null on or order outer primary references right select set table then union update values when where',
+        caseless: true
+    }
+};
+
+const CODE_LANGUAGE_ALIASES = {
+    js: 'js', javascript: 'js', jsx: 'js', ts: 'js', typescript: 'js', tsx: 'js', json: 'js',
+    py: 'python', python: 'python', python3: 'python',
+    c: 'c', h: 'c', cpp: 'c', 'c++': 'c', cs: 'c', csharp: 'c', java: 'c', kotlin: 'c', go: 'c', rust: 'c', rs: 'c', swift: 'c', php: 'c',
+    sql: 'sql', mysql: 'sql', postgres: 'sql', sqlite: 'sql'
+};
+
+const CODE_STRING_PATTERN = '"(?:\\\\.|[^"\\\\\\n])*"|\'(?:\\\\.|[^\'\\\\\\n])*\'|`(?:\\\\.|[^`\\\\])*`';
+
+class CardRenderer {
+    constructor() {
+        this.loadedScripts = {};
+    }
+
+    // Card text → HTML. Maths is left as .card-math spans holding the TeX,
+    // for typesetMath to fill in once KaTeX has loaded.
+    render(text) {
+        const stash = [];
+        const keep = (html, block = false) => {
+            stash.push(html);
+            return block ? `\u0000B${stash.length - 1}\u0000` : `\u0000${stash.length - 1}\u0000`;
+        };
+
+        // NUL marks stashed HTML below, so none may come from the card itself
+        let source = String(text || '').replace(/\r\n?/g, '\n').replace(/\u0000/g, '');
+
+        // Code and maths are taken out first so nothing inside them is
+        // treated as Markdown
+        source = source
+            .replace(/^```[ \t]*([\w+#-]*)[ \t]*\n([\s\S]*?)\n?```[ \t]*$/gm, (match, language, code) =>
+                keep(`<pre class="card-code"><code>${this.highlightCode(code, language)}</code></pre>`, true))
+            .replace(/`([^`\n]+)`/g, (match, code) => keep(`<code class="card-inline-code">${this.escapeHtml(code)}</code>`))
+            .replace(/\\\$/g, () => keep('$'))
+            .replace(/\$\$([\s\S]+?)\$\$/g, (match, tex, offset, whole) => {
+                // On a line of its own it is a block, otherwise it sits in the text
+                const before = whole.slice(whole.lastIndexOf('\n', offset - 1) + 1, offset);
+                const after = whole.slice(offset + match.length).split('\n')[0];
+                const ownLine = !before.trim() && !after.trim();
+                return keep(`<span class="card-math" data-display="true">${this.escapeHtml(tex.trim())}</span>`, ownLine);
+            })
+            .replace(/\$(?=\S)([^$\n]*?\S)\$(?!\d)/g, (match, tex) =>
+                keep(`<span class="card-math" data-display="false">${this.escapeHtml(tex)}</span>`));
+
+        // Stashed links can hold stashed code, so restore until none are left
+        const restore = html => html.replace(/\u0000B?(\d+)\u0000/g, (match, index) =>
+            Number(index) < stash.length ? restore(stash[Number(index)]) : '');
+        return restore(this.renderBlocks(this.escapeHtml(source), keep));
+    }
+
+    // Render into an element; resolves once any maths has been typeset
+    renderInto(element, text) {
+        element.innerHTML = this.render(text);
+        element.classList.add('card-rendered');
+        return this.typesetMath(element);
+    }
+
+    // Block structure of escaped text, line by line
+    renderBlocks(text, keep) {
+        const html = [];
+        let paragraph = [];
+        let quote = [];
+        let list = null;
+
+        const flushParagraph = () => {
+            if (paragraph.length > 0) html.push(`<p>${paragraph.map(line => this.renderInline(line, keep)).join('<br>')}</p>`);
+            paragraph = [];
+        };
+        const flushQuote = () => {
+            if (quote.length > 0) html.push(`<blockquote>${quote.map(line => this.renderInline(line, keep)).join('<br>')}</blockquote>`);
+            quote = [];
+        };
+        const flushList = () => {
+            if (list) html.push(`<${list.tag}>${list.items.map(item => `<li>${this.renderInline(item, keep)}</li>`).join('')}</${list.tag}>`);
+            list = null;
+        };
+        const flushAll = () => {
+            flushParagraph();
+            flushQuote();
+            flushList();
+        };
+        const addListItem = (tag, item) => {
+            flushParagraph();
+            flushQuote();
+            if (list && list.tag !== tag) flushList();
+            if (!list) list = { tag, items: [] };
+            list.items.push(item);
+        };
+
+        text.split('\n').forEach(line => {
+            let match;
+            if (/^\s*\u0000B\d+\u0000\s*$/.test(line)) {
+                flushAll();
+                html.push(line.trim());
+            } else if (!line.trim()) {
+                flushAll();
+            } else if ((match = line.match(/^(#{1,3})\s+(.+)$/))) {
+                flushAll();
+                const level = match[1].length + 2;
+                html.push(`<h${level}>${this.renderInline(match[2], keep)}</h${level}>`);
+            } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                flushAll();
+                html.push('<hr>');
+            } else if ((match = line.match(/^&gt;\s?(.*)$/))) {
+                flushParagraph();
+                flushList();
+                quote.push(match[1]);
+            } else if ((match = line.match(/^\s*[-*+]\s+(.+)$/))) {
+                addListItem('ul', match[1]);
+            } else if ((match = line.match(/^\s*\d+[.)]\s+(.+)$/))) {
+                addListItem('ol', match[1]);
+            } else {
+                flushQuote();
+                flushList();
+                paragraph.push(line);
+            }
+        });
+        flushAll();
+
+        return html.join('');
+    }
+
+    // Images, links and emphasis within one line of escaped text
+    renderInline(text, keep) {
+        const linked = text
+            .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, url) => this.isSafeUrl(url, true)
+                ? keep(`<img class="card-image" src="${url}" alt="${alt}" loading="lazy">`)
+                : match)
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => this.isSafeUrl(url)
+                ? keep(`<a href="${url}" target="_blank" rel="noopener noreferrer">${this.renderEmphasis(label)}</a>`)
+                : match);
+        return this.renderEmphasis(linked);
+    }
+
+    renderEmphasis(text) {
+        return text
+            .replace(/\*\*(?=\S)([^*]+?)(?<=\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])__(?=\S)(.+?)(?<=\S)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/(^|[^\w*])\*(?=\S)([^*]+?)(?<=\S)\*(?![\w*])/g, '$1<em>$2</em>')
+            .replace(/(^|[^\w])_(?=\S)(.+?)(?<=\S)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '<del>$1</del>');
+    }
+
+    // Web and mailto links; images may also be data or blob URLs. The URL
+    // has already been escaped, so it can't leave the attribute.
+    isSafeUrl(url, image = false) {
+        if (/^https?:\/\//i.test(url)) return true;
+        if (image) return /^data:image\/(png|jpe?g|gif|webp|svg\+xml);base64,/i.test(url) || /^blob:/i.test(url);
+        return /^mailto:/i.test(url);
+    }
+
+    // Colour comments, strings, numbers and keywords for the languages in
+    // CODE_LANGUAGES; anything else is shown as plain text
+    highlightCode(code, language) {
+        const family = CODE_LANGUAGES[CODE_LANGUAGE_ALIASES[String(language || '').toLowerCase()]];
+        if (!family) return this.escapeHtml(code);
+
+        const keywords = new Set(family.keywords.split(' '));
+        const pattern = new RegExp(`(${family.comment})|(${CODE_STRING_PATTERN})|(\\b\\d+(?:\\.\\d+)?\\b)|([A-Za-z_$][\\w$]*)`, 'g');
+        let html = '';
+        let last = 0;
+        let match;
+
+        while ((match = pattern.exec(code)) !== null) {
+            const [token, comment, string, number, word] = match;
+            let kind = null;
+            if (comment) kind = 'comment';
+            else if (string) kind = 'string';
+            else if (number) kind = 'number';
+            else if (word && keywords.has(family.caseless ? word.toLowerCase() : word)) kind = 'keyword';
+
+            html += this.escapeHtml(code.slice(last, match.index));
+            html += kind ? `<span class="code-${kind}">${this.escapeHtml(token)}</span>` : this.escapeHtml(token);
+            last = match.index + token.length;
+        }
+
+        return html + this.escapeHtml(code.slice(last));
+    }
+
+    async typesetMath(element) {
+        const spans = Array.from(element.querySelectorAll('.card-math:not([data-typeset])'));
+        if (spans.length === 0) return;
+
+        try {
+            await this.loadKatex();
+        } catch (error) {
+            // The TeX source stays readable if KaTeX can't be fetched
+            console.error('Failed to load KaTeX:', error);
+            return;
+        }
+
+        spans.forEach(span => {
+            window.katex.render(span.textContent, span, {
+                displayMode: span.dataset.display === 'true',
+                throwOnError: false,
+                trust: false
+            });
+            span.dataset.typeset = 'true';
+        });
+    }
+
+    loadKatex() {
+        if (window.katex) return Promise.resolve();
+        this.loadStylesheet(CARD_RENDER_LIBRARIES.katexStyles);
+        return this.loadScript(CARD_RENDER_LIBRARIES.katex);
+    }
+
+    loadStylesheet(url) {
+        if (document.querySelector(`link[href="${url}"]`)) return;
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = url;
+        document.head.appendChild(link);
+    }
+
+    loadScript(url) {
+        if (this.loadedScripts[url]) {
+            return this.loadedScripts[url];
+        }
+
+        this.loadedScripts[url] = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = url;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                delete this.loadedScripts[url];
+                reject(new Error(`Failed to load ${url}`));
+            };
+            document.head.appendChild(script);
+        });
+
+        return this.loadedScripts[url];
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CardRenderer, CARD_RENDER_LIBRARIES };
+} else {
+    window.CardRenderer = CardRenderer;
+}
@@ -0,0 +1,183 @@
+// Card Types
+// A note typed into the add-card form can produce several flashcards rows, each
+// scheduled on its own: "basic + reversed" gives one card per direction and a
+// cloze note one card per {{cN::...}} number. Rows store the note text as
+// typed in front/back plus card_type and card_ord (the direction or cloze
+// number), and the faces shown in review are built from those. Type-in cards
+// compare a typed answer with the back and suggest a rating. Image occlusion
+// notes make one card per mask (see image-occlusion.js).
+
+const CARD_TYPES = {
+    BASIC: 'basic',
+    REVERSED: 'reversed',
+    CLOZE: 'cloze',
+    TYPE_IN: 'type_in',
+    IMAGE_OCCLUSION: 'image_occlusion'
+};
+
+// {{c1::answer}} or {{c1::answer::hint}}
+const CLOZE_PATTERN = /\{\{c(\d+)::([\s\S]*?)(?:::([^{}]*?))?\}\}/g;
+
+// Similarity of a typed answer (0-1) needed for each suggested rating
+const TYPE_IN_THRESHOLDS = {
+    good: 1,
+    hard: 0.8
+};
+
+class CardTypes {
+    getType(card) {
+        return Object.values(CARD_TYPES).includes(card.card_type) ? card.card_type : CARD_TYPES.BASIC;
+    }
+
+    // Rows to insert for one note; throws with a message for the user when the
+    // note can't make any cards. Image occlusion notes pass their masks and
+    // image details in `occlusion`, and front/back are optional for them.
+    generateCards(type, front, back, occlusion = null) {
+        if (type === CARD_TYPES.IMAGE_OCCLUSION) {
+            if (!occlusion) {
+                throw new Error('Choose an image to draw masks on');
+            }
+            if (occlusion.masks.length === 0) {
+                throw new Error('Draw at least one mask over the image');
+            }
+            return occlusion.masks.map((mask, index) => ({ card_type: type, card_ord: index + 1, front, back, occlusion }));
+        }
+
+        if (type === CARD_TYPES.CLOZE) {
+            const numbers = this.getClozeNumbers(front);
+            if (numbers.length === 0) {
+                throw new Error('Mark at least one deletion, e.g. {{c1::Paris}}');
+            }
+            return numbers.map(number => ({ card_type: type, card_ord: number, front, back }));
+        }
+
+        if (!front || !back) {
+            throw new Error('Please fill in both front and back of the card');
+        }
+
+        if (type === CARD_TYPES.REVERSED) {
+            return [1, 2].map(ord => ({ card_type: type, card_ord: ord, front, back }));
+        }
+
+        return [{ card_type: type === CARD_TYPES.TYPE_IN ? type : CARD_TYPES.BASIC, card_ord: 1, front, back }];
+    }
+
+    getClozeNumbers(text) {
+        const numbers = new Set();
+        for (const match of String(text || '').matchAll(CLOZE_PATTERN)) {
+            numbers.add(parseInt(match[1], 10));
+        }
+        return Array.from(numbers).sort((a, b) => a - b);
+    }
+
+    // Cards of one note share deck, type, text and (for occlusion) image
+    isSibling(card, other) {
+        return card.id !== other.id &&
+            card.deck_id === other.deck_id &&
+            this.getType(card) !== CARD_TYPES.BASIC &&
+            this.getType(card) === this.getType(other) &&
+            card.front === other.front &&
+            card.back === other.back &&
+            (card.occlusion?.image || null) === (other.occlusion?.image || null);
+    }
+
+    // Card text for each face, ready for CardRenderer, and the audio clip
+    // recorded for each face (see card-audio.js)
+    getFaces(card) {
+        const type = this.getType(card);
+        const audio = card.audio || {};
+
+        if (type === CARD_TYPES.REVERSED && card.card_ord === 2) {
+            return { front: card.back, back: card.front, frontAudio: audio.back || null, backAudio: audio.front || null };
+        }
+
+        if (type === CARD_TYPES.CLOZE) {
+            const ord = card.card_ord || 1;
+            const extra = card.back ? `\n\n---\n\n${card.back}` : '';
+            return {
+                front: this.renderCloze(card.front, ord, false),
+                back: this.renderCloze(card.front, ord, true) + extra,
+                frontAudio: audio.front || null,
+                backAudio: audio.back || null
+            };
+        }
+
+        return { front: card.front, back: card.back, frontAudio: audio.front || null, backAudio: audio.back || null };
+    }
+
+    // The deletion being asked about is hidden ([...] or its hint) on the
+    // front and shown in bold on the back; other deletions are plain text
+    renderCloze(text, ord, reveal) {
+        return String(text || '').replace(CLOZE_PATTERN, (match, number, answer, hint) => {
+            if (parseInt(number, 10) !== ord) return answer;
+            if (reveal) return `**${answer}**`;
+            return hint ? `**[${hint}]**` : '**[...]**';
+        });
+    }
+
+    // The answer a type-in card expects: the back without Markdown marks
+    getExpectedAnswer(card) {
+        return String(card.back || '')
+            .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .replace(/[*_~`#>]/g, '')
+            .trim();
+    }
+
+    // Compare a typed answer with the expected one, ignoring case, accents,
+    // punctuation and spacing. Returns the similarity (0-1) and the rating
+    // it suggests.
+    gradeAnswer(typed, expected) {
+        const a = this.normalizeAnswer(typed);
+        const b = this.normalizeAnswer(expected);
+
+        let similarity;
+        if (!a) {
+            similarity = 0;
+        } else if (a === b) {
+            similarity = 1;
+        } else {
+            similarity = 1 - this.editDistance(a, b) / Math.max(a.length, b.length);
+        }
+
+        let suggestedRating = 'again';
+        if (similarity >= TYPE_IN_THRESHOLDS.good) suggestedRating = 'good';
+        else if (similarity >= TYPE_IN_THRESHOLDS.hard) suggestedRating = 'hard';
+
+        return { similarity: Math.round(similarity * 100) / 100, suggestedRating };
+    }
+
+    normalizeAnswer(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Levenshtein distance, keeping one row of the table at a time
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CardTypes, CARD_TYPES };
+} else {
+    window.CardTypes = CardTypes;
+    window.CARD_TYPES = CARD_TYPES;
+}
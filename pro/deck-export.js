@@ -0,0 +1,170 @@
+// Deck Export
+// Turns a deck, its cards and review history into JSON, CSV or Anki text files
+// that can be downloaded and imported again with DeckImporter or Anki itself.
+
+const DECK_BUNDLE_FORMAT = 'studo-deck';
+const DECK_BUNDLE_VERSION = 1;
+
+// Scheduler columns carried in the JSON bundle (and accepted by DeckImporter)
+const DECK_BUNDLE_SCHEDULING_FIELDS = [
+    'card_state',
+    'ease_factor',
+    'interval_days',
+    'learning_step',
+    'lapses',
+    'stability',
+    'fsrs_difficulty',
+    'review_count',
+    'last_reviewed',
+    'next_review',
+    'difficulty'
+];
+
+// Anki's stock note types for each of our card types
+const ANKI_NOTETYPES = {
+    basic: 'Basic',
+    reversed: 'Basic (and reversed card)',
+    cloze: 'Cloze',
+    type_in: 'Basic (type in the answer)'
+};
+
+class DeckExporter {
+    // JSON bundle: deck, cards, scheduling state and review history
+    toJson(deck, cards, history = []) {
+        const historyByCard = {};
+        history.forEach(entry => {
+            if (!historyByCard[entry.card_id]) historyByCard[entry.card_id] = [];
+            historyByCard[entry.card_id].push({
+                difficulty: entry.difficulty,
+                review_date: entry.review_date,
+                response_time_ms: entry.response_time_ms ?? null,
+                recall_time_ms: entry.recall_time_ms ?? null,
+                rating_time_ms: entry.rating_time_ms ?? null
+            });
+        });
+
+        const bundle = {
+            format: DECK_BUNDLE_FORMAT,
+            version: DECK_BUNDLE_VERSION,
+            exported_at: new Date().toISOString(),
+            deck: {
+                name: deck.name,
+                description: deck.description || '',
+                language: deck.language || null
+            },
+            cards: cards.map(card => {
+                const scheduling = {};
+                DECK_BUNDLE_SCHEDULING_FIELDS.forEach(field => {
+                    if (card[field] !== undefined) scheduling[field] = card[field];
+                });
+
+                return {
+                    front: card.front,
+                    back: card.back,
+                    tags: card.tags || '',
+                    card_type: card.card_type || 'basic',
+                    card_ord: card.card_ord || 1,
+                    ...(card.occlusion ? { occlusion: card.occlusion } : {}),
+                    ...(card.audio ? { audio: card.audio } : {}),
+                    scheduling,
+                    history: (historyByCard[card.id] || [])
+                        .sort((a, b) => new Date(a.review_date) - new Date(b.review_date))
+                };
+            })
+        };
+
+        return JSON.stringify(bundle, null, 2);
+    }
+
+    // Plain CSV with a front,back,tags header
+    toCsv(cards) {
+        const escape = value => {
+            const text = String(value ?? '');
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = [['front', 'back', 'tags']]
+            .concat(this.uniqueNotes(cards).map(card => [card.front, card.back, card.tags || '']));
+
+        return rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+    }
+
+    // Tab separated text with the header lines Anki's "Import File" reads
+    // (Anki 2.1.55+). Fields are HTML so line breaks survive; each note names
+    // its Anki note type, which makes the reversed and cloze cards again.
+    toAnkiText(deck, cards) {
+        const toHtml = value => String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/\t/g, '    ')
+            .replace(/\r?\n/g, '<br>');
+
+        // Anki tags are space separated, so spaces inside a tag become underscores
+        const toAnkiTags = tags => String(tags || '')
+            .split(',')
+            .map(tag => tag.trim().replace(/\s+/g, '_'))
+            .filter(Boolean)
+            .join(' ');
+
+        const header = [
+            '#separator:tab',
+            '#html:true',
+            `#deck:${deck.name.replace(/[\r\n]/g, ' ')}`,
+            '#tags column:3',
+            '#notetype column:4'
+        ];
+
+        const lines = this.uniqueNotes(cards).map(card => [
+            toHtml(card.front),
+            toHtml(card.back),
+            toAnkiTags(card.tags),
+            ANKI_NOTETYPES[card.card_type] || ANKI_NOTETYPES.basic
+        ].join('\t'));
+
+        return header.concat(lines).join('\n') + '\n';
+    }
+
+    // Reversed and cloze cards of one note share their text; keep one row per
+    // note. Image occlusion cards only make sense with their masks, which just
+    // the JSON bundle carries.
+    uniqueNotes(cards) {
+        const seen = new Set();
+        return cards.filter(card => {
+            if (card.card_type === 'image_occlusion') return false;
+            if (!card.card_type || card.card_type === 'basic') return true;
+            const key = `${card.card_type}\u0000${card.front}\u0000${card.back}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    fileName(deck, extension) {
+        const safeName = (deck.name || 'deck')
+            .replace(/[^\w\- ]+/g, '')
+            .trim()
+            .replace(/\s+/g, '-') || 'deck';
+        return `${safeName}.${extension}`;
+    }
+
+    download(fileName, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DeckExporter, DECK_BUNDLE_FORMAT, DECK_BUNDLE_VERSION, DECK_BUNDLE_SCHEDULING_FIELDS };
+} else {
+    window.DeckExporter = DeckExporter;
+}
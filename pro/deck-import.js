@@ -0,0 +1,452 @@
+// Deck Import
+// Parses CSV/TSV files, Anki .apkg packages and our own JSON deck bundles in the
+// browser into card rows that FlashcardSystem can preview, de-duplicate and insert.
+
+const IMPORT_LIBRARIES = {
+    jszip: 'https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js',
+    sqljs: 'https://cdn.jsdelivr.net/npm/sql.js@1.10.3/dist/sql-wasm.js',
+    sqljsWasmDir: 'https://cdn.jsdelivr.net/npm/sql.js@1.10.3/dist/'
+};
+
+const ANKI_RATINGS = { 1: 'again', 2: 'hard', 3: 'good', 4: 'easy' };
+const RATING_NAMES = new Set(Object.values(ANKI_RATINGS));
+const ANKI_CARD_STATES = { 0: 'new', 1: 'learning', 2: 'review', 3: 'relearning' };
+
+// Anki due values above this are epoch seconds rather than day numbers
+const ANKI_EPOCH_DUE_THRESHOLD = 1000000000;
+
+class DeckImporter {
+    constructor() {
+        this.loadedScripts = {};
+    }
+
+    // Parse a File into { deckName, format, cards }. Each card has front, back,
+    // tags and, for Anki packages, scheduling state and review history.
+    async parseFile(file) {
+        const name = file.name || 'Imported deck';
+        const extension = name.split('.').pop().toLowerCase();
+        const baseName = name.replace(/\.[^.]+$/, '');
+
+        if (extension === 'apkg' || extension === 'colpkg') {
+            return this.parseApkg(file, baseName);
+        }
+
+        const text = await file.text();
+
+        if (extension === 'json') {
+            return this.parseJson(text, baseName);
+        }
+
+        const delimiter = extension === 'csv' ? ',' : extension === 'tsv' ? '\t' : null;
+        return this.parseDelimited(text, delimiter, baseName);
+    }
+
+    // CSV/TSV with columns front, back, tags. Also understands the header lines
+    // Anki writes in its plain text exports (#separator:tab, #html:true, ...).
+    parseDelimited(text, delimiter, deckName) {
+        let content = text.replace(/^﻿/, '');
+        let html = false;
+        let tagsColumn = 3;
+        let spaceSeparatedTags = false;
+
+        // Anki text export headers
+        const headerPattern = /^#(\w+):(.*)$/;
+        const lines = content.split(/\r?\n/);
+        let headerLines = 0;
+        for (const line of lines) {
+            const match = line.match(headerPattern);
+            if (!match) break;
+            headerLines++;
+            const [, key, value] = match;
+            if (key === 'separator') {
+                const separators = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ' };
+                delimiter = separators[value.trim().toLowerCase()] || value.trim();
+            } else if (key === 'html') {
+                html = value.trim() === 'true';
+            } else if (key === 'tags column') {
+                tagsColumn = parseInt(value, 10) || tagsColumn;
+                // Anki separates tags with spaces
+                spaceSeparatedTags = true;
+            } else if (key === 'deck') {
+                deckName = value.trim() || deckName;
+            }
+        }
+        content = lines.slice(headerLines).join('\n');
+
+        if (!delimiter) {
+            delimiter = this.detectDelimiter(content);
+        }
+
+        const rows = this.parseRows(content, delimiter).filter(row => row.some(cell => cell.trim() !== ''));
+
+        // Skip a header row such as "front,back,tags"
+        if (rows.length > 0) {
+            const first = rows[0].map(cell => cell.trim().toLowerCase());
+            if ((first[0] === 'front' || first[0] === 'question') && (first[1] === 'back' || first[1] === 'answer')) {
+                rows.shift();
+            }
+        }
+
+        const cards = rows
+            .filter(row => row.length >= 2)
+            .map(row => {
+                const front = html ? this.htmlToText(row[0]) : row[0].trim();
+                const back = html ? this.htmlToText(row[1]) : row[1].trim();
+                let rawTags = row[tagsColumn - 1] || '';
+                if (spaceSeparatedTags) rawTags = rawTags.trim().split(/\s+/).join(',');
+                return {
+                    front,
+                    back,
+                    tags: this.normalizeTags(rawTags)
+                };
+            })
+            .filter(card => card.front && card.back);
+
+        return {
+            deckName,
+            format: delimiter === '\t' ? 'tsv' : 'csv',
+            cards
+        };
+    }
+
+    detectDelimiter(text) {
+        const sample = text.split('\n').slice(0, 10).join('\n');
+        const counts = {
+            '\t': (sample.match(/\t/g) || []).length,
+            ',': (sample.match(/,/g) || []).length,
+            ';': (sample.match(/;/g) || []).length
+        };
+        return Object.keys(counts).reduce((best, key) => counts[key] > counts[best] ? key : best, '\t');
+    }
+
+    // RFC 4180 style parser: quoted fields may contain delimiters, quotes ("")
+    // and line breaks.
+    parseRows(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"') {
+                    if (text[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    // JSON bundles written by DeckExporter
+    parseJson(text, deckName) {
+        let bundle;
+        try {
+            bundle = JSON.parse(text);
+        } catch (error) {
+            throw new Error('This file is not valid JSON');
+        }
+
+        if (!bundle || !Array.isArray(bundle.cards)) {
+            throw new Error('Unrecognised JSON file: expected a deck export with a "cards" array');
+        }
+
+        // Bundles are written by DeckExporter (deck-export.js)
+        if (bundle.format !== DECK_BUNDLE_FORMAT) {
+            throw new Error('Unrecognised JSON file: this is not a Studo deck export');
+        }
+        if (!Number.isInteger(bundle.version) || bundle.version > DECK_BUNDLE_VERSION) {
+            throw new Error('This deck was exported by a newer version of Studo. Update the app and try again.');
+        }
+
+        const cards = bundle.cards
+            .filter(card => card && card.front && card.back)
+            .map(card => {
+                const scheduling = {};
+                DECK_BUNDLE_SCHEDULING_FIELDS.forEach(field => {
+                    if (card.scheduling && card.scheduling[field] !== undefined) {
+                        scheduling[field] = card.scheduling[field];
+                    }
+                });
+
+                return {
+                    front: String(card.front),
+                    back: String(card.back),
+                    tags: this.normalizeTags(card.tags),
+                    cardType: card.card_type || null,
+                    cardOrd: card.card_ord || null,
+                    occlusion: card.occlusion || null,
+                    audio: card.audio || null,
+                    scheduling: Object.keys(scheduling).length > 0 ? scheduling : null,
+                    history: (card.history || [])
+                        .filter(entry => entry && RATING_NAMES.has(entry.difficulty) && entry.review_date)
+                        .map(entry => ({
+                            difficulty: entry.difficulty,
+                            review_date: entry.review_date,
+                            response_time_ms: entry.response_time_ms ?? null,
+                            recall_time_ms: entry.recall_time_ms ?? null,
+                            rating_time_ms: entry.rating_time_ms ?? null
+                        }))
+                };
+            });
+
+        return {
+            deckName: bundle.deck?.name || deckName,
+            deckDescription: bundle.deck?.description || '',
+            deckLanguage: bundle.deck?.language || null,
+            format: 'json',
+            cards
+        };
+    }
+
+    // Anki packages are zip files holding a SQLite collection
+    async parseApkg(file, deckName) {
+        await this.loadScript(IMPORT_LIBRARIES.jszip);
+        await this.loadScript(IMPORT_LIBRARIES.sqljs);
+
+        const zip = await JSZip.loadAsync(file);
+        const collectionFile = zip.file('collection.anki21') || zip.file('collection.anki2');
+
+        if (!collectionFile) {
+            if (zip.file('collection.anki21b')) {
+                throw new Error('This package uses the newest Anki format. Re-export it from Anki with "Support older Anki versions" enabled.');
+            }
+            throw new Error('No Anki collection found in this package');
+        }
+
+        const SQL = await initSqlJs({ locateFile: filename => IMPORT_LIBRARIES.sqljsWasmDir + filename });
+        const db = new SQL.Database(new Uint8Array(await collectionFile.async('uint8array')));
+
+        try {
+            return this.readAnkiCollection(db, deckName);
+        } finally {
+            db.close();
+        }
+    }
+
+    readAnkiCollection(db, fallbackDeckName) {
+        const query = (sql) => {
+            const result = db.exec(sql)[0];
+            if (!result) return [];
+            return result.values.map(values => {
+                const row = {};
+                result.columns.forEach((column, index) => { row[column] = values[index]; });
+                return row;
+            });
+        };
+
+        const [col] = query('SELECT crt, models, decks FROM col');
+        const collectionCreated = (col?.crt || 0) * 1000;
+        const models = col?.models ? JSON.parse(col.models) : {};
+        const decks = col?.decks ? JSON.parse(col.decks) : {};
+
+        const notes = {};
+        query('SELECT id, mid, tags, flds FROM notes').forEach(note => {
+            notes[note.id] = note;
+        });
+
+        const history = {};
+        query('SELECT id, cid, ease, time, type FROM revlog ORDER BY id').forEach(entry => {
+            // type 4 = manual reschedule, not a real review
+            if (entry.type === 4 || !ANKI_RATINGS[entry.ease]) return;
+            if (!history[entry.cid]) history[entry.cid] = [];
+            history[entry.cid].push({
+                difficulty: ANKI_RATINGS[entry.ease],
+                review_date: new Date(entry.id).toISOString(),
+                response_time_ms: entry.time || null
+            });
+        });
+
+        const deckCounts = {};
+        const cards = [];
+
+        query('SELECT id, nid, did, ord, type, queue, due, ivl, factor, reps, lapses FROM cards ORDER BY nid, ord').forEach(card => {
+            const note = notes[card.nid];
+            if (!note) return;
+
+            const model = models[note.mid] || {};
+            const fields = note.flds.split('\x1f');
+            const { front, back } = this.renderAnkiCard(model, fields, card.ord);
+            if (!front || !back) return;
+
+            const deck = decks[card.did];
+            if (deck) {
+                deckCounts[deck.name] = (deckCounts[deck.name] || 0) + 1;
+            }
+
+            const cardHistory = history[card.id] || [];
+            cards.push({
+                front,
+                back,
+                tags: this.normalizeTags(note.tags.trim().split(/\s+/).join(',')),
+                scheduling: this.mapAnkiScheduling(card, cardHistory, collectionCreated),
+                history: cardHistory
+            });
+        });
+
+        // Use the deck most cards belong to as the default deck name
+        const mainDeck = Object.keys(deckCounts).sort((a, b) => deckCounts[b] - deckCounts[a])[0];
+
+        return {
+            deckName: mainDeck && mainDeck !== 'Default' ? mainDeck.split('::').pop() : fallbackDeckName,
+            format: 'apkg',
+            cards
+        };
+    }
+
+    // Approximate Anki's templates: the first two fields for standard note
+    // types (swapped for reverse cards) and cloze text for cloze notes.
+    renderAnkiCard(model, fields, ord) {
+        if (model.type === 1) {
+            const text = fields[0] || '';
+            const clozeNumber = ord + 1;
+            const front = text.replace(/\{\{c(\d+)::(.*?)(?:::(.*?))?\}\}/g, (match, number, answer, hint) => {
+                if (parseInt(number, 10) === clozeNumber) return hint ? `[${hint}]` : '[...]';
+                return answer;
+            });
+            const back = text.replace(/\{\{c\d+::(.*?)(?:::.*?)?\}\}/g, '$1');
+            const extra = fields[1] ? `\n\n${fields[1]}` : '';
+            return {
+                front: this.htmlToText(front),
+                back: this.htmlToText(back + extra)
+            };
+        }
+
+        const first = this.htmlToText(fields[0] || '');
+        const second = this.htmlToText(fields[1] || '');
+        return ord === 1 ? { front: second, back: first } : { front: first, back: second };
+    }
+
+    mapAnkiScheduling(card, cardHistory, collectionCreated) {
+        const state = ANKI_CARD_STATES[card.type] || 'new';
+        let nextReview = new Date();
+
+        if (state !== 'new') {
+            // Intraday learning (queue 1) is due at epoch seconds; reviews and
+            // day learning (queue 3) on a day number counted from collection
+            // creation. Suspended and buried cards keep their old due value,
+            // so for those the size of the number tells them apart.
+            const dueInSeconds = card.queue === 1 ||
+                (card.queue !== 2 && card.queue !== 3 && card.due > ANKI_EPOCH_DUE_THRESHOLD);
+            nextReview = dueInSeconds
+                ? new Date(card.due * 1000)
+                : new Date(collectionCreated + card.due * 24 * 60 * 60 * 1000);
+        }
+
+        const lastReview = cardHistory[cardHistory.length - 1];
+
+        return {
+            card_state: state,
+            interval_days: card.ivl > 0 ? card.ivl : 0,
+            ease_factor: card.factor ? card.factor / 1000 : null,
+            lapses: card.lapses || 0,
+            review_count: card.reps || 0,
+            next_review: isNaN(nextReview) ? new Date().toISOString() : nextReview.toISOString(),
+            last_reviewed: lastReview ? lastReview.review_date : null,
+            difficulty: lastReview ? lastReview.difficulty : 'good'
+        };
+    }
+
+    htmlToText(html) {
+        if (!html) return '';
+        const withBreaks = String(html)
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(div|p|li)>/gi, '\n');
+        const doc = new DOMParser().parseFromString(withBreaks, 'text/html');
+        return (doc.body.textContent || '').replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    normalizeTags(rawTags) {
+        return String(rawTags || '')
+            .split(/[,;]/)
+            .map(tag => tag.trim())
+            .filter(Boolean)
+            .join(', ');
+    }
+
+    // Key used to spot duplicates: case and whitespace insensitive front + back,
+    // plus the direction or cloze number for cards that share a note's text
+    duplicateKey(card) {
+        const normalize = value => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+        const key = `${normalize(card.front)}\u0000${normalize(card.back)}`;
+        const type = card.card_type || card.cardType;
+        const image = card.occlusion?.image ? `\u0000${card.occlusion.image}` : '';
+        return type && type !== 'basic' ? `${key}\u0000${type}:${card.card_ord || card.cardOrd || 1}${image}` : key;
+    }
+
+    // Split parsed cards into new cards and duplicates of existing rows (or of
+    // earlier rows in the same file)
+    findDuplicates(cards, existingCards) {
+        const seen = new Set((existingCards || []).map(card => this.duplicateKey(card)));
+        const unique = [];
+        const duplicates = [];
+
+        cards.forEach(card => {
+            const key = this.duplicateKey(card);
+            if (seen.has(key)) {
+                duplicates.push(card);
+            } else {
+                seen.add(key);
+                unique.push(card);
+            }
+        });
+
+        return { unique, duplicates };
+    }
+
+    loadScript(url) {
+        if (this.loadedScripts[url]) {
+            return this.loadedScripts[url];
+        }
+
+        this.loadedScripts[url] = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = url;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                delete this.loadedScripts[url];
+                reject(new Error(`Failed to load ${url}`));
+            };
+            document.head.appendChild(script);
+        });
+
+        return this.loadedScripts[url];
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DeckImporter };
+} else {
+    window.DeckImporter = DeckImporter;
+}
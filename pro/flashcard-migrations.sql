@@ -0,0 +1,53 @@
+-- Flashcard schema updates
+-- Run in the Supabase SQL editor after flashcard-setup.sql. Every statement
+-- can be run again safely, so an existing project can apply the whole file.
+
+-- Scheduler state (SM-2 and FSRS) kept on each card
+ALTER TABLE flashcards ADD COLUMN IF NOT EXISTS card_state TEXT;
+ALTER TABLE flashcards ADD COLUMN IF NOT EXISTS ease_factor NUMERIC;
+ALTER TABLE flashcards ADD COLUMN IF NOT EXISTS interval_days NUMERIC;
+ALTER TABLE flashcards ADD COLUMN IF NOT EXISTS learning_step INTEGER DEFAULT 0;
+ALTER TABLE flashcards ADD COLUMN IF NOT EXISTS lapses INTEGER DEFAULT 0;
+ALTER TABLE flashcards ADD COLUMN IF NOT EXISTS stability NUMERIC;
+ALTER TABLE flashcards ADD COLUMN IF NOT EXISTS fsrs_difficulty NUMERIC;
+
+-- Card type and which card of its note this is (a reversed or cloze note
+-- makes several cards)
+ALTER TABLE flashcards ADD COLUMN IF NOT EXISTS card_type TEXT NOT NULL DEFAULT 'basic';
+ALTER TABLE flashcards ADD COLUMN IF NOT EXISTS card_ord INTEGER NOT NULL DEFAULT 1;
+
+-- Image occlusion: the image, its masks and the mode, shared by the note's cards
+ALTER TABLE flashcards ADD COLUMN IF NOT EXISTS occlusion JSONB;
+
+-- Storage bucket for occlusion images. Files live under <user id>/, and each
+-- user can only reach their own folder.
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('flashcard-images', 'flashcard-images', false)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Users manage their own flashcard images" ON storage.objects;
+CREATE POLICY "Users manage their own flashcard images" ON storage.objects
+    FOR ALL TO authenticated
+    USING (bucket_id = 'flashcard-images' AND (storage.foldername(name))[1] = auth.uid()::text)
+    WITH CHECK (bucket_id = 'flashcard-images' AND (storage.foldername(name))[1] = auth.uid()::text);
+
+-- Recorded audio for a card's faces, as { front, back } storage references,
+-- and each deck's language for read-aloud
+ALTER TABLE flashcards ADD COLUMN IF NOT EXISTS audio JSONB;
+ALTER TABLE flashcard_decks ADD COLUMN IF NOT EXISTS language TEXT;
+ALTER TABLE flashcard_decks ADD COLUMN IF NOT EXISTS read_aloud BOOLEAN NOT NULL DEFAULT false;
+
+-- Storage bucket for recorded audio, set up like flashcard-images
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('flashcard-audio', 'flashcard-audio', false)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Users manage their own flashcard audio" ON storage.objects;
+CREATE POLICY "Users manage their own flashcard audio" ON storage.objects
+    FOR ALL TO authenticated
+    USING (bucket_id = 'flashcard-audio' AND (storage.foldername(name))[1] = auth.uid()::text)
+    WITH CHECK (bucket_id = 'flashcard-audio' AND (storage.foldername(name))[1] = auth.uid()::text);
+
+-- Review timing: recall (card shown until flipped) and rating (flip until rated)
+ALTER TABLE review_history ADD COLUMN IF NOT EXISTS recall_time_ms INTEGER;
+ALTER TABLE review_history ADD COLUMN IF NOT EXISTS rating_time_ms INTEGER;
@@ -0,0 +1,82 @@
+// Flowtime
+// Open-ended focus blocks that earn a break sized to the work done, either by
+// a ratio (one break minute per N focus minutes) or by a table of steps such
+// as 25 min → 5, 50 min → 8, 90 min → 15. Focus blocks taken back to back
+// share a run id so they and their breaks can be read as one sitting.
+
+const FLOWTIME_DEFAULT_RATIO = 5;
+const FLOWTIME_DEFAULT_TABLE = [
+    { focusMinutes: 25, breakMinutes: 5 },
+    { focusMinutes: 50, breakMinutes: 8 },
+    { focusMinutes: 90, breakMinutes: 15 }
+];
+
+// A focus block started within this long of the last break joins its run
+const FLOWTIME_RUN_GAP_MINUTES = 15;
+
+const Flowtime = {
+    defaultTable() {
+        return FLOWTIME_DEFAULT_TABLE.map(step => ({ ...step }));
+    },
+
+    // Earned break in whole minutes (as seconds); 0 when nothing was earned
+    getBreakSeconds(focusSeconds, { rule = 'ratio', ratio = FLOWTIME_DEFAULT_RATIO, table = FLOWTIME_DEFAULT_TABLE } = {}) {
+        const focusMinutes = focusSeconds / 60;
+        let breakMinutes;
+
+        if (rule === 'table' && table.length > 0) {
+            const steps = [...table].sort((a, b) => a.focusMinutes - b.focusMinutes);
+            const reached = steps.filter(step => focusMinutes >= step.focusMinutes);
+            // Short of the first step, scale its break down
+            breakMinutes = reached.length > 0
+                ? reached[reached.length - 1].breakMinutes
+                : steps[0].breakMinutes * focusMinutes / steps[0].focusMinutes;
+        } else {
+            breakMinutes = focusMinutes / (ratio > 0 ? ratio : FLOWTIME_DEFAULT_RATIO);
+        }
+
+        return Math.max(0, Math.round(breakMinutes)) * 60;
+    },
+
+    // "25=5, 50=8, 90=15" → table rows; throws with a message for the user
+    parseTable(text) {
+        const steps = (text || '').split(',').map(part => part.trim()).filter(Boolean).map(part => {
+            const match = part.match(/^(\d+(?:\.\d+)?)\s*(?:=|→|->)\s*(\d+(?:\.\d+)?)$/);
+            if (!match) {
+                throw new Error(`"${part}" should look like 25=5 (focus minutes = break minutes)`);
+            }
+            const step = { focusMinutes: parseFloat(match[1]), breakMinutes: parseFloat(match[2]) };
+            if (!(step.focusMinutes > 0)) {
+                throw new Error(`"${part}" needs more than 0 focus minutes`);
+            }
+            return step;
+        });
+
+        if (steps.length === 0) {
+            throw new Error('Add at least one step, e.g. 25=5');
+        }
+        return steps.sort((a, b) => a.focusMinutes - b.focusMinutes);
+    },
+
+    formatTable(table) {
+        return table.map(step => `${step.focusMinutes}=${step.breakMinutes}`).join(', ');
+    },
+
+    generateRunId() {
+        return `flow-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    },
+
+    // Whether a focus block starting at `now` carries on the run whose last
+    // break ended at `lastBreakEnd`
+    continuesRun(lastBreakEnd, now = new Date()) {
+        if (!lastBreakEnd) return false;
+        return now - new Date(lastBreakEnd) <= FLOWTIME_RUN_GAP_MINUTES * 60 * 1000;
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Flowtime, FLOWTIME_DEFAULT_RATIO, FLOWTIME_DEFAULT_TABLE, FLOWTIME_RUN_GAP_MINUTES };
+} else {
+    window.Flowtime = Flowtime;
+}
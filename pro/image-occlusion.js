@@ -0,0 +1,314 @@
+// Image Occlusion
+// Cards that hide regions of a diagram. The add-card form draws rectangles and
+// polygons over an image with OcclusionEditor; each mask becomes its own card
+// whose occlusion column holds the image, the masks (coordinates as fractions
+// of the image size) and the mode: "hide_all" covers every mask and asks for
+// one, "hide_one" covers only the mask being asked for. Images are kept with
+// CardMediaStore.
+
+const OCCLUSION_BUCKET = 'flashcard-images';
+const OCCLUSION_MAX_IMAGE_SIZE = 1600; // px, longest side
+const OCCLUSION_MIN_MASK_SIZE = 0.01; // fraction of the image
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+class ImageOcclusion {
+    constructor() {
+        this.mediaStore = new CardMediaStore(OCCLUSION_BUCKET);
+    }
+
+    // SVG for one mask; coordinates are scaled up to the image's own size so
+    // labels keep their proportions
+    maskMarkup(mask, width, height, className, label = '') {
+        let shape;
+        let centre;
+
+        if (mask.shape === 'polygon') {
+            const points = mask.points.map(([x, y]) => `${x * width},${y * height}`).join(' ');
+            shape = `<polygon class="${className}" points="${points}"></polygon>`;
+            centre = mask.points.reduce((sum, [x, y]) => [sum[0] + x / mask.points.length, sum[1] + y / mask.points.length], [0, 0]);
+        } else {
+            shape = `<rect class="${className}" x="${mask.x * width}" y="${mask.y * height}" width="${mask.w * width}" height="${mask.h * height}"></rect>`;
+            centre = [mask.x + mask.w / 2, mask.y + mask.h / 2];
+        }
+
+        if (!label) return shape;
+        const fontSize = Math.max(width, height) * 0.03;
+        return `${shape}<text class="occlusion-label" x="${centre[0] * width}" y="${centre[1] * height}" font-size="${fontSize}">${label}</text>`;
+    }
+
+    // Masks as seen in review for the card asking about mask `activeIndex`
+    reviewMarkup(occlusion, activeIndex, revealed) {
+        const { width, height } = occlusion;
+
+        return occlusion.masks.map((mask, index) => {
+            if (index === activeIndex) {
+                return this.maskMarkup(mask, width, height, revealed ? 'occlusion-mask-revealed' : 'occlusion-mask-active', revealed ? '' : '?');
+            }
+            return occlusion.mode === 'hide_one' ? '' : this.maskMarkup(mask, width, height, 'occlusion-mask');
+        }).join('');
+    }
+
+    // Image with its masks, for the review card
+    createFigure(occlusion, activeIndex) {
+        const figure = document.createElement('div');
+        figure.className = 'occlusion-figure';
+
+        const image = document.createElement('img');
+        image.alt = 'Diagram';
+        figure.appendChild(image);
+
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${occlusion.width} ${occlusion.height}`);
+        svg.setAttribute('preserveAspectRatio', 'none');
+        figure.appendChild(svg);
+
+        this.showMasks(figure, occlusion, activeIndex, false);
+        this.mediaStore.resolveUrl(occlusion.image)
+            .then(url => { image.src = url; })
+            .catch(error => {
+                console.error('Failed to load occlusion image:', error);
+                figure.classList.add('occlusion-missing');
+            });
+
+        return figure;
+    }
+
+    showMasks(figure, occlusion, activeIndex, revealed) {
+        figure.querySelector('svg').innerHTML = this.reviewMarkup(occlusion, activeIndex, revealed);
+    }
+
+    // Scale the image down and re-encode it, so stored images stay small
+    prepareImage(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                const scale = Math.min(1, OCCLUSION_MAX_IMAGE_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(image.naturalWidth * scale);
+                canvas.height = Math.round(image.naturalHeight * scale);
+
+                const context = canvas.getContext('2d');
+                context.fillStyle = 'white'; // JPEG has no transparency
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                context.drawImage(image, 0, 0, canvas.width, canvas.height);
+                URL.revokeObjectURL(url);
+
+                canvas.toBlob(blob => {
+                    if (blob) resolve({ blob, width: canvas.width, height: canvas.height });
+                    else reject(new Error('Could not read the image'));
+                }, 'image/jpeg', 0.85);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not read the image'));
+            };
+            image.src = url;
+        });
+    }
+
+    // Upload the image; returns { image, width, height } where image is its
+    // storage reference. Throws if the upload fails.
+    async storeImage(file, userId) {
+        const { blob, width, height } = await this.prepareImage(file);
+        const image = await this.mediaStore.store(blob, userId, 'jpg');
+        return { image, width, height };
+    }
+}
+
+// Drawing surface in the add-card form: an image with an SVG laid over it.
+// Drag to draw a rectangle; in polygon mode click each corner, then
+// double-click or click the first corner again to close the shape.
+class OcclusionEditor {
+    constructor(stage, { onChange = null } = {}) {
+        this.stage = stage;
+        this.image = stage.querySelector('img');
+        this.svg = stage.querySelector('svg');
+        this.onChange = onChange;
+        this.imageOcclusion = new ImageOcclusion();
+        this.tool = 'rect';
+        this.file = null;
+        this.width = 0;
+        this.height = 0;
+        this.masks = [];
+        this.draft = null;
+
+        this.svg.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.svg.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.svg.addEventListener('pointerup', () => this.onPointerUp());
+        this.svg.addEventListener('dblclick', () => this.finishPolygon());
+        this.stage.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.cancelDraft();
+            if (e.key === 'Enter') this.finishPolygon();
+        });
+    }
+
+    load(file) {
+        return new Promise((resolve, reject) => {
+            if (!file || !file.type.startsWith('image/')) {
+                reject(new Error('Choose an image file'));
+                return;
+            }
+
+            if (this.image.src) URL.revokeObjectURL(this.image.src);
+            this.image.onload = () => {
+                this.file = file;
+                this.width = this.image.naturalWidth;
+                this.height = this.image.naturalHeight;
+                this.svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
+                this.svg.setAttribute('preserveAspectRatio', 'none');
+                this.masks = [];
+                this.draft = null;
+                this.stage.style.display = 'block';
+                this.changed();
+                resolve();
+            };
+            this.image.onerror = () => reject(new Error('Could not read the image'));
+            this.image.src = URL.createObjectURL(file);
+        });
+    }
+
+    reset() {
+        if (this.image.src) URL.revokeObjectURL(this.image.src);
+        this.image.removeAttribute('src');
+        this.file = null;
+        this.masks = [];
+        this.draft = null;
+        this.stage.style.display = 'none';
+        this.changed();
+    }
+
+    setTool(tool) {
+        this.cancelDraft();
+        this.tool = tool;
+    }
+
+    undo() {
+        if (this.draft) {
+            this.cancelDraft();
+            return;
+        }
+        this.masks.pop();
+        this.changed();
+    }
+
+    clear() {
+        this.masks = [];
+        this.draft = null;
+        this.changed();
+    }
+
+    cancelDraft() {
+        this.draft = null;
+        this.draw();
+    }
+
+    // Masks and image details for CardTypes, or null without an image
+    getOcclusion(mode) {
+        if (!this.file) return null;
+        return { mode, width: this.width, height: this.height, masks: this.masks.map(mask => ({ ...mask })) };
+    }
+
+    // Pointer position as fractions of the image
+    pointFromEvent(e) {
+        const bounds = this.svg.getBoundingClientRect();
+        const clamp = value => Math.round(Math.min(1, Math.max(0, value)) * 10000) / 10000;
+        return [clamp((e.clientX - bounds.left) / bounds.width), clamp((e.clientY - bounds.top) / bounds.height)];
+    }
+
+    onPointerDown(e) {
+        if (!this.file) return;
+        e.preventDefault();
+        this.stage.focus();
+        const point = this.pointFromEvent(e);
+
+        if (this.tool === 'rect') {
+            this.svg.setPointerCapture(e.pointerId);
+            this.draft = { shape: 'rect', start: point, x: point[0], y: point[1], w: 0, h: 0 };
+        } else if (this.draft && this.draft.points.length >= 3 && this.isNear(point, this.draft.points[0])) {
+            this.finishPolygon();
+            return;
+        } else {
+            if (!this.draft) this.draft = { shape: 'polygon', points: [] };
+            this.draft.points.push(point);
+        }
+        this.draw();
+    }
+
+    onPointerMove(e) {
+        if (!this.draft) return;
+        const point = this.pointFromEvent(e);
+
+        if (this.draft.shape === 'rect') {
+            const [startX, startY] = this.draft.start;
+            Object.assign(this.draft, {
+                x: Math.min(startX, point[0]),
+                y: Math.min(startY, point[1]),
+                w: Math.abs(point[0] - startX),
+                h: Math.abs(point[1] - startY)
+            });
+        } else {
+            this.draft.cursor = point;
+        }
+        this.draw();
+    }
+
+    onPointerUp() {
+        if (!this.draft || this.draft.shape !== 'rect') return;
+        const { x, y, w, h } = this.draft;
+        this.draft = null;
+        if (w >= OCCLUSION_MIN_MASK_SIZE && h >= OCCLUSION_MIN_MASK_SIZE) {
+            this.masks.push({ shape: 'rect', x, y, w, h });
+        }
+        this.changed();
+    }
+
+    finishPolygon() {
+        if (!this.draft || this.draft.shape !== 'polygon') return;
+        // A double-click also lands two clicks on the last corner
+        const points = this.draft.points.filter((point, index, all) =>
+            index === 0 || !this.isNear(point, all[index - 1]));
+        this.draft = null;
+        if (points.length >= 3) {
+            this.masks.push({ shape: 'polygon', points });
+        }
+        this.changed();
+    }
+
+    // Within 10 screen pixels
+    isNear(point, target) {
+        const bounds = this.svg.getBoundingClientRect();
+        const dx = (point[0] - target[0]) * bounds.width;
+        const dy = (point[1] - target[1]) * bounds.height;
+        return Math.hypot(dx, dy) <= 10;
+    }
+
+    changed() {
+        this.draw();
+        if (this.onChange) this.onChange(this.masks);
+    }
+
+    draw() {
+        const { width, height } = this;
+        let markup = this.masks
+            .map((mask, index) => this.imageOcclusion.maskMarkup(mask, width, height, 'occlusion-mask', String(index + 1)))
+            .join('');
+
+        if (this.draft && this.draft.shape === 'rect') {
+            markup += this.imageOcclusion.maskMarkup(this.draft, width, height, 'occlusion-draft');
+        } else if (this.draft) {
+            const points = this.draft.cursor ? [...this.draft.points, this.draft.cursor] : this.draft.points;
+            markup += `<polyline class="occlusion-draft" points="${points.map(([x, y]) => `${x * width},${y * height}`).join(' ')}"></polyline>`;
+        }
+
+        this.svg.innerHTML = markup;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ImageOcclusion, OcclusionEditor };
+} else {
+    window.ImageOcclusion = ImageOcclusion;
+    window.OcclusionEditor = OcclusionEditor;
+}
@@ -0,0 +1,154 @@
+// Interval Sequences
+// Ordered timer phases (name, minutes, whether it counts as study) for the
+// interval timer mode. Pomodoro is one of them, built from its own settings;
+// there are a few presets, and users can build and save their own.
+
+const SEQUENCES_STORAGE_KEY = 'intervalSequences';
+const MAX_PHASE_MINUTES = 600;
+
+// kind: 'study', 'break' or 'longBreak' (drives colours and notifications)
+const PRESET_SEQUENCES = [
+    {
+        id: 'preset-52-17',
+        name: '52/17',
+        repeat: true,
+        phases: [
+            { name: 'Focus', minutes: 52, study: true },
+            { name: 'Break', minutes: 17, study: false }
+        ]
+    },
+    {
+        id: 'preset-ultradian',
+        name: '90/20 Ultradian',
+        repeat: true,
+        phases: [
+            { name: 'Deep Work', minutes: 90, study: true },
+            { name: 'Rest', minutes: 20, study: false }
+        ]
+    },
+    {
+        id: 'preset-exam',
+        name: 'Exam Simulation',
+        repeat: false,
+        phases: [
+            { name: 'Section 1', minutes: 45, study: true },
+            { name: 'Section 2', minutes: 45, study: true },
+            { name: 'Section 3', minutes: 45, study: true }
+        ]
+    }
+];
+
+const IntervalSequences = {
+    custom: null,
+
+    loadCustom() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SEQUENCES_STORAGE_KEY));
+            this.custom = Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            console.error('Error loading interval sequences:', error);
+            this.custom = [];
+        }
+        return this.custom;
+    },
+
+    getCustom() {
+        return this.custom || this.loadCustom();
+    },
+
+    // One Pomodoro cycle: study and short breaks, ending on a long break
+    buildPomodoro({ studyMinutes = 25, breakMinutes = 5, longBreakMinutes = 15, sessionsBeforeLongBreak = 4 } = {}) {
+        const phases = [];
+        for (let session = 1; session <= sessionsBeforeLongBreak; session++) {
+            phases.push({ name: 'Study', minutes: studyMinutes, study: true, kind: 'study' });
+            if (session < sessionsBeforeLongBreak) {
+                phases.push({ name: 'Short Break', minutes: breakMinutes, study: false, kind: 'break' });
+            } else {
+                phases.push({ name: 'Long Break', minutes: longBreakMinutes, study: false, kind: 'longBreak' });
+            }
+        }
+        return { id: 'pomodoro', name: 'Pomodoro', repeat: true, builtIn: true, phases };
+    },
+
+    // Every sequence the picker offers: Pomodoro, presets, then the user's own
+    getAll(pomodoroSettings) {
+        return [
+            this.buildPomodoro(pomodoroSettings),
+            ...PRESET_SEQUENCES.map(sequence => ({ ...sequence, builtIn: true })),
+            ...this.getCustom()
+        ];
+    },
+
+    find(id, pomodoroSettings) {
+        return this.getAll(pomodoroSettings).find(sequence => sequence.id === id) || null;
+    },
+
+    getPhaseKind(phase) {
+        return phase.kind || (phase.study ? 'study' : 'break');
+    },
+
+    // "Focus 52m → Break 17m, repeats"
+    describe(sequence) {
+        const phases = sequence.phases.map(phase => `${phase.name} ${phase.minutes}m`).join(' → ');
+        return sequence.repeat ? `${phases}, repeats` : phases;
+    },
+
+    // Throws with a message for the user when the sequence can't run
+    validate(sequence) {
+        if (!sequence.name || !sequence.name.trim()) {
+            throw new Error('Give the sequence a name');
+        }
+        if (!sequence.phases || sequence.phases.length === 0) {
+            throw new Error('Add at least one phase');
+        }
+        sequence.phases.forEach((phase, index) => {
+            if (!phase.name || !phase.name.trim()) {
+                throw new Error(`Phase ${index + 1} needs a name`);
+            }
+            if (!(phase.minutes > 0) || phase.minutes > MAX_PHASE_MINUTES) {
+                throw new Error(`Phase ${index + 1} must last between 1 and ${MAX_PHASE_MINUTES} minutes`);
+            }
+        });
+        if (!sequence.phases.some(phase => phase.study)) {
+            throw new Error('At least one phase has to count as study');
+        }
+    },
+
+    // Add or replace a custom sequence; returns the saved copy
+    save(sequence) {
+        this.validate(sequence);
+
+        const saved = {
+            id: sequence.id || `custom-${Date.now()}`,
+            name: sequence.name.trim(),
+            repeat: !!sequence.repeat,
+            phases: sequence.phases.map(phase => ({
+                name: phase.name.trim(),
+                minutes: phase.minutes,
+                study: !!phase.study
+            }))
+        };
+
+        const custom = this.getCustom();
+        const index = custom.findIndex(existing => existing.id === saved.id);
+        if (index === -1) {
+            custom.push(saved);
+        } else {
+            custom[index] = saved;
+        }
+        localStorage.setItem(SEQUENCES_STORAGE_KEY, JSON.stringify(custom));
+        return saved;
+    },
+
+    remove(id) {
+        this.custom = this.getCustom().filter(sequence => sequence.id !== id);
+        localStorage.setItem(SEQUENCES_STORAGE_KEY, JSON.stringify(this.custom));
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IntervalSequences, PRESET_SEQUENCES };
+} else {
+    window.IntervalSequences = IntervalSequences;
+}
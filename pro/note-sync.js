@@ -0,0 +1,341 @@
+// Blurting Note Sync
+// Reconciles local (localStorage) and remote (Supabase blurting_notes) notes by
+// stable id. Each local note remembers the remote updated_at it was last synced
+// with, so edits on both sides since then are reported as conflicts instead of
+// one side silently winning.
+
+const NOTE_SYNC_KEYS = {
+    notes: 'blurting_notes',
+    tombstones: 'blurting_notes_deleted'
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class NoteSyncEngine {
+    constructor(client) {
+        this.client = client;
+    }
+
+    // Local storage
+    loadLocal() {
+        try {
+            const notes = JSON.parse(localStorage.getItem(NOTE_SYNC_KEYS.notes) || '[]');
+            return Array.isArray(notes) ? notes : [];
+        } catch (error) {
+            console.error('Failed to read local notes:', error);
+            return [];
+        }
+    }
+
+    saveLocal(notes) {
+        localStorage.setItem(NOTE_SYNC_KEYS.notes, JSON.stringify(notes));
+    }
+
+    // Notes deleted locally whose delete has not reached Supabase yet
+    loadTombstones() {
+        try {
+            return JSON.parse(localStorage.getItem(NOTE_SYNC_KEYS.tombstones) || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveTombstones(tombstones) {
+        localStorage.setItem(NOTE_SYNC_KEYS.tombstones, JSON.stringify(tombstones));
+    }
+
+    sameTime(a, b) {
+        if (!a || !b) return false;
+        return new Date(a).getTime() === new Date(b).getTime();
+    }
+
+    sameContent(a, b) {
+        return a.title === b.title && (a.content || '') === (b.content || '');
+    }
+
+    // Pure reconciliation. Returns the merged note list plus the work needed to
+    // bring Supabase up to date and any conflicts that need the user.
+    reconcile(localNotes, remoteNotes, tombstones = []) {
+        const remoteById = new Map(remoteNotes.map(note => [note.id, note]));
+        const tombstoneById = new Map(tombstones.map(entry => [entry.id, entry]));
+        const claimedRemoteIds = new Set();
+
+        const notes = [];
+        const toPush = [];
+        const toDelete = [];
+        const conflicts = [];
+        const remainingTombstones = [];
+        const idChanges = {};
+
+        localNotes.forEach(original => {
+            let local = { ...original };
+
+            // Notes from before ids were shared with Supabase used Date.now() ids.
+            // Adopt the matching remote copy if there is one, otherwise a fresh UUID.
+            if (!UUID_PATTERN.test(String(local.id))) {
+                const match = remoteNotes.find(remote => !claimedRemoteIds.has(remote.id) && this.sameContent(remote, local));
+                local = match
+                    ? { ...local, id: match.id, synced_at: match.updated_at, dirty: false }
+                    : { ...local, id: ClientIds.generate(), synced_at: null, dirty: true };
+                idChanges[original.id] = local.id;
+            }
+
+            const remote = remoteById.get(local.id);
+
+            if (!remote) {
+                if (local.synced_at && !local.dirty) {
+                    // Deleted on another device and untouched here
+                    return;
+                }
+                // Local-only or edited here after a remote delete: never drop it
+                const pending = { ...local, synced_at: null, dirty: true };
+                notes.push(pending);
+                toPush.push(pending);
+                return;
+            }
+
+            claimedRemoteIds.add(remote.id);
+            const remoteChanged = !this.sameTime(remote.updated_at, local.synced_at);
+
+            if (!local.dirty) {
+                notes.push(this.fromRemote(remote));
+            } else if (!remoteChanged) {
+                notes.push(local);
+                toPush.push(local);
+            } else if (this.sameContent(local, remote)) {
+                notes.push(this.fromRemote(remote));
+            } else {
+                // Both sides changed since the last sync
+                notes.push(local);
+                conflicts.push({ local, remote });
+            }
+        });
+
+        remoteNotes.forEach(remote => {
+            if (claimedRemoteIds.has(remote.id)) return;
+
+            const tombstone = tombstoneById.get(remote.id);
+            if (tombstone) {
+                if (this.sameTime(remote.updated_at, tombstone.synced_at) || !tombstone.synced_at) {
+                    toDelete.push(remote.id);
+                    remainingTombstones.push(tombstone);
+                } else {
+                    // Edited elsewhere after we deleted it: keep the newer remote copy
+                    notes.push(this.fromRemote(remote));
+                }
+                return;
+            }
+
+            notes.push(this.fromRemote(remote));
+        });
+
+        notes.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+        return { notes, toPush, toDelete, conflicts, tombstones: remainingTombstones, idChanges };
+    }
+
+    fromRemote(remote) {
+        return {
+            id: remote.id,
+            title: remote.title,
+            content: remote.content,
+            created_at: remote.created_at,
+            updated_at: remote.updated_at,
+            synced_at: remote.updated_at,
+            dirty: false
+        };
+    }
+
+    async fetchRemote() {
+        const { data, error } = await this.client
+            .from('blurting_notes')
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    // Write one local note to Supabase. Updates only apply if the remote row
+    // still has the updated_at we last saw; otherwise { conflict } is returned.
+    async push(note, userId) {
+        const row = {
+            title: note.title,
+            content: note.content,
+            updated_at: note.updated_at || new Date().toISOString()
+        };
+
+        if (!note.synced_at) {
+            const { data, error } = await this.client
+                .from('blurting_notes')
+                .upsert([{ ...row, id: note.id, user_id: userId, created_at: note.created_at }], { onConflict: 'id' })
+                .select()
+                .single();
+            if (error) throw error;
+            return { note: this.fromRemote(data) };
+        }
+
+        const { data, error } = await this.client
+            .from('blurting_notes')
+            .update(row)
+            .eq('id', note.id)
+            .eq('user_id', userId)
+            .eq('updated_at', note.synced_at)
+            .select();
+
+        if (error) throw error;
+
+        if (!data || data.length === 0) {
+            const { data: remote, error: fetchError } = await this.client
+                .from('blurting_notes')
+                .select('*')
+                .eq('id', note.id)
+                .maybeSingle();
+            if (fetchError) throw fetchError;
+
+            // Gone remotely: recreate it so the local edit survives
+            if (!remote) return this.push({ ...note, synced_at: null }, userId);
+            return { conflict: { local: note, remote } };
+        }
+
+        return { note: this.fromRemote(data[0]) };
+    }
+
+    async deleteRemote(noteId, userId) {
+        const { error } = await this.client
+            .from('blurting_notes')
+            .delete()
+            .eq('id', noteId)
+            .eq('user_id', userId);
+        if (error) throw error;
+    }
+
+    // Full two-way sync. Returns the merged notes and unresolved conflicts.
+    async sync(userId) {
+        const remoteNotes = await this.fetchRemote();
+        const localNotes = this.loadLocal();
+        const localTombstones = this.loadTombstones();
+        const result = this.reconcile(localNotes, remoteNotes, localTombstones);
+        const notes = result.notes;
+        const conflicts = [...result.conflicts];
+        const failedTombstones = [];
+
+        for (const pending of result.toPush) {
+            try {
+                const pushed = await this.push(pending, userId);
+                const index = notes.findIndex(note => note.id === pending.id);
+                if (pushed.conflict) {
+                    conflicts.push(pushed.conflict);
+                } else if (index !== -1) {
+                    notes[index] = pushed.note;
+                }
+            } catch (error) {
+                console.log('Failed to push note, keeping it local:', error);
+            }
+        }
+
+        for (const tombstone of result.tombstones) {
+            try {
+                await this.deleteRemote(tombstone.id, userId);
+            } catch (error) {
+                console.log('Failed to delete note remotely:', error);
+                failedTombstones.push(tombstone);
+            }
+        }
+
+        // Notes may have been saved or deleted here while the requests above
+        // were in flight, so merge with what is stored now
+        const merged = this.mergeLocalChanges(localNotes, notes, result.idChanges);
+        const handledIds = new Set(localTombstones.map(entry => entry.id));
+        const failedIds = new Set(failedTombstones.map(entry => entry.id));
+        this.saveLocal(merged);
+        this.saveTombstones(this.loadTombstones().filter(entry => !handledIds.has(entry.id) || failedIds.has(entry.id)));
+
+        return { notes: merged, conflicts };
+    }
+
+    // Synced notes, except where the stored copy changed since `before` was
+    // read: notes deleted meanwhile stay deleted, and notes saved or added
+    // meanwhile are kept as stored (with the synced_at the sync reached, so
+    // their next push isn't taken for a conflict)
+    mergeLocalChanges(before, synced, idChanges = {}) {
+        const current = this.loadLocal();
+        const beforeById = new Map(before.map(note => [note.id, note]));
+        const currentById = new Map(current.map(note => [note.id, note]));
+        const originalIds = new Map(Object.entries(idChanges).map(([oldId, newId]) => [newId, oldId]));
+        const handled = new Set();
+        const merged = [];
+
+        synced.forEach(note => {
+            const localId = originalIds.get(note.id) || note.id;
+            const original = beforeById.get(localId);
+            const stored = currentById.get(localId);
+            handled.add(localId);
+
+            if (original && !stored) return;
+            if (!stored || (original && JSON.stringify(stored) === JSON.stringify(original))) {
+                merged.push(note);
+            } else {
+                merged.push(stored.dirty ? { ...stored, id: note.id, synced_at: note.synced_at } : stored);
+            }
+        });
+
+        current.forEach(note => {
+            if (handled.has(note.id)) return;
+            const original = beforeById.get(note.id);
+            if (!original) {
+                merged.push(note);
+            } else if (JSON.stringify(note) !== JSON.stringify(original)) {
+                // Edited here while the sync found it deleted elsewhere
+                merged.push({ ...note, synced_at: null, dirty: true });
+            }
+        });
+
+        merged.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+        return merged;
+    }
+
+    // choice: 'local' keeps this device's version, 'remote' takes the cloud
+    // version, 'both' keeps the cloud version and saves ours as a new note
+    async resolveConflict(notes, conflict, choice, userId) {
+        const { local, remote } = conflict;
+        let result = notes.filter(note => note.id !== local.id);
+
+        if (choice === 'remote') {
+            result.push(this.fromRemote(remote));
+        } else if (choice === 'local') {
+            const forced = { ...local, synced_at: remote.updated_at, dirty: true, updated_at: new Date().toISOString() };
+            const pushed = await this.push(forced, userId);
+            result.push(pushed.note || forced);
+        } else if (choice === 'both') {
+            result.push(this.fromRemote(remote));
+            const now = new Date().toISOString();
+            const copy = {
+                ...local,
+                id: ClientIds.generate(),
+                title: `${local.title} (this device)`,
+                created_at: now,
+                updated_at: now,
+                synced_at: null,
+                dirty: true
+            };
+            try {
+                const pushed = await this.push(copy, userId);
+                result.push(pushed.note || copy);
+            } catch (error) {
+                result.push(copy);
+            }
+        }
+
+        result.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+        this.saveLocal(result);
+        return result;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NoteSyncEngine };
+} else {
+    window.NoteSyncEngine = NoteSyncEngine;
+}
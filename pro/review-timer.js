@@ -0,0 +1,100 @@
+// Review Timer
+// Times one flashcard review in two parts: recall (card shown until it is
+// flipped) and rating (flip until a difficulty is chosen). The clock stops
+// while the tab is hidden, and each part is capped so a card left on screen
+// while its owner is away doesn't count as minutes of thinking.
+
+const MAX_REVIEW_PHASE_SECONDS = 60;
+
+class ReviewTimer {
+    constructor({ now = () => Date.now() } = {}) {
+        this.now = now;
+        this.phase = null; // 'recall', 'rating', or null between cards
+        this.elapsed = { recall: 0, rating: 0 };
+        this.runningSince = null;
+        this.paused = false;
+        this.listening = false;
+    }
+
+    // Stop the clock while `target` is hidden
+    watch(target = document) {
+        if (this.listening) return;
+        this.listening = true;
+        this.paused = !!target.hidden;
+
+        target.addEventListener('visibilitychange', () => {
+            if (target.hidden) {
+                this.pause();
+            } else {
+                this.resume();
+            }
+        });
+    }
+
+    // A new card is on screen
+    start() {
+        this.phase = 'recall';
+        this.elapsed = { recall: 0, rating: 0 };
+        this.runningSince = null;
+        this.openSegment();
+    }
+
+    // The answer is shown; flipping back and forth again changes nothing
+    flip() {
+        if (this.phase !== 'recall') return;
+        this.closeSegment();
+        this.phase = 'rating';
+        this.openSegment();
+    }
+
+    pause() {
+        this.closeSegment();
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        this.openSegment();
+    }
+
+    // Recall, rating and total times so far in ms, without stopping the clock
+    read() {
+        const elapsed = { ...this.elapsed };
+        if (this.phase && this.runningSince !== null) {
+            elapsed[this.phase] += this.now() - this.runningSince;
+        }
+
+        const cap = MAX_REVIEW_PHASE_SECONDS * 1000;
+        const recallMs = Math.round(Math.min(cap, elapsed.recall));
+        const ratingMs = Math.round(Math.min(cap, elapsed.rating));
+        return { recallMs, ratingMs, totalMs: recallMs + ratingMs };
+    }
+
+    // Stop timing; returns the card's times as read() does
+    finish() {
+        const times = this.read();
+        this.phase = null;
+        this.runningSince = null;
+        return times;
+    }
+
+    openSegment() {
+        if (this.phase && !this.paused && this.runningSince === null) {
+            this.runningSince = this.now();
+        }
+    }
+
+    closeSegment() {
+        if (this.phase && this.runningSince !== null) {
+            this.elapsed[this.phase] += this.now() - this.runningSince;
+        }
+        this.runningSince = null;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReviewTimer, MAX_REVIEW_PHASE_SECONDS };
+} else {
+    window.ReviewTimer = ReviewTimer;
+}
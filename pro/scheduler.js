@@ -0,0 +1,466 @@
+// Spaced Repetition Scheduler
+// Computes the next review for a flashcard from its stored scheduling state.
+// Supports an Anki-style SM-2 scheduler (default) and FSRS v4.5. Both keep the
+// same per-card state so a deck can switch algorithms without losing history.
+
+const CARD_STATES = {
+    NEW: 'new',
+    LEARNING: 'learning',
+    REVIEW: 'review',
+    RELEARNING: 'relearning'
+};
+
+const RATINGS = {
+    again: 1,
+    hard: 2,
+    good: 3,
+    easy: 4
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Hesitation: recall time as a multiple of the person's usual recall time
+const HESITATION_THRESHOLDS = {
+    easy: 0.5, // at most half the usual time
+    hard: 2 // at least twice the usual time
+};
+const DEFAULT_RECALL_MS = 8000;
+const MIN_RECALL_SAMPLES = 5;
+
+// FSRS v4.5 default parameters
+const FSRS_DEFAULT_WEIGHTS = [
+    0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+    0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+const FSRS_DECAY = -0.5;
+const FSRS_FACTOR = 19 / 81;
+
+const DEFAULT_SCHEDULER_OPTIONS = {
+    algorithm: 'sm2', // 'sm2' or 'fsrs'
+    learningSteps: [1, 10], // minutes
+    relearningSteps: [10], // minutes
+    graduatingInterval: 1, // days
+    easyInterval: 4, // days
+    startingEase: 2.5,
+    minimumEase: 1.3,
+    easyBonus: 1.3,
+    hardMultiplier: 1.2,
+    lapseMultiplier: 0, // fraction of the old interval kept after a lapse
+    minimumInterval: 1, // days
+    maximumInterval: 36500, // days
+    requestRetention: 0.9, // FSRS target recall probability
+    learnAheadMinutes: 20,
+    newCardsPerDay: 20,
+    fuzz: true,
+    weights: FSRS_DEFAULT_WEIGHTS
+};
+
+class FlashcardScheduler {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_SCHEDULER_OPTIONS, ...options };
+    }
+
+    // Read the scheduling state stored on a flashcards row, filling in defaults
+    // for cards created before the scheduler columns existed.
+    getCardState(card) {
+        const reviewCount = card.review_count || 0;
+        let state = card.card_state;
+
+        if (!state) {
+            // Legacy rows only have review_count/last_reviewed
+            state = card.last_reviewed || reviewCount > 0 ? CARD_STATES.REVIEW : CARD_STATES.NEW;
+        }
+
+        let intervalDays = card.interval_days;
+        if (intervalDays === null || intervalDays === undefined) {
+            intervalDays = 0;
+            if (state === CARD_STATES.REVIEW && card.last_reviewed && card.next_review) {
+                const elapsed = new Date(card.next_review) - new Date(card.last_reviewed);
+                intervalDays = Math.max(this.options.minimumInterval, Math.round(elapsed / DAY_MS));
+            }
+        }
+
+        return {
+            state,
+            easeFactor: card.ease_factor || this.options.startingEase,
+            intervalDays,
+            learningStep: card.learning_step || 0,
+            lapses: card.lapses || 0,
+            reviewCount,
+            stability: card.stability || null,
+            difficulty: card.fsrs_difficulty || null,
+            lastReviewed: card.last_reviewed ? new Date(card.last_reviewed) : null,
+            due: card.next_review ? new Date(card.next_review) : null
+        };
+    }
+
+    // Compute the new scheduling state for a card rated with 'again', 'hard',
+    // 'good' or 'easy'. Returns the column values to persist on the flashcards row.
+    scheduleReview(card, rating, now = new Date()) {
+        const grade = RATINGS[rating];
+        if (!grade) {
+            throw new Error(`Unknown rating: ${rating}`);
+        }
+
+        const current = this.getCardState(card);
+        const elapsedDays = current.lastReviewed
+            ? Math.max(0, (now - current.lastReviewed) / DAY_MS)
+            : 0;
+
+        const memory = this.updateMemoryState(current, grade, elapsedDays);
+
+        let next;
+        if (current.state === CARD_STATES.NEW || current.state === CARD_STATES.LEARNING) {
+            next = this.scheduleLearning(current, grade, memory, this.options.learningSteps);
+        } else if (current.state === CARD_STATES.RELEARNING) {
+            next = this.scheduleLearning(current, grade, memory, this.options.relearningSteps);
+        } else {
+            next = this.scheduleReviewState(current, grade, memory, elapsedDays);
+        }
+
+        const dueDate = next.intervalMinutes !== undefined
+            ? new Date(now.getTime() + next.intervalMinutes * MINUTE_MS)
+            : new Date(now.getTime() + next.intervalDays * DAY_MS);
+
+        return {
+            difficulty: rating,
+            card_state: next.state,
+            ease_factor: Math.round(next.easeFactor * 1000) / 1000,
+            interval_days: next.intervalDays,
+            learning_step: next.learningStep,
+            lapses: next.lapses,
+            stability: Math.round(memory.stability * 10000) / 10000,
+            fsrs_difficulty: Math.round(memory.difficulty * 10000) / 10000,
+            review_count: current.reviewCount + 1,
+            last_reviewed: now.toISOString(),
+            next_review: dueDate.toISOString()
+        };
+    }
+
+    // Learning and relearning cards step through short, minute-based intervals
+    // before graduating back to the review queue.
+    scheduleLearning(current, grade, memory, steps) {
+        const isRelearning = current.state === CARD_STATES.RELEARNING;
+        const step = Math.min(current.learningStep, Math.max(0, steps.length - 1));
+        const base = {
+            easeFactor: current.easeFactor,
+            lapses: current.lapses,
+            intervalDays: current.intervalDays
+        };
+
+        const learningState = isRelearning ? CARD_STATES.RELEARNING : CARD_STATES.LEARNING;
+
+        if (steps.length === 0) {
+            return this.graduate(current, grade, memory, base, isRelearning);
+        }
+
+        switch (grade) {
+            case RATINGS.again:
+                return {
+                    ...base,
+                    state: learningState,
+                    learningStep: 0,
+                    intervalMinutes: steps[0]
+                };
+
+            case RATINGS.hard: {
+                // Repeat the current step; on the first step use the average of
+                // the first two steps so "hard" is slower than "good"
+                const delay = step === 0 && steps.length > 1
+                    ? (steps[0] + steps[1]) / 2
+                    : steps[step];
+                return {
+                    ...base,
+                    state: learningState,
+                    learningStep: step,
+                    intervalMinutes: delay
+                };
+            }
+
+            case RATINGS.good:
+                if (step + 1 < steps.length) {
+                    return {
+                        ...base,
+                        state: learningState,
+                        learningStep: step + 1,
+                        intervalMinutes: steps[step + 1]
+                    };
+                }
+                return this.graduate(current, grade, memory, base, isRelearning);
+
+            default:
+                return this.graduate(current, grade, memory, base, isRelearning);
+        }
+    }
+
+    graduate(current, grade, memory, base, isRelearning) {
+        let intervalDays;
+
+        if (this.options.algorithm === 'fsrs') {
+            intervalDays = this.fsrsInterval(memory.stability);
+        } else if (isRelearning) {
+            intervalDays = Math.max(this.options.minimumInterval, current.intervalDays);
+        } else {
+            intervalDays = grade === RATINGS.easy
+                ? this.options.easyInterval
+                : this.options.graduatingInterval;
+        }
+
+        return {
+            ...base,
+            state: CARD_STATES.REVIEW,
+            learningStep: 0,
+            intervalDays: this.constrainInterval(intervalDays)
+        };
+    }
+
+    scheduleReviewState(current, grade, memory, elapsedDays) {
+        const previousInterval = Math.max(current.intervalDays, this.options.minimumInterval);
+        const daysLate = Math.max(0, elapsedDays - previousInterval);
+        let easeFactor = current.easeFactor;
+
+        if (grade === RATINGS.again) {
+            easeFactor = Math.max(this.options.minimumEase, easeFactor - 0.2);
+            const lapsedInterval = this.options.algorithm === 'fsrs'
+                ? this.fsrsInterval(memory.stability)
+                : previousInterval * this.options.lapseMultiplier;
+            const base = {
+                easeFactor,
+                lapses: current.lapses + 1,
+                intervalDays: this.constrainInterval(lapsedInterval, false)
+            };
+
+            if (this.options.relearningSteps.length === 0) {
+                return { ...base, state: CARD_STATES.REVIEW, learningStep: 0 };
+            }
+
+            return {
+                ...base,
+                state: CARD_STATES.RELEARNING,
+                learningStep: 0,
+                intervalMinutes: this.options.relearningSteps[0]
+            };
+        }
+
+        let intervalDays;
+
+        if (this.options.algorithm === 'fsrs') {
+            intervalDays = this.fsrsInterval(memory.stability);
+            if (grade === RATINGS.hard) {
+                intervalDays = Math.min(intervalDays, previousInterval * this.options.hardMultiplier);
+            }
+        } else {
+            const hardInterval = previousInterval * this.options.hardMultiplier;
+            const goodInterval = (previousInterval + daysLate / 2) * easeFactor;
+            const easyInterval = (previousInterval + daysLate) * easeFactor * this.options.easyBonus;
+
+            if (grade === RATINGS.hard) {
+                intervalDays = hardInterval;
+            } else if (grade === RATINGS.good) {
+                intervalDays = Math.max(goodInterval, hardInterval + 1);
+            } else {
+                intervalDays = Math.max(easyInterval, goodInterval + 1);
+            }
+        }
+
+        if (grade === RATINGS.hard) {
+            easeFactor = Math.max(this.options.minimumEase, easeFactor - 0.15);
+        } else if (grade === RATINGS.easy) {
+            easeFactor += 0.15;
+        }
+
+        // Never schedule a successful review sooner than the previous interval
+        // (except "hard", which may stay the same)
+        if (grade !== RATINGS.hard) {
+            intervalDays = Math.max(intervalDays, previousInterval + 1);
+        }
+
+        return {
+            state: CARD_STATES.REVIEW,
+            easeFactor,
+            lapses: current.lapses,
+            learningStep: 0,
+            intervalDays: this.constrainInterval(this.applyFuzz(intervalDays))
+        };
+    }
+
+    // FSRS memory model: stability (days until recall drops to 90%) and
+    // difficulty (1-10). Tracked for both algorithms.
+    updateMemoryState(current, grade, elapsedDays) {
+        const w = this.options.weights;
+
+        if (!current.stability || !current.difficulty) {
+            return {
+                stability: Math.max(0.1, w[grade - 1]),
+                difficulty: this.clampDifficulty(this.initialDifficulty(grade))
+            };
+        }
+
+        const retrievability = this.retrievability(elapsedDays, current.stability);
+        const nextDifficulty = this.nextDifficulty(current.difficulty, grade);
+
+        let stability;
+        if (grade === RATINGS.again) {
+            stability = w[11] *
+                Math.pow(current.difficulty, -w[12]) *
+                (Math.pow(current.stability + 1, w[13]) - 1) *
+                Math.exp(w[14] * (1 - retrievability));
+        } else {
+            const hardPenalty = grade === RATINGS.hard ? w[15] : 1;
+            const easyBonus = grade === RATINGS.easy ? w[16] : 1;
+            stability = current.stability * (1 +
+                Math.exp(w[8]) *
+                (11 - current.difficulty) *
+                Math.pow(current.stability, -w[9]) *
+                (Math.exp(w[10] * (1 - retrievability)) - 1) *
+                hardPenalty *
+                easyBonus);
+        }
+
+        return {
+            stability: Math.max(0.1, stability),
+            difficulty: nextDifficulty
+        };
+    }
+
+    initialDifficulty(grade) {
+        const w = this.options.weights;
+        return w[4] - (grade - 3) * w[5];
+    }
+
+    nextDifficulty(difficulty, grade) {
+        const w = this.options.weights;
+        const updated = difficulty - w[6] * (grade - 3);
+        // Mean reversion towards the initial "good" difficulty
+        return this.clampDifficulty(w[7] * this.initialDifficulty(RATINGS.good) + (1 - w[7]) * updated);
+    }
+
+    clampDifficulty(difficulty) {
+        return Math.min(10, Math.max(1, difficulty));
+    }
+
+    retrievability(elapsedDays, stability) {
+        return Math.pow(1 + FSRS_FACTOR * elapsedDays / stability, FSRS_DECAY);
+    }
+
+    fsrsInterval(stability) {
+        const retention = this.options.requestRetention;
+        return stability / FSRS_FACTOR * (Math.pow(retention, 1 / FSRS_DECAY) - 1);
+    }
+
+    applyFuzz(intervalDays) {
+        if (!this.options.fuzz || intervalDays < 2.5) {
+            return intervalDays;
+        }
+
+        // Spread reviews by up to ±5% (at least one day) to avoid bunching
+        const range = Math.max(1, Math.round(intervalDays * 0.05));
+        return intervalDays + Math.round((Math.random() * 2 - 1) * range);
+    }
+
+    constrainInterval(intervalDays, enforceMinimum = true) {
+        const minimum = enforceMinimum ? this.options.minimumInterval : 0;
+        const rounded = Math.round(intervalDays);
+        return Math.min(this.options.maximumInterval, Math.max(minimum, rounded));
+    }
+
+    isDue(card, now = new Date()) {
+        const current = this.getCardState(card);
+        if (current.state === CARD_STATES.NEW) return true;
+        if (!current.due) return true;
+
+        if (current.state === CARD_STATES.LEARNING || current.state === CARD_STATES.RELEARNING) {
+            return current.due.getTime() <= now.getTime() + this.options.learnAheadMinutes * MINUTE_MS;
+        }
+
+        return current.due <= now;
+    }
+
+    // Pick the cards to show in a review session: learning cards first, then
+    // reviews that are due, then up to newCardsPerDay new cards.
+    getDueCards(cards, now = new Date(), newCardsStudiedToday = 0) {
+        const learning = [];
+        const review = [];
+        const fresh = [];
+
+        cards.forEach(card => {
+            if (!this.isDue(card, now)) return;
+
+            const { state } = this.getCardState(card);
+            if (state === CARD_STATES.NEW) {
+                fresh.push(card);
+            } else if (state === CARD_STATES.REVIEW) {
+                review.push(card);
+            } else {
+                learning.push(card);
+            }
+        });
+
+        const byDue = (a, b) => new Date(a.next_review || 0) - new Date(b.next_review || 0);
+        const byCreated = (a, b) => new Date(a.created_at || 0) - new Date(b.created_at || 0);
+
+        learning.sort(byDue);
+        review.sort(byDue);
+        fresh.sort(byCreated);
+
+        const newLimit = Math.max(0, this.options.newCardsPerDay - newCardsStudiedToday);
+
+        return [...learning, ...review, ...fresh.slice(0, newLimit)];
+    }
+
+    // Usual time to recall an answer: the median recall time of successful
+    // reviews in `history` (review_history rows), or a default until there
+    // are enough of them
+    typicalRecallTime(history) {
+        const times = (history || [])
+            .filter(entry => entry.recall_time_ms > 0 && (entry.difficulty === 'good' || entry.difficulty === 'easy'))
+            .map(entry => entry.recall_time_ms)
+            .sort((a, b) => a - b);
+
+        if (times.length < MIN_RECALL_SAMPLES) return DEFAULT_RECALL_MS;
+        const middle = Math.floor(times.length / 2);
+        return times.length % 2 ? times[middle] : (times[middle - 1] + times[middle]) / 2;
+    }
+
+    // Rating suggested by hesitation: an answer recalled in well under the
+    // usual time looks easy, one that took much longer looks hard. When a
+    // typed answer was wrong or only close, that decides the rating instead.
+    suggestRating(recallMs, typicalRecallMs = DEFAULT_RECALL_MS, typedRating = null) {
+        if (typedRating === 'again' || typedRating === 'hard') return typedRating;
+
+        const ratio = recallMs / typicalRecallMs;
+        if (ratio <= HESITATION_THRESHOLDS.easy) return 'easy';
+        if (ratio >= HESITATION_THRESHOLDS.hard) return 'hard';
+        return 'good';
+    }
+
+    // Human readable preview of the interval each rating would produce
+    previewIntervals(card, now = new Date()) {
+        const previews = {};
+        Object.keys(RATINGS).forEach(rating => {
+            const result = this.scheduleReview(card, rating, now);
+            previews[rating] = this.formatInterval(new Date(result.next_review) - now);
+        });
+        return previews;
+    }
+
+    formatInterval(ms) {
+        const minutes = Math.round(ms / MINUTE_MS);
+        if (minutes < 60) return `${Math.max(1, minutes)}m`;
+        const hours = Math.round(minutes / 60);
+        if (hours < 24) return `${hours}h`;
+        const days = Math.round(ms / DAY_MS);
+        if (days < 30) return `${days}d`;
+        if (days < 365) return `${Math.round(days / 30 * 10) / 10}mo`;
+        return `${Math.round(days / 365 * 10) / 10}y`;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FlashcardScheduler, CARD_STATES, RATINGS };
+} else {
+    window.FlashcardScheduler = FlashcardScheduler;
+    window.CARD_STATES = CARD_STATES;
+}
@@ -3,15 +3,39 @@ class StudyTimer {
         this.timeLeft = 25 * 60; // Will be updated by loadSettings()
         this.isRunning = false;
         this.isPaused = false; // New state to track if timer is paused
-        this.interval = null;
+        this.activeSegments = []; // Finished running intervals of the current session
+        this.segmentStart = null; // When the current running interval began
+        this.timerEngine = new TimerEngine({
+            onTick: (seconds) => this.handleEngineTick(seconds),
+            onComplete: () => this.handleEngineComplete()
+        });
+        // Catch up straight away when a throttled background tab comes back
+        document.addEventListener('visibilitychange', () => this.timerEngine.tick());
+        this.setupTabSync();
         this.startTime = null;
         this.studySessions = [];
         this.dataFile = 'study-data.json';
+        this.heatmapYear = null; // null = last 365 days, otherwise a calendar year
+        this.heatmapWeekStart = 'sunday'; // 'sunday' or 'monday'
+        this.heatmapColorScale = 'grayscale';
+        this.timeZone = ''; // IANA timezone for study days, '' = this device's
+        this.dayStartHour = 0; // Hour a new study day begins (night owls can pick 4am)
+        this.currentSubjectId = ''; // Subject new sessions are filed under, '' = none
         this.lastDisplayDate = null; // Track when we last updated the display
         
         // Settings
-        this.timerMode = 'timer'; // 'timer', 'stopwatch', or 'pomodoro'
+        this.timerMode = 'timer'; // 'timer', 'stopwatch', 'pomodoro' or 'flowtime'
         this.focusMinutes = 25;
+        this.idleMinutes = 30; // Ask about time away after this long without input, 0 = off
+        this.maxSessionHours = 6; // Stopwatch and Flowtime focus sessions pause at this length, 0 = no limit
+        this.sessionLimitPausedAt = null; // When the limit paused a session nobody was watching
+        
+        // Notice when a session is left running with nobody there
+        this.idleWatch = new IdleWatch({
+            idleMinutes: this.idleMinutes,
+            onReturn: (awaySince) => this.handleUserReturn(awaySince)
+        });
+        this.idleWatch.start();
         
         // Pomodoro settings
         this.pomodoroStudyMinutes = 25;
@@ -22,9 +46,29 @@ class StudyTimer {
         this.pomodoroPhase = 'study'; // 'study', 'break', 'longBreak'
         this.pomodoroIsBreak = false;
         this.pomodoroStudyStartTime = null; // Track when study session started
+        this.intervalSequenceId = 'pomodoro'; // Sequence of phases the interval mode runs
+        this.pomodoroPhaseIndex = 0; // Current phase within that sequence
+        this.editingSequence = null; // Draft in the settings sequence builder
+        this.pomodoroAutoStartBreaks = true; // Go straight into a break when study ends
+        this.pomodoroAutoStartFocus = true; // Go straight into study when a break ends
+        this.pomodoroLogBreaks = false; // Keep a non-study record of each break
+        this.pomodoroAwaitingStart = false; // Next phase is waiting for play
+        this.pomodoroPhaseExtraSeconds = 0; // Time added to the current phase (+5 min)
+        this.pomodoroEndAfterPhase = false; // End the cycle when this phase finishes
+        
+        // Flowtime settings and state
+        this.flowtimeBreakRule = 'ratio'; // 'ratio' or 'table'
+        this.flowtimeRatio = 5; // Focus minutes per break minute
+        this.flowtimeTable = Flowtime.defaultTable();
+        this.flowtimeOnBreak = false; // Counting down an earned break
+        this.flowtimeBreakSeconds = 0; // Length of the break being taken
+        this.flowtimeRunId = null; // Links back-to-back focus blocks and their breaks
+        this.flowtimeBlock = 0; // Focus blocks so far in the run
+        this.flowtimeLastBreakEnd = null; // When the run's last break finished
         
         // Current editing session
         this.currentEditingIndex = -1;
+        this.addingSession = false;
         
         // Debug counter for pause button clicks
         this.pauseButtonClickCount = 0;
@@ -65,8 +109,12 @@ class StudyTimer {
         
         this.setupEventListeners();
         this.setupTimerScrollEvents();
-        this.loadStudySessions();
+        this.loadStudySessions().then(() => {
+            this.checkUnfinishedTimer();
+            return this.setupSyncOutbox();
+        });
         this.loadSettings();
+        this.renderSubjectOptions();
         this.updateDisplay(); // Update display after loading settings
         this.initializeProgressBar(); // Initialize progress bar visibility
         
@@ -122,7 +170,17 @@ class StudyTimer {
         // Check immediately
         checkDateChange();
         
-        // Check every hour to catch date changes
+        // Refresh right when the next study day begins, then keep going
+        const scheduleNextDay = () => {
+            clearTimeout(this.dayBoundaryTimeout);
+            this.dayBoundaryTimeout = setTimeout(() => {
+                checkDateChange();
+                scheduleNextDay();
+            }, StudyDates.msUntilNextDay() + 1000);
+        };
+        scheduleNextDay();
+        
+        // Check every hour as well, in case the timeout drifted while asleep
         setInterval(checkDateChange, 60 * 60 * 1000);
         
         // Also check when the page becomes visible (user returns to tab)
@@ -176,6 +234,26 @@ class StudyTimer {
         this.timerModeSelect = document.getElementById('timerMode');
         this.timerModeSelect.addEventListener('change', () => this.onTimerModeChange());
         
+        // Interval sequence picker and builder event listeners
+        document.getElementById('intervalSequence').addEventListener('change', () => this.onSequenceChange());
+        document.getElementById('flowtimeBreakRule').addEventListener('change', () => this.updateFlowtimeRuleVisibility());
+        document.getElementById('newSequenceBtn').addEventListener('click', () => this.newSequence());
+        document.getElementById('addPhaseBtn').addEventListener('click', () => this.addSequencePhase());
+        document.getElementById('saveSequenceBtn').addEventListener('click', () => this.saveSequence());
+        document.getElementById('deleteSequenceBtn').addEventListener('click', () => this.deleteSequence());
+        document.getElementById('sequencePhases').addEventListener('click', (event) => {
+            if (event.target.classList.contains('remove-phase-btn')) {
+                this.readSequenceBuilder();
+                this.editingSequence.phases.splice(parseInt(event.target.closest('.sequence-phase-row').dataset.phaseIndex), 1);
+                this.renderSequenceBuilder();
+            }
+        });
+        
+        // Interval flow control buttons
+        document.getElementById('skipBreakBtn').addEventListener('click', () => this.skipBreak());
+        document.getElementById('extendPhaseBtn').addEventListener('click', () => this.extendPhase());
+        document.getElementById('endCycleBtn').addEventListener('click', () => this.toggleEndCycle());
+        
         // Pomodoro reset button event listener
         const resetPomodoroBtn = document.getElementById('resetPomodoroBtn');
         if (resetPomodoroBtn) {
@@ -186,6 +264,13 @@ class StudyTimer {
         document.getElementById('closeAccount').addEventListener('click', () => this.closeAccount());
         document.getElementById('deleteAccountBtn').addEventListener('click', () => this.deleteAccount());
         document.getElementById('logoutBtn').addEventListener('click', () => this.logout());
+        document.getElementById('downloadDataBtn').addEventListener('click', () => this.downloadAccountData());
+        document.getElementById('restoreDataBtn').addEventListener('click', () => document.getElementById('restoreDataInput').click());
+        document.getElementById('restoreDataInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.restoreAccountData(file);
+        });
         
         // Analytics modal event listeners
         document.getElementById('closeAnalytics').addEventListener('click', () => this.closeAnalytics());
@@ -194,10 +279,37 @@ class StudyTimer {
         // Log filters event listeners
         document.getElementById('logTimeFilter').addEventListener('change', () => this.updateLogDisplay());
         document.getElementById('logSortBy').addEventListener('change', () => this.updateLogDisplay());
+        document.getElementById('addSessionBtn').addEventListener('click', () => this.openAddSession());
+        document.getElementById('logSubjectFilter').addEventListener('change', () => this.updateLogDisplay());
+        
+        // Subject picker and subjects modal event listeners
+        document.getElementById('subjectSelect').addEventListener('change', (e) => this.selectSubject(e.target.value));
+        document.getElementById('manageSubjectsBtn').addEventListener('click', () => this.openSubjects());
+        document.getElementById('closeSubjects').addEventListener('click', () => this.closeSubjects());
+        document.getElementById('addSubjectBtn').addEventListener('click', () => this.addSubject());
+        document.getElementById('newSubjectName').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.addSubject();
+        });
+        document.getElementById('subjectsList').addEventListener('change', (event) => {
+            const row = event.target.closest('.subject-row');
+            if (!row) return;
+            if (event.target.classList.contains('subject-name-input')) {
+                this.updateSubject(row.dataset.subjectId, { name: event.target.value });
+            } else if (event.target.classList.contains('subject-color-input')) {
+                this.updateSubject(row.dataset.subjectId, { color: event.target.value });
+            }
+        });
+        document.getElementById('subjectsList').addEventListener('click', (event) => {
+            if (event.target.classList.contains('delete-subject-btn')) {
+                this.deleteSubject(event.target.closest('.subject-row').dataset.subjectId);
+            }
+        });
         
         // Edit session modal event listeners
         document.getElementById('closeEditSession').addEventListener('click', () => this.closeEditSessionModal());
         document.getElementById('saveEditSession').addEventListener('click', () => this.saveEditSession());
+        document.getElementById('editSessionStart').addEventListener('change', () => this.onSessionTimesChange());
+        document.getElementById('editSessionEnd').addEventListener('change', () => this.onSessionTimesChange());
         
         // PWA install button event listener
         const installAppBtn = document.getElementById('installAppBtn');
@@ -219,6 +331,9 @@ class StudyTimer {
             if (event.target === document.getElementById('editSessionModal')) {
                 this.closeEditSessionModal();
             }
+            if (event.target === document.getElementById('subjectsModal')) {
+                this.closeSubjects();
+            }
         });
         
         // Add event delegation for log actions
@@ -247,6 +362,13 @@ class StudyTimer {
     
     populateSettingsForm() {
         document.getElementById('timerMode').value = this.timerMode;
+        document.getElementById('heatmapWeekStart').value = this.heatmapWeekStart;
+        document.getElementById('heatmapColorScale').value = this.heatmapColorScale;
+        this.populateTimeZoneOptions();
+        document.getElementById('timeZone').value = this.timeZone;
+        document.getElementById('dayStartHour').value = String(this.dayStartHour);
+        document.getElementById('idleMinutes').value = this.idleMinutes;
+        document.getElementById('maxSessionHours').value = this.maxSessionHours;
         
         // Populate focus time inputs
         const totalSeconds = this.focusMinutes * 60;
@@ -261,15 +383,41 @@ class StudyTimer {
         document.getElementById('pomodoroBreakMinutes').value = this.pomodoroBreakMinutes;
         document.getElementById('pomodoroLongBreakMinutes').value = this.pomodoroLongBreakMinutes;
         document.getElementById('pomodoroSessionsBeforeLongBreak').value = this.pomodoroSessionsBeforeLongBreak;
+        document.getElementById('pomodoroAutoStartBreaks').checked = this.pomodoroAutoStartBreaks;
+        document.getElementById('pomodoroAutoStartFocus').checked = this.pomodoroAutoStartFocus;
+        document.getElementById('pomodoroLogBreaks').checked = this.pomodoroLogBreaks;
+        this.populateSequenceOptions(this.intervalSequenceId);
+        
+        // Populate Flowtime settings
+        document.getElementById('flowtimeBreakRule').value = this.flowtimeBreakRule;
+        document.getElementById('flowtimeRatio').value = this.flowtimeRatio;
+        document.getElementById('flowtimeTable').value = Flowtime.formatTable(this.flowtimeTable);
         
         this.updateFocusTimeVisibility();
     }
     
+    // Fill the timezone dropdown once; the first option follows the device
+    populateTimeZoneOptions() {
+        const select = document.getElementById('timeZone');
+        if (select.options.length > 1) return;
+        
+        select.options[0].textContent = `Device (${StudyDates.getBrowserTimeZone()})`;
+        StudyDates.getSupportedTimeZones().forEach(zone => {
+            select.add(new Option(zone.replace(/_/g, ' '), zone));
+        });
+        
+        // Keep a saved zone selectable even if this browser doesn't list it
+        if (this.timeZone && !StudyDates.getSupportedTimeZones().includes(this.timeZone)) {
+            select.add(new Option(this.timeZone, this.timeZone));
+        }
+    }
+    
     onTimerModeChange() {
         this.updateFocusTimeVisibility();
         // Update progress bar visibility immediately
         if (this.progressBar) {
-            if (document.getElementById('timerMode').value === 'stopwatch') {
+            const mode = document.getElementById('timerMode').value;
+            if (mode === 'stopwatch' || mode === 'flowtime') {
                 this.progressBar.style.display = 'none';
             } else {
                 this.progressBar.style.display = 'block';
@@ -281,27 +429,61 @@ class StudyTimer {
         const mode = document.getElementById('timerMode').value;
         const focusTimeGroup = document.getElementById('focusTimeGroup');
         const pomodoroGroup = document.getElementById('pomodoroGroup');
+        const flowtimeGroup = document.getElementById('flowtimeGroup');
         
         // Hide all groups first
         focusTimeGroup.style.display = 'none';
         pomodoroGroup.style.display = 'none';
+        flowtimeGroup.style.display = 'none';
         
         // Show appropriate group based on selection
         if (mode === 'timer') {
             focusTimeGroup.style.display = 'block';
         } else if (mode === 'pomodoro') {
             pomodoroGroup.style.display = 'block';
+        } else if (mode === 'flowtime') {
+            flowtimeGroup.style.display = 'block';
+            this.updateFlowtimeRuleVisibility();
         }
         // stopwatch mode shows no additional settings
     }
     
+    updateFlowtimeRuleVisibility() {
+        const rule = document.getElementById('flowtimeBreakRule').value;
+        document.getElementById('flowtimeRatioGroup').style.display = rule === 'ratio' ? 'block' : 'none';
+        document.getElementById('flowtimeTableGroup').style.display = rule === 'table' ? 'block' : 'none';
+    }
+    
     saveSettings() {
         const mode = document.getElementById('timerMode').value;
         const focusMinutes = parseInt(document.getElementById('focusMinutes').value) || 0;
         const focusSeconds = parseInt(document.getElementById('focusSeconds').value) || 0;
         
+        // Check the Flowtime break table before changing anything
+        let flowtimeTable = this.flowtimeTable;
+        if (mode === 'flowtime') {
+            try {
+                flowtimeTable = Flowtime.parseTable(document.getElementById('flowtimeTable').value);
+            } catch (error) {
+                if (document.getElementById('flowtimeBreakRule').value === 'table') {
+                    alert(error.message);
+                    return;
+                }
+            }
+        }
+        
         this.timerMode = mode;
         this.focusMinutes = focusMinutes + (focusSeconds / 60); // Convert to decimal minutes
+        this.heatmapWeekStart = document.getElementById('heatmapWeekStart').value;
+        this.heatmapColorScale = document.getElementById('heatmapColorScale').value;
+        this.timeZone = document.getElementById('timeZone').value;
+        this.dayStartHour = parseInt(document.getElementById('dayStartHour').value) || 0;
+        this.idleMinutes = Math.max(0, parseInt(document.getElementById('idleMinutes').value) || 0);
+        this.maxSessionHours = Math.max(0, parseFloat(document.getElementById('maxSessionHours').value) || 0);
+        this.idleWatch.setIdleMinutes(this.idleMinutes);
+        StudyDates.configure({ timeZone: this.timeZone, dayStartHour: this.dayStartHour });
+        this.lastDisplayDate = this.getCurrentDate();
+        this.updateStudyDisplay();
         
         // Load Pomodoro settings if in Pomodoro mode
         if (mode === 'pomodoro') {
@@ -309,16 +491,26 @@ class StudyTimer {
             this.pomodoroBreakMinutes = parseInt(document.getElementById('pomodoroBreakMinutes').value) || 5;
             this.pomodoroLongBreakMinutes = parseInt(document.getElementById('pomodoroLongBreakMinutes').value) || 15;
             this.pomodoroSessionsBeforeLongBreak = parseInt(document.getElementById('pomodoroSessionsBeforeLongBreak').value) || 4;
+            this.pomodoroAutoStartBreaks = document.getElementById('pomodoroAutoStartBreaks').checked;
+            this.pomodoroAutoStartFocus = document.getElementById('pomodoroAutoStartFocus').checked;
+            this.pomodoroLogBreaks = document.getElementById('pomodoroLogBreaks').checked;
+            if (IntervalSequences.find(document.getElementById('intervalSequence').value)) {
+                this.intervalSequenceId = document.getElementById('intervalSequence').value;
+            }
+        }
+        
+        // Load Flowtime settings if in Flowtime mode
+        if (mode === 'flowtime') {
+            this.flowtimeBreakRule = document.getElementById('flowtimeBreakRule').value;
+            this.flowtimeRatio = parseFloat(document.getElementById('flowtimeRatio').value) || 5;
+            this.flowtimeTable = flowtimeTable;
         }
         
         // Reset timer if mode changed or focus time changed
         if (mode === 'timer') {
             this.timeLeft = Math.round(this.focusMinutes * 60);
         } else if (mode === 'pomodoro') {
-            this.timeLeft = Math.round(this.pomodoroStudyMinutes * 60);
-            this.pomodoroPhase = 'study';
-            this.pomodoroCurrentSession = 0;
-            this.pomodoroIsBreak = false;
+            this.resetPhases();
         } else {
             this.timeLeft = 0;
         }
@@ -327,7 +519,18 @@ class StudyTimer {
         // Save to localStorage
         const settings = {
             timerMode: this.timerMode,
-            focusMinutes: this.focusMinutes
+            focusMinutes: this.focusMinutes,
+            heatmapWeekStart: this.heatmapWeekStart,
+            heatmapColorScale: this.heatmapColorScale,
+            timeZone: this.timeZone,
+            dayStartHour: this.dayStartHour,
+            idleMinutes: this.idleMinutes,
+            maxSessionHours: this.maxSessionHours,
+            currentSubjectId: this.currentSubjectId,
+            intervalSequenceId: this.intervalSequenceId,
+            flowtimeBreakRule: this.flowtimeBreakRule,
+            flowtimeRatio: this.flowtimeRatio,
+            flowtimeTable: this.flowtimeTable
         };
         
         if (mode === 'pomodoro') {
@@ -335,6 +538,9 @@ class StudyTimer {
             settings.pomodoroBreakMinutes = this.pomodoroBreakMinutes;
             settings.pomodoroLongBreakMinutes = this.pomodoroLongBreakMinutes;
             settings.pomodoroSessionsBeforeLongBreak = this.pomodoroSessionsBeforeLongBreak;
+            settings.pomodoroAutoStartBreaks = this.pomodoroAutoStartBreaks;
+            settings.pomodoroAutoStartFocus = this.pomodoroAutoStartFocus;
+            settings.pomodoroLogBreaks = this.pomodoroLogBreaks;
         }
         
         localStorage.setItem('timerSettings', JSON.stringify(settings));
@@ -355,6 +561,25 @@ class StudyTimer {
                 const settings = JSON.parse(saved);
                 this.timerMode = settings.timerMode || 'timer';
                 this.focusMinutes = settings.focusMinutes || 25;
+                this.heatmapWeekStart = settings.heatmapWeekStart || 'sunday';
+                this.heatmapColorScale = settings.heatmapColorScale || 'grayscale';
+                this.timeZone = settings.timeZone || '';
+                this.dayStartHour = settings.dayStartHour || 0;
+                this.currentSubjectId = settings.currentSubjectId || '';
+                this.intervalSequenceId = settings.intervalSequenceId || 'pomodoro';
+                this.flowtimeBreakRule = settings.flowtimeBreakRule || 'ratio';
+                this.flowtimeRatio = settings.flowtimeRatio || 5;
+                this.flowtimeTable = Array.isArray(settings.flowtimeTable) && settings.flowtimeTable.length > 0
+                    ? settings.flowtimeTable
+                    : Flowtime.defaultTable();
+                if (settings.idleMinutes !== undefined) {
+                    this.idleMinutes = settings.idleMinutes;
+                }
+                if (settings.maxSessionHours !== undefined) {
+                    this.maxSessionHours = settings.maxSessionHours;
+                }
+                this.idleWatch.setIdleMinutes(this.idleMinutes);
+                StudyDates.configure({ timeZone: this.timeZone, dayStartHour: this.dayStartHour });
                 
                 // Load Pomodoro settings
                 if (settings.pomodoroStudyMinutes !== undefined) {
@@ -369,15 +594,21 @@ class StudyTimer {
                 if (settings.pomodoroSessionsBeforeLongBreak !== undefined) {
                     this.pomodoroSessionsBeforeLongBreak = settings.pomodoroSessionsBeforeLongBreak;
                 }
+                if (settings.pomodoroAutoStartBreaks !== undefined) {
+                    this.pomodoroAutoStartBreaks = settings.pomodoroAutoStartBreaks;
+                }
+                if (settings.pomodoroAutoStartFocus !== undefined) {
+                    this.pomodoroAutoStartFocus = settings.pomodoroAutoStartFocus;
+                }
+                if (settings.pomodoroLogBreaks !== undefined) {
+                    this.pomodoroLogBreaks = settings.pomodoroLogBreaks;
+                }
                 
                 // Apply settings
                 if (this.timerMode === 'timer') {
                     this.timeLeft = Math.round(this.focusMinutes * 60);
                 } else if (this.timerMode === 'pomodoro') {
-                    this.timeLeft = Math.round(this.pomodoroStudyMinutes * 60);
-                    this.pomodoroPhase = 'study';
-                    this.pomodoroCurrentSession = 0;
-                    this.pomodoroIsBreak = false;
+                    this.resetPhases();
                 } else {
                     this.timeLeft = 0;
                 }
@@ -653,6 +884,126 @@ class StudyTimer {
         }
     }
     
+    // Download everything the account owns as one versioned JSON archive
+    async downloadAccountData() {
+        if (!window.SupabaseService || !window.SupabaseService.accountData) {
+            alert('❌ Data export is not available right now. Please try again later.');
+            return;
+        }
+        
+        const button = document.getElementById('downloadDataBtn');
+        button.disabled = true;
+        button.textContent = 'Preparing...';
+        
+        try {
+            const archive = await this.buildAccountArchive();
+            this.saveArchiveFile(archive, `studo-data-${new Date().toISOString().split('T')[0]}.json`);
+            
+            console.log('📦 Account data exported');
+        } catch (error) {
+            console.error('Error exporting account data:', error);
+            alert(`❌ Failed to export your data.\n\nError: ${error.message}`);
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Download My Data';
+        }
+    }
+    
+    // The account's tables plus the settings that live in localStorage
+    async buildAccountArchive() {
+        const { data: archive, error } = await window.SupabaseService.accountData.exportArchive();
+        if (error) throw error;
+        
+        archive.local = {
+            timerSettings: JSON.parse(localStorage.getItem('timerSettings') || 'null'),
+            subjects: StudySubjects.getAll(),
+            breaks: BreakLog.getAll()
+        };
+        return archive;
+    }
+    
+    saveArchiveFile(archive, fileName) {
+        const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    async restoreAccountData(file) {
+        if (!window.SupabaseService || !window.SupabaseService.accountData) {
+            alert('❌ Data restore is not available right now. Please try again later.');
+            return;
+        }
+        
+        const mode = document.getElementById('restoreMode').value;
+        
+        let archive;
+        try {
+            archive = JSON.parse(await file.text());
+            window.SupabaseService.accountData.validateArchive(archive);
+        } catch (error) {
+            alert(`❌ This archive cannot be restored.\n\n${error.message}`);
+            return;
+        }
+        
+        if (mode === 'replace') {
+            const userInput = prompt('Replacing will delete all current data in this account before restoring the archive. A backup of the current data is downloaded first.\n\nType "REPLACE" to confirm:');
+            if (userInput !== 'REPLACE') return;
+        } else if (!confirm(`Merge the archive from ${new Date(archive.exported_at).toLocaleDateString()} into this account?`)) {
+            return;
+        }
+        
+        const button = document.getElementById('restoreDataBtn');
+        button.disabled = true;
+        button.textContent = 'Restoring...';
+        
+        try {
+            // Keep a copy of what is about to be deleted, both on disk and for
+            // putting back if the restore fails
+            let backup = null;
+            if (mode === 'replace') {
+                button.textContent = 'Backing up...';
+                try {
+                    backup = await this.buildAccountArchive();
+                } catch (error) {
+                    throw new Error(`Could not back up the current data, so nothing was changed: ${error.message}`);
+                }
+                this.saveArchiveFile(backup, `studo-data-backup-${new Date().toISOString().split('T')[0]}.json`);
+                button.textContent = 'Restoring...';
+            }
+            
+            const { data: counts, error } = await window.SupabaseService.accountData.restoreArchive(archive, mode, { backup });
+            if (error) throw error;
+            
+            const localSettings = archive.local && archive.local.timerSettings;
+            if (localSettings && (mode === 'replace' || !localStorage.getItem('timerSettings'))) {
+                localStorage.setItem('timerSettings', JSON.stringify(localSettings));
+                this.loadSettings();
+            }
+            (archive.local && archive.local.subjects || []).forEach(subject => StudySubjects.remember(subject));
+            BreakLog.merge(archive.local && archive.local.breaks);
+            this.renderSubjectOptions();
+            
+            await this.loadStudySessions();
+            
+            const summary = Object.keys(counts)
+                .map(table => `• ${table.replace(/_/g, ' ')}: ${counts[table]}`)
+                .join('\n');
+            alert(`✅ Archive restored!\n\nRows added:\n${summary}`);
+        } catch (error) {
+            console.error('Error restoring account data:', error);
+            alert(`❌ Failed to restore your data.\n\nError: ${error.message}`);
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Restore From Archive';
+        }
+    }
+    
     async populateAccountForm() {
         try {
             console.log('Populating account form...');
@@ -812,6 +1163,129 @@ class StudyTimer {
         }
     }
     
+    // Subject methods
+    
+    // A session's subject id, or '' when it has none (or it was deleted)
+    getSessionSubjectId(session) {
+        return session.subjectId && StudySubjects.find(session.subjectId) ? session.subjectId : '';
+    }
+    
+    // Refill every subject dropdown after the list changes
+    renderSubjectOptions() {
+        if (this.currentSubjectId && !StudySubjects.find(this.currentSubjectId)) {
+            this.currentSubjectId = '';
+        }
+        
+        document.getElementById('subjectSelect').innerHTML = StudySubjects.renderOptions(this.currentSubjectId);
+        
+        const editSubject = document.getElementById('editSessionSubject');
+        editSubject.innerHTML = StudySubjects.renderOptions(editSubject.value);
+        
+        const logSubjectFilter = document.getElementById('logSubjectFilter');
+        logSubjectFilter.innerHTML = StudySubjects.renderOptions(logSubjectFilter.value || 'all', [
+            { value: 'all', label: 'All Subjects' },
+            { value: 'none', label: 'No subject' }
+        ]);
+        
+        this.updateSubjectPicker();
+    }
+    
+    updateSubjectPicker() {
+        document.getElementById('subjectSelect').value = this.currentSubjectId;
+        document.getElementById('subjectColorDot').style.background = StudySubjects.getColor(this.currentSubjectId);
+    }
+    
+    // Choose the subject for the next session, or the running one (it is
+    // applied when the session is recorded)
+    selectSubject(subjectId, broadcast = true) {
+        this.currentSubjectId = StudySubjects.find(subjectId) ? subjectId : '';
+        this.updateSubjectPicker();
+        
+        try {
+            const settings = JSON.parse(localStorage.getItem('timerSettings') || '{}');
+            settings.currentSubjectId = this.currentSubjectId;
+            localStorage.setItem('timerSettings', JSON.stringify(settings));
+        } catch (error) {
+            console.error('Error saving subject:', error);
+        }
+        
+        this.saveTimerState();
+        if (broadcast) {
+            this.tabSync.send('subject-selected', { subjectId: this.currentSubjectId });
+        }
+        console.log('📚 Subject:', StudySubjects.getName(this.currentSubjectId));
+    }
+    
+    openSubjects() {
+        document.getElementById('subjectsModal').style.display = 'flex';
+        this.renderSubjectsList();
+        document.getElementById('newSubjectName').focus();
+    }
+    
+    closeSubjects() {
+        document.getElementById('subjectsModal').style.display = 'none';
+    }
+    
+    renderSubjectsList() {
+        const subjectsList = document.getElementById('subjectsList');
+        const subjects = StudySubjects.getAll();
+        document.getElementById('newSubjectColor').value = StudySubjects.nextColor();
+        
+        if (subjects.length === 0) {
+            subjectsList.innerHTML = `<p style="font-family: 'IBM Plex Mono', monospace; color: #888; font-size: 12px; margin: 0;">No subjects yet. Add one below to start filing sessions under it.</p>`;
+            return;
+        }
+        
+        subjectsList.innerHTML = subjects.map(subject => `
+            <div class="subject-row" data-subject-id="${StudySubjects.escapeHtml(subject.id)}">
+                <input type="color" class="subject-color-input" value="${StudySubjects.escapeHtml(subject.color)}" title="Colour">
+                <input type="text" class="subject-name-input" value="${StudySubjects.escapeHtml(subject.name)}" maxlength="40">
+                <button class="delete-subject-btn" title="Delete subject">Delete</button>
+            </div>
+        `).join('');
+    }
+    
+    addSubject() {
+        const nameInput = document.getElementById('newSubjectName');
+        try {
+            const subject = StudySubjects.add(nameInput.value, document.getElementById('newSubjectColor').value);
+            nameInput.value = '';
+            console.log('📚 Subject added:', subject);
+            this.onSubjectsChanged();
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+    
+    updateSubject(subjectId, changes) {
+        try {
+            StudySubjects.update(subjectId, changes);
+            this.onSubjectsChanged();
+        } catch (error) {
+            alert(error.message);
+            this.renderSubjectsList();
+        }
+    }
+    
+    deleteSubject(subjectId) {
+        const name = StudySubjects.getName(subjectId);
+        if (!confirm(`Delete "${name}"? Sessions filed under it will show as having no subject.`)) return;
+        
+        StudySubjects.remove(subjectId);
+        if (this.currentSubjectId === subjectId) {
+            this.selectSubject('');
+        }
+        console.log('📚 Subject deleted:', name);
+        this.onSubjectsChanged();
+    }
+    
+    onSubjectsChanged() {
+        this.renderSubjectsList();
+        this.renderSubjectOptions();
+        this.updateLogDisplay();
+        this.tabSync.send('subjects-changed');
+    }
+    
     // Analytics methods
     openAnalytics() {
         document.getElementById('analyticsModal').style.display = 'flex';
@@ -846,12 +1320,20 @@ class StudyTimer {
         const dayStats = this.getDayOfWeekStats();
         const mostActiveDay = dayStats.reduce((max, day) => day.total > max.total ? day : max);
         
+        // Time entered by hand rather than recorded by the timer
+        const manualSessions = this.studySessions.filter(session => SessionTimes.isManual(session));
+        const manualTime = manualSessions.reduce((sum, session) => sum + (session.seconds || 0), 0);
+        const manualLine = manualSessions.length > 0
+            ? `<p>Added by Hand: <strong>${Math.floor(manualTime / 3600)}h ${Math.floor((manualTime % 3600) / 60)}m</strong> (${manualSessions.length} session${manualSessions.length === 1 ? '' : 's'})</p>`
+            : '';
+        
         // Format analytics display
         analyticsContent.innerHTML = `
             <div style="margin-bottom: 20px;">
                 <h5 style="color: white; margin-bottom: 10px;"></h5>
                 <p>Total Sessions: <strong>${totalSessions}</strong></p>
                 <p>Total Study Time: <strong>${totalHours}h ${totalMinutes}m</strong></p>
+                ${manualLine}
                 <p>Average Session: <strong>${averageSessionMinutes} minutes</strong></p>
                 <p>Current Streak: <strong>${studyStreak} days</strong></p>
             </div>
@@ -860,6 +1342,8 @@ class StudyTimer {
         
         // Populate basic analytics
         this.populateBasicAnalytics();
+        this.populateSubjectTotals();
+        this.populateBreakStats();
     }
     
     getDayOfWeekStats() {
@@ -872,10 +1356,13 @@ class StudyTimer {
         
         this.studySessions.forEach(session => {
             if (session.date) {
-                const date = new Date(session.date);
-                const dayIndex = date.getDay();
-                dayStats[dayIndex].total += session.seconds || 0;
-                dayStats[dayIndex].sessions += 1;
+                // Time goes to each day the session touched; the session
+                // itself counts once, on the day it started
+                StudyDates.splitSession(session).forEach((part, index) => {
+                    const dayIndex = StudyDates.getDayOfWeek(part.date);
+                    dayStats[dayIndex].total += part.seconds;
+                    if (index === 0) dayStats[dayIndex].sessions += 1;
+                });
             }
         });
         
@@ -971,9 +1458,13 @@ class StudyTimer {
         // Create monthly progress chart
         this.createMonthlyProgressChart();
         
+        // Create weekly time per subject chart
+        this.createSubjectWeeklyChart();
+        
         // Populate text-based analytics
         this.populateStreaksContent();
         this.populateTopDaysContent();
+        this.populateSubjectTrends();
         } catch (error) {
             console.error('Error creating charts:', error);
         }
@@ -1028,9 +1519,8 @@ class StudyTimer {
         // Group sessions by hour of day
         const hourlyData = new Array(24).fill(0);
         this.studySessions.forEach(session => {
-            if (session.startTime) {
-                const startTime = new Date(session.startTime);
-                const hour = startTime.getHours();
+            if (session.timestamp) {
+                const hour = StudyDates.getHour(session.timestamp);
                 hourlyData[hour] += (session.seconds || 0) / 3600; // Convert to hours
             }
         });
@@ -1175,14 +1665,11 @@ class StudyTimer {
     createMonthlyProgressChart() {
         const ctx = document.getElementById('monthlyProgressChart').getContext('2d');
         
-        // Group sessions by month
+        // Group study days by month
         const monthlyData = {};
-        this.studySessions.forEach(session => {
-            if (session.startTime) {
-                const startTime = new Date(session.startTime);
-                const monthKey = `${startTime.getFullYear()}-${String(startTime.getMonth() + 1).padStart(2, '0')}`;
-                monthlyData[monthKey] = (monthlyData[monthKey] || 0) + (session.seconds || 0) / 3600; // Convert to hours
-            }
+        Object.entries(StudyDates.getDailyTotals(this.studySessions)).forEach(([date, seconds]) => {
+            const monthKey = date.substring(0, 7);
+            monthlyData[monthKey] = (monthlyData[monthKey] || 0) + seconds / 3600; // Convert to hours
         });
         
         // Sort months chronologically
@@ -1240,6 +1727,220 @@ class StudyTimer {
         });
     }
     
+    // Study time per subject, most studied first
+    getSubjectTotals(sessions = this.studySessions) {
+        const totals = {};
+        sessions.forEach(session => {
+            const subjectId = this.getSessionSubjectId(session);
+            if (!totals[subjectId]) {
+                totals[subjectId] = {
+                    id: subjectId,
+                    name: StudySubjects.getName(subjectId),
+                    color: StudySubjects.getColor(subjectId),
+                    seconds: 0,
+                    sessions: 0
+                };
+            }
+            totals[subjectId].seconds += session.seconds || 0;
+            totals[subjectId].sessions += 1;
+        });
+        return Object.values(totals).sort((a, b) => b.seconds - a.seconds);
+    }
+    
+    populateSubjectTotals() {
+        const subjectTotalsBasic = document.getElementById('subjectTotalsBasic');
+        if (!subjectTotalsBasic) return;
+        
+        try {
+            const totals = this.getSubjectTotals();
+            const totalSeconds = totals.reduce((sum, subject) => sum + subject.seconds, 0);
+            
+            subjectTotalsBasic.innerHTML = totals.map(subject => {
+                const percent = totalSeconds > 0 ? Math.round((subject.seconds / totalSeconds) * 100) : 0;
+                return `
+                    <div style="margin-bottom: 10px;">
+                        <div style="display: flex; justify-content: space-between; align-items: center; gap: 10px;">
+                            <span style="display: flex; align-items: center; gap: 8px;"><span class="subject-dot" style="background: ${subject.color};"></span>${StudySubjects.escapeHtml(subject.name)}</span>
+                            <span><strong>${StudyHeatmap.formatDuration(subject.seconds)}</strong> (${percent}%, ${subject.sessions} sessions)</span>
+                        </div>
+                        <div style="height: 4px; background: #333; border-radius: 2px; margin-top: 4px;">
+                            <div style="width: ${percent}%; height: 100%; background: ${subject.color}; border-radius: 2px;"></div>
+                        </div>
+                    </div>
+                `;
+            }).join('') || '<p style="color: #888;">No subject data available</p>';
+        } catch (error) {
+            console.error('Error populating subject totals:', error);
+        }
+    }
+    
+    // Interval study phases and logged breaks per day over the last week
+    populateBreakStats() {
+        const breakStatsBasic = document.getElementById('breakStatsBasic');
+        if (!breakStatsBasic) return;
+        
+        try {
+            BreakLog.load();
+            const today = this.getCurrentDate();
+            const days = Array.from({ length: 7 }, (_, index) => StudyDates.addDays(today, -index));
+            
+            const rows = days.map(date => {
+                const blocks = this.studySessions.filter(session => session.date === date && session.phaseName).length;
+                const breaks = BreakLog.summarize([date]);
+                if (blocks === 0 && breaks.breaks === 0) return '';
+                
+                const dayName = StudyDates.formatDateKey(date, { weekday: 'short', month: 'short', day: 'numeric' });
+                const breakText = breaks.breaks > 0
+                    ? ` · ${breaks.breaks} breaks${breaks.skipped ? ` (${breaks.skipped} cut short)` : ''}`
+                    : '';
+                return `<p>${dayName}: <strong>${blocks} study phases</strong>${breakText}</p>`;
+            }).join('');
+            
+            const week = BreakLog.summarize(days);
+            const adherence = week.adherence !== null
+                ? `<p>Break time taken: <strong>${week.adherence}%</strong> of ${StudyHeatmap.formatDuration(week.allowedSeconds)} planned</p>`
+                : '';
+            const hint = this.pomodoroLogBreaks
+                ? ''
+                : '<p style="color: #888;">Turn on "Log breaks" in the Pomodoro settings to track break adherence.</p>';
+            
+            breakStatsBasic.innerHTML = (rows || '<p style="color: #888;">No interval sessions this week</p>') + adherence + hint;
+        } catch (error) {
+            console.error('Error populating break stats:', error);
+        }
+    }
+    
+    // First day of the (heatmap) week a study day falls in
+    getWeekStartKey(dateKey) {
+        const firstDay = this.heatmapWeekStart === 'monday' ? 1 : 0;
+        const offset = (StudyDates.getDayOfWeek(dateKey) - firstDay + 7) % 7;
+        return StudyDates.addDays(dateKey, -offset);
+    }
+    
+    // Seconds per subject for each of the given week start keys:
+    // { subjectId: [seconds per week] }
+    getSubjectWeeklyTotals(weeks) {
+        const totals = {};
+        this.studySessions.forEach(session => {
+            if (!session.date) return;
+            const subjectId = this.getSessionSubjectId(session);
+            StudyDates.splitSession(session).forEach(part => {
+                const weekIndex = weeks.indexOf(this.getWeekStartKey(part.date));
+                if (weekIndex === -1) return;
+                if (!totals[subjectId]) {
+                    totals[subjectId] = new Array(weeks.length).fill(0);
+                }
+                totals[subjectId][weekIndex] += part.seconds;
+            });
+        });
+        return totals;
+    }
+    
+    // Subjects in the user's order, sessions without one last
+    sortSubjectIds(subjectIds) {
+        const order = StudySubjects.getAll().map(subject => subject.id);
+        const rank = (id) => id ? order.indexOf(id) : order.length;
+        return [...subjectIds].sort((a, b) => rank(a) - rank(b));
+    }
+    
+    createSubjectWeeklyChart() {
+        const ctx = document.getElementById('subjectWeeklyChart').getContext('2d');
+        
+        // The last 12 weeks, oldest first
+        const currentWeek = this.getWeekStartKey(this.getCurrentDate());
+        const weeks = Array.from({ length: 12 }, (_, i) => StudyDates.addDays(currentWeek, (i - 11) * 7));
+        const weeklyTotals = this.getSubjectWeeklyTotals(weeks);
+        
+        this.charts.subjectWeekly = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: weeks.map(week => StudyDates.formatDateKey(week, { month: 'short', day: 'numeric' })),
+                datasets: this.sortSubjectIds(Object.keys(weeklyTotals)).map(subjectId => ({
+                    label: StudySubjects.getName(subjectId),
+                    data: weeklyTotals[subjectId].map(seconds => seconds / 3600), // Convert to hours
+                    backgroundColor: StudySubjects.getColor(subjectId),
+                    borderWidth: 0
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        labels: {
+                            color: '#fff'
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        stacked: true,
+                        beginAtZero: true,
+                        ticks: {
+                            color: '#ccc'
+                        },
+                        grid: {
+                            color: 'rgba(255, 255, 255, 0.1)'
+                        }
+                    },
+                    x: {
+                        stacked: true,
+                        ticks: {
+                            color: '#ccc'
+                        },
+                        grid: {
+                            color: 'rgba(255, 255, 255, 0.1)'
+                        }
+                    }
+                }
+            }
+        });
+    }
+    
+    // This week vs last week for each subject
+    populateSubjectTrends() {
+        const subjectTrendsContent = document.getElementById('subjectTrendsContent');
+        if (!subjectTrendsContent) {
+            console.warn('Subject trends content element not found');
+            return;
+        }
+        
+        try {
+            const currentWeek = this.getWeekStartKey(this.getCurrentDate());
+            const weeks = [StudyDates.addDays(currentWeek, -7), currentWeek];
+            const weeklyTotals = this.getSubjectWeeklyTotals(weeks);
+            const subjectIds = this.sortSubjectIds(Object.keys(weeklyTotals));
+            
+            if (subjectIds.length === 0) {
+                subjectTrendsContent.innerHTML = '<p style="color: #888;">No study time in the last two weeks</p>';
+                return;
+            }
+            
+            subjectTrendsContent.innerHTML = subjectIds.map(subjectId => {
+                const [lastWeek, thisWeek] = weeklyTotals[subjectId];
+                const change = thisWeek - lastWeek;
+                const trend = change > 0
+                    ? `<span style="color: #4CAF50;">▲ ${StudyHeatmap.formatDuration(change)}</span>`
+                    : change < 0
+                        ? `<span style="color: #ff6b6b;">▼ ${StudyHeatmap.formatDuration(-change)}</span>`
+                        : '<span style="color: #888;">no change</span>';
+                return `
+                    <div style="display: flex; justify-content: space-between; align-items: center; padding: 10px; background: rgba(255, 255, 255, 0.05); margin-bottom: 8px; border-radius: 6px;">
+                        <span style="display: flex; align-items: center; gap: 8px; color: #ccc;"><span class="subject-dot" style="background: ${StudySubjects.getColor(subjectId)};"></span>${StudySubjects.escapeHtml(StudySubjects.getName(subjectId))}</span>
+                        <span style="color: white;"><strong>${StudyHeatmap.formatDuration(thisWeek)}</strong> this week · ${trend}</span>
+                    </div>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Error populating subject trends:', error);
+            subjectTrendsContent.innerHTML = `
+                <div style="text-align: center; padding: 20px; color: #888;">
+                    <p>Error loading subject trends</p>
+                </div>
+            `;
+        }
+    }
+    
     populateDetailedTextAnalytics() {
         // Populate streaks content
         this.populateStreaksContent();
@@ -1331,16 +2032,17 @@ class StudyTimer {
         let currentStreak = 0;
         let lastDate = null;
         
-        // Sort sessions by date
-        const sortedSessions = [...this.studySessions].sort((a, b) => new Date(a.date || a.startTime) - new Date(b.date || b.startTime));
+        // Every day with study time, including days a session ran into
+        // (YYYY-MM-DD keys sort chronologically)
+        const studyDays = Object.keys(StudyDates.getDailyTotals(this.studySessions)).sort();
         
-        for (let i = 0; i < sortedSessions.length; i++) {
-            const sessionDate = new Date(sortedSessions[i].date || sortedSessions[i].startTime).toDateString();
+        for (let i = 0; i < studyDays.length; i++) {
+            const sessionDate = studyDays[i];
             
             if (lastDate === null) {
                 currentStreak = 1;
             } else {
-                const daysDiff = Math.floor((new Date(sortedSessions[i].date || sortedSessions[i].startTime) - new Date(lastDate)) / (1000 * 60 * 60 * 24));
+                const daysDiff = StudyDates.daysBetween(lastDate, sessionDate);
                 if (daysDiff === 1) {
                     currentStreak++;
                 } else if (daysDiff > 1) {
@@ -1424,21 +2126,21 @@ class StudyTimer {
         let filteredSessions = [...this.studySessions];
         
         if (timeFilter !== 'all') {
-            const now = new Date();
-            const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+            // Date keys sort chronologically, so plain string comparison works
+            const today = this.getCurrentDate();
             
             filteredSessions = this.studySessions.filter(session => {
-                const sessionDate = new Date(session.date);
+                const sessionDate = session.date;
                 
                 switch (timeFilter) {
                     case 'week':
-                        const weekAgo = new Date(today.getTime() - (7 * 24 * 60 * 60 * 1000));
+                        const weekAgo = StudyDates.addDays(today, -7);
                         return sessionDate >= weekAgo;
                     case 'month':
-                        const monthAgo = new Date(today.getFullYear(), today.getMonth(), 1);
+                        const monthAgo = `${today.substring(0, 7)}-01`;
                         return sessionDate >= monthAgo;
                     case 'year':
-                        const yearAgo = new Date(today.getFullYear(), 0, 1);
+                        const yearAgo = `${today.substring(0, 4)}-01-01`;
                         return sessionDate >= yearAgo;
                     default:
                         return true;
@@ -1446,7 +2148,12 @@ class StudyTimer {
             });
         }
         
-        // Apply sorting to filtered sessions
+        // Filter by subject ('none' = sessions without one)
+        const subjectFilter = document.getElementById('logSubjectFilter').value;
+        if (subjectFilter !== 'all') {
+            const wantedSubjectId = subjectFilter === 'none' ? '' : subjectFilter;
+            filteredSessions = filteredSessions.filter(session => this.getSessionSubjectId(session) === wantedSubjectId);
+        }
         
         // Apply sorting
         filteredSessions.sort((a, b) => {
@@ -1470,8 +2177,7 @@ class StudyTimer {
             // Find the actual index in the original studySessions array
             const actualIndex = this.studySessions.findIndex(s => s === session);
             
-            const date = new Date(session.date);
-            const formattedDate = date.toLocaleDateString('en-US', { 
+            const formattedDate = StudyDates.formatDateKey(session.date, { 
                 weekday: 'long', 
                 year: 'numeric', 
                 month: 'long', 
@@ -1481,19 +2187,37 @@ class StudyTimer {
             const time = new Date(session.timestamp).toLocaleTimeString('en-US', { 
                 hour: '2-digit', 
                 minute: '2-digit',
-                hour12: true
+                hour12: true,
+                timeZone: StudyDates.getTimeZone()
             });
             
+            const phase = session.phaseName ? ` · ${StudySubjects.escapeHtml(session.phaseName)}` : '';
+            const manual = SessionTimes.isManual(session) ? ' <span class="log-entry-manual">· added by hand</span>' : '';
+            const flowtime = session.flowtime ? `<div class="log-entry-flowtime">${this.formatFlowtimeEntry(session.flowtime)}</div>` : '';
+            
+            const subjectId = this.getSessionSubjectId(session);
+            const subject = subjectId
+                ? `<div class="log-entry-subject"><span class="subject-dot" style="background: ${StudySubjects.getColor(subjectId)};"></span>${StudySubjects.escapeHtml(StudySubjects.getName(subjectId))}</div>`
+                : '';
+            
             // Show description if available
             const description = session.description ? `<div class="log-entry-description">${session.description}</div>` : '';
             const notes = session.notes ? `<div class="log-entry-notes">${session.notes}</div>` : '';
             const image = session.image ? `<div class="log-entry-image"><img src="${session.image}" alt="Session image" style="max-width: 100px; max-height: 60px; border-radius: 4px;"></div>` : '';
             
+            // Timeline of running intervals when the session was paused
+            const timeline = session.segments && session.segments.length > 1
+                ? `<div class="log-entry-timeline">${ActiveSegments.formatTimeline(session.segments)}</div>`
+                : '';
+            
             html += `
                 <div class="log-entry" data-session-index="${actualIndex}">
                     <div class="log-entry-info">
                         <div class="log-entry-date">${formattedDate}</div>
-                        <div class="log-entry-time">Started at ${time}</div>
+                        <div class="log-entry-time">Started at ${time}${phase}${manual}</div>
+                        ${subject}
+                        ${flowtime}
+                        ${timeline}
                         ${description}
                         ${notes}
                         ${image}
@@ -1513,65 +2237,165 @@ class StudyTimer {
     
     editSession(index) {
         this.currentEditingIndex = index;
+        this.addingSession = false;
         const session = this.studySessions[index];
         
         // Populate the edit form
         document.getElementById('editSessionDate').value = session.date;
+        this.fillSessionTimes(session);
+        document.getElementById('editSessionSubject').value = this.getSessionSubjectId(session);
         document.getElementById('editSessionDescription').value = session.description || '';
         document.getElementById('editSessionImage').value = session.image || '';
         document.getElementById('editSessionNotes').value = session.notes || '';
         
         // Show the modal
+        document.querySelector('#editSessionModal .modal-header h3').textContent = 'Edit Study Session';
+        document.getElementById('editSessionModal').style.display = 'flex';
+    }
+    
+    // Open the session form empty to log time studied away from the timer,
+    // starting from the hour that just ended
+    openAddSession() {
+        const end = new Date();
+        const start = new Date(end.getTime() - 60 * 60 * 1000);
+        this.currentEditingIndex = -1;
+        this.addingSession = true;
+        
+        document.getElementById('editSessionDate').value = StudyDates.getDateKey(start);
+        this.fillSessionTimes({ timestamp: start.toISOString(), seconds: 60 * 60, pausedSeconds: 0 });
+        document.getElementById('editSessionSubject').value = StudySubjects.find(this.currentSubjectId) ? this.currentSubjectId : '';
+        document.getElementById('editSessionDescription').value = '';
+        document.getElementById('editSessionImage').value = '';
+        document.getElementById('editSessionNotes').value = '';
+        
+        document.querySelector('#editSessionModal .modal-header h3').textContent = 'Add Study Session';
         document.getElementById('editSessionModal').style.display = 'flex';
     }
     
+    // Fill the start, end and studied inputs; what was shown is remembered so
+    // saving untouched times leaves the recorded ones alone
+    fillSessionTimes(session) {
+        document.getElementById('editSessionStart').value = StudyDates.getTimeValue(SessionTimes.getStart(session));
+        document.getElementById('editSessionEnd').value = StudyDates.getTimeValue(SessionTimes.getEnd(session));
+        document.getElementById('editSessionDuration').value = Math.round((session.seconds || 0) / 60);
+        this.editingPausedSeconds = session.pausedSeconds || 0;
+        this.shownSessionTimes = this.getSessionTimesKey();
+    }
+    
+    getSessionTimesKey() {
+        return ['editSessionDate', 'editSessionStart', 'editSessionEnd', 'editSessionDuration']
+            .map(id => document.getElementById(id).value)
+            .join('|');
+    }
+    
+    // Times entered in the session form; an end at or before the start is
+    // taken to be the next day
+    readSessionTimes() {
+        const date = document.getElementById('editSessionDate').value;
+        const startValue = document.getElementById('editSessionStart').value;
+        const endValue = document.getElementById('editSessionEnd').value;
+        if (!date) throw new Error('Pick the date of the session');
+        if (!startValue || !endValue) throw new Error('Enter a start and end time');
+        
+        const start = StudyDates.getMoment(date, startValue);
+        let end = StudyDates.getMoment(date, endValue);
+        if (end <= start) {
+            end = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+        }
+        const studiedSeconds = Math.round((parseFloat(document.getElementById('editSessionDuration').value) || 0) * 60);
+        return { start, end, studiedSeconds };
+    }
+    
+    // Keep the studied minutes in step when the start or end moves
+    onSessionTimesChange() {
+        try {
+            const { start, end } = this.readSessionTimes();
+            const spanSeconds = Math.round((end - start) / 1000);
+            document.getElementById('editSessionDuration').value = Math.max(1, Math.round((spanSeconds - this.editingPausedSeconds) / 60));
+        } catch (error) {
+            // Wait until both times are filled in
+        }
+    }
+    
     closeEditSessionModal() {
         document.getElementById('editSessionModal').style.display = 'none';
         this.currentEditingIndex = -1;
+        this.addingSession = false;
     }
     
     async saveEditSession() {
-        const newDate = document.getElementById('editSessionDate').value;
+        const newSubjectId = document.getElementById('editSessionSubject').value;
         const newDescription = document.getElementById('editSessionDescription').value.trim();
         const newImage = document.getElementById('editSessionImage').value.trim();
         const newNotes = document.getElementById('editSessionNotes').value.trim();
         
-        if (this.currentEditingIndex === -1) {
-            // This is a new session - update the latest session with the details
-            if (this.studySessions.length > 0) {
-                const latestSession = this.studySessions[this.studySessions.length - 1];
-                latestSession.description = newDescription || undefined;
-                latestSession.image = newImage || undefined;
-                latestSession.notes = newNotes || undefined;
-                
-                // Update timestamp if date changed
-                if (newDate !== latestSession.date) {
-                    latestSession.date = newDate;
-                    latestSession.timestamp = new Date(newDate + 'T00:00:00.000Z').toISOString();
-                }
-                
-                console.log('New session details added:', latestSession);
-                
-                // Try to update in Supabase
-                await this.updateSessionInSupabase(latestSession);
+        const editing = this.addingSession ? null
+            : this.currentEditingIndex === -1 ? this.studySessions[this.studySessions.length - 1]
+            : this.studySessions[this.currentEditingIndex];
+        
+        // Only check and rewrite the times when they were changed
+        let times = null;
+        if (this.addingSession || this.getSessionTimesKey() !== this.shownSessionTimes) {
+            try {
+                times = this.readSessionTimes();
+                SessionTimes.validate(times, this.studySessions, editing);
+            } catch (error) {
+                alert(error.message);
+                return;
             }
-        } else {
-            // This is editing an existing session
-            const session = this.studySessions[this.currentEditingIndex];
-            session.date = newDate;
+        }
+        
+        if (this.addingSession) {
+            const session = SessionTimes.apply({
+                id: ClientIds.generate(),
+                date: StudyDates.getDateKey(times.start),
+                source: 'manual'
+            }, times);
+            session.subjectId = newSubjectId || undefined;
             session.description = newDescription || undefined;
             session.image = newImage || undefined;
             session.notes = newNotes || undefined;
+            this.studySessions.push(session);
+            console.log('Session added by hand:', session);
             
-            // Update timestamp if date changed
-            if (newDate !== session.date) {
-                session.timestamp = new Date(newDate + 'T00:00:00.000Z').toISOString();
+            await this.saveStudySessions();
+            await this.createSessionInSupabase(session);
+        } else if (this.currentEditingIndex === -1) {
+            // This is a new session - update the latest session with the details
+            if (editing) {
+                editing.subjectId = newSubjectId || undefined;
+                editing.description = newDescription || undefined;
+                editing.image = newImage || undefined;
+                editing.notes = newNotes || undefined;
+                
+                if (times) {
+                    SessionTimes.apply(editing, times);
+                    editing.date = StudyDates.getDateKey(times.start);
+                    editing.source = 'manual';
+                }
+                
+                console.log('New session details added:', editing);
+                
+                // Try to update in Supabase
+                await this.updateSessionInSupabase(editing);
             }
+        } else {
+            // This is editing an existing session
+            editing.subjectId = newSubjectId || undefined;
+            editing.description = newDescription || undefined;
+            editing.image = newImage || undefined;
+            editing.notes = newNotes || undefined;
             
-            console.log('Session updated:', session);
+            if (times) {
+                SessionTimes.apply(editing, times);
+                editing.date = StudyDates.getDateKey(times.start);
+                editing.source = 'manual';
+            }
+            
+            console.log('Session updated:', editing);
             
             // Try to update in Supabase
-            await this.updateSessionInSupabase(session);
+            await this.updateSessionInSupabase(editing);
         }
         
         // Save and update displays
@@ -1586,20 +2410,85 @@ class StudyTimer {
         this.closeEditSessionModal();
     }
     
+    // Supabase row for a local session
+    toSupabaseSession(session, userId = localStorage.getItem('userId')) {
+        return {
+            ...(session.id ? { id: session.id } : {}),
+            user_id: userId,
+            session_date: session.date,
+            start_time: session.timestamp,
+            end_time: SessionTimes.getEnd(session).toISOString(),
+            duration_minutes: session.minutes,
+            paused_seconds: session.pausedSeconds || 0,
+            segments: session.segments || null,
+            subject: StudySubjects.toRecord(session.subjectId),
+            phase_name: session.phaseName || null,
+            flowtime: session.flowtime || null,
+            source: session.source || null,
+            description: session.description || null,
+            image_url: session.image || null,
+            notes: session.notes || null
+        };
+    }
+    
+    // Save a new session to Supabase, or queue it in the outbox when that fails
+    async createSessionInSupabase(sessionData) {
+        try {
+            if (window.SupabaseService && localStorage.getItem('isLoggedIn') === 'true') {
+                const userId = localStorage.getItem('userId');
+                if (userId) {
+                    const supabaseSessionData = this.toSupabaseSession(sessionData, userId);
+                    
+                    console.log('Saving to Supabase:', supabaseSessionData);
+                    
+                    const { data, error } = navigator.onLine
+                        ? await window.SupabaseService.studySessions.create(supabaseSessionData)
+                        : { data: null, error: new Error('Offline') };
+                    
+                    if (error) {
+                        console.error('Error saving to Supabase, queueing for sync:', error);
+                        await this.queueSessionOperation({
+                            type: 'create',
+                            sessionId: sessionData.id,
+                            payload: supabaseSessionData,
+                            session: sessionData
+                        });
+                    } else {
+                        console.log('Study session saved to Supabase:', data);
+                        // Update local session with Supabase ID
+                        sessionData.id = data.id;
+                        await this.saveStudySessions();
+                    }
+                } else {
+                    console.log('No user ID found, saved to localStorage only');
+                }
+            }
+        } catch (error) {
+            console.error('Error saving session:', error);
+            await this.queueSessionOperation({
+                type: 'create',
+                sessionId: sessionData.id,
+                payload: this.toSupabaseSession(sessionData),
+                session: sessionData
+            });
+        }
+    }
+    
     async updateSessionInSupabase(session) {
         try {
             if (window.SupabaseService && localStorage.getItem('isLoggedIn') === 'true' && session.id) {
-                const updates = {
-                    session_date: session.date,
-                    description: session.description || null,
-                    image_url: session.image || null,
-                    notes: session.notes || null
-                };
+                // The same mapping as new sessions, less the keys that never change
+                const { id, user_id, ...updates } = this.toSupabaseSession(session);
                 
-                const { data, error } = await window.SupabaseService.studySessions.update(session.id, updates);
+                // Sessions still waiting in the outbox are updated there instead
+                const pending = window.SyncOutbox ? await window.SyncOutbox.get(session.id).catch(() => null) : null;
+                const { data, error } = navigator.onLine && !pending
+                    ? await window.SupabaseService.studySessions.update(session.id, updates)
+                    : { data: null, error: new Error(pending ? 'Session not synced yet' : 'Offline') };
                 
                 if (error) {
-                    console.error('Error updating session in Supabase:', error);
+                    console.error('Error updating session in Supabase, queueing for sync:', error);
+                    await this.queueSessionOperation({ type: 'update', sessionId: session.id, payload: updates, session });
                 } else {
                     console.log('Session updated in Supabase:', data);
                 }
@@ -1616,9 +2505,13 @@ class StudyTimer {
             // Try to delete from Supabase first
             if (session.id && window.SupabaseService && localStorage.getItem('isLoggedIn') === 'true') {
                 try {
-                    const { error } = await window.SupabaseService.studySessions.delete(session.id);
+                    const pending = window.SyncOutbox ? await window.SyncOutbox.get(session.id).catch(() => null) : null;
+                    const { error } = navigator.onLine && !pending
+                        ? await window.SupabaseService.studySessions.delete(session.id)
+                        : { error: new Error(pending ? 'Session not synced yet' : 'Offline') };
                     if (error) {
-                        console.error('Error deleting from Supabase:', error);
+                        console.error('Error deleting from Supabase, queueing for sync:', error);
+                        await this.queueSessionOperation({ type: 'delete', sessionId: session.id });
                     } else {
                         console.log('Session deleted from Supabase');
                     }
@@ -1653,24 +2546,32 @@ class StudyTimer {
                     console.log('Raw Supabase data:', data);
                     // Convert Supabase data to local format
                     this.studySessions = data.map(session => {
-                        // Ensure date is in YYYY-MM-DD format
-                        const sessionDate = new Date(session.start_time);
-                        const formattedDate = sessionDate.toISOString().split('T')[0];
+                        // Study day in the user's timezone, as YYYY-MM-DD
+                        const formattedDate = StudyDates.getDateKey(new Date(session.start_time));
                         
                         // Calculate duration from start_time and end_time if duration_minutes is not available
                         let durationMinutes = session.duration_minutes;
                         let durationSeconds = 0;
                         
-                        if (session.start_time && session.end_time) {
+                        const segments = Array.isArray(session.segments) ? session.segments : null;
+                        
+                        if (segments && segments.length > 0) {
+                            // Active time only, pauses excluded
+                            durationSeconds = ActiveSegments.getActiveSeconds(segments);
+                            durationMinutes = Math.floor(durationSeconds / 60);
+                        } else if (session.start_time && session.end_time) {
                             const startTime = new Date(session.start_time);
                             const endTime = new Date(session.end_time);
                             const timeDiff = endTime - startTime;
-                            durationSeconds = Math.floor(timeDiff / 1000);
+                            durationSeconds = Math.max(0, Math.floor(timeDiff / 1000) - (session.paused_seconds || 0));
                             durationMinutes = Math.floor(durationSeconds / 60);
                         } else if (session.duration_minutes) {
                             durationSeconds = session.duration_minutes * 60;
                         }
                         
+                        // Subjects created on another device arrive with their sessions
+                        StudySubjects.remember(session.subject);
+                        
                         console.log('Converting Supabase session:', {
                             id: session.id,
                             date: formattedDate,
@@ -1686,12 +2587,21 @@ class StudyTimer {
                             seconds: durationSeconds,
                             minutes: durationMinutes,
                             secondsRemainder: durationSeconds % 60,
+                            pausedSeconds: session.paused_seconds || 0,
+                            segments: segments || undefined,
+                            subjectId: session.subject ? session.subject.id : undefined,
+                            phaseName: session.phase_name || undefined,
+                            flowtime: session.flowtime || undefined,
+                            source: session.source || undefined,
                             description: session.description,
                             image: session.image_url,
                             notes: session.notes
                         };
                     });
                     console.log('Loaded saved sessions from Supabase:', this.studySessions);
+                    
+                    // Show writes that are still waiting in the outbox
+                    this.studySessions = await this.applyPendingOperations(this.studySessions);
                 }
             } else {
                 // Fall back to localStorage
@@ -1708,6 +2618,7 @@ class StudyTimer {
         console.log('Session count:', this.studySessions.length);
         
         // Force a complete refresh of the display
+        this.renderSubjectOptions();
         this.updateStudyDisplay();
         
         // Also update the log display
@@ -1722,6 +2633,182 @@ class StudyTimer {
         }, 100);
     }
     
+    // Offline sync outbox
+    setupSyncOutbox() {
+        if (!window.SyncOutbox || !('indexedDB' in window)) {
+            console.log('IndexedDB not available, offline sync disabled');
+            return;
+        }
+        
+        window.addEventListener('online', () => {
+            console.log('🌐 Back online, flushing outbox...');
+            this.flushOutbox();
+        });
+        
+        // The service worker flushed the outbox in the background
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'outbox-flushed') {
+                    this.loadStudySessions();
+                    this.reportRejectedOperations();
+                }
+            });
+        }
+        
+        // Keep the service worker's copy of the access token current
+        if (window.SupabaseService && window.SupabaseService.isSupabaseReady()) {
+            window.SupabaseService.auth.onAuthStateChange((event, session) => {
+                if ((event === 'SIGNED_IN' || event === 'TOKEN_REFRESHED') && session) {
+                    this.storeOutboxAuth(session);
+                }
+            });
+        }
+        
+        this.flushOutbox();
+        this.reportRejectedOperations();
+    }
+    
+    async queueSessionOperation(operation) {
+        if (!window.SyncOutbox || !operation.sessionId) return;
+        
+        try {
+            await window.SyncOutbox.enqueue(operation);
+            console.log(`📥 Queued ${operation.type} for session ${operation.sessionId}`);
+            await this.registerBackgroundSync();
+        } catch (error) {
+            console.error('Error queueing session operation:', error);
+        }
+    }
+    
+    async registerBackgroundSync() {
+        try {
+            const { data } = await window.supabaseClient.auth.getSession();
+            if (data && data.session) {
+                await this.storeOutboxAuth(data.session);
+            }
+            
+            if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+                const registration = await navigator.serviceWorker.ready;
+                if (registration.sync) {
+                    await registration.sync.register('background-sync');
+                }
+            }
+        } catch (error) {
+            console.log('Background sync registration failed:', error);
+        }
+    }
+    
+    // Give the service worker what it needs to call the REST API
+    async storeOutboxAuth(session) {
+        try {
+            await window.SyncOutbox.setAuth({
+                url: window.SupabaseService.SUPABASE_CONFIG.url,
+                anonKey: window.SupabaseService.SUPABASE_CONFIG.anonKey,
+                accessToken: session.access_token,
+                expiresAt: session.expires_at ? session.expires_at * 1000 : null
+            });
+        } catch (error) {
+            console.error('Error storing outbox credentials:', error);
+        }
+    }
+    
+    async flushOutbox() {
+        if (!window.SyncOutbox || !navigator.onLine) return;
+        if (!window.SupabaseService || localStorage.getItem('isLoggedIn') !== 'true') return;
+        
+        if (this.isFlushingOutbox) return;
+        this.isFlushingOutbox = true;
+        
+        try {
+            const { sent, failed, rejected } = await window.SyncOutbox.flush((entry) => this.sendOutboxEntry(entry));
+            if (sent > 0 || rejected > 0) {
+                await this.loadStudySessions();
+            }
+            if (rejected > 0) {
+                await this.reportRejectedOperations();
+            }
+            if (failed > 0) {
+                await this.registerBackgroundSync();
+            }
+        } catch (error) {
+            console.error('Error flushing outbox:', error);
+        } finally {
+            this.isFlushingOutbox = false;
+        }
+    }
+    
+    async sendOutboxEntry(entry) {
+        const service = window.SupabaseService.studySessions;
+        
+        if (entry.type === 'create') {
+            const { error } = await service.upsert(entry.payload);
+            return this.getOutboxResult(error);
+        }
+        if (entry.type === 'update') {
+            const { error } = await service.update(entry.sessionId, entry.payload);
+            // PGRST116: the row is gone, nothing left to update
+            return error && error.code === 'PGRST116' ? true : this.getOutboxResult(error);
+        }
+        if (entry.type === 'delete') {
+            const { error } = await service.delete(entry.sessionId);
+            return this.getOutboxResult(error);
+        }
+        return true;
+    }
+    
+    // Bad data, a constraint or a missing column (SQLSTATE classes 22, 23
+    // and 42, PostgREST request and schema errors) fails the same way every
+    // time; network, JWT and other errors are worth retrying
+    getOutboxResult(error) {
+        if (!error) return true;
+        const code = error.code || '';
+        return /^(22|23|42|PGRST[12])/.test(code) ? window.SyncOutbox.REJECTED : false;
+    }
+    
+    // Tell the user about queued changes the server refused, which were dropped
+    async reportRejectedOperations() {
+        if (!window.SyncOutbox) return;
+        
+        try {
+            const rejected = await window.SyncOutbox.takeRejected();
+            if (rejected.length === 0) return;
+            
+            console.error('Session changes rejected by Supabase:', rejected);
+            const dates = [...new Set(rejected.map(entry => entry.session && entry.session.date).filter(Boolean))];
+            alert(`${rejected.length} study session change${rejected.length === 1 ? ' was' : 's were'} refused by the server and could not be saved to your account` +
+                (dates.length > 0 ? ` (sessions from ${dates.join(', ')}).` : '.'));
+        } catch (error) {
+            console.error('Error reading rejected outbox operations:', error);
+        }
+    }
+    
+    async applyPendingOperations(sessions) {
+        if (!window.SyncOutbox) return sessions;
+        
+        try {
+            const entries = await window.SyncOutbox.getAll();
+            let result = [...sessions];
+            
+            entries.forEach(entry => {
+                const index = result.findIndex(session => session.id === entry.sessionId);
+                if (entry.type === 'delete') {
+                    if (index !== -1) result.splice(index, 1);
+                } else if (entry.session) {
+                    if (index === -1) {
+                        result.push(entry.session);
+                    } else {
+                        result[index] = { ...result[index], ...entry.session };
+                    }
+                }
+            });
+            
+            return result;
+        } catch (error) {
+            console.error('Error reading outbox:', error);
+            return sessions;
+        }
+    }
+    
     loadFromLocalStorage() {
         try {
             const localData = localStorage.getItem('studyData');
@@ -1757,6 +2844,9 @@ class StudyTimer {
             localStorage.setItem('studyData', JSON.stringify(data));
             console.log('Study sessions saved to localStorage');
             
+            // Let other open tabs refresh their heatmap and log
+            this.tabSync.send('sessions-changed');
+            
         } catch (error) {
             console.log('Error saving study sessions:', error);
         }
@@ -1765,16 +2855,13 @@ class StudyTimer {
     updateStudyDisplay() {
         console.log('Updating display with', this.studySessions.length, 'sessions');
         
-        // Clean up old sessions outside the 365-day window
-        this.cleanupOldSessions();
-        
-        if (this.studySessions.length === 0) {
+        if (this.getAllSessions().length === 0) {
             this.heatmapContainer.innerHTML = '<p style="color: #666; font-size: 14px; font-family: \'IBM Plex Mono\', monospace;">No study sessions yet. Start studying to track your progress!</p>';
             return;
         }
         
-        // Create heatmap data for the last 365 days
-        const heatmapData = this.createHeatmapData();
+        // Create heatmap data for the last 365 days or the selected year
+        const heatmapData = this.createHeatmapData(this.heatmapYear);
         
         console.log('Study sessions:', this.studySessions);
         console.log('Heatmap data:', heatmapData);
@@ -1797,154 +2884,31 @@ class StudyTimer {
         console.log(`Date Range: ${startDate} to ${endDate} (${dateKeys.length} days)`);
         console.log(`Total Study Time: ${totalHours}h ${totalMinutes}m`);
         console.log(`Current Streak: ${currentStreak} days`);
-        console.log(`Days Studied: ${daysWithStudy}/365 (${Math.round((daysWithStudy / 365) * 100)}%)`);
+        console.log(`Days Studied: ${daysWithStudy}/${dateKeys.length} (${Math.round((daysWithStudy / dateKeys.length) * 100)}%)`);
         console.log(`Average Study Time per Day: ${averageStudyTime}m`);
         console.log('========================');
         
         let html = '<div style="text-align: center; margin: 0 auto; display: flex; flex-direction: column; align-items: center;">';
         
-        // Create heatmap data for the last 365 days
-        html += '<div style="display: flex; flex-direction: column; gap: 2px; align-items: center;">';
-        
-        // Add month labels at the top - positioned above the grid columns
-        const monthLabels = ['Sep', 'Oct', 'Nov', 'Dec', 'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug'];
-        html += '<div style="display: flex; gap: 1px; margin-bottom: 8px; font-family: \'IBM Plex Mono\', monospace; font-size: 10px; color: #8b949e; margin-left: 38px;">';
-        
-        // Create month labels with more realistic spacing
-        // Each month has roughly 4-5 weeks, so we'll adjust the spacing
-        let currentWeek = 0;
-        monthLabels.forEach((month, monthIndex) => {
-            // More realistic month lengths (some months have 4 weeks, some have 5)
-            const weeksInMonth = monthIndex === 0 ? 4 : (monthIndex % 2 === 0 ? 4 : 5); // Alternating pattern
-            const monthWidth = weeksInMonth * 12; // 12px per week
-            
-            // Add month label
-            html += `<div style="width: ${monthWidth}px; text-align: center; font-size: 10px;">${month}</div>`;
-            currentWeek += weeksInMonth;
+        // Year selector for browsing older history
+        html += this.renderHeatmapYearSelector();
+        
+        // Calendar-aligned grid from the shared heatmap component
+        const heatmap = new StudyHeatmap({
+            weekStart: this.heatmapWeekStart,
+            colorScale: this.heatmapColorScale,
+            today: this.getCurrentDate(),
+            cellAttributes: (dateKey) => this.hackMode ? `data-hack-date="${dateKey}"` : '',
+            tooltipSuffix: () => this.hackMode ? ' (Click to add time)' : '',
+            splitSession: (session) => StudyDates.splitSession(session)
         });
-        
-        // Fill remaining weeks if needed - extend to cover exactly 365 days
-        const weeksNeeded = Math.ceil(365 / 7);
-        while (currentWeek < weeksNeeded) {
-            html += '<div style="width: 12px; text-align: center; font-size: 10px;"></div>';
-            currentWeek++;
-        }
-        html += '</div>';
-        
-        // Add day of week labels on the left - dynamically adjust based on today
-        const today = new Date();
-        const todayDayOfWeek = today.getDay(); // 0 = Sunday, 1 = Monday, etc.
-        
-        // Create dynamic day order starting from today's day of the week
-        const dynamicDays = [];
-        for (let i = 0; i < 7; i++) {
-            const dayIndex = (todayDayOfWeek + i) % 7;
-            dynamicDays.push(['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][dayIndex]);
-        }
-        
-        console.log('Today is:', dynamicDays[0], 'Day order:', dynamicDays);
-        
-        // Create the main grid: 7 rows (days) x exactly 365 days
-        const totalDays = Object.keys(heatmapData).length;
-        const totalWeeks = Math.ceil(totalDays / 7);
-        
-        console.log('Grid creation - Total days:', totalDays, 'Total weeks needed:', totalWeeks);
-        
-        for (let dayIndex = 0; dayIndex < 7; dayIndex++) {
-            html += '<div style="display: flex; gap: 1px; align-items: center;">';
-            
-            // Add day label on the left - use dynamic order
-            html += `<div style="width: 30px; text-align: right; margin-right: 8px; font-family: 'IBM Plex Mono', monospace; font-size: 10px; color: #8b949e;">${dynamicDays[dayIndex]}</div>`;
-            
-            // Add week columns for this day - only for the weeks we have data
-            for (let weekIndex = 0; weekIndex < totalWeeks; weekIndex++) {
-                const dayOffset = weekIndex * 7 + dayIndex;
-                const dateKey = Object.keys(heatmapData).sort()[dayOffset];
-                
-                if (dateKey) {
-                    const totalSeconds = heatmapData[dateKey];
-                    let color = '#161b22'; // No time studied (dark)
-                    
-                    // Light color gradient: more time = more white, all study sessions are clearly visible
-                    if (totalSeconds > 0 && totalSeconds <= 300) color = '#6A6B6A';      // 0-5 minutes (light gray)
-                    else if (totalSeconds > 300 && totalSeconds <= 600) color = '#818180';      // 5-10 minutes (lighter gray)
-                    else if (totalSeconds > 600 && totalSeconds <= 1200) color = '#999999';      // 10-20 minutes
-                    else if (totalSeconds > 1200 && totalSeconds <= 2400) color = '#B1B0B0';      // 20-40 minutes
-                    else if (totalSeconds > 2400 && totalSeconds <= 3600) color = '#CBC8C9';      // 40-60 minutes
-                    else if (totalSeconds > 3600 && totalSeconds <= 4800) color = '#DCDDDC';      // 60-80 minutes
-                    else if (totalSeconds > 4800 && totalSeconds <= 6000) color = '#ECEDED';      // 80-100 minutes
-                    else if (totalSeconds > 6000 && totalSeconds <= 7200) color = '#F3F3F2';      // 100-120 minutes
-                    else if (totalSeconds > 7200 && totalSeconds <= 9000) color = '#F9F7F6';      // 120-150 minutes
-                    else if (totalSeconds > 9000 && totalSeconds <= 10200) color = '#FDFDFD';      // 150-170 minutes
-                    else if (totalSeconds > 10200 && totalSeconds <= 12000) color = '#FDFDFD';      // 170-200 minutes
-                    else if (totalSeconds > 12000 && totalSeconds <= 15000) color = '#FDFDFD';      // 200-250 minutes
-                    else if (totalSeconds > 15000 && totalSeconds <= 18000) color = '#ffffff';      // 250-300 minutes
-                    else if (totalSeconds > 18000 && totalSeconds <= 21600) color = '#ffffff';      // 300-360 minutes (5-6 hours)
-                    else if (totalSeconds > 21600 && totalSeconds <= 25200) color = '#ffffff';      // 360-420 minutes (6-7 hours)
-                    else if (totalSeconds > 25200 && totalSeconds <= 28800) color = '#ffffff';      // 420-480 minutes (7-8 hours)
-                    else if (totalSeconds > 28800 && totalSeconds <= 32400) color = '#ffffff';      // 480-540 minutes (8-9 hours)
-                    else if (totalSeconds > 32400 && totalSeconds <= 36000) color = '#ffffff';      // 540-600 minutes (9-10 hours)
-                    else if (totalSeconds > 36000) color = '#ffffff';                       // 600+ minutes (10+ hours - pure white)
-                    
-                    // Format display time
-                    let displayTime;
-                    if (totalSeconds < 60) {
-                        displayTime = `${totalSeconds}s`;
-                    } else if (totalSeconds < 3600) {
-                        const minutes = Math.floor(totalSeconds / 60);
-                        const seconds = totalSeconds % 60;
-                        if (seconds === 0) {
-                            displayTime = `${minutes}m`;
-                        } else {
-                            displayTime = `${minutes}m ${seconds}s`;
-                        }
-                    } else {
-                        const hours = Math.floor(totalSeconds / 3600);
-                        const minutes = Math.floor((totalSeconds % 3600) / 60); 
-                        if (minutes === 0) {
-                            displayTime = `${hours}h`;
-                        } else {
-                            displayTime = `${hours}h ${minutes}m`;
-                        }
-                    }
-                    
-                    // Format date for better display
-                    const dateObj = new Date(dateKey);
-                    const formattedDate = dateObj.toLocaleDateString('en-US', { 
-                        weekday: 'short', 
-                        month: 'short', 
-                        day: 'numeric',
-                        year: 'numeric'
-                    });
-                    
-                    // Check if this is today
-                    const today = this.getCurrentDate();
-                    const isToday = dateKey === today;
-                    
-                    // Add special styling for today
-                    const todayStyle = isToday ? 'border: 2px solidrgba(255, 204, 0, 0.46); box-shadow: 0 0 5pxrgba(255, 204, 0, 0.52);' : '';
-                    
-                    // Add hack mode click functionality
-                    const hackDataAttr = this.hackMode ? `data-hack-date="${dateKey}"` : '';
-                    const hackCursor = this.hackMode ? 'cursor: pointer;' : 'cursor: pointer;';
-                    
-                    html += `<div style="width: 12px; height: 12px; background-color: ${color}; border-radius: 2px; border: 1px solid #30363d; ${hackCursor} ${todayStyle}; transition: all 0.2s ease;" onmouseover="this.style.transform='scale(1.3)'; this.style.zIndex='10';" onmouseout="this.style.transform='scale(1)'; this.style.zIndex='1';" title="${formattedDate}: ${displayTime} studied${isToday ? ' (Today)' : ''}${this.hackMode ? ' (Click to add time)' : ''}" ${hackDataAttr}></div>`;
-                } else {
-                    // Empty day (no date)
-                    html += '<div style="width: 12px; height: 12px; background-color: transparent; border: 1px solid transparent;"></div>';
-                }
-            }
-            
-            html += '</div>'; // Close day row
-        }
-        
-        html += '</div>'; // Close the main flex container
+        html += heatmap.render({ startDate, endDate, sessions: this.getAllSessions() });
         
         // Add statistics below the heatmap
         const statsTotalStudyTime = Object.values(heatmapData).reduce((sum, seconds) => sum + seconds, 0);
         const statsTotalHours = Math.floor(statsTotalStudyTime / 3600);
         const statsTotalMinutes = Math.floor((statsTotalStudyTime % 3600) / 60);
-        const totalSessions = this.studySessions.length;
+        const totalSessions = this.getAllSessions().filter(session => heatmapData[session.date] !== undefined).length;
         
         // Format total time display
         let timeDisplay;
@@ -1956,90 +2920,119 @@ class StudyTimer {
         
         html += `
             <div style="margin-top: 16px; text-align: center; font-family: 'IBM Plex Mono', monospace; font-size: 12px; color: #666;">
-                ${timeDisplay} total • ${totalSessions} sessions
+                ${timeDisplay} total • ${totalSessions} sessions${this.heatmapYear ? ` in ${this.heatmapYear}` : ''}
             </div>
         `;
         
         this.heatmapContainer.innerHTML = html;
+        
+        const yearSelect = document.getElementById('heatmapYearSelect');
+        if (yearSelect) {
+            yearSelect.addEventListener('change', (e) => {
+                this.heatmapYear = e.target.value ? parseInt(e.target.value, 10) : null;
+                this.updateStudyDisplay();
+            });
+        }
+    }
+    
+    // Every session we know about, including archived history: loadStudySessions
+    // pages through studySessions.getAll, so years past the first 1000 rows count
+    getAllSessions() {
+        return this.studySessions;
     }
     
-    cleanupOldSessions() {
-        const today = new Date();
-        const cutoffDate = new Date(today);
-        cutoffDate.setDate(today.getDate() - 365); // Remove sessions older than 365 days
+    // Years that have at least one session, newest first
+    getSessionYears() {
+        const years = new Set(this.getAllSessions()
+            .filter(session => session.date)
+            .map(session => parseInt(session.date.substring(0, 4), 10)));
+        years.add(new Date().getUTCFullYear());
+        return [...years].sort((a, b) => b - a);
+    }
+    
+    renderHeatmapYearSelector() {
+        const years = this.getSessionYears();
         
-        const cutoffDateString = cutoffDate.toISOString().split('T')[0];
+        // Nothing to browse until there is history from an earlier year
+        if (years.length < 2 && !this.heatmapYear) {
+            return '';
+        }
         
-        const initialCount = this.studySessions.length;
-        this.studySessions = this.studySessions.filter(session => {
-            return session.date >= cutoffDateString;
-        });
+        const options = [`<option value="" ${!this.heatmapYear ? 'selected' : ''}>Last 12 months</option>`]
+            .concat(years.map(year => `<option value="${year}" ${this.heatmapYear === year ? 'selected' : ''}>${year}</option>`))
+            .join('');
         
-        const removedCount = initialCount - this.studySessions.length;
-        if (removedCount > 0) {
-            console.log(`Cleaned up ${removedCount} old study sessions older than ${cutoffDateString}`);
-            // Save the cleaned data
-            this.saveStudySessions();
-        }
+        return `<select id="heatmapYearSelect" style="align-self: flex-end; margin-bottom: 10px; font-family: 'IBM Plex Mono', monospace; font-size: 11px; padding: 4px 6px; border-radius: 4px; border: 1px solid #30363d; background: #161b22; color: #8b949e; cursor: pointer;">${options}</select>`;
     }
     
     calculateCurrentStreak(heatmapData) {
-        const dates = Object.keys(heatmapData).sort().reverse(); // Sort from newest to oldest
-        let streak = 0;
+        const dates = Object.keys(heatmapData).sort();
+        if (dates.length === 0) return 0;
         
-        for (const date of dates) {
-            if (heatmapData[date] > 0) {
-                streak++;
-            } else {
-                break; // Break on first day with no study time
-            }
+        // Count back from today (or the end of a past year being viewed)
+        const today = this.getCurrentDate();
+        let date = heatmapData[today] !== undefined ? today : dates[dates.length - 1];
+        
+        // Today still counts as part of the streak until it is over
+        if (date === today && !(heatmapData[date] > 0)) {
+            date = StudyDates.addDays(date, -1);
+        }
+        
+        let streak = 0;
+        while (heatmapData[date] > 0) {
+            streak++;
+            date = StudyDates.addDays(date, -1);
         }
         
         return streak;
     }
     
+    // Today's study day in the user's timezone and day start hour
     getCurrentDate() {
-        return new Date().toISOString().split('T')[0];
+        return StudyDates.today();
     }
     
-    createHeatmapData() {
+    createHeatmapData(year = null) {
         const heatmapData = {};
-        const today = new Date();
-        
-        // Calculate start date as exactly 365 days ago from today
-        // This ensures the first block shows exactly one year ago and includes today
-        const startDate = new Date(today);
-        startDate.setDate(today.getDate() - 364); // 364 days ago + today = 365 days total
+        const today = this.getCurrentDate();
         
-        console.log('Today:', today.toISOString().split('T')[0]);
-        console.log('Start date (365 days ago):', startDate.toISOString().split('T')[0]);
+        let startDate;
+        let endDate;
+        if (year) {
+            // A full calendar year
+            startDate = `${year}-01-01`;
+            endDate = `${year}-12-31`;
+        } else {
+            // Start exactly 364 days before today so the window includes today
+            startDate = StudyDates.addDays(today, -364);
+            endDate = today;
+        }
         
-        // Create data for exactly 365 days from start date to today (inclusive)
-        const currentDate = new Date(startDate);
-        let dayCount = 0;
+        console.log('Today:', today);
+        console.log('Start date:', startDate);
         
-        while (dayCount < 365) {
-            const dateKey = currentDate.toISOString().split('T')[0];
+        // Create data for every day from start date (inclusive)
+        for (let dateKey = startDate; dateKey <= endDate; dateKey = StudyDates.addDays(dateKey, 1)) {
             heatmapData[dateKey] = 0;
-            currentDate.setDate(currentDate.getDate() + 1);
-            dayCount++;
         }
         
         console.log('Created heatmap data for exactly', Object.keys(heatmapData).length, 'days');
         console.log('Date range:', Object.keys(heatmapData)[0], 'to', Object.keys(heatmapData)[Object.keys(heatmapData).length - 1]);
         
         // Fill in study session data
-        console.log('Processing', this.studySessions.length, 'sessions for heatmap');
+        const sessions = this.getAllSessions();
+        console.log('Processing', sessions.length, 'sessions for heatmap');
         console.log('Today\'s date:', this.getCurrentDate());
         console.log('Today\'s date in heatmap data:', heatmapData[this.getCurrentDate()]);
         
-        this.studySessions.forEach(session => {
-            console.log('Processing session:', session.date, 'with', session.seconds, 'seconds');
-            if (heatmapData[session.date] !== undefined) {
-                heatmapData[session.date] += session.seconds || 0;
-                console.log('Added', session.seconds || 0, 'seconds for', session.date, 'Total now:', heatmapData[session.date]);
+        // Sessions that run past the start of a new day count towards both days
+        Object.entries(StudyDates.getDailyTotals(sessions)).forEach(([date, seconds]) => {
+            console.log('Processing day:', date, 'with', seconds, 'seconds');
+            if (heatmapData[date] !== undefined) {
+                heatmapData[date] += seconds;
+                console.log('Added', seconds, 'seconds for', date, 'Total now:', heatmapData[date]);
             } else {
-                console.log('Session date not in current 365-day window:', session.date, 'Available dates:', Object.keys(heatmapData).slice(0, 5), '...');
+                console.log('Session date not in current heatmap window:', date);
             }
         });
         
@@ -2058,10 +3051,17 @@ class StudyTimer {
     }
     
     start() {
+        if (this.mirroring) {
+            console.log('Timer is running in another tab');
+            return;
+        }
         if (!this.isRunning) {
             this.isRunning = true;
             this.isPaused = false; // Reset paused state when starting
             this.startTime = new Date();
+            this.activeSegments = [];
+            // A Flowtime break is not study time
+            this.segmentStart = this.flowtimeOnBreak ? null : this.startTime;
             
             // Enable focus mode - hide study icons and make timer bigger
             this.enableFocusMode();
@@ -2078,29 +3078,31 @@ class StudyTimer {
             // Hide other UI elements when timer is running
             this.hideOtherUI();
             
-            // For Pomodoro mode, ensure we start fresh if this is after a reset
+            // For interval mode, ensure we start fresh if this is after a reset
             if (this.timerMode === 'pomodoro') {
-                // Always start from study phase, never from break
+                // Always start from a study phase, never from a break
                 if (this.pomodoroIsBreak) {
-                    console.log('🔄 Resetting Pomodoro to study phase before starting');
-                    this.pomodoroPhase = 'study';
-                    this.pomodoroIsBreak = false;
-                    this.pomodoroCurrentSession = 0;
-                }
-                
-                // Track when this study session starts
-                if (!this.pomodoroIsBreak) {
-                    // If this is the first session or we don't have a start time, set it now
-                    if (!this.pomodoroStudyStartTime) {
-                        this.pomodoroStudyStartTime = new Date();
-                        console.log('🔄 First study session start time recorded:', this.pomodoroStudyStartTime);
-                    }
+                    console.log('🔄 Resetting interval sequence to its first phase before starting');
+                    this.resetPhases();
+                } else {
+                    this.setPhase(this.pomodoroPhaseIndex);
                 }
                 
-                // Set time to study duration
-                this.timeLeft = Math.round(this.pomodoroStudyMinutes * 60);
+                // Track when this study phase starts
+                this.pomodoroStudyStartTime = this.startTime;
                 this.updateDisplay();
-                console.log('🔄 Starting Pomodoro study session');
+                console.log('🔄 Starting interval phase:', this.getCurrentPhase().name);
+            }
+            
+            // A Flowtime focus block joins the run if its last break just ended
+            if (this.timerMode === 'flowtime' && !this.flowtimeOnBreak) {
+                if (!this.flowtimeRunId || !Flowtime.continuesRun(this.flowtimeLastBreakEnd, this.startTime)) {
+                    this.flowtimeRunId = Flowtime.generateRunId();
+                    this.flowtimeBlock = 0;
+                }
+                this.flowtimeBlock++;
+                this.timeLeft = 0;
+                console.log(`🌊 Starting flow block ${this.flowtimeBlock}`);
             }
             
             // Replace play button with stop button
@@ -2125,105 +3127,508 @@ class StudyTimer {
             `;
             
             // Start the timer/stopwatch
-            this.interval = setInterval(() => {
-                if (this.timerMode === 'timer') {
-                    // Countdown timer
-                    this.timeLeft--;
-                    this.updateDisplay();
-                    
-                    if (this.timeLeft <= 0) {
-                        this.handleStop();
-                    }
-                } else if (this.timerMode === 'pomodoro') {
-                    // Pomodoro timer
-                    this.timeLeft--;
-                    this.updateDisplay();
-                    
-                    if (this.timeLeft <= 0) {
-                        this.handlePomodoroComplete();
-                    }
-                } else {
-                    // Stopwatch
-                    this.timeLeft++;
-                    this.updateDisplay();
-                }
-            }, 1000);
+            PhaseNotifications.requestPermission();
+            this.runEngine();
             
             // Update display immediately to show the change
+            this.saveTimerState();
             this.updateDisplay();
         } else {
             console.log('Timer is already running, cannot start again');
         }
     }
     
+    // Keep the display in step with the timer engine. The saved state holds
+    // target times rather than the seconds shown, so ticks don't save it.
+    handleEngineTick(seconds) {
+        if (this.pauseAtSessionLimit()) return;
+        this.timeLeft = seconds;
+        this.updateDisplay();
+    }
+    
+    handleEngineComplete() {
+        // The owning tab finishes mirrored timers
+        if (this.mirroring) return;
+        if (this.timerMode === 'pomodoro') {
+            this.handlePhaseComplete();
+        } else {
+            if (this.timerMode === 'flowtime' && this.flowtimeOnBreak) {
+                this.showPomodoroNotification("Break's Over!", 'Start another flow block when you are ready.');
+            }
+            this.handleStop();
+        }
+    }
+    
+    // Run the engine from the current timeLeft: counting down in timer and
+    // Pomodoro modes and on Flowtime breaks, counting up as a stopwatch and
+    // during Flowtime focus
+    runEngine() {
+        if (this.isOpenEnded()) {
+            this.timerEngine.startStopwatch(this.timeLeft);
+        } else {
+            this.timerEngine.startCountdown(this.timeLeft);
+        }
+        this.schedulePhaseNotification();
+    }
+    
+    // Have the service worker announce the end of the countdown, in case this
+    // tab is throttled in the background or closed by then
+    schedulePhaseNotification() {
+        const targetEnd = this.timerEngine.getTargetEnd();
+        if (!targetEnd) {
+            this.scheduleSessionLimitNotification();
+            return;
+        }
+        
+        let title = "Time's up!";
+        let body = 'Your focus session is complete. Nice work!';
+        if (this.timerMode === 'pomodoro') {
+            const phase = this.getCurrentPhase();
+            const nextPhase = this.pomodoroEndAfterPhase ? null : this.getNextPhase();
+            if (this.pomodoroEndAfterPhase) {
+                title = 'Cycle Ended!';
+                body = `${phase.name} finished. That's the end of this ${this.getIntervalSequence().name} cycle.`;
+            } else if (!nextPhase) {
+                title = 'Sequence Complete!';
+                body = `${phase.name} finished. That's the end of ${this.getIntervalSequence().name}.`;
+            } else {
+                title = nextPhase.study ? `${nextPhase.name} Time!` : `${nextPhase.name}!`;
+                body = `${phase.name} finished. ${nextPhase.name} for ${nextPhase.minutes} minutes.`;
+            }
+        } else if (this.timerMode === 'flowtime') {
+            title = "Break's Over!";
+            body = 'Start another flow block when you are ready.';
+        }
+        
+        PhaseNotifications.schedule({ id: 'phase-end', title, body, at: targetEnd });
+    }
+    
+    // An open-ended session pauses itself at the length limit; say so even
+    // if nobody is looking at the tab
+    scheduleSessionLimitNotification() {
+        const limitTime = this.isOpenEnded() ? this.getSessionLimitTime() : null;
+        if (!limitTime) return;
+        
+        PhaseNotifications.schedule({
+            id: 'phase-end',
+            title: 'Timer Paused',
+            body: `This session reached ${this.maxSessionHours} hours, the longest one can run. Resume it or stop to save it.`,
+            at: limitTime.getTime()
+        });
+    }
+    
+    cancelPhaseNotification() {
+        PhaseNotifications.cancel('phase-end');
+    }
+    
     handleStop() {
         this.stop().catch(error => {
             console.error('Error stopping timer:', error);
         });
     }
     
-    handlePomodoroComplete() {
-        if (this.pomodoroPhase === 'study') {
-            // Study session completed
+    // Interval phases
+    
+    getPomodoroSettings() {
+        return {
+            studyMinutes: this.pomodoroStudyMinutes,
+            breakMinutes: this.pomodoroBreakMinutes,
+            longBreakMinutes: this.pomodoroLongBreakMinutes,
+            sessionsBeforeLongBreak: this.pomodoroSessionsBeforeLongBreak
+        };
+    }
+    
+    // The selected sequence, falling back to Pomodoro if it was deleted
+    getIntervalSequence() {
+        return IntervalSequences.find(this.intervalSequenceId, this.getPomodoroSettings()) ||
+               IntervalSequences.buildPomodoro(this.getPomodoroSettings());
+    }
+    
+    getCurrentPhase() {
+        const phases = this.getIntervalSequence().phases;
+        return phases[this.pomodoroPhaseIndex] || phases[0];
+    }
+    
+    // The phase after the current one, or null when a one-off sequence ends
+    getNextPhase() {
+        const sequence = this.getIntervalSequence();
+        const nextIndex = this.pomodoroPhaseIndex + 1;
+        if (nextIndex < sequence.phases.length) return sequence.phases[nextIndex];
+        return sequence.repeat ? sequence.phases[0] : null;
+    }
+    
+    setPhase(index) {
+        const phases = this.getIntervalSequence().phases;
+        this.pomodoroPhaseIndex = index >= 0 && index < phases.length ? index : 0;
+        
+        const phase = phases[this.pomodoroPhaseIndex];
+        this.pomodoroPhase = IntervalSequences.getPhaseKind(phase);
+        this.pomodoroIsBreak = !phase.study;
+        this.pomodoroAwaitingStart = false;
+        this.pomodoroPhaseExtraSeconds = 0;
+        this.timeLeft = Math.round(phase.minutes * 60);
+    }
+    
+    resetPhases() {
+        this.pomodoroCurrentSession = 0;
+        this.pomodoroEndAfterPhase = false;
+        this.setPhase(0);
+    }
+    
+    // Full length of the current phase, including any time added to it
+    getCurrentPhaseSeconds() {
+        return Math.round(this.getCurrentPhase().minutes * 60) + this.pomodoroPhaseExtraSeconds;
+    }
+    
+    // Phase runner: record a finished study phase on its own (or log a break),
+    // then move on to the next phase, or finish when the sequence or cycle ends
+    handlePhaseComplete() {
+        const sequence = this.getIntervalSequence();
+        const phase = this.getCurrentPhase();
+        
+        if (phase.study) {
             this.pomodoroCurrentSession++;
-            console.log(`🎯 Study session ${this.pomodoroCurrentSession} completed!`);
-            console.log('📅 Study start time was:', this.pomodoroStudyStartTime);
-            
-            // Check if it's time for a long break
-            if (this.pomodoroCurrentSession % this.pomodoroSessionsBeforeLongBreak === 0) {
-                // Long break
-                this.pomodoroPhase = 'longBreak';
-                this.timeLeft = this.pomodoroLongBreakMinutes * 60;
-                this.pomodoroIsBreak = true;
-                
-                // Show notification
-                this.showPomodoroNotification('Long Break Time!', `Take a ${this.pomodoroLongBreakMinutes}-minute break. You've completed ${this.pomodoroCurrentSession} study sessions!`);
-            } else {
-                // Short break
-                this.pomodoroPhase = 'break';
-                this.timeLeft = this.pomodoroBreakMinutes * 60;
-                this.pomodoroIsBreak = true;
-                
-                // Show notification
-                this.showPomodoroNotification('Break Time!', `Take a ${this.pomodoroBreakMinutes}-minute break. Session ${this.pomodoroCurrentSession} completed!`);
-            }
+            console.log(`🎯 ${phase.name} completed! (${this.pomodoroCurrentSession} study phases so far)`);
             
-            // Save the completed study session (only study sessions, not breaks)
             if (this.pomodoroStudyStartTime) {
-                console.log('💾 Recording study session...');
-                // Temporarily set startTime to study start time for recording
+                console.log('💾 Recording study phase...');
+                // Temporarily set startTime to the phase's start for recording
                 const originalStartTime = this.startTime;
                 this.startTime = this.pomodoroStudyStartTime;
-                
-                // Record the study session
                 this.recordStudySession();
-                
-                // Restore original start time
                 this.startTime = originalStartTime;
-                
-                // DON'T clear study start time yet - we need it for manual stop during break
-                // this.pomodoroStudyStartTime = null;
-                
-                console.log('✅ Study session recorded successfully');
+                // Recorded now, so a later stop doesn't record it again
+                this.pomodoroStudyStartTime = null;
             } else {
                 console.log('⚠️ No study start time found, cannot record session');
             }
         } else {
-            // Break completed, start next study session
-            this.pomodoroPhase = 'study';
-            this.timeLeft = Math.round(this.pomodoroStudyMinutes * 60);
-            this.pomodoroIsBreak = false;
-            
-            // Track when this study session starts
+            this.logBreak(phase);
+        }
+        
+        const nextPhase = this.pomodoroEndAfterPhase ? null : this.getNextPhase();
+        if (!nextPhase) {
+            this.finishSequence(sequence);
+            return;
+        }
+        
+        this.setPhase((this.pomodoroPhaseIndex + 1) % sequence.phases.length);
+        if (nextPhase.study) {
+            // Each study phase is recorded as its own session
             this.pomodoroStudyStartTime = new Date();
-            
-            // Show notification
-            this.showPomodoroNotification('Study Time!', `Break finished. Time to focus for ${this.pomodoroStudyMinutes} minutes!`);
+            this.activeSegments = [];
+            this.segmentStart = this.pomodoroStudyStartTime;
+        }
+        
+        const title = nextPhase.study ? `${nextPhase.name} Time!` : `${nextPhase.name}!`;
+        this.showPomodoroNotification(title, `${phase.name} finished. ${nextPhase.name} for ${nextPhase.minutes} minutes.`);
+        
+        // Update display and continue with the next phase, or wait for play
+        // when auto-start is off for it
+        const autoStart = nextPhase.study ? this.pomodoroAutoStartFocus : this.pomodoroAutoStartBreaks;
+        if (!autoStart) {
+            this.holdPhase();
+        } else if (this.isPaused) {
+            this.resume();
+        } else if (this.isRunning) {
+            this.runEngine();
+        } else {
+            this.start();
+        }
+        this.updateDisplay();
+        this.saveTimerState();
+    }
+    
+    // Stop at the start of the next phase until play is pressed
+    holdPhase() {
+        this.timerEngine.stop();
+        this.cancelPhaseNotification();
+        this.segmentStart = null;
+        this.isRunning = false;
+        this.isPaused = true;
+        this.pomodoroAwaitingStart = true;
+        this.showTimerControls(true, true);
+        console.log('⏸️ Waiting for play to start', this.getCurrentPhase().name);
+    }
+    
+    // Flow control: skip the rest of a break, add time to the current phase,
+    // or end the cycle once the current phase is done
+    
+    isIntervalActive() {
+        return this.timerMode === 'pomodoro' && (this.isRunning || this.isPaused);
+    }
+    
+    skipBreak() {
+        if (!this.isIntervalActive() || !this.pomodoroIsBreak) return;
+        if (this.mirroring) {
+            this.sendTimerCommand('skip-break');
+            return;
+        }
+        console.log('⏭️ Skipping', this.getCurrentPhase().name);
+        if (this.isRunning) {
+            this.timeLeft = this.timerEngine.stop();
+        }
+        this.cancelPhaseNotification();
+        this.handlePhaseComplete();
+    }
+    
+    extendPhase(minutes = 5) {
+        if (!this.isIntervalActive()) return;
+        if (this.mirroring) {
+            this.sendTimerCommand('extend-phase');
+            return;
+        }
+        if (this.isRunning) {
+            this.timeLeft = this.timerEngine.stop();
+        }
+        this.timeLeft += minutes * 60;
+        this.pomodoroPhaseExtraSeconds += minutes * 60;
+        console.log(`➕ Added ${minutes} minutes to`, this.getCurrentPhase().name);
+        
+        if (this.isRunning) {
+            this.runEngine();
         }
+        this.updateDisplay();
+        this.saveTimerState();
+    }
+    
+    toggleEndCycle() {
+        if (!this.isIntervalActive()) return;
+        if (this.mirroring) {
+            this.sendTimerCommand('end-cycle');
+            return;
+        }
+        this.pomodoroEndAfterPhase = !this.pomodoroEndAfterPhase;
+        console.log(this.pomodoroEndAfterPhase ? '🏁 Cycle will end after this phase' : '🔁 Cycle will carry on');
         
-        // Update display and continue timer
+        if (this.isRunning) {
+            this.schedulePhaseNotification();
+        }
         this.updateDisplay();
+        this.saveTimerState();
+    }
+    
+    // Flow control buttons only show while an interval sequence runs
+    updatePhaseActions() {
+        const phaseActions = document.getElementById('phaseActions');
+        if (!phaseActions) return;
+        
+        phaseActions.style.display = this.isIntervalActive() ? 'flex' : 'none';
+        document.getElementById('skipBreakBtn').style.display = this.pomodoroIsBreak ? 'inline-block' : 'none';
+        document.getElementById('endCycleBtn').classList.toggle('active', this.pomodoroEndAfterPhase);
+    }
+    
+    // Log a break as a non-study entry, if break logging is on. Call before
+    // leaving the phase, while timeLeft still shows what was left of it.
+    logBreak(phase) {
+        if (!this.pomodoroLogBreaks) return;
+        
+        const plannedSeconds = Math.round(phase.minutes * 60);
+        const takenSeconds = Math.max(0, plannedSeconds + this.pomodoroPhaseExtraSeconds - this.timeLeft);
+        const breakStart = new Date(Date.now() - takenSeconds * 1000);
+        
+        const entry = BreakLog.add({
+            date: StudyDates.getDateKey(breakStart),
+            timestamp: breakStart.toISOString(),
+            sequenceName: this.getIntervalSequence().name,
+            phaseName: phase.name,
+            kind: IntervalSequences.getPhaseKind(phase),
+            plannedSeconds,
+            extendedSeconds: this.pomodoroPhaseExtraSeconds,
+            takenSeconds
+        });
+        console.log('☕ Break logged:', entry);
+    }
+    
+    // A one-off sequence (e.g. an exam simulation) ran to the end
+    finishSequence(sequence) {
+        console.log(`🏁 ${sequence.name} complete`);
+        this.pomodoroIsBreak = !this.getCurrentPhase().study;
+        if (this.pomodoroEndAfterPhase) {
+            this.showPomodoroNotification('Cycle Ended!', `You finished this ${sequence.name} cycle. Great work!`);
+        } else {
+            this.showPomodoroNotification('Sequence Complete!', `You finished ${sequence.name}. Great work!`);
+        }
+        
+        this.resetPomodoro();
+        this.disableFocusMode();
+        document.querySelector('.timer-controls').classList.remove('paused');
+        this.showEditSessionForNewSession();
+    }
+    
+    // Flowtime breaks
+    
+    getFlowtimeSettings() {
+        return {
+            rule: this.flowtimeBreakRule,
+            ratio: this.flowtimeRatio,
+            table: this.flowtimeTable
+        };
+    }
+    
+    isOnBreak() {
+        return (this.timerMode === 'pomodoro' && this.pomodoroIsBreak) ||
+               (this.timerMode === 'flowtime' && this.flowtimeOnBreak);
+    }
+    
+    // The session recorded for the current run's latest focus block
+    findFlowtimeSession() {
+        return this.studySessions.find(session => session.flowtime &&
+            session.flowtime.runId === this.flowtimeRunId &&
+            session.flowtime.block === this.flowtimeBlock) || null;
+    }
+    
+    // Offer the break the focus block just recorded has earned. Resolves true
+    // if the break started.
+    async offerFlowtimeBreak() {
+        const session = this.findFlowtimeSession();
+        const earnedSeconds = session ? session.flowtime.earnedBreakSeconds : 0;
+        if (!earnedSeconds) return false;
+        
+        const focusText = StudyHeatmap.formatDuration(session.seconds);
+        const breakText = StudyHeatmap.formatDuration(earnedSeconds);
+        if (!confirm(`You focused for ${focusText} and earned a ${breakText} break. Start it now?`)) {
+            // Skipping the break ends the run
+            await this.recordFlowtimeBreak(0);
+            this.flowtimeRunId = null;
+            return false;
+        }
+        
+        console.log(`☕ Starting ${breakText} Flowtime break`);
+        this.flowtimeOnBreak = true;
+        this.flowtimeBreakSeconds = earnedSeconds;
+        this.timeLeft = earnedSeconds;
         this.start();
+        return true;
+    }
+    
+    // Note how much of its break a focus block's session actually got
+    async recordFlowtimeBreak(breakSeconds) {
+        this.flowtimeOnBreak = false;
+        this.flowtimeLastBreakEnd = new Date();
+        
+        const session = this.findFlowtimeSession();
+        if (!session) {
+            console.log('⚠️ No Flowtime session found for this break');
+            return;
+        }
+        
+        session.flowtime.breakSeconds = Math.max(0, Math.round(breakSeconds));
+        console.log('☕ Flowtime break recorded:', session.flowtime);
+        await this.saveStudySessions();
+        await this.updateSessionInSupabase(session);
+        this.updateLogDisplay();
+    }
+    
+    // Settings: sequence picker and builder
+    
+    populateSequenceOptions(selectedId) {
+        const select = document.getElementById('intervalSequence');
+        const sequences = IntervalSequences.getAll(this.getPomodoroSettings());
+        const option = (sequence) => `<option value="${sequence.id}">${StudySubjects.escapeHtml(sequence.name)}</option>`;
+        
+        select.innerHTML = `
+            <optgroup label="Built in">${sequences.filter(sequence => sequence.builtIn).map(option).join('')}</optgroup>
+            ${sequences.some(sequence => !sequence.builtIn)
+                ? `<optgroup label="Your sequences">${sequences.filter(sequence => !sequence.builtIn).map(option).join('')}</optgroup>`
+                : ''}
+        `;
+        select.value = IntervalSequences.find(selectedId) ? selectedId : 'pomodoro';
+        this.onSequenceChange();
+    }
+    
+    onSequenceChange() {
+        const sequence = IntervalSequences.find(document.getElementById('intervalSequence').value, this.getPomodoroSettings());
+        if (!sequence) return;
+        
+        // Pomodoro keeps its own four settings; custom sequences use the builder
+        document.getElementById('pomodoroNumbers').style.display = sequence.id === 'pomodoro' ? 'block' : 'none';
+        document.getElementById('sequenceSummary').textContent = sequence.id === 'pomodoro' ? '' : IntervalSequences.describe(sequence);
+        
+        if (sequence.builtIn) {
+            this.editingSequence = null;
+            document.getElementById('sequenceBuilder').style.display = 'none';
+        } else {
+            this.editingSequence = JSON.parse(JSON.stringify(sequence));
+            this.renderSequenceBuilder();
+        }
+    }
+    
+    newSequence() {
+        this.editingSequence = {
+            id: null,
+            name: '',
+            repeat: true,
+            phases: [
+                { name: 'Focus', minutes: 50, study: true },
+                { name: 'Break', minutes: 10, study: false }
+            ]
+        };
+        document.getElementById('pomodoroNumbers').style.display = 'none';
+        document.getElementById('sequenceSummary').textContent = '';
+        this.renderSequenceBuilder();
+        document.getElementById('sequenceName').focus();
+    }
+    
+    renderSequenceBuilder() {
+        const sequence = this.editingSequence;
+        document.getElementById('sequenceBuilder').style.display = 'block';
+        document.getElementById('sequenceName').value = sequence.name;
+        document.getElementById('sequenceRepeat').checked = sequence.repeat;
+        document.getElementById('deleteSequenceBtn').style.display = sequence.id ? 'inline-block' : 'none';
+        
+        document.getElementById('sequencePhases').innerHTML = sequence.phases.map((phase, index) => `
+            <div class="sequence-phase-row" data-phase-index="${index}">
+                <input type="text" class="phase-name-input" value="${StudySubjects.escapeHtml(phase.name)}" placeholder="Phase name" maxlength="30">
+                <input type="number" class="phase-minutes-input" value="${phase.minutes}" min="1" max="600" title="Minutes">
+                <label><input type="checkbox" class="phase-study-input" ${phase.study ? 'checked' : ''}> Study</label>
+                <button type="button" class="sequence-btn remove-phase-btn" title="Remove phase">✕</button>
+            </div>
+        `).join('');
+    }
+    
+    // Copy the builder's inputs back into the draft
+    readSequenceBuilder() {
+        const sequence = this.editingSequence;
+        sequence.name = document.getElementById('sequenceName').value;
+        sequence.repeat = document.getElementById('sequenceRepeat').checked;
+        sequence.phases = Array.from(document.querySelectorAll('#sequencePhases .sequence-phase-row')).map(row => ({
+            name: row.querySelector('.phase-name-input').value,
+            minutes: parseFloat(row.querySelector('.phase-minutes-input').value) || 0,
+            study: row.querySelector('.phase-study-input').checked
+        }));
+        return sequence;
+    }
+    
+    addSequencePhase() {
+        const sequence = this.readSequenceBuilder();
+        const lastPhase = sequence.phases[sequence.phases.length - 1];
+        sequence.phases.push(lastPhase && lastPhase.study
+            ? { name: 'Break', minutes: 10, study: false }
+            : { name: 'Focus', minutes: 50, study: true });
+        this.renderSequenceBuilder();
+    }
+    
+    saveSequence() {
+        try {
+            const saved = IntervalSequences.save(this.readSequenceBuilder());
+            this.populateSequenceOptions(saved.id);
+            console.log('💾 Interval sequence saved:', saved);
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+    
+    deleteSequence() {
+        const sequence = this.editingSequence;
+        if (!sequence || !sequence.id) return;
+        if (!confirm(`Delete the "${sequence.name}" sequence?`)) return;
+        
+        IntervalSequences.remove(sequence.id);
+        if (this.intervalSequenceId === sequence.id && !this.isRunning && !this.isPaused) {
+            this.intervalSequenceId = 'pomodoro';
+        }
+        this.populateSequenceOptions(this.intervalSequenceId);
     }
     
     showPomodoroNotification(title, message) {
@@ -2270,7 +3675,8 @@ class StudyTimer {
         
         // Also try to show browser notification if available
         if ('Notification' in window && Notification.permission === 'granted') {
-            new Notification(title, { body: message, icon: '/favicon.ico' });
+            // Same tag as the scheduled phase-end notification, so it replaces it
+            new Notification(title, { body: message, icon: '/favicon.ico', tag: 'studo-phase-end' });
         }
     }
     
@@ -2279,15 +3685,14 @@ class StudyTimer {
         if (this.isRunning) {
             this.isRunning = false;
             this.isPaused = false;
-            clearInterval(this.interval);
+            this.timerEngine.stop();
         }
+        this.cancelPhaseNotification();
         
         // Reset all Pomodoro state
-        this.pomodoroCurrentSession = 0;
-        this.pomodoroPhase = 'study';
-        this.pomodoroIsBreak = false;
+        this.resetPhases();
         this.pomodoroStudyStartTime = null; // Clear study start time
-        this.timeLeft = Math.round(this.pomodoroStudyMinutes * 60);
+        this.clearTimerState();
         
         // Exit fullscreen mode if we're in it
         const container = document.querySelector('.container');
@@ -2326,39 +3731,6 @@ class StudyTimer {
         console.log('🔄 Pomodoro completely reset to initial state');
     }
     
-    // Additional method to force complete Pomodoro reset
-    forceResetPomodoro() {
-        console.log('🔄 Force resetting Pomodoro cycle');
-        
-        // Clear any ongoing timers
-        if (this.interval) {
-            clearInterval(this.interval);
-            this.interval = null;
-        }
-        
-        // Reset all state
-        this.isRunning = false;
-        this.isPaused = false;
-        // Note: startTime is preserved for session recording
-        this.pomodoroCurrentSession = 0;
-        this.pomodoroPhase = 'study';
-        this.pomodoroIsBreak = false;
-        this.pomodoroStudyStartTime = null; // Clear study start time
-        this.timeLeft = Math.round(this.pomodoroStudyMinutes * 60);
-        
-        // Exit fullscreen
-        const container = document.querySelector('.container');
-        if (container && container.classList.contains('fullscreen')) {
-            container.classList.remove('fullscreen');
-            this.showOtherUI();
-        }
-        
-        // Reset UI
-        this.updateDisplay();
-        
-        console.log('✅ Pomodoro cycle completely reset');
-    }
-    
     handlePauseResume() {
         this.pauseButtonClickCount++;
         console.log('=== handlePauseResume called (click #' + this.pauseButtonClickCount + ') ===');
@@ -2373,7 +3745,6 @@ class StudyTimer {
             this.resume();
         } else {
             console.log('❌ Invalid state - cannot pause/resume');
-            this.logTimerState();
         }
         
         console.log('After action - isRunning =', this.isRunning, 'isPaused =', this.isPaused);
@@ -2387,14 +3758,25 @@ class StudyTimer {
         }
     }
     
-    pause() {
+    // `at` backdates the pause, e.g. to when a length limit was reached
+    pause(at = null) {
+        if (this.mirroring) {
+            this.sendTimerCommand('pause');
+            return;
+        }
         console.log('=== pause() called ===');
         console.log('Input state: isRunning =', this.isRunning, 'isPaused =', this.isPaused);
         
         if (this.isRunning) {
             this.isRunning = false;
             this.isPaused = true;
-            clearInterval(this.interval);
+            this.timeLeft = this.timerEngine.stop();
+            this.cancelPhaseNotification();
+            ActiveSegments.end(this, at || new Date());
+            if (at && this.isOpenEnded()) {
+                // Show the study time up to the backdated pause
+                this.timeLeft = ActiveSegments.getActiveSeconds(this.activeSegments);
+            }
             
             // Keep focus mode active when paused
             // this.disableFocusMode(); // Don't disable focus mode when paused
@@ -2408,18 +3790,21 @@ class StudyTimer {
             
             // Add paused visual state
             document.querySelector('.timer-controls').classList.add('paused');
+            this.saveTimerState();
             
             console.log('✅ Timer paused successfully - button now shows play icon (▶️)');
-            this.logTimerState();
         } else {
             console.log('❌ Cannot pause - timer is not running');
-            this.logTimerState();
         }
         
         console.log('=== pause() end ===');
     }
     
     resume() {
+        if (this.mirroring) {
+            this.sendTimerCommand('resume');
+            return;
+        }
         console.log('=== resume() called ===');
         console.log('Input state: isRunning =', this.isRunning, 'isPaused =', this.isPaused);
         
@@ -2427,6 +3812,18 @@ class StudyTimer {
             this.isRunning = true;
             this.isPaused = false;
             
+            // A held study phase starts now, not when the previous phase ended
+            if (this.pomodoroAwaitingStart) {
+                this.pomodoroAwaitingStart = false;
+                if (!this.pomodoroIsBreak) {
+                    this.pomodoroStudyStartTime = new Date();
+                    this.activeSegments = [];
+                }
+            }
+            if (!this.isOnBreak()) {
+                ActiveSegments.begin(this);
+            }
+            
             // Keep focus mode active when resuming
             // this.enableFocusMode(); // Focus mode should already be active
             
@@ -2441,48 +3838,27 @@ class StudyTimer {
             document.querySelector('.timer-controls').classList.remove('paused');
             
             // Restart the timer
-            this.interval = setInterval(() => {
-                if (this.timerMode === 'timer') {
-                    if (this.timeLeft > 0) {
-                        this.timeLeft--;
-                        this.updateDisplay();
-                    } else {
-                        this.stop();
-                    }
-                } else if (this.timerMode === 'pomodoro') {
-                    // Ensure we're not resuming from a break state
-                    if (this.pomodoroIsBreak) {
-                        console.log('🔄 Cannot resume Pomodoro from break state, resetting to study');
-                        this.forceResetPomodoro();
-                        return;
-                    }
-                    
-                    if (this.timeLeft > 0) {
-                        this.timeLeft--;
-                        this.updateDisplay();
-                    } else {
-                        this.handlePomodoroComplete();
-                    }
-                } else {
-                    this.timeLeft++;
-                    this.updateDisplay();
-                }
-            }, 1000);
+            this.runEngine();
+            this.saveTimerState();
             
             console.log('✅ Timer resumed successfully - button now shows pause icon (⏸️)');
-            this.logTimerState();
         } else {
             console.log('❌ Cannot resume - timer is not paused');
-            this.logTimerState();
         }
         
         console.log('=== resume() end ===');
     }
     
     async stop() {
+        if (this.mirroring) {
+            this.sendTimerCommand('stop');
+            return;
+        }
         this.isRunning = false;
         this.isPaused = false; // Reset paused state when stopping
-        clearInterval(this.interval);
+        this.timerEngine.stop();
+        this.cancelPhaseNotification();
+        this.clearTimerState();
         
         // Disable focus mode - show study icons and restore normal timer size
         this.disableFocusMode();
@@ -2505,64 +3881,33 @@ class StudyTimer {
         }
         
         // Record study session if it was running and not in break mode
-        if (this.startTime && !(this.timerMode === 'pomodoro' && this.pomodoroIsBreak)) {
+        if (this.timerMode === 'flowtime' && this.flowtimeOnBreak) {
+            // Ending a Flowtime break, early or on time
+            await this.recordFlowtimeBreak(this.flowtimeBreakSeconds - this.timeLeft);
+        } else if (this.timerMode === 'pomodoro' && (this.pomodoroIsBreak || this.pomodoroAwaitingStart)) {
+            // Earlier study phases were recorded as they finished, and a
+            // phase still waiting for play never ran
+            console.log('🛑 Interval cycle stopped between study phases');
+            if (this.pomodoroIsBreak) {
+                this.logBreak(this.getCurrentPhase());
+            }
+            if (this.pomodoroCurrentSession > 0) {
+                this.showEditSessionForNewSession();
+            }
+        } else if (this.startTime) {
             console.log('Recording study session...');
+            // In interval mode only the current study phase is left to record
+            if (this.timerMode === 'pomodoro' && this.pomodoroStudyStartTime) {
+                this.startTime = this.pomodoroStudyStartTime;
+            }
             await this.recordStudySession();
             
+            // Flowtime goes straight into the break it earned, if wanted
+            const breakStarted = this.timerMode === 'flowtime' && await this.offerFlowtimeBreak();
+            
             // Automatically show edit session modal for the NEW session
             this.showEditSessionForNewSession();
-        } else if (this.timerMode === 'pomodoro' && this.pomodoroIsBreak) {
-            console.log('🛑 Break session stopped - recording completed study session and resetting Pomodoro');
-            console.log('🔍 Debug info:');
-            console.log('  - pomodoroStudyStartTime:', this.pomodoroStudyStartTime);
-            console.log('  - current startTime:', this.startTime);
-            console.log('  - pomodoroCurrentSession:', this.pomodoroCurrentSession);
-            console.log('  - pomodoroPhase:', this.pomodoroPhase);
-            console.log('  - pomodoroIsBreak:', this.pomodoroIsBreak);
-            
-            // Record the completed study session that came before this break
-            if (this.pomodoroStudyStartTime) {
-                console.log('💾 Recording completed study session from before break...');
-                
-                // Temporarily set startTime to study start time for recording
-                const originalStartTime = this.startTime;
-                this.startTime = this.pomodoroStudyStartTime;
-                
-                console.log('📝 Using study start time for recording:', this.startTime);
-                
-                await this.recordStudySession();
-                
-                // Check if session was actually recorded
-                console.log('🔍 After recording - studySessions array length:', this.studySessions.length);
-                if (this.studySessions.length > 0) {
-                    const lastSession = this.studySessions[this.studySessions.length - 1];
-                    console.log('📊 Last recorded session:', lastSession);
-                }
-                
-                // Show edit session modal for the completed session
-                this.showEditSessionForNewSession();
-                
-                // Restore original start time and clear study start time
-                this.startTime = originalStartTime;
-                this.pomodoroStudyStartTime = null;
-                
-                console.log('✅ Session recording complete, study start time cleared');
-            } else {
-                console.log('⚠️ No study start time found, trying to use current startTime...');
-                
-                // Fallback: try to record using current startTime if available
-                if (this.startTime) {
-                    console.log('🔄 Using current startTime as fallback for session recording');
-                    await this.recordStudySession();
-                    this.showEditSessionForNewSession();
-                } else {
-                    console.log('❌ No start time available, cannot record session');
-                }
-            }
-            
-            // Now reset Pomodoro completely
-            this.forceResetPomodoro();
-            return; // Exit early to prevent further processing
+            if (breakStarted) return;
         } else {
             console.log('No start time, not recording session');
         }
@@ -2570,6 +3915,9 @@ class StudyTimer {
         // Reset timer based on mode
         if (this.timerMode === 'timer') {
             this.timeLeft = this.focusMinutes * 60;
+        } else if (this.timerMode === 'pomodoro') {
+            this.resetPhases();
+            this.pomodoroStudyStartTime = null;
         } else {
             this.timeLeft = 0;
         }
@@ -2595,15 +3943,556 @@ class StudyTimer {
         console.log('Button reset complete, ready for next session');
     }
     
-    // Debug method to check timer state
-    logTimerState() {
-        console.log('=== Timer State Debug ===');
-        console.log('isRunning:', this.isRunning);
-        console.log('isPaused:', this.isPaused);
-        console.log('timeLeft:', this.timeLeft);
-        console.log('timerMode:', this.timerMode);
-        console.log('interval:', this.interval ? 'active' : 'null');
-        console.log('========================');
+    // Cross-tab coordination: only the tab that owns the running timer runs and
+    // records it. Other tabs mirror its state and send it their button presses.
+    setupTabSync() {
+        this.tabSync = new TabSync();
+        this.mirroring = false;
+        this.mirrorOwnerId = null;
+        this.lastMirrorUpdate = 0;
+        
+        this.tabSync
+            .on('timer-state', (message) => this.handleRemoteTimerState(message))
+            .on('timer-stopped', (message) => {
+                if (this.mirroring && message.from === this.mirrorOwnerId) {
+                    this.lastMirrorUpdate = Date.now();
+                    this.endMirroring();
+                }
+            })
+            .on('owner-leaving', (message) => {
+                if (!this.mirroring || message.from !== this.mirrorOwnerId) return;
+                // Stagger so only one tab takes over; the others then mirror it
+                setTimeout(() => {
+                    if (this.mirroring && this.mirrorOwnerId === message.from) {
+                        this.adoptTimer();
+                    }
+                }, 50 + Math.random() * 200);
+            })
+            .on('timer-command', (message) => this.handleTabCommand(message.action))
+            .on('who-owns-timer', () => {
+                if (this.ownsTimer()) this.broadcastTimerState();
+            })
+            .on('sessions-changed', () => this.reloadSessionsFromOtherTab())
+            .on('subjects-changed', () => {
+                StudySubjects.load();
+                this.renderSubjectOptions();
+                this.renderSubjectsList();
+                this.updateLogDisplay();
+            })
+            .on('subject-selected', (message) => this.selectSubject(message.subjectId, false));
+        
+        // Let another tab carry on if this one closes mid-session
+        window.addEventListener('pagehide', () => {
+            if (this.ownsTimer()) {
+                this.tabSync.send('owner-leaving');
+            }
+        });
+    }
+    
+    ownsTimer() {
+        return !this.mirroring && (this.isRunning || this.isPaused);
+    }
+    
+    broadcastTimerState(state = this.loadTimerState()) {
+        if (state) this.tabSync.send('timer-state', { state });
+    }
+    
+    handleRemoteTimerState(message) {
+        if (this.ownsTimer()) {
+            // Both tabs think they own the timer: the lower id keeps it
+            if (this.tabSync.outranks(message.from)) {
+                this.broadcastTimerState();
+                return;
+            }
+            console.log('🔀 Another tab owns the timer, mirroring it instead');
+        }
+        
+        this.mirroring = true;
+        this.mirrorOwnerId = message.from;
+        this.lastMirrorUpdate = Date.now();
+        this.applyMirrorState(message.state);
+    }
+    
+    // Show another tab's timer here without running or recording it
+    applyMirrorState(state) {
+        this.timerMode = state.timerMode;
+        if (state.subjectId !== undefined && state.subjectId !== this.currentSubjectId) {
+            this.selectSubject(state.subjectId, false);
+        }
+        if (state.intervalSequenceId) this.intervalSequenceId = state.intervalSequenceId;
+        this.pomodoroPhaseIndex = state.pomodoroPhaseIndex || 0;
+        this.pomodoroPhase = state.pomodoroPhase || 'study';
+        this.pomodoroIsBreak = !!state.pomodoroIsBreak;
+        this.pomodoroCurrentSession = state.pomodoroCurrentSession || 0;
+        this.pomodoroAwaitingStart = !!state.pomodoroAwaitingStart;
+        this.pomodoroPhaseExtraSeconds = state.pomodoroPhaseExtraSeconds || 0;
+        this.pomodoroEndAfterPhase = !!state.pomodoroEndAfterPhase;
+        this.flowtimeOnBreak = !!state.flowtimeOnBreak;
+        this.flowtimeBreakSeconds = state.flowtimeBreakSeconds || 0;
+        this.flowtimeRunId = state.flowtimeRunId || null;
+        this.flowtimeBlock = state.flowtimeBlock || 0;
+        this.startTime = new Date(state.startTime);
+        this.isPaused = state.isPaused;
+        this.isRunning = !state.isPaused;
+        
+        if (state.isPaused) {
+            this.timerEngine.stop();
+            this.timeLeft = state.timeLeft;
+        } else if (state.targetEndTime) {
+            this.timerEngine.startCountdownUntil(new Date(state.targetEndTime).getTime());
+            this.timeLeft = this.timerEngine.getSeconds();
+        } else {
+            // State is only sent when it changes, so count up from the
+            // recorded segments rather than the seconds shown when it was sent
+            this.timeLeft = state.segmentStart
+                ? ActiveSegments.getActiveSeconds([...(state.segments || []), { start: state.segmentStart, end: new Date().toISOString() }])
+                : state.timeLeft;
+            this.timerEngine.startStopwatch(this.timeLeft);
+        }
+        
+        this.showTimerControls(true, state.isPaused);
+        this.updateDisplay();
+    }
+    
+    endMirroring() {
+        this.mirroring = false;
+        this.mirrorOwnerId = null;
+        this.isRunning = false;
+        this.isPaused = false;
+        this.startTime = null;
+        this.timerEngine.stop();
+        this.resetPhases();
+        this.flowtimeOnBreak = false;
+        if (this.timerMode !== 'pomodoro') {
+            this.timeLeft = this.timerMode === 'timer' ? Math.round(this.focusMinutes * 60) : 0;
+        }
+        this.showTimerControls(false, false);
+        this.updateDisplay();
+    }
+    
+    // Carry on with the owning tab's session here (it closed or stopped answering)
+    adoptTimer() {
+        const state = this.loadTimerState();
+        this.endMirroring();
+        if (state) {
+            console.log('🔀 Taking over the timer from another tab');
+            this.resumeUnfinishedTimer(state);
+        }
+    }
+    
+    sendTimerCommand(action) {
+        const sentAt = Date.now();
+        this.tabSync.send('timer-command', { action });
+        
+        // No reply means the owning tab is gone: take over and do it here
+        setTimeout(() => {
+            if (this.mirroring && this.lastMirrorUpdate < sentAt) {
+                this.adoptTimer();
+                this.handleTabCommand(action);
+            }
+        }, 1000);
+    }
+    
+    handleTabCommand(action) {
+        if (!this.ownsTimer()) return;
+        console.log('🔀 Timer command from another tab:', action);
+        if (action === 'pause') {
+            this.pause();
+        } else if (action === 'resume') {
+            this.resume();
+        } else if (action === 'stop') {
+            this.handleStop();
+        } else if (action === 'skip-break') {
+            this.skipBreak();
+        } else if (action === 'extend-phase') {
+            this.extendPhase();
+        } else if (action === 'end-cycle') {
+            this.toggleEndCycle();
+        }
+    }
+    
+    // Another tab saved sessions: pick them up so the heatmap and log match
+    reloadSessionsFromOtherTab() {
+        this.loadFromLocalStorage();
+        this.updateStudyDisplay();
+        this.updateLogDisplay();
+    }
+    
+    // Timer buttons and layout for a running (or paused) timer vs an idle one
+    showTimerControls(active, paused) {
+        this.playBtn.innerHTML = active
+            ? `
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M6 6H18V18H6V6Z" fill="white"/>
+                </svg>
+            `
+            : `
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M8 5V19L19 12L8 5Z" fill="white"/>
+                </svg>
+            `;
+        this.playBtn.removeEventListener('click', active ? this.startFunction : this.stopFunction);
+        this.playBtn.addEventListener('click', active ? this.stopFunction : this.startFunction);
+        this.pauseBtn.innerHTML = paused
+            ? `
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M8 5V19L19 12L8 5Z" fill="white"/>
+                </svg>
+            `
+            : `
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M6 4H10V20H6V4ZM14 4H18V20H14V4Z" fill="white"/>
+                </svg>
+            `;
+        
+        document.querySelector('.timer-controls').classList.toggle('paused', paused);
+        document.querySelector('.container').classList.toggle('fullscreen', active);
+        
+        if (active) {
+            this.enableFocusMode();
+            this.hideOtherUI();
+        } else {
+            this.disableFocusMode();
+            this.showOtherUI();
+        }
+    }
+    
+    // Live timer state, saved on every tick so a reload or crash can pick the
+    // session back up
+    saveTimerState() {
+        if (this.mirroring) return;
+        if (!this.isRunning && !this.isPaused) return;
+        if (!this.startTime) return;
+        
+        const now = new Date();
+        const state = {
+            timerMode: this.timerMode,
+            startTime: this.startTime.toISOString(),
+            isPaused: this.isPaused,
+            segments: this.activeSegments,
+            segmentStart: this.segmentStart ? this.segmentStart.toISOString() : null,
+            timeLeft: this.timeLeft,
+            targetEndTime: this.isRunning && this.timerEngine.getTargetEnd() ? new Date(this.timerEngine.getTargetEnd()).toISOString() : null,
+            intervalSequenceId: this.intervalSequenceId,
+            pomodoroPhaseIndex: this.pomodoroPhaseIndex,
+            pomodoroPhase: this.pomodoroPhase,
+            pomodoroIsBreak: this.pomodoroIsBreak,
+            pomodoroCurrentSession: this.pomodoroCurrentSession,
+            pomodoroStudyStartTime: this.pomodoroStudyStartTime ? this.pomodoroStudyStartTime.toISOString() : null,
+            pomodoroAwaitingStart: this.pomodoroAwaitingStart,
+            pomodoroPhaseExtraSeconds: this.pomodoroPhaseExtraSeconds,
+            pomodoroEndAfterPhase: this.pomodoroEndAfterPhase,
+            flowtimeOnBreak: this.flowtimeOnBreak,
+            flowtimeBreakSeconds: this.flowtimeBreakSeconds,
+            flowtimeRunId: this.flowtimeRunId,
+            flowtimeBlock: this.flowtimeBlock,
+            subjectId: this.currentSubjectId,
+            savedAt: now.toISOString()
+        };
+        
+        try {
+            localStorage.setItem('activeTimer', JSON.stringify(state));
+        } catch (error) {
+            console.error('Error saving timer state:', error);
+        }
+        this.broadcastTimerState(state);
+    }
+    
+    clearTimerState() {
+        localStorage.removeItem('activeTimer');
+        this.tabSync.send('timer-stopped');
+    }
+    
+    loadTimerState() {
+        try {
+            const state = JSON.parse(localStorage.getItem('activeTimer'));
+            return state && state.startTime ? state : null;
+        } catch (error) {
+            console.error('Error reading saved timer state:', error);
+            return null;
+        }
+    }
+    
+    // When a saved session would have ended: the countdown target if it has
+    // passed, the last save if it was paused, the length limit if an
+    // open-ended session ran past it, otherwise now
+    getUnfinishedSessionEnd(state) {
+        const now = new Date();
+        if (state.isPaused) {
+            return new Date(state.savedAt);
+        }
+        const limitTime = this.isOpenEnded(state.timerMode, state.flowtimeOnBreak)
+            ? this.getSessionLimitTime(state.segments || [], state.segmentStart)
+            : null;
+        if (limitTime && limitTime < now) {
+            return limitTime;
+        }
+        if (state.targetEndTime && new Date(state.targetEndTime) < now) {
+            return new Date(state.targetEndTime);
+        }
+        return now;
+    }
+    
+    // Offer to resume, record or discard a session left running by a reload or crash
+    async checkUnfinishedTimer() {
+        // Another open tab may be running it right now; if so we now mirror it
+        const ownerState = await this.tabSync.findOwner();
+        if (ownerState) return;
+        
+        const state = this.loadTimerState();
+        if (!state) return;
+        
+        const endTime = this.getUnfinishedSessionEnd(state);
+        const segments = state.segmentStart
+            ? [...state.segments, { start: state.segmentStart, end: endTime.toISOString() }]
+            : state.segments;
+        const activeSeconds = ActiveSegments.getActiveSeconds(segments);
+        const startedAt = new Date(state.startTime).toLocaleString('en-US', {
+            weekday: 'short',
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZone: StudyDates.getTimeZone()
+        });
+        const modeNames = { stopwatch: 'stopwatch', pomodoro: 'Pomodoro', flowtime: state.flowtimeOnBreak ? 'Flowtime break' : 'Flowtime' };
+        const modeName = modeNames[state.timerMode] || 'timer';
+        const countdownFinished = !state.isPaused && state.targetEndTime && new Date(state.targetEndTime) <= new Date();
+        
+        document.getElementById('resumeTimerSummary').textContent =
+            `A ${modeName} session started ${startedAt} was still ${state.isPaused ? 'paused' : 'running'} when the page closed ` +
+            `(${StudyHeatmap.formatDuration(activeSeconds)} studied${countdownFinished ? ', time was already up' : ''}).`;
+        document.getElementById('resumeTimerBtn').style.display = countdownFinished ? 'none' : 'block';
+        
+        const modal = document.getElementById('resumeTimerModal');
+        const choose = (handler) => () => {
+            modal.style.display = 'none';
+            handler();
+        };
+        document.getElementById('resumeTimerBtn').onclick = choose(() => this.resumeUnfinishedTimer(state));
+        document.getElementById('recordTimerBtn').onclick = choose(() => this.recordUnfinishedTimer(state));
+        document.getElementById('discardTimerBtn').onclick = choose(() => {
+            this.clearTimerState();
+            console.log('🗑️ Discarded unfinished session from', state.startTime);
+        });
+        
+        modal.style.display = 'flex';
+    }
+    
+    resumeUnfinishedTimer(state) {
+        console.log('▶️ Resuming unfinished session from', state.startTime);
+        this.timerMode = state.timerMode;
+        if (state.subjectId !== undefined) this.selectSubject(state.subjectId);
+        this.start();
+        
+        // start() begins a fresh session; put the saved one back
+        this.startTime = new Date(state.startTime);
+        this.activeSegments = state.segments || [];
+        this.segmentStart = state.segmentStart ? new Date(state.segmentStart) : null;
+        
+        if (state.timerMode === 'pomodoro') {
+            if (state.intervalSequenceId) this.intervalSequenceId = state.intervalSequenceId;
+            this.pomodoroPhaseIndex = state.pomodoroPhaseIndex || 0;
+            this.pomodoroPhase = state.pomodoroPhase;
+            this.pomodoroIsBreak = state.pomodoroIsBreak;
+            this.pomodoroCurrentSession = state.pomodoroCurrentSession;
+            this.pomodoroStudyStartTime = state.pomodoroStudyStartTime ? new Date(state.pomodoroStudyStartTime) : null;
+            this.pomodoroPhaseExtraSeconds = state.pomodoroPhaseExtraSeconds || 0;
+            this.pomodoroEndAfterPhase = !!state.pomodoroEndAfterPhase;
+        }
+        
+        if (state.timerMode === 'flowtime') {
+            this.restoreFlowtimeState(state);
+        }
+        
+        if (state.isPaused) {
+            this.segmentStart = null;
+            this.pause();
+            this.timeLeft = state.timeLeft;
+            this.pomodoroAwaitingStart = !!state.pomodoroAwaitingStart;
+        } else if (state.targetEndTime) {
+            this.timerEngine.startCountdownUntil(new Date(state.targetEndTime).getTime());
+            this.timeLeft = this.timerEngine.getSeconds();
+            this.schedulePhaseNotification();
+        } else if (state.segmentStart) {
+            // Stopwatch shows active time including the time the page was closed
+            this.timeLeft = ActiveSegments.getActiveSeconds([...this.activeSegments, { start: state.segmentStart, end: new Date().toISOString() }]);
+            this.runEngine();
+        }
+        
+        this.updateDisplay();
+        this.saveTimerState();
+    }
+    
+    async recordUnfinishedTimer(state) {
+        console.log('💾 Recording unfinished session from', state.startTime);
+        this.clearTimerState();
+        
+        const endTime = this.getUnfinishedSessionEnd(state);
+        
+        // A break's study session was already recorded when the break began,
+        // and a phase waiting for play has nothing to record
+        if (state.timerMode === 'pomodoro' && (state.pomodoroIsBreak || state.pomodoroAwaitingStart)) {
+            console.log('⏸️ Unfinished session was between study phases - nothing to record');
+            if (state.pomodoroIsBreak) {
+                if (state.intervalSequenceId) this.intervalSequenceId = state.intervalSequenceId;
+                this.setPhase(state.pomodoroPhaseIndex || 0);
+                this.pomodoroPhaseExtraSeconds = state.pomodoroPhaseExtraSeconds || 0;
+                this.timeLeft = state.isPaused || !state.targetEndTime
+                    ? state.timeLeft
+                    : Math.max(0, Math.ceil((new Date(state.targetEndTime) - endTime) / 1000));
+                this.logBreak(this.getCurrentPhase());
+                this.resetPhases();
+                this.updateDisplay();
+            }
+            return;
+        }
+        
+        // A Flowtime break belongs to the focus block already recorded
+        if (state.timerMode === 'flowtime' && state.flowtimeOnBreak) {
+            this.restoreFlowtimeState(state);
+            const secondsLeft = state.isPaused || !state.targetEndTime
+                ? state.timeLeft
+                : Math.max(0, Math.ceil((new Date(state.targetEndTime) - endTime) / 1000));
+            await this.recordFlowtimeBreak(state.flowtimeBreakSeconds - secondsLeft);
+            return;
+        }
+        
+        if (state.subjectId !== undefined) this.selectSubject(state.subjectId);
+        if (state.timerMode === 'flowtime') {
+            this.restoreFlowtimeState(state);
+        }
+        if (state.timerMode === 'pomodoro') {
+            if (state.intervalSequenceId) this.intervalSequenceId = state.intervalSequenceId;
+            this.pomodoroPhaseIndex = state.pomodoroPhaseIndex || 0;
+        }
+        // Pomodoro segments only cover the current study phase
+        this.startTime = new Date(state.timerMode === 'pomodoro' && state.pomodoroStudyStartTime ? state.pomodoroStudyStartTime : state.startTime);
+        this.activeSegments = state.segments || [];
+        this.segmentStart = state.segmentStart ? new Date(state.segmentStart) : null;
+        
+        await this.recordStudySession(endTime);
+        this.startTime = null;
+    }
+    
+    restoreFlowtimeState(state) {
+        this.flowtimeOnBreak = !!state.flowtimeOnBreak;
+        this.flowtimeBreakSeconds = state.flowtimeBreakSeconds || 0;
+        this.flowtimeRunId = state.flowtimeRunId || null;
+        this.flowtimeBlock = state.flowtimeBlock || 0;
+    }
+    
+    // "Flow block 2 · 8m break (earned 8m)"
+    formatFlowtimeEntry(flowtime) {
+        const earned = StudyHeatmap.formatDuration(flowtime.earnedBreakSeconds || 0);
+        let breakText = `${earned} break earned`;
+        if (flowtime.breakSeconds === 0) {
+            breakText = `break skipped (earned ${earned})`;
+        } else if (flowtime.breakSeconds) {
+            breakText = `${StudyHeatmap.formatDuration(flowtime.breakSeconds)} break (earned ${earned})`;
+        }
+        return `Flow block ${flowtime.block} · ${breakText}`;
+    }
+    
+    // Sessions that count up with no end of their own: the stopwatch and
+    // Flowtime focus blocks
+    isOpenEnded(mode = this.timerMode, onBreak = this.flowtimeOnBreak) {
+        return mode === 'stopwatch' || (mode === 'flowtime' && !onBreak);
+    }
+    
+    // When the session reaches the maximum length, going by the running
+    // segments; null without a limit or while paused
+    getSessionLimitTime(segments = this.activeSegments, segmentStart = this.segmentStart) {
+        if (!(this.maxSessionHours > 0) || !segmentStart) return null;
+        const remainingSeconds = Math.max(0, this.maxSessionHours * 3600 - ActiveSegments.getActiveSeconds(segments));
+        return new Date(new Date(segmentStart).getTime() + remainingSeconds * 1000);
+    }
+    
+    // Pause an open-ended session that has reached the maximum length. The
+    // pause is dated when the limit was reached, even if the tab was asleep
+    // and only notices later.
+    pauseAtSessionLimit() {
+        if (this.mirroring || !this.isRunning || !this.isOpenEnded()) return false;
+        const limitTime = this.getSessionLimitTime();
+        if (!limitTime || limitTime > new Date()) return false;
+        
+        this.pause(limitTime);
+        this.updateDisplay();
+        console.log('⏸️ Session reached the', this.maxSessionHours, 'hour limit');
+        
+        // Someone at the screen hears now; otherwise it's mentioned on return
+        if (this.idleWatch.isAway()) {
+            this.sessionLimitPausedAt = limitTime;
+        } else {
+            setTimeout(() => alert(`Paused after ${this.maxSessionHours} hours, the longest a session can run. Resume to keep going or stop to save it.`), 0);
+        }
+        return true;
+    }
+    
+    // Running time of the current session after `since`
+    getActiveSecondsSince(since) {
+        const segments = this.segmentStart
+            ? [...this.activeSegments, { start: this.segmentStart.toISOString(), end: new Date().toISOString() }]
+            : this.activeSegments;
+        return ActiveSegments.getActiveSeconds(segments.map(segment => ({
+            start: new Date(Math.max(new Date(segment.start), since)).toISOString(),
+            end: segment.end
+        })));
+    }
+    
+    // Back after being away: a session that kept running meanwhile can be
+    // kept, trimmed back to when they were last seen, or discarded
+    handleUserReturn(awaySince) {
+        const limitPausedAt = this.sessionLimitPausedAt;
+        this.sessionLimitPausedAt = null;
+        if (this.mirroring || !this.startTime || !this.isOpenEnded()) return;
+        
+        const awaySeconds = this.getActiveSecondsSince(awaySince);
+        if (awaySeconds < this.idleMinutes * 60 && !limitPausedAt) return;
+        
+        const lastSeen = awaySince.toLocaleString('en-US', {
+            weekday: 'short',
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZone: StudyDates.getTimeZone()
+        });
+        document.getElementById('idleReturnSummary').textContent =
+            `You were last seen ${lastSeen}. The timer counted ${StudyHeatmap.formatDuration(awaySeconds)} of study since then` +
+            (limitPausedAt ? `, then paused at the ${this.maxSessionHours}-hour limit.` : '.');
+        
+        const modal = document.getElementById('idleReturnModal');
+        const choose = (handler) => () => {
+            modal.style.display = 'none';
+            handler();
+        };
+        document.getElementById('keepIdleTimeBtn').onclick = choose(() => console.log('✅ Kept time away in the session'));
+        document.getElementById('trimIdleTimeBtn').onclick = choose(() => this.trimSessionAfter(awaySince));
+        document.getElementById('discardIdleSessionBtn').onclick = choose(() => {
+            this.discardSession().catch(error => console.error('Error discarding session:', error));
+        });
+        
+        modal.style.display = 'flex';
+    }
+    
+    // Drop the running time after `cut` and leave the session paused there
+    trimSessionAfter(cut) {
+        if (this.isRunning) {
+            this.pause(cut);
+        }
+        this.activeSegments = this.activeSegments
+            .filter(segment => new Date(segment.start) < cut)
+            .map(segment => new Date(segment.end) > cut ? { ...segment, end: cut.toISOString() } : segment);
+        this.timeLeft = ActiveSegments.getActiveSeconds(this.activeSegments);
+        this.updateDisplay();
+        this.saveTimerState();
+        console.log('✂️ Trimmed session back to', cut.toISOString());
+    }
+    
+    // End the current session without recording it
+    async discardSession() {
+        console.log('🗑️ Discarding session started', this.startTime);
+        this.startTime = null;
+        this.activeSegments = [];
+        this.segmentStart = null;
+        await this.stop();
     }
     
     // Global method to check if mode switching is allowed
@@ -2630,7 +4519,7 @@ class StudyTimer {
         return true;
     }
     
-    async recordStudySession() {
+    async recordStudySession(endTime = new Date()) {
         console.log('🔍 recordStudySession called with:');
         console.log('  - timerMode:', this.timerMode);
         console.log('  - pomodoroIsBreak:', this.pomodoroIsBreak);
@@ -2648,25 +4537,56 @@ class StudyTimer {
             return;
         }
         
-        const today = this.getCurrentDate();
+        // Callers may swap startTime back while this awaits, so keep our own copy
+        const startTime = this.startTime;
         
-        // Calculate exact minutes and seconds studied
-        const endTime = new Date();
-        const timeDiff = endTime - this.startTime;
-        const totalSeconds = Math.floor(timeDiff / 1000);
+        // File the session under the study day it started on
+        const today = StudyDates.getDateKey(startTime);
+        
+        // Only time spent running counts as study time
+        let segments = ActiveSegments.take(this, endTime);
+        if (segments.length === 0) {
+            segments = [{ start: startTime.toISOString(), end: endTime.toISOString() }];
+        }
+        const totalSeconds = ActiveSegments.getActiveSeconds(segments);
+        const pausedSeconds = Math.max(0, Math.floor((endTime - startTime) / 1000) - totalSeconds);
         const minutes = Math.floor(totalSeconds / 60);
         const seconds = totalSeconds % 60;
         
+        // Interval sessions are recorded per study phase, e.g. "Exam Simulation · Section 2"
+        const phaseName = this.timerMode === 'pomodoro'
+            ? `${this.getIntervalSequence().name} · ${this.getCurrentPhase().name}`
+            : undefined;
+        
+        // Flowtime blocks carry their run and the break they earned; the break
+        // actually taken is filled in when it ends
+        const flowtime = this.timerMode === 'flowtime' && this.flowtimeRunId
+            ? {
+                runId: this.flowtimeRunId,
+                block: this.flowtimeBlock,
+                earnedBreakSeconds: Flowtime.getBreakSeconds(totalSeconds, this.getFlowtimeSettings()),
+                breakSeconds: null
+            }
+            : undefined;
+        
         // Store time in seconds for precise tracking
         const timeStudied = totalSeconds;
         
-        // Create session data for both local and Supabase
+        // Create session data for both local and Supabase. The id is generated
+        // here so queued offline writes can be replayed without duplicates.
         const sessionData = {
+            id: ClientIds.generate(),
             date: today,
-            timestamp: this.startTime.toISOString(), // Use the actual start time
+            timestamp: startTime.toISOString(), // Use the actual start time
             seconds: timeStudied,
             minutes: minutes,
             secondsRemainder: seconds,
+            pausedSeconds: pausedSeconds,
+            segments: segments,
+            subjectId: this.currentSubjectId || undefined,
+            phaseName: phaseName,
+            flowtime: flowtime,
+            source: 'timer',
             description: undefined,
             image: undefined,
             notes: undefined
@@ -2678,54 +4598,14 @@ class StudyTimer {
         // Add to local array
         this.studySessions.push(sessionData);
         console.log('✅ Session added to local array. Total sessions:', this.studySessions.length);
-        console.log('New study session recorded for:', today, 'Time:', minutes + 'm ' + seconds + 's', 'Total seconds:', timeStudied);
+        console.log('New study session recorded for:', today, 'Time:', minutes + 'm ' + seconds + 's', 'Total seconds:', timeStudied, 'Paused:', pausedSeconds + 's');
         
         console.log('Total sessions:', this.studySessions.length);
-        console.log('Total study time today:', this.studySessions.filter(s => s.date === today).reduce((sum, s) => sum + s.seconds, 0), 'seconds');
+        console.log('Total study time today:', StudyDates.getDailyTotals(this.studySessions)[this.getCurrentDate()] || 0, 'seconds');
         
-        // Try to save to Supabase first, fall back to localStorage
-        try {
-            if (window.SupabaseService && localStorage.getItem('isLoggedIn') === 'true') {
-                const userId = localStorage.getItem('userId');
-                if (userId) {
-                    const supabaseSessionData = {
-                        user_id: userId,
-                        session_date: today,
-                        start_time: this.startTime.toISOString(),
-                        end_time: endTime.toISOString(),
-                        duration_minutes: minutes,
-                        description: null,
-                        image_url: null,
-                        notes: null
-                    };
-                    
-                    console.log('Saving to Supabase:', supabaseSessionData);
-                    
-                    const { data, error } = await window.SupabaseService.studySessions.create(supabaseSessionData);
-                    
-                    if (error) {
-                        console.error('Error saving to Supabase:', error);
-                        // Fall back to localStorage
-                        await this.saveStudySessions();
-                    } else {
-                        console.log('Study session saved to Supabase:', data);
-                        // Update local session with Supabase ID
-                        const lastSession = this.studySessions[this.studySessions.length - 1];
-                        lastSession.id = data.id;
-                    }
-                } else {
-                    console.log('No user ID found, saving to localStorage');
-                    await this.saveStudySessions();
-                }
-            } else {
-                // Save to localStorage only
-                await this.saveStudySessions();
-            }
-        } catch (error) {
-            console.error('Error saving session:', error);
-            // Fall back to localStorage
-            await this.saveStudySessions();
-        }
+        // Always keep a local copy; Supabase writes that fail go to the outbox
+        await this.saveStudySessions();
+        await this.createSessionInSupabase(sessionData);
         
         // Update display
         console.log('🔄 Updating study display and log display...');
@@ -2739,16 +4619,34 @@ class StudyTimer {
         const seconds = this.timeLeft % 60;
         
         if (this.timerMode === 'pomodoro') {
-            // Show Pomodoro information
-            const phaseText = this.pomodoroIsBreak ? 
-                (this.pomodoroPhase === 'longBreak' ? 'Long Break' : 'Short Break') : 
-                'Study';
-            const sessionText = this.pomodoroCurrentSession > 0 ? ` (${this.pomodoroCurrentSession}/${this.pomodoroSessionsBeforeLongBreak})` : '';
+            // Show the current phase and where it sits in the sequence
+            const phases = this.getIntervalSequence().phases;
+            const phaseText = StudySubjects.escapeHtml(this.getCurrentPhase().name);
+            let sessionText = phases.length > 1 ? ` (${this.pomodoroPhaseIndex + 1}/${phases.length})` : '';
+            if (this.pomodoroAwaitingStart) {
+                sessionText += ' · press play';
+            } else if (this.pomodoroEndAfterPhase) {
+                sessionText += ' · last phase';
+            }
             
             this.timerDisplay.innerHTML = `
                 <div style="font-size: 0.8em; color: #888; margin-bottom: 5px;">${phaseText}${sessionText}</div>
                 <div style="font-size: 1.2em;">${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}</div>
             `;
+        } else if (this.timerMode === 'flowtime') {
+            // Focus counts up showing the break earned so far; a break counts down
+            let label = 'Flowtime';
+            if (this.flowtimeOnBreak) {
+                label = 'Break';
+            } else if (this.isRunning || this.isPaused) {
+                const earnedSeconds = Flowtime.getBreakSeconds(this.timeLeft, this.getFlowtimeSettings());
+                label = `Flow ${this.flowtimeBlock} · ${StudyHeatmap.formatDuration(earnedSeconds)} break earned`;
+            }
+            
+            this.timerDisplay.innerHTML = `
+                <div style="font-size: 0.8em; color: #888; margin-bottom: 5px;">${label}</div>
+                <div style="font-size: 1.2em;">${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}</div>
+            `;
         } else {
             // Regular timer/stopwatch display
             this.timerDisplay.textContent = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
@@ -2762,23 +4660,20 @@ class StudyTimer {
             this.progressBar.style.background = `linear-gradient(to right, #ffffff ${progress}%, #333 ${progress}%)`;
         } else if (this.timerMode === 'pomodoro' && this.isRunning) {
             this.progressBar.style.display = 'block';
-            let totalTime, progress;
-            
-            if (this.pomodoroPhase === 'study') {
-                totalTime = this.pomodoroStudyMinutes * 60;
-            } else if (this.pomodoroPhase === 'break') {
-                totalTime = this.pomodoroBreakMinutes * 60;
-            } else {
-                totalTime = this.pomodoroLongBreakMinutes * 60;
-            }
-            
-            progress = ((totalTime - this.timeLeft) / totalTime) * 100;
+            const totalTime = this.getCurrentPhaseSeconds();
+            const progress = ((totalTime - this.timeLeft) / totalTime) * 100;
             const progressColor = this.pomodoroIsBreak ? '#4CAF50' : '#ff9800';
             this.progressBar.style.background = `linear-gradient(to right, ${progressColor} ${progress}%, #333 ${progress}%)`;
+        } else if (this.timerMode === 'flowtime' && this.flowtimeOnBreak && this.isRunning && this.flowtimeBreakSeconds > 0) {
+            this.progressBar.style.display = 'block';
+            const progress = ((this.flowtimeBreakSeconds - this.timeLeft) / this.flowtimeBreakSeconds) * 100;
+            this.progressBar.style.background = `linear-gradient(to right, #4CAF50 ${progress}%, #333 ${progress}%)`;
         } else {
             // For stopwatch or when not running, hide the progress bar
             this.progressBar.style.display = 'none';
         }
+        
+        this.updatePhaseActions();
     }
     
     showEditSessionForNewSession() {
@@ -2787,7 +4682,10 @@ class StudyTimer {
             const latestSession = this.studySessions[this.studySessions.length - 1];
             
             // Clear the form for a fresh new session
+            this.addingSession = false;
             document.getElementById('editSessionDate').value = latestSession.date;
+            this.fillSessionTimes(latestSession);
+            document.getElementById('editSessionSubject').value = this.getSessionSubjectId(latestSession);
             document.getElementById('editSessionDescription').value = '';
             document.getElementById('editSessionImage').value = '';
             document.getElementById('editSessionNotes').value = '';
@@ -2815,11 +4713,13 @@ class StudyTimer {
             console.log('✅ Switched to stopwatch mode');
         } else if (this.timerMode === 'stopwatch') {
             this.timerMode = 'pomodoro';
-            this.timeLeft = Math.round(this.pomodoroStudyMinutes * 60);
-            this.pomodoroPhase = 'study';
-            this.pomodoroCurrentSession = 0;
-            this.pomodoroIsBreak = false;
+            this.resetPhases();
             console.log('✅ Switched to pomodoro mode');
+        } else if (this.timerMode === 'pomodoro') {
+            this.timerMode = 'flowtime';
+            this.flowtimeOnBreak = false;
+            this.timeLeft = 0;
+            console.log('✅ Switched to flowtime mode');
         } else {
             this.timerMode = 'timer';
             this.timeLeft = Math.round(this.focusMinutes * 60);
@@ -2832,7 +4732,18 @@ class StudyTimer {
         // Save the new mode to localStorage
         const settings = {
             timerMode: this.timerMode,
-            focusMinutes: this.focusMinutes
+            focusMinutes: this.focusMinutes,
+            heatmapWeekStart: this.heatmapWeekStart,
+            heatmapColorScale: this.heatmapColorScale,
+            timeZone: this.timeZone,
+            dayStartHour: this.dayStartHour,
+            idleMinutes: this.idleMinutes,
+            maxSessionHours: this.maxSessionHours,
+            currentSubjectId: this.currentSubjectId,
+            intervalSequenceId: this.intervalSequenceId,
+            flowtimeBreakRule: this.flowtimeBreakRule,
+            flowtimeRatio: this.flowtimeRatio,
+            flowtimeTable: this.flowtimeTable
         };
         
         if (this.timerMode === 'pomodoro') {
@@ -2840,6 +4751,9 @@ class StudyTimer {
             settings.pomodoroBreakMinutes = this.pomodoroBreakMinutes;
             settings.pomodoroLongBreakMinutes = this.pomodoroLongBreakMinutes;
             settings.pomodoroSessionsBeforeLongBreak = this.pomodoroSessionsBeforeLongBreak;
+            settings.pomodoroAutoStartBreaks = this.pomodoroAutoStartBreaks;
+            settings.pomodoroAutoStartFocus = this.pomodoroAutoStartFocus;
+            settings.pomodoroLogBreaks = this.pomodoroLogBreaks;
         }
         
         localStorage.setItem('timerSettings', JSON.stringify(settings));
@@ -2976,6 +4890,33 @@ class StudyTimer {
                     }
                     break;
                     
+                case 'k':
+                    // Skip break (K)
+                    if (this.isIntervalActive() && this.pomodoroIsBreak) {
+                        event.preventDefault();
+                        console.log('⌨️ Shortcut: Skip break (K)');
+                        this.skipBreak();
+                    }
+                    break;
+                    
+                case 'e':
+                    // Add 5 minutes to the current phase (E)
+                    if (this.isIntervalActive()) {
+                        event.preventDefault();
+                        console.log('⌨️ Shortcut: +5 min (E)');
+                        this.extendPhase();
+                    }
+                    break;
+                    
+                case 'x':
+                    // End the cycle after this phase (X)
+                    if (this.isIntervalActive()) {
+                        event.preventDefault();
+                        console.log('⌨️ Shortcut: End cycle (X)');
+                        this.toggleEndCycle();
+                    }
+                    break;
+                    
                 case 'q':
                     // Open settings (Q)
                     event.preventDefault();
@@ -3024,6 +4965,9 @@ class StudyTimer {
         console.log('  Enter/S - Start timer');
         console.log('  P - Pause/Resume timer');
         console.log('  F - Stop timer');
+        console.log('  K - Skip break (intervals)');
+        console.log('  E - Add 5 minutes (intervals)');
+        console.log('  X - End cycle after this phase (intervals)');
         console.log('  Q - Open settings');
         console.log('  A - Open account');
         console.log('  L - Open analytics');
@@ -3045,12 +4989,14 @@ class StudyTimer {
         const accountModal = document.getElementById('accountModal');
         const analyticsModal = document.getElementById('analyticsModal');
         const editSessionModal = document.getElementById('editSessionModal');
+        const subjectsModal = document.getElementById('subjectsModal');
         const shortcutsHelpModal = document.getElementById('shortcutsHelpModal');
         
         return (settingsModal && settingsModal.style.display !== 'none') ||
                (accountModal && accountModal.style.display !== 'none') ||
                (analyticsModal && analyticsModal.style.display !== 'none') ||
                (editSessionModal && editSessionModal.style.display !== 'none') ||
+               (subjectsModal && subjectsModal.style.display !== 'none') ||
                (shortcutsHelpModal && shortcutsHelpModal.style.display !== 'none');
     }
     
@@ -3063,6 +5009,7 @@ class StudyTimer {
         this.closeAccount();
         this.closeAnalytics();
         this.closeEditSessionModal();
+        this.closeSubjects();
         this.closeShortcutsHelp();
     }
     
@@ -3095,6 +5042,18 @@ class StudyTimer {
                             <kbd>F</kbd>
                             <span>Stop timer</span>
                             </div>
+                        <div class="shortcut-item">
+                            <kbd>K</kbd>
+                            <span>Skip break</span>
+                        </div>
+                        <div class="shortcut-item">
+                            <kbd>E</kbd>
+                            <span>Add 5 minutes</span>
+                        </div>
+                        <div class="shortcut-item">
+                            <kbd>X</kbd>
+                            <span>End cycle after this phase</span>
+                        </div>
                         <div class="shortcut-item">
                             <kbd>Q</kbd>
                             <span>Open settings</span>
@@ -3248,6 +5207,7 @@ class StudyTimer {
                 seconds: seconds,
                 minutes: minutes,
                 secondsRemainder: 0,
+                source: 'manual',
                 description: undefined,
                 image: undefined,
                 notes: undefined
@@ -0,0 +1,18 @@
+-- Study session schema updates
+-- Run in the Supabase SQL editor on a project whose study_sessions table
+-- predates these columns. Every statement can be run again safely, so an
+-- existing project can apply the whole file.
+
+-- Paused time and the running segments the timer recorded
+ALTER TABLE study_sessions ADD COLUMN IF NOT EXISTS paused_seconds INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE study_sessions ADD COLUMN IF NOT EXISTS segments JSONB;
+
+-- Subject the session was filed under, as { id, name, color }
+ALTER TABLE study_sessions ADD COLUMN IF NOT EXISTS subject JSONB;
+
+-- Interval phase and Flowtime details of timer sessions
+ALTER TABLE study_sessions ADD COLUMN IF NOT EXISTS phase_name TEXT;
+ALTER TABLE study_sessions ADD COLUMN IF NOT EXISTS flowtime JSONB;
+
+-- 'timer' for recorded sessions, 'manual' for ones added or edited by hand
+ALTER TABLE study_sessions ADD COLUMN IF NOT EXISTS source TEXT;
@@ -0,0 +1,151 @@
+// Study Subjects
+// User-managed subjects (name + colour) that study sessions can be filed under.
+// The list lives in localStorage; each session stores the subject's id, and the
+// copy sent to Supabase carries { id, name, color } so other devices can rebuild
+// the list from their sessions.
+
+const SUBJECTS_STORAGE_KEY = 'studySubjects';
+
+// Handed out in order to new subjects, then reused
+const SUBJECT_COLORS = [
+    '#4CAF50', '#2196F3', '#FF9800', '#E91E63', '#9C27B0',
+    '#00BCD4', '#FFC107', '#795548', '#8BC34A', '#F44336'
+];
+
+// Colour used for sessions without a subject
+const NO_SUBJECT_COLOR = '#666666';
+
+// Colours end up in style attributes, so only plain #rrggbb is stored
+const SUBJECT_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const StudySubjects = {
+    subjects: null,
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SUBJECTS_STORAGE_KEY));
+            this.subjects = Array.isArray(saved) ? saved : [];
+            this.subjects.forEach((subject, index) => {
+                if (!this.isValidColor(subject.color)) {
+                    subject.color = SUBJECT_COLORS[index % SUBJECT_COLORS.length];
+                }
+            });
+        } catch (error) {
+            console.error('Error loading subjects:', error);
+            this.subjects = [];
+        }
+        return this.subjects;
+    },
+
+    save() {
+        localStorage.setItem(SUBJECTS_STORAGE_KEY, JSON.stringify(this.getAll()));
+    },
+
+    getAll() {
+        return this.subjects || this.load();
+    },
+
+    find(id) {
+        if (!id) return null;
+        return this.getAll().find(subject => subject.id === id) || null;
+    },
+
+    findByName(name) {
+        const wanted = name.trim().toLowerCase();
+        return this.getAll().find(subject => subject.name.toLowerCase() === wanted) || null;
+    },
+
+    isValidColor(color) {
+        return typeof color === 'string' && SUBJECT_COLOR_PATTERN.test(color);
+    },
+
+    nextColor() {
+        return SUBJECT_COLORS[this.getAll().length % SUBJECT_COLORS.length];
+    },
+
+    // Throws if the name is empty or already taken, or the colour isn't #rrggbb
+    add(name, color = this.nextColor()) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) throw new Error('Subject name is required');
+        if (this.findByName(trimmed)) throw new Error(`A subject called "${trimmed}" already exists`);
+        if (!this.isValidColor(color)) throw new Error('Subject colour must look like #4CAF50');
+
+        const subject = { id: ClientIds.generate(), name: trimmed, color };
+        this.getAll().push(subject);
+        this.save();
+        return subject;
+    },
+
+    update(id, { name, color } = {}) {
+        const subject = this.find(id);
+        if (!subject) return null;
+        if (color !== undefined && !this.isValidColor(color)) throw new Error('Subject colour must look like #4CAF50');
+
+        if (name !== undefined) {
+            const trimmed = name.trim();
+            const existing = trimmed ? this.findByName(trimmed) : null;
+            if (!trimmed) throw new Error('Subject name is required');
+            if (existing && existing.id !== id) throw new Error(`A subject called "${trimmed}" already exists`);
+            subject.name = trimmed;
+        }
+        if (color !== undefined) {
+            subject.color = color;
+        }
+        this.save();
+        return subject;
+    },
+
+    // Sessions keep the id; they show as "No subject" once it is gone
+    remove(id) {
+        this.subjects = this.getAll().filter(subject => subject.id !== id);
+        this.save();
+    },
+
+    // Add a subject seen on a synced session if this device doesn't know it yet
+    remember(subject) {
+        if (!subject || !subject.id || !subject.name || this.find(subject.id)) return;
+        const color = this.isValidColor(subject.color) ? subject.color : this.nextColor();
+        this.getAll().push({ id: subject.id, name: subject.name, color });
+        this.save();
+    },
+
+    // Supabase copy of a session's subject
+    toRecord(id) {
+        const subject = this.find(id);
+        return subject ? { id: subject.id, name: subject.name, color: subject.color } : null;
+    },
+
+    getName(id) {
+        const subject = this.find(id);
+        return subject ? subject.name : 'No subject';
+    },
+
+    getColor(id) {
+        const subject = this.find(id);
+        return subject ? subject.color : NO_SUBJECT_COLOR;
+    },
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    // <option>s for a subject dropdown; `extra` options go first
+    renderOptions(selectedId = '', extra = [{ value: '', label: 'No subject' }]) {
+        const options = extra.concat(this.getAll().map(subject => ({ value: subject.id, label: subject.name })));
+        return options.map(option => {
+            const selected = option.value === selectedId ? ' selected' : '';
+            return `<option value="${this.escapeHtml(option.value)}"${selected}>${this.escapeHtml(option.label)}</option>`;
+        }).join('');
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StudySubjects, SUBJECT_COLORS, NO_SUBJECT_COLOR };
+} else {
+    window.StudySubjects = StudySubjects;
+}
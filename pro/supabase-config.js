@@ -376,16 +376,24 @@ const signupTokens = {
 
 // Database functions for study sessions
 const studySessions = {
-    // Get all sessions for current user
-    async getAll() {
+    // Get all sessions for current user, a page at a time (PostgREST caps
+    // responses at 1000 rows); id breaks ties so pages never overlap
+    async getAll(pageSize = 1000) {
         try {
-            const { data, error } = await supabaseClient
-                .from('study_sessions')
-                .select('*')
-                .order('created_at', { ascending: false });
-            
-            if (error) throw error;
-            return { data, error: null };
+            const sessions = [];
+            for (let from = 0; ; from += pageSize) {
+                const { data, error } = await supabaseClient
+                    .from('study_sessions')
+                    .select('*')
+                    .order('created_at', { ascending: false })
+                    .order('id')
+                    .range(from, from + pageSize - 1);
+                
+                if (error) throw error;
+                sessions.push(...(data || []));
+                if (!data || data.length < pageSize) break;
+            }
+            return { data: sessions, error: null };
         } catch (error) {
             console.error('Get sessions error:', error);
             return { data: null, error };
@@ -443,6 +451,23 @@ const studySessions = {
         }
     },
 
+    // Insert or overwrite a session by id (used to replay queued offline writes)
+    async upsert(sessionData) {
+        try {
+            const { data, error } = await supabaseClient
+                .from('study_sessions')
+                .upsert([sessionData], { onConflict: 'id' })
+                .select()
+                .single();
+            
+            if (error) throw error;
+            return { data, error: null };
+        } catch (error) {
+            console.error('Upsert session error:', error);
+            return { data: null, error };
+        }
+    },
+
     // Update existing session
     async update(id, updates) {
         try {
@@ -530,6 +555,334 @@ const timerSettings = {
     }
 };
 
+// Account data archive (export / restore of everything a user owns)
+const ACCOUNT_ARCHIVE_FORMAT = 'studo-account-archive';
+const ACCOUNT_ARCHIVE_VERSION = 1;
+
+// Tables in dependency order: parents before the rows that reference them
+const ACCOUNT_ARCHIVE_TABLES = [
+    'study_sessions',
+    'timer_settings',
+    'blurting_notes',
+    'goals',
+    'flashcard_decks',
+    'flashcards',
+    'review_history'
+];
+
+// Columns that identify the same row when merging into an existing account
+const ACCOUNT_ARCHIVE_MERGE_KEYS = {
+    study_sessions: ['start_time', 'duration_minutes'],
+    blurting_notes: ['title', 'created_at'],
+    goals: ['created_at'],
+    flashcard_decks: ['name'],
+    flashcards: ['deck_id', 'front', 'back', 'card_type', 'card_ord'],
+    review_history: ['card_id', 'review_date']
+};
+
+// Key values for rows from archives made before those columns existed
+const ACCOUNT_ARCHIVE_KEY_DEFAULTS = {
+    flashcards: { card_type: 'basic', card_ord: 1 }
+};
+
+const accountData = {
+    // Collect every table into one versioned archive object
+    async exportArchive() {
+        try {
+            const { user, error: userError } = await auth.getCurrentUser();
+            if (userError) throw userError;
+            if (!user) throw new Error('User not authenticated');
+
+            const tables = {};
+            for (const table of ACCOUNT_ARCHIVE_TABLES) {
+                const { data, error } = await this.fetchAll(table, user.id);
+                if (error) throw error;
+                tables[table] = data;
+            }
+
+            const archive = {
+                format: ACCOUNT_ARCHIVE_FORMAT,
+                version: ACCOUNT_ARCHIVE_VERSION,
+                exported_at: new Date().toISOString(),
+                account: { id: user.id, email: user.email },
+                tables
+            };
+
+            return { data: archive, error: null };
+        } catch (error) {
+            console.error('Export account data error:', error);
+            return { data: null, error };
+        }
+    },
+
+    // Page through a table (PostgREST caps responses at 1000 rows); a fixed
+    // order keeps pages from overlapping or skipping rows
+    async fetchAll(table, userId, pageSize = 1000) {
+        try {
+            const rows = [];
+            for (let from = 0; ; from += pageSize) {
+                const { data, error } = await supabaseClient
+                    .from(table)
+                    .select('*')
+                    .eq('user_id', userId)
+                    .order('id')
+                    .range(from, from + pageSize - 1);
+
+                if (error) throw error;
+                rows.push(...(data || []));
+                if (!data || data.length < pageSize) break;
+            }
+            return { data: rows, error: null };
+        } catch (error) {
+            console.error(`Fetch ${table} error:`, error);
+            return { data: null, error };
+        }
+    },
+
+    // Throws if the archive is not something we can restore
+    validateArchive(archive) {
+        if (!archive || archive.format !== ACCOUNT_ARCHIVE_FORMAT) {
+            throw new Error('This file is not a Studo data archive');
+        }
+        if (typeof archive.version !== 'number' || archive.version > ACCOUNT_ARCHIVE_VERSION) {
+            throw new Error(`Unsupported archive version ${archive.version}. Please update the app and try again.`);
+        }
+        if (!archive.tables || typeof archive.tables !== 'object') {
+            throw new Error('Archive is missing its data tables');
+        }
+        for (const table of ACCOUNT_ARCHIVE_TABLES) {
+            const rows = archive.tables[table];
+            if (rows !== undefined && !Array.isArray(rows)) {
+                throw new Error(`Archive table ${table} is malformed`);
+            }
+        }
+    },
+
+    // Restore an archive into the current account.
+    // mode 'merge' keeps existing data and skips rows that already exist,
+    // mode 'replace' deletes the account's data first. Replacing needs a
+    // backup of the current data (exported here unless one is passed in);
+    // if the restore then fails, the backup is put back.
+    async restoreArchive(archive, mode = 'merge', { backup = null } = {}) {
+        const counts = {};
+        let userId = null;
+        let cleared = false;
+
+        try {
+            // Everything that can fail without touching the account goes first
+            this.validateArchive(archive);
+            const tables = this.prepareArchiveTables(archive);
+
+            const { user, error: userError } = await auth.getCurrentUser();
+            if (userError) throw userError;
+            if (!user) throw new Error('User not authenticated');
+            userId = user.id;
+
+            if (mode === 'replace') {
+                if (!backup) {
+                    const { data, error } = await this.exportArchive();
+                    if (error) throw new Error(`Could not back up the current data, so nothing was changed: ${error.message}`);
+                    backup = data;
+                }
+                this.prepareArchiveTables(backup);
+
+                cleared = true;
+                await this.clearAccount(userId);
+            }
+
+            await this.insertArchiveTables(tables, userId, mode, counts);
+            return { data: counts, error: null };
+        } catch (error) {
+            console.error('Restore account data error:', error);
+
+            if (!cleared) {
+                const added = this.describeCounts(counts);
+                return {
+                    data: null,
+                    error: added ? new Error(`Restore stopped partway (${error.message}). Rows added before it stopped: ${added}`) : error
+                };
+            }
+
+            // Replacing failed after the account was cleared: put the backup back
+            try {
+                await this.clearAccount(userId);
+                await this.insertArchiveTables(this.prepareArchiveTables(backup), userId, 'replace', {});
+                return { data: null, error: new Error(`Restore failed (${error.message}). Your previous data has been put back.`) };
+            } catch (rollbackError) {
+                console.error('Put back account data error:', rollbackError);
+                return {
+                    data: null,
+                    error: new Error(`Restore failed (${error.message}) and your previous data could not be put back (${rollbackError.message}). Restore it from the backup archive saved before replacing.`)
+                };
+            }
+        }
+    },
+
+    // Rows ready to insert, keyed by table: ids and user_id removed (the old id
+    // is kept alongside to link children), and rows whose deck or card is not
+    // in the archive left out
+    prepareArchiveTables(archive) {
+        const ids = {};
+        const tables = {};
+
+        for (const table of ACCOUNT_ARCHIVE_TABLES) {
+            const rows = archive.tables[table] || [];
+            ids[table] = new Set();
+            tables[table] = [];
+
+            rows.forEach(row => {
+                if (!row || typeof row !== 'object' || Array.isArray(row)) {
+                    throw new Error(`Archive table ${table} has a malformed row`);
+                }
+                if (table === 'flashcards' && !ids.flashcard_decks.has(row.deck_id)) return;
+                if (table === 'review_history' && !ids.flashcards.has(row.card_id)) return;
+
+                const { id, user_id, ...copy } = row;
+                if (table === 'flashcard_decks') {
+                    // Maintained by the database from the cards table
+                    delete copy.card_count;
+                }
+
+                ids[table].add(id);
+                tables[table].push({ oldId: id, row: copy });
+            });
+        }
+
+        return tables;
+    },
+
+    // Delete everything the account owns except its timer settings
+    async clearAccount(userId) {
+        // Children first so foreign keys do not block the deletes
+        for (const table of [...ACCOUNT_ARCHIVE_TABLES].reverse()) {
+            if (table === 'timer_settings') continue;
+            const { error } = await supabaseClient
+                .from(table)
+                .delete()
+                .eq('user_id', userId);
+            if (error) throw error;
+        }
+    },
+
+    // Insert prepared tables, filling `counts` as each one completes
+    async insertArchiveTables(tables, userId, mode, counts) {
+        // Old archive ids -> ids in this account
+        const idMaps = { flashcard_decks: {}, flashcards: {} };
+
+        for (const table of ACCOUNT_ARCHIVE_TABLES) {
+            if (table === 'timer_settings') {
+                const settings = tables[table][0];
+                counts[table] = await this.restoreTimerSettings(settings && settings.row, userId, mode);
+                continue;
+            }
+
+            const prepared = [];
+            const oldIds = [];
+            tables[table].forEach(({ oldId, row }) => {
+                const copy = { ...row, user_id: userId };
+                if (table === 'flashcards') {
+                    copy.deck_id = idMaps.flashcard_decks[row.deck_id];
+                    if (!copy.deck_id) return;
+                }
+                if (table === 'review_history') {
+                    copy.card_id = idMaps.flashcards[row.card_id];
+                    if (!copy.card_id) return;
+                }
+                prepared.push(copy);
+                oldIds.push(oldId);
+            });
+
+            let toInsert = prepared;
+            let toInsertIds = oldIds;
+
+            if (mode === 'merge') {
+                const { data: existing, error } = await this.fetchAll(table, userId);
+                if (error) throw error;
+
+                const keyColumns = ACCOUNT_ARCHIVE_MERGE_KEYS[table];
+                const keyDefaults = ACCOUNT_ARCHIVE_KEY_DEFAULTS[table] || {};
+                const keyOf = row => keyColumns.map(column => String(row[column] ?? keyDefaults[column] ?? '')).join('\u0000');
+                const existingByKey = {};
+                existing.forEach(row => { existingByKey[keyOf(row)] = row; });
+
+                toInsert = [];
+                toInsertIds = [];
+                prepared.forEach((row, index) => {
+                    const match = existingByKey[keyOf(row)];
+                    if (match) {
+                        if (idMaps[table]) idMaps[table][oldIds[index]] = match.id;
+                    } else {
+                        toInsert.push(row);
+                        toInsertIds.push(oldIds[index]);
+                    }
+                });
+            }
+
+            const { data: inserted, error: insertError } = await this.insertRows(table, toInsert);
+            if (insertError) throw insertError;
+
+            // Rows come back in insert order
+            if (idMaps[table]) {
+                inserted.forEach((row, index) => { idMaps[table][toInsertIds[index]] = row.id; });
+            }
+            counts[table] = inserted.length;
+        }
+    },
+
+    describeCounts(counts) {
+        return Object.keys(counts)
+            .filter(table => counts[table] > 0)
+            .map(table => `${table.replace(/_/g, ' ')} ${counts[table]}`)
+            .join(', ');
+    },
+
+    async restoreTimerSettings(settings, userId, mode) {
+        if (!settings) return 0;
+
+        const { id, user_id, created_at, ...values } = settings;
+        const { data: existing } = await supabaseClient
+            .from('timer_settings')
+            .select('id')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (existing) {
+            // Merging never overwrites settings the account already has
+            if (mode !== 'replace') return 0;
+            const { error } = await supabaseClient
+                .from('timer_settings')
+                .update(values)
+                .eq('id', existing.id);
+            if (error) throw error;
+        } else {
+            const { error } = await supabaseClient
+                .from('timer_settings')
+                .insert([{ ...values, user_id: userId }]);
+            if (error) throw error;
+        }
+        return 1;
+    },
+
+    async insertRows(table, rows, chunkSize = 500) {
+        try {
+            const inserted = [];
+            for (let i = 0; i < rows.length; i += chunkSize) {
+                const { data, error } = await supabaseClient
+                    .from(table)
+                    .insert(rows.slice(i, i + chunkSize))
+                    .select('id');
+
+                if (error) throw error;
+                inserted.push(...(data || []));
+            }
+            return { data: inserted, error: null };
+        } catch (error) {
+            console.error(`Insert ${table} error:`, error);
+            return { data: null, error };
+        }
+    }
+};
+
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { 
@@ -537,6 +890,7 @@ if (typeof module !== 'undefined' && module.exports) {
         auth, 
         studySessions, 
         timerSettings, 
+        accountData,
         SUPABASE_CONFIG, 
         initializeSession, 
         refreshSession, 
@@ -551,6 +905,7 @@ if (typeof module !== 'undefined' && module.exports) {
         signupTokens,
         studySessions, 
         timerSettings, 
+        accountData,
         SUPABASE_CONFIG,
         initializeSession, // Add session initialization function
         refreshSession, // Add session refresh function
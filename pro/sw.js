@@ -1,16 +1,63 @@
-const CACHE_NAME = 'studo-v1.0.0';
+importScripts('../shared/client-ids.js');
+importScripts('./sync-outbox.js');
+importScripts('../shared/phase-notifications.js');
+
+const CACHE_NAME = 'studo-v1.12.7';
 const urlsToCache = [
   './',
   './index.html',
   './script.js',
+  '../shared/date-utils.js',
+  '../shared/heatmap.js',
+  '../shared/timer-engine.js',
+  '../shared/phase-notifications.js',
+  '../shared/tab-sync.js',
+  '../shared/session-times.js',
+  '../shared/idle-watch.js',
+  '../shared/active-segments.js',
+  '../shared/client-ids.js',
+  './sync-outbox.js',
+  './subjects.js',
+  './interval-sequences.js',
+  './flowtime.js',
+  './break-log.js',
+  './active-recall.html',
+  './supabase-config.js',
+  './scheduler.js',
+  './deck-import.js',
+  './deck-export.js',
+  './card-renderer.js',
+  './card-types.js',
+  './card-media.js',
+  './image-occlusion.js',
+  './card-audio.js',
+  './review-timer.js',
+  './active-recall.js',
   './styles.css',
   './manifest.json'
 ];
 
+// Flashcard maths is typeset with this pinned KaTeX build. Its script, styles
+// and fonts are precached in a cache of their own, named after the version,
+// so app updates don't throw them away and cards still render offline
+const KATEX_URL_PREFIX = 'https://cdn.jsdelivr.net/npm/katex@0.16.9/';
+const KATEX_CACHE_NAME = 'katex-0.16.9';
+const KATEX_FONTS = [
+  'AMS-Regular', 'Caligraphic-Bold', 'Caligraphic-Regular', 'Fraktur-Bold', 'Fraktur-Regular',
+  'Main-Bold', 'Main-BoldItalic', 'Main-Italic', 'Main-Regular', 'Math-BoldItalic', 'Math-Italic',
+  'SansSerif-Bold', 'SansSerif-Italic', 'SansSerif-Regular', 'Script-Regular',
+  'Size1-Regular', 'Size2-Regular', 'Size3-Regular', 'Size4-Regular', 'Typewriter-Regular'
+];
+const katexUrlsToCache = [
+  'dist/katex.min.js',
+  'dist/katex.min.css',
+  ...KATEX_FONTS.map((font) => `dist/fonts/KaTeX_${font}.woff2`)
+].map((path) => KATEX_URL_PREFIX + path);
+
 // Install event - cache resources
 self.addEventListener('install', (event) => {
   console.log('🔧 Service Worker installing...');
-  event.waitUntil(
+  event.waitUntil(Promise.all([
     caches.open(CACHE_NAME)
       .then((cache) => {
         console.log('✅ Cache opened:', CACHE_NAME);
@@ -20,12 +67,32 @@ self.addEventListener('install', (event) => {
         console.log('✅ All resources cached successfully');
       }).catch((error) => {
         console.log('❌ Cache error:', error);
-      })
-  );
+      }),
+    precacheKatex().catch((error) => {
+      console.log('❌ KaTeX cache error:', error);
+    })
+  ]));
 });
 
+// Only fetch the KaTeX files an earlier version hasn't already stored
+async function precacheKatex() {
+  const cache = await caches.open(KATEX_CACHE_NAME);
+  const cached = await Promise.all(katexUrlsToCache.map((url) => cache.match(url)));
+  const missing = katexUrlsToCache.filter((url, index) => !cached[index]);
+  if (missing.length > 0) {
+    await cache.addAll(missing);
+  }
+}
+
 // Fetch event - serve from cache when offline
 self.addEventListener('fetch', (event) => {
+  PhaseNotifications.catchUp(event);
+
+  if (event.request.url.startsWith(KATEX_URL_PREFIX)) {
+    event.respondWith(cacheOnFirstUse(event.request));
+    return;
+  }
+
   event.respondWith(
     caches.match(event.request)
       .then((response) => {
@@ -39,13 +106,28 @@ self.addEventListener('fetch', (event) => {
   );
 });
 
+async function cacheOnFirstUse(request) {
+  const cached = await caches.match(request);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  // Script and stylesheet tags load without CORS, so their responses are opaque
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(KATEX_CACHE_NAME);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
 // Activate event - clean up old caches
 self.addEventListener('activate', (event) => {
   event.waitUntil(
     caches.keys().then((cacheNames) => {
       return Promise.all(
         cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
+          if (cacheName !== CACHE_NAME && cacheName !== KATEX_CACHE_NAME && cacheName !== PHASE_NOTIFICATION_CACHE) {
             console.log('Deleting old cache:', cacheName);
             return caches.delete(cacheName);
           }
@@ -55,14 +137,57 @@ self.addEventListener('activate', (event) => {
   );
 });
 
+// Phase-end notifications scheduled by the timer page
+self.addEventListener('message', (event) => {
+  PhaseNotifications.handleWorkerMessage(event);
+});
+
+// Bring the timer tab forward when a notification is clicked
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clientList) => {
+      if (clientList.length > 0) {
+        return clientList[0].focus();
+      }
+      return self.clients.openWindow('./');
+    })
+  );
+});
+
 // Background sync for offline data
 self.addEventListener('sync', (event) => {
+  PhaseNotifications.catchUp(event);
   if (event.tag === 'background-sync') {
     event.waitUntil(doBackgroundSync());
   }
 });
 
-function doBackgroundSync() {
-  // Handle any background sync operations
+async function doBackgroundSync() {
+  // Replay study session writes that were queued while offline
   console.log('Background sync triggered');
+
+  const auth = await SyncOutbox.getAuth();
+  if (!auth || !auth.accessToken) {
+    console.log('No stored credentials, leaving outbox for the page to flush');
+    return;
+  }
+  // The worker can't refresh the token; the page flushes once it has a new one
+  if (auth.expiresAt && auth.expiresAt <= Date.now() + 60 * 1000) {
+    console.log('Stored access token has expired, leaving outbox for the page to flush');
+    return;
+  }
+
+  const { sent, failed, rejected } = await SyncOutbox.flush(SyncOutbox.restSender(auth));
+
+  // Let open pages refresh their data and report anything rejected
+  if (sent > 0 || rejected > 0) {
+    const clientList = await self.clients.matchAll({ type: 'window' });
+    clientList.forEach((client) => client.postMessage({ type: 'outbox-flushed', sent, rejected }));
+  }
+
+  // Rejecting makes the browser retry the sync later
+  if (failed > 0) {
+    throw new Error(`${failed} queued operations could not be sent`);
+  }
 }
@@ -0,0 +1,271 @@
+// Offline Sync Outbox
+// Persists pending study session writes in IndexedDB so they reach Supabase
+// once the device is back online. Loaded by the page and by the service worker,
+// which may both flush; a Web Lock lets only one of them do so at a time.
+
+const OUTBOX_DB_NAME = 'studo-sync';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE = 'outbox';
+const OUTBOX_META_STORE = 'meta';
+const OUTBOX_FLUSH_LOCK = 'studo-outbox-flush';
+
+// What a sender returns when the server refused an operation outright (a
+// 4xx other than an auth or rate limit error); sending it again won't help
+const OUTBOX_REJECTED = 'rejected';
+
+// Anything still failing after this many flushes is given up on too
+const OUTBOX_MAX_ATTEMPTS = 20;
+
+const SyncOutbox = {
+    dbPromise: null,
+    REJECTED: OUTBOX_REJECTED,
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+                    // One entry per session, keyed by the session's client-generated UUID
+                    db.createObjectStore(OUTBOX_STORE, { keyPath: 'sessionId' });
+                }
+                if (!db.objectStoreNames.contains(OUTBOX_META_STORE)) {
+                    db.createObjectStore(OUTBOX_META_STORE);
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    },
+
+    async request(storeName, mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const result = action(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    // Read and write the outbox in one readwrite transaction, so nothing
+    // queued in between is lost. `action(store, setResult)` chains its
+    // requests from their onsuccess callbacks.
+    async transact(action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(OUTBOX_STORE, 'readwrite');
+            let result;
+            action(transaction.objectStore(OUTBOX_STORE), value => { result = value; });
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    async getAll() {
+        const entries = await this.request(OUTBOX_STORE, 'readonly', store => store.getAll());
+        return (entries || []).sort((a, b) => a.queuedAt - b.queuedAt);
+    },
+
+    async get(sessionId) {
+        return this.request(OUTBOX_STORE, 'readonly', store => store.get(sessionId));
+    },
+
+    // Queue an operation, folding it into whatever is already pending for the
+    // same session: create+update stays a create, update+update merges.
+    // operation = { type: 'create' | 'update' | 'delete', sessionId, payload, session }
+    async enqueue(operation) {
+        return this.transact((store, setResult) => {
+            const request = store.get(operation.sessionId);
+            request.onsuccess = () => {
+                const entry = this.fold(request.result, operation);
+                store.put(entry);
+                setResult(entry);
+            };
+        });
+    },
+
+    // Each change to an entry bumps its revision, which tells flush whether
+    // the entry it sent is still the one queued
+    fold(existing, operation) {
+        const entry = { ...operation, queuedAt: Date.now(), attempts: 0, revision: 1 };
+        if (!existing) return entry;
+
+        const revision = (existing.revision || 0) + 1;
+        if (operation.type === 'update' && (existing.type === 'create' || existing.type === 'update')) {
+            return {
+                ...existing,
+                payload: { ...existing.payload, ...operation.payload },
+                session: operation.session || existing.session,
+                revision
+            };
+        }
+        // A delete replaces whatever was pending. Even an unsent create is
+        // deleted on the server rather than dropped here, because a flush
+        // may be sending it at this moment.
+        return { ...entry, revision };
+    },
+
+    // After sending `entry`: drop it if it went through, give up on it if it
+    // was rejected or has failed too often, count the attempt otherwise, and
+    // leave it alone if it was changed while being sent. Resolves 'sent',
+    // 'rejected', 'kept' or 'changed'.
+    async settle(entry, result) {
+        return this.transact((store, setResult) => {
+            const request = store.get(entry.sessionId);
+            request.onsuccess = () => {
+                const current = request.result;
+                if (!current || current.revision !== entry.revision) {
+                    setResult('changed');
+                    return;
+                }
+
+                const attempts = (current.attempts || 0) + 1;
+                if (result === true) {
+                    store.delete(entry.sessionId);
+                    setResult('sent');
+                } else if (result === OUTBOX_REJECTED || attempts >= OUTBOX_MAX_ATTEMPTS) {
+                    store.delete(entry.sessionId);
+                    setResult('rejected');
+                } else {
+                    store.put({ ...current, attempts });
+                    setResult('kept');
+                }
+            };
+        });
+    },
+
+    // Replay pending operations in the order they were queued. `send` performs
+    // one operation and resolves true on success, OUTBOX_REJECTED if the server
+    // refused it for good, or false to try again next flush. Rejected entries
+    // are dropped and kept aside for takeRejected(). If another page or the
+    // service worker is already flushing, this returns without sending anything.
+    async flush(send) {
+        const locks = typeof navigator !== 'undefined' ? navigator.locks : null;
+        if (!locks) return this.flushEntries(send);
+
+        return locks.request(OUTBOX_FLUSH_LOCK, { ifAvailable: true }, lock =>
+            lock ? this.flushEntries(send) : { sent: 0, failed: 0, rejected: 0 });
+    },
+
+    async flushEntries(send) {
+        const entries = await this.getAll();
+        let sent = 0;
+        let failed = 0;
+        let rejected = 0;
+
+        for (const entry of entries) {
+            let result = false;
+            try {
+                result = await send(entry);
+            } catch (error) {
+                console.error('Outbox operation failed:', error);
+            }
+
+            // A newer revision queued during the send goes out next flush
+            const outcome = await this.settle(entry, result);
+            if (outcome === 'sent') {
+                sent++;
+            } else if (outcome === 'rejected') {
+                rejected++;
+                await this.recordRejected(entry);
+            } else {
+                failed++;
+            }
+        }
+
+        if (entries.length > 0) {
+            console.log(`📤 Outbox flushed: ${sent} sent, ${failed} pending, ${rejected} rejected`);
+        }
+        return { sent, failed, rejected };
+    },
+
+    // Dropped entries wait here until a page has told the user about them
+    async recordRejected(entry) {
+        const record = { type: entry.type, sessionId: entry.sessionId, session: entry.session || null, rejectedAt: Date.now() };
+        return this.request(OUTBOX_META_STORE, 'readwrite', store => {
+            const request = store.get('rejected');
+            request.onsuccess = () => store.put([...(request.result || []), record], 'rejected');
+        });
+    },
+
+    // Rejected entries not reported yet; reading them clears the list
+    async takeRejected() {
+        return this.request(OUTBOX_META_STORE, 'readwrite', store => {
+            const request = store.get('rejected');
+            request.onsuccess = () => {
+                if (request.result) store.delete('rejected');
+            };
+            return request;
+        }).then(rejected => rejected || []);
+    },
+
+    // The service worker has no Supabase client, so the page stores the REST
+    // endpoint and current access token (with its expiry, in ms) here for it
+    // to use
+    async setAuth(auth) {
+        return this.request(OUTBOX_META_STORE, 'readwrite', store => store.put(auth, 'auth'));
+    },
+
+    async getAuth() {
+        return this.request(OUTBOX_META_STORE, 'readonly', store => store.get('auth'));
+    },
+
+    // Sender that talks to the Supabase REST API directly with fetch
+    restSender(auth) {
+        const headers = {
+            'apikey': auth.anonKey,
+            'Authorization': `Bearer ${auth.accessToken}`,
+            'Content-Type': 'application/json'
+        };
+        const endpoint = `${auth.url}/rest/v1/study_sessions`;
+
+        return async (entry) => {
+            let response;
+            if (entry.type === 'create') {
+                // Upsert on the client UUID so a replayed create is harmless
+                response = await fetch(`${endpoint}?on_conflict=id`, {
+                    method: 'POST',
+                    headers: { ...headers, 'Prefer': 'resolution=merge-duplicates,return=minimal' },
+                    body: JSON.stringify([entry.payload])
+                });
+            } else if (entry.type === 'update') {
+                response = await fetch(`${endpoint}?id=eq.${encodeURIComponent(entry.sessionId)}`, {
+                    method: 'PATCH',
+                    headers: { ...headers, 'Prefer': 'return=minimal' },
+                    body: JSON.stringify(entry.payload)
+                });
+            } else if (entry.type === 'delete') {
+                response = await fetch(`${endpoint}?id=eq.${encodeURIComponent(entry.sessionId)}`, {
+                    method: 'DELETE',
+                    headers: { ...headers, 'Prefer': 'return=minimal' }
+                });
+            }
+            if (!response) return false;
+            if (response.ok) return true;
+            return this.isRejectedStatus(response.status) ? OUTBOX_REJECTED : false;
+        };
+    },
+
+    // Client errors that sending again won't fix; auth, timeout and rate
+    // limit responses can still succeed later
+    isRejectedStatus(status) {
+        return status >= 400 && status < 500 && ![401, 403, 408, 429].includes(status);
+    }
+};
+
+// Export for use in other files (self is window on pages, the worker global in sw.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SyncOutbox, OUTBOX_REJECTED };
+} else {
+    self.SyncOutbox = SyncOutbox;
+}
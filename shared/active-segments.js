@@ -0,0 +1,59 @@
+// Active Segments
+// A study session is recorded as one { start, end } segment per interval the
+// timer was running, so pauses can be left out of the studied time. The timer
+// keeps its finished segments in `activeSegments` and the start of the running
+// one in `segmentStart`; these helpers update both.
+
+const ActiveSegments = {
+    begin(timer) {
+        if (!timer.segmentStart) {
+            timer.segmentStart = new Date();
+        }
+    },
+
+    end(timer, end = new Date()) {
+        if (timer.segmentStart) {
+            timer.activeSegments.push({ start: timer.segmentStart.toISOString(), end: end.toISOString() });
+            timer.segmentStart = null;
+        }
+    },
+
+    // Close the running segment and hand over everything recorded so far
+    take(timer, end = new Date()) {
+        this.end(timer, end);
+        const segments = timer.activeSegments;
+        timer.activeSegments = [];
+        return segments;
+    },
+
+    getActiveSeconds(segments) {
+        const activeMs = segments.reduce((sum, segment) => sum + Math.max(0, new Date(segment.end) - new Date(segment.start)), 0);
+        return Math.floor(activeMs / 1000);
+    },
+
+    // "9:00 AM–9:25 AM · paused 12m · 9:37 AM–10:10 AM"
+    formatTimeline(segments) {
+        const formatTime = (iso) => new Date(iso).toLocaleTimeString('en-US', {
+            hour: 'numeric',
+            minute: '2-digit',
+            hour12: true,
+            timeZone: StudyDates.getTimeZone()
+        });
+
+        return segments.map((segment, index) => {
+            let text = `${formatTime(segment.start)}–${formatTime(segment.end)}`;
+            if (index > 0) {
+                const pausedSeconds = Math.max(0, Math.floor((new Date(segment.start) - new Date(segments[index - 1].end)) / 1000));
+                text = `<span class="log-entry-pause">paused ${StudyHeatmap.formatDuration(pausedSeconds)}</span> · ${text}`;
+            }
+            return text;
+        }).join(' · ');
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ActiveSegments };
+} else {
+    window.ActiveSegments = ActiveSegments;
+}
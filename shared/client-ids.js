@@ -0,0 +1,24 @@
+// Client IDs
+// UUIDs made on the device, so records created offline (sessions, notes,
+// subjects, breaks) keep the same id once they reach Supabase. Loaded by pages
+// and by the pro service worker.
+
+const ClientIds = {
+    generate() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        // RFC 4122 v4 fallback for older browsers
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+            const random = Math.random() * 16 | 0;
+            return (char === 'x' ? random : (random & 0x3 | 0x8)).toString(16);
+        });
+    }
+};
+
+// Export for use in other files (self is window on pages, the worker global in sw.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ClientIds };
+} else {
+    self.ClientIds = ClientIds;
+}
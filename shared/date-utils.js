@@ -0,0 +1,228 @@
+// Study Dates
+// Decides which calendar day a moment belongs to, using the user's timezone and
+// "day starts at" hour, so evening sessions are not filed under tomorrow (UTC)
+// and night owls can count 1am as part of the previous day.
+//
+// Day keys are 'YYYY-MM-DD' strings. Arithmetic on keys is done in UTC so it
+// never depends on the browser's own timezone.
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const HOUR_IN_MS = 60 * 60 * 1000;
+
+const StudyDates = {
+    timeZone: null,     // IANA name, null = browser default
+    dayStartHour: 0,    // 0-23, hours after midnight that still count as the previous day
+
+    configure({ timeZone, dayStartHour } = {}) {
+        if (timeZone !== undefined) {
+            this.timeZone = timeZone && this.isValidTimeZone(timeZone) ? timeZone : null;
+        }
+        if (dayStartHour !== undefined) {
+            const hour = parseInt(dayStartHour, 10);
+            this.dayStartHour = hour >= 0 && hour <= 23 ? hour : 0;
+        }
+    },
+
+    getBrowserTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch (error) {
+            return 'UTC';
+        }
+    },
+
+    getTimeZone() {
+        return this.timeZone || this.getBrowserTimeZone();
+    },
+
+    isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    // All IANA zones the browser knows about, for settings dropdowns
+    getSupportedTimeZones() {
+        if (typeof Intl.supportedValuesOf === 'function') {
+            return Intl.supportedValuesOf('timeZone');
+        }
+        return [this.getBrowserTimeZone(), 'UTC'];
+    },
+
+    // Wall clock parts of a moment in the configured timezone
+    getZonedParts(date) {
+        const formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.getTimeZone(),
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        });
+        const parts = {};
+        formatter.formatToParts(date).forEach(part => {
+            if (part.type !== 'literal') parts[part.type] = parseInt(part.value, 10);
+        });
+        return parts;
+    },
+
+    // Study day a moment belongs to
+    getDateKey(date = new Date()) {
+        const moment = date instanceof Date ? date : new Date(date);
+        const shifted = new Date(moment.getTime() - this.dayStartHour * HOUR_IN_MS);
+        const { year, month, day } = this.getZonedParts(shifted);
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    },
+
+    today() {
+        return this.getDateKey(new Date());
+    },
+
+    // Hour of day (0-23) on the user's wall clock
+    getHour(date) {
+        return this.getZonedParts(date instanceof Date ? date : new Date(date)).hour;
+    },
+
+    // 'HH:MM' on the user's wall clock, for time inputs
+    getTimeValue(date) {
+        const { hour, minute } = this.getZonedParts(date instanceof Date ? date : new Date(date));
+        return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+    },
+
+    // The moment the wall clock reads `time` ('HH:MM') during a study day.
+    // Times before the day start hour fall on the next calendar day.
+    getMoment(dateKey, time) {
+        const [hour, minute] = time.split(':').map(Number);
+        const calendarKey = hour < this.dayStartHour ? this.addDays(dateKey, 1) : dateKey;
+        const [year, month, day] = calendarKey.split('-').map(Number);
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+        // Correct by the zone's offset; a second pass settles DST changes
+        let moment = wallClock;
+        for (let pass = 0; pass < 2; pass++) {
+            const parts = this.getZonedParts(new Date(moment));
+            moment += wallClock - Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        }
+        return new Date(moment);
+    },
+
+    // 'YYYY-MM' of the study day a moment belongs to
+    getMonthKey(date) {
+        return this.getDateKey(date).substring(0, 7);
+    },
+
+    parseDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day));
+    },
+
+    addDays(dateKey, days) {
+        const date = this.parseDateKey(dateKey);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().split('T')[0];
+    },
+
+    daysBetween(fromKey, toKey) {
+        return Math.round((this.parseDateKey(toKey) - this.parseDateKey(fromKey)) / DAY_IN_MS);
+    },
+
+    // 0 = Sunday ... 6 = Saturday
+    getDayOfWeek(dateKey) {
+        return this.parseDateKey(dateKey).getUTCDay();
+    },
+
+    // Format a day key without the browser timezone shifting it
+    formatDateKey(dateKey, options = {}) {
+        return this.parseDateKey(dateKey).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+    },
+
+    // Milliseconds until the next study day begins
+    msUntilNextDay(now = new Date()) {
+        const { hour, minute, second } = this.getZonedParts(now);
+        const elapsedToday = ((hour - this.dayStartHour + 24) % 24) * HOUR_IN_MS + minute * 60 * 1000 + second * 1000 + now.getMilliseconds();
+        return DAY_IN_MS - elapsedToday;
+    },
+
+    // Apportion a session's seconds across the study days it spans:
+    // [{ date, seconds }, ...]. Sessions whose timestamp doesn't fall on their
+    // date (added by hand or moved to another day) stay whole on that date.
+    splitSession(session) {
+        const seconds = Number(session.seconds) || 0;
+        if (!session.timestamp || !session.date) {
+            return [{ date: session.date, seconds }];
+        }
+
+        const start = new Date(session.timestamp);
+        if (isNaN(start.getTime()) || this.getDateKey(start) !== session.date) {
+            return [{ date: session.date, seconds }];
+        }
+
+        if (Array.isArray(session.segments) && session.segments.length > 0) {
+            return this.splitSegments(session.segments, seconds);
+        }
+
+        const parts = [];
+        let cursor = start;
+        let dateKey = session.date;
+        let remaining = seconds;
+        while (remaining > 0) {
+            const untilNextDay = Math.max(1, Math.ceil(this.msUntilNextDay(cursor) / 1000));
+            const portion = Math.min(remaining, untilNextDay);
+            parts.push({ date: dateKey, seconds: portion });
+            remaining -= portion;
+            cursor = new Date(cursor.getTime() + portion * 1000);
+            dateKey = this.addDays(dateKey, 1);
+        }
+
+        return parts.length > 0 ? parts : [{ date: session.date, seconds }];
+    },
+
+    // Same as splitSession, but only the running segments count, so a pause
+    // across midnight adds nothing to either day
+    splitSegments(segments, totalSeconds) {
+        const msByDate = {};
+        segments.forEach(segment => {
+            let cursor = new Date(segment.start);
+            const end = new Date(segment.end);
+            while (cursor < end) {
+                const dateKey = this.getDateKey(cursor);
+                const dayEnd = new Date(cursor.getTime() + this.msUntilNextDay(cursor));
+                const pieceEnd = dayEnd < end ? dayEnd : end;
+                msByDate[dateKey] = (msByDate[dateKey] || 0) + (pieceEnd - cursor);
+                cursor = pieceEnd;
+            }
+        });
+
+        const parts = Object.keys(msByDate).sort().map(date => ({ date, seconds: Math.floor(msByDate[date] / 1000) }));
+        if (parts.length === 0) return [];
+
+        // Rounding leftovers go on the last day so the parts add up to the session
+        const counted = parts.reduce((sum, part) => sum + part.seconds, 0);
+        parts[parts.length - 1].seconds = Math.max(0, parts[parts.length - 1].seconds + totalSeconds - counted);
+        return parts;
+    },
+
+    // Total seconds per study day: { 'YYYY-MM-DD': seconds }
+    getDailyTotals(sessions) {
+        const totals = {};
+        (sessions || []).forEach(session => {
+            if (!session.date) return;
+            this.splitSession(session).forEach(part => {
+                totals[part.date] = (totals[part.date] || 0) + part.seconds;
+            });
+        });
+        return totals;
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StudyDates };
+} else {
+    window.StudyDates = StudyDates;
+}
@@ -0,0 +1,240 @@
+// Study Heatmap
+// Calendar-aligned heatmap shared by the free and pro timers. Weeks are laid
+// out from the real start date, month labels sit on the column where each month
+// begins, and every cell has a tooltip with that day's sessions.
+
+// Colour scales: the first step whose `max` (seconds) is >= the day's total wins
+const HEATMAP_COLOR_SCALES = {
+    grayscale: [
+        { max: 0, color: '#161b22' },
+        { max: 300, color: '#6A6B6A' },      // 0-5 minutes
+        { max: 600, color: '#818180' },      // 5-10 minutes
+        { max: 1200, color: '#999999' },     // 10-20 minutes
+        { max: 2400, color: '#B1B0B0' },     // 20-40 minutes
+        { max: 3600, color: '#CBC8C9' },     // 40-60 minutes
+        { max: 4800, color: '#DCDDDC' },     // 60-80 minutes
+        { max: 6000, color: '#ECEDED' },     // 80-100 minutes
+        { max: 7200, color: '#F3F3F2' },     // 100-120 minutes
+        { max: 9000, color: '#F9F7F6' },     // 120-150 minutes
+        { max: 15000, color: '#FDFDFD' },    // 150-250 minutes
+        { max: Infinity, color: '#ffffff' }  // 250+ minutes
+    ],
+    green: [
+        { max: 0, color: '#161b22' },
+        { max: 900, color: '#0e4429' },      // up to 15 minutes
+        { max: 2700, color: '#006d32' },     // up to 45 minutes
+        { max: 5400, color: '#26a641' },     // up to 90 minutes
+        { max: Infinity, color: '#39d353' }  // 90+ minutes
+    ]
+};
+
+const HEATMAP_DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const HEATMAP_MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class StudyHeatmap {
+    constructor(options = {}) {
+        this.options = {
+            weekStart: 'sunday',        // 'sunday' or 'monday'
+            colorScale: 'grayscale',    // key of HEATMAP_COLOR_SCALES or an array of steps
+            cellSize: 12,
+            cellGap: 1,
+            today: null,                // 'YYYY-MM-DD' to highlight
+            cellAttributes: null,       // (dateKey) => extra HTML attributes
+            tooltipSuffix: null,        // (dateKey) => text appended to the tooltip
+            splitSession: null,         // (session) => [{ date, seconds }] for sessions spanning days
+            ...options
+        };
+    }
+
+    // Date keys are 'YYYY-MM-DD' and handled in UTC so no timezone can shift them
+    static parseDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    static toDateKey(date) {
+        return date.toISOString().split('T')[0];
+    }
+
+    static formatDuration(totalSeconds) {
+        if (totalSeconds < 60) {
+            return `${totalSeconds}s`;
+        }
+        if (totalSeconds < 3600) {
+            const minutes = Math.floor(totalSeconds / 60);
+            const seconds = totalSeconds % 60;
+            return seconds === 0 ? `${minutes}m` : `${minutes}m ${seconds}s`;
+        }
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        return minutes === 0 ? `${hours}h` : `${hours}h ${minutes}m`;
+    }
+
+    getColorScale() {
+        const scale = this.options.colorScale;
+        return Array.isArray(scale) ? scale : (HEATMAP_COLOR_SCALES[scale] || HEATMAP_COLOR_SCALES.grayscale);
+    }
+
+    getColor(totalSeconds) {
+        const scale = this.getColorScale();
+        const step = scale.find(entry => totalSeconds <= entry.max);
+        return (step || scale[scale.length - 1]).color;
+    }
+
+    // Group sessions by date: { 'YYYY-MM-DD': { total, sessions: [] } }.
+    // A session split across days appears on each with that day's share.
+    aggregate(sessions) {
+        const days = {};
+        (sessions || []).forEach(session => {
+            if (!session.date) return;
+            const parts = this.options.splitSession
+                ? this.options.splitSession(session)
+                : [{ date: session.date, seconds: Number(session.seconds) || 0 }];
+
+            parts.forEach(part => {
+                if (!days[part.date]) {
+                    days[part.date] = { total: 0, sessions: [] };
+                }
+                days[part.date].total += part.seconds;
+                days[part.date].sessions.push(parts.length > 1 ? { ...session, seconds: part.seconds } : session);
+            });
+        });
+        return days;
+    }
+
+    // Week columns covering startDate..endDate, padded to whole weeks.
+    // Each column is an array of 7 date keys (null outside the range).
+    buildWeeks(startKey, endKey) {
+        const start = StudyHeatmap.parseDateKey(startKey);
+        const end = StudyHeatmap.parseDateKey(endKey);
+        const firstDay = this.options.weekStart === 'monday' ? 1 : 0;
+
+        const offset = (start.getUTCDay() - firstDay + 7) % 7;
+        const cursor = new Date(start.getTime() - offset * DAY_MS);
+
+        const weeks = [];
+        while (cursor <= end) {
+            const week = [];
+            for (let i = 0; i < 7; i++) {
+                week.push(cursor >= start && cursor <= end ? StudyHeatmap.toDateKey(cursor) : null);
+                cursor.setTime(cursor.getTime() + DAY_MS);
+            }
+            weeks.push(week);
+        }
+        return weeks;
+    }
+
+    // Label each column that contains the 1st of a month. The first column is
+    // labelled too when there is room before the next label.
+    buildMonthLabels(weeks) {
+        const labels = weeks.map(week => {
+            const firstOfMonth = week.find(dateKey => dateKey && dateKey.endsWith('-01'));
+            return firstOfMonth ? HEATMAP_MONTH_NAMES[StudyHeatmap.parseDateKey(firstOfMonth).getUTCMonth()] : '';
+        });
+
+        if (weeks.length > 0 && !labels[0]) {
+            const nextLabel = labels.findIndex(label => label);
+            if (nextLabel === -1 || nextLabel >= 3) {
+                const firstKey = weeks[0].find(dateKey => dateKey);
+                labels[0] = HEATMAP_MONTH_NAMES[StudyHeatmap.parseDateKey(firstKey).getUTCMonth()];
+            }
+        }
+        return labels;
+    }
+
+    buildTooltip(dateKey, day) {
+        const formattedDate = StudyHeatmap.parseDateKey(dateKey).toLocaleDateString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric',
+            timeZone: 'UTC'
+        });
+
+        const total = day ? day.total : 0;
+        let tooltip = `${formattedDate}: ${StudyHeatmap.formatDuration(total)} studied`;
+        if (dateKey === this.options.today) {
+            tooltip += ' (Today)';
+        }
+
+        if (this.options.tooltipSuffix) {
+            tooltip += this.options.tooltipSuffix(dateKey);
+        }
+
+        // Session breakdown, one line each
+        if (day && (day.sessions.length > 1 || day.sessions.some(session => session.description))) {
+            day.sessions.forEach(session => {
+                const seconds = Number(session.seconds) || 0;
+                const label = session.description ? ` - ${session.description}` : '';
+                tooltip += `\n• ${StudyHeatmap.formatDuration(seconds)}${label}`;
+            });
+        }
+
+        return tooltip;
+    }
+
+    escapeAttribute(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    // Returns the heatmap grid as an HTML string
+    render({ startDate, endDate, sessions }) {
+        const { cellSize, cellGap } = this.options;
+        const days = this.aggregate(sessions);
+        const weeks = this.buildWeeks(startDate, endDate);
+        const monthLabels = this.buildMonthLabels(weeks);
+        const firstDay = this.options.weekStart === 'monday' ? 1 : 0;
+        // Cells have a 1px border on each side
+        const columnWidth = cellSize + 2;
+
+        let html = `<div class="study-heatmap" style="display: flex; flex-direction: column; gap: ${cellGap + 1}px; align-items: center;">`;
+
+        // Month labels
+        html += `<div style="display: flex; gap: ${cellGap}px; margin-bottom: 8px; font-family: 'IBM Plex Mono', monospace; font-size: 10px; color: #8b949e; margin-left: 38px;">`;
+        monthLabels.forEach(label => {
+            html += `<div style="width: ${columnWidth}px; text-align: left; white-space: nowrap; overflow: visible;">${label}</div>`;
+        });
+        html += '</div>';
+
+        for (let row = 0; row < 7; row++) {
+            const dayName = HEATMAP_DAY_NAMES[(firstDay + row) % 7];
+            html += `<div style="display: flex; gap: ${cellGap}px; align-items: center;">`;
+            html += `<div style="width: 30px; text-align: right; margin-right: 8px; font-family: 'IBM Plex Mono', monospace; font-size: 10px; color: #8b949e;">${dayName}</div>`;
+
+            weeks.forEach(week => {
+                const dateKey = week[row];
+                if (!dateKey) {
+                    html += `<div style="width: ${cellSize}px; height: ${cellSize}px; background-color: transparent; border: 1px solid transparent;"></div>`;
+                    return;
+                }
+
+                const day = days[dateKey];
+                const color = this.getColor(day ? day.total : 0);
+                const isToday = dateKey === this.options.today;
+                const todayStyle = isToday ? 'outline: 1px solid rgba(255, 204, 0, 0.6); box-shadow: 0 0 5px rgba(255, 204, 0, 0.5);' : '';
+                const extraAttributes = this.options.cellAttributes ? this.options.cellAttributes(dateKey) : '';
+                const tooltip = this.escapeAttribute(this.buildTooltip(dateKey, day));
+
+                html += `<div data-date="${dateKey}" style="width: ${cellSize}px; height: ${cellSize}px; background-color: ${color}; border-radius: 2px; border: 1px solid #30363d; cursor: pointer; ${todayStyle} transition: all 0.2s ease;" onmouseover="this.style.transform='scale(1.3)'; this.style.zIndex='10';" onmouseout="this.style.transform='scale(1)'; this.style.zIndex='1';" title="${tooltip}" ${extraAttributes}></div>`;
+            });
+
+            html += '</div>';
+        }
+
+        html += '</div>';
+        return html;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StudyHeatmap, HEATMAP_COLOR_SCALES };
+} else {
+    window.StudyHeatmap = StudyHeatmap;
+    window.HEATMAP_COLOR_SCALES = HEATMAP_COLOR_SCALES;
+}
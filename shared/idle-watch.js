@@ -0,0 +1,61 @@
+// Idle Watch
+// Notices when nobody has been at the page for a while: no mouse, keyboard or
+// touch input for longer than the idle limit. A hidden tab gets no input, so
+// time spent in other tabs or with the screen locked counts too. The first
+// sign of life afterwards (input, or the tab shown again) reports when the
+// person was last seen, so a stopwatch that kept running meanwhile can be
+// trimmed back to that moment.
+
+const IDLE_ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+
+class IdleWatch {
+    constructor({ idleMinutes = 30, onReturn = null, now = () => Date.now() } = {}) {
+        this.idleMinutes = idleMinutes; // 0 turns the watch off
+        this.onReturn = onReturn;       // (awaySince: Date) => called on the first activity after an absence
+        this.now = now;
+        this.lastActivity = this.now();
+        this.listening = false;
+    }
+
+    setIdleMinutes(minutes) {
+        this.idleMinutes = minutes;
+    }
+
+    start(target = document) {
+        if (this.listening) return;
+        this.listening = true;
+
+        const onActivity = () => this.recordActivity();
+        IDLE_ACTIVITY_EVENTS.forEach(type => {
+            target.addEventListener(type, onActivity, { capture: true, passive: true });
+        });
+        target.addEventListener('visibilitychange', () => {
+            if (!target.hidden) this.recordActivity();
+        });
+    }
+
+    // When the person was last seen, if that was longer ago than the idle
+    // limit; otherwise null
+    getAwaySince(now = this.now()) {
+        if (!(this.idleMinutes > 0)) return null;
+        return now - this.lastActivity >= this.idleMinutes * 60 * 1000 ? new Date(this.lastActivity) : null;
+    }
+
+    isAway() {
+        return this.getAwaySince() !== null;
+    }
+
+    recordActivity() {
+        const now = this.now();
+        const awaySince = this.getAwaySince(now);
+        this.lastActivity = now;
+        if (awaySince && this.onReturn) this.onReturn(awaySince);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IdleWatch, IDLE_ACTIVITY_EVENTS };
+} else {
+    window.IdleWatch = IdleWatch;
+}
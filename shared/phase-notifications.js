@@ -0,0 +1,245 @@
+// Phase Notifications
+// "Time's up" notifications for the end of a timer phase, shown by the
+// service worker. The page hands each one over; the worker stores the schedule
+// in the Cache API and shows notifications as they fall due, from a timer while
+// it is awake and otherwise as soon as the browser next starts it, since an
+// idle worker gets stopped and its timers with it. While the page is open it
+// also prompts the worker at the due time. Without a service worker the page
+// shows the notification itself.
+// Loaded by the page (to schedule/cancel) and by sw.js (to deliver).
+
+const PHASE_NOTIFICATION_TAG = 'studo-phase-end';
+const PHASE_NOTIFICATION_CACHE = 'studo-phase-notifications';
+const PHASE_NOTIFICATION_KEY = 'phase-notifications.json';
+
+const systemNotificationClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, ms) => setTimeout(callback, ms),
+    clearTimeout: (id) => clearTimeout(id)
+};
+
+// The schedule itself, apart from any browser API: `store` reads and writes
+// the list of { id, title, body, at } (at: ms timestamp), `show` displays one
+// notification and `clock` supplies the time and timers, so it can be driven
+// by a fake clock outside the browser.
+class PhaseNotificationSchedule {
+    constructor({ store, show, clock = systemNotificationClock }) {
+        this.store = store;
+        this.show = show;
+        this.clock = clock;
+        this.timer = null;
+        this.idleWaiters = [];
+        this.queue = Promise.resolve();
+    }
+
+    // Store updates run one at a time so none overwrites another
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    // Replaces any notification with the same id
+    add(notification) {
+        return this.enqueue(async () => {
+            const list = (await this.store.read()).filter(pending => pending.id !== notification.id);
+            list.push(notification);
+            await this.store.write(list);
+            return this.deliverStored(list);
+        });
+    }
+
+    cancel(id) {
+        return this.enqueue(async () => {
+            const list = (await this.store.read()).filter(pending => pending.id !== id);
+            await this.store.write(list);
+            return this.deliverStored(list);
+        });
+    }
+
+    // Show whatever is due and set a timer for the next one. Resolves the
+    // notifications shown.
+    deliverDue() {
+        return this.enqueue(async () => this.deliverStored(await this.store.read()));
+    }
+
+    async deliverStored(list) {
+        const now = this.clock.now();
+        const due = list.filter(notification => notification.at <= now);
+        const later = list.filter(notification => notification.at > now);
+
+        // Drop them before showing, so a second wake-up can't repeat them
+        if (due.length > 0) {
+            await this.store.write(later);
+        }
+        for (const notification of due) {
+            try {
+                await this.show(notification);
+            } catch (error) {
+                console.log('Could not show phase notification:', error);
+            }
+        }
+
+        this.arm(later);
+        return due;
+    }
+
+    arm(list) {
+        if (this.timer !== null) {
+            this.clock.clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (list.length === 0) {
+            this.idleWaiters.splice(0).forEach(resolve => resolve());
+            return;
+        }
+
+        const next = Math.min(...list.map(notification => notification.at));
+        this.timer = this.clock.setTimeout(() => {
+            this.timer = null;
+            this.deliverDue();
+        }, Math.max(0, next - this.clock.now()));
+    }
+
+    // Resolves once nothing is waiting on the timer. The worker hands this to
+    // waitUntil to stay awake until then, though browsers may stop it sooner.
+    whenIdle() {
+        if (this.timer === null) return Promise.resolve();
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+}
+
+const PhaseNotifications = {
+    clock: systemNotificationClock,
+
+    // Page side: timeouts that prompt the worker (or show from the page) at the due time
+    pageTimers: {},
+
+    isSupported() {
+        return typeof navigator !== 'undefined' && typeof Notification !== 'undefined';
+    },
+
+    // Ask once, from a user gesture such as pressing start
+    requestPermission() {
+        if (this.isSupported() && Notification.permission === 'default') {
+            Notification.requestPermission().catch(error => console.log('Notification permission request failed:', error));
+        }
+    },
+
+    async post(message) {
+        if (!('serviceWorker' in navigator)) return false;
+        try {
+            const registration = await navigator.serviceWorker.getRegistration();
+            if (!registration || !registration.active) return false;
+            registration.active.postMessage(message);
+            return true;
+        } catch (error) {
+            console.log('Could not reach service worker for notifications:', error);
+            return false;
+        }
+    },
+
+    // at: ms timestamp the notification should appear
+    async schedule({ id, title, body, at }) {
+        this.clearPageTimer(id);
+        if (!this.isSupported() || Notification.permission !== 'granted') return;
+
+        const handedOver = await this.post({ type: 'schedule-phase-notification', notification: { id, title, body, at } });
+        this.pageTimers[id] = this.clock.setTimeout(() => {
+            delete this.pageTimers[id];
+            if (handedOver) {
+                this.post({ type: 'deliver-phase-notifications' });
+            } else {
+                this.showFromPage({ id, title, body });
+            }
+        }, Math.max(0, at - this.clock.now()));
+    },
+
+    cancel(id) {
+        this.clearPageTimer(id);
+        if (!this.isSupported()) return Promise.resolve(false);
+        return this.post({ type: 'cancel-phase-notification', id });
+    },
+
+    clearPageTimer(id) {
+        if (this.pageTimers[id] !== undefined) {
+            this.clock.clearTimeout(this.pageTimers[id]);
+            delete this.pageTimers[id];
+        }
+    },
+
+    showFromPage({ id, title, body }) {
+        try {
+            new Notification(title, { body, icon: '/favicon.ico', tag: PHASE_NOTIFICATION_TAG, renotify: true, data: { id } });
+        } catch (error) {
+            console.log('Could not show phase notification:', error);
+        }
+    },
+
+    // Service worker side
+
+    workerSchedule: null,
+    caughtUp: false,
+
+    getWorkerSchedule() {
+        if (!this.workerSchedule) {
+            this.workerSchedule = new PhaseNotificationSchedule({
+                clock: this.clock,
+                store: {
+                    async read() {
+                        const cache = await caches.open(PHASE_NOTIFICATION_CACHE);
+                        const response = await cache.match(PHASE_NOTIFICATION_KEY);
+                        return response ? response.json() : [];
+                    },
+                    async write(list) {
+                        const cache = await caches.open(PHASE_NOTIFICATION_CACHE);
+                        await cache.put(PHASE_NOTIFICATION_KEY, new Response(JSON.stringify(list), {
+                            headers: { 'Content-Type': 'application/json' }
+                        }));
+                    }
+                },
+                show: ({ id, title, body }) => self.registration.showNotification(title, {
+                    body,
+                    icon: '/favicon.ico',
+                    tag: PHASE_NOTIFICATION_TAG,
+                    renotify: true,
+                    data: { id }
+                })
+            });
+        }
+        return this.workerSchedule;
+    },
+
+    // Call from any event that wakes the worker: the first one after it
+    // starts shows what fell due while it was stopped and re-arms the timer
+    catchUp(event) {
+        if (this.caughtUp) return;
+        this.caughtUp = true;
+        const schedule = this.getWorkerSchedule();
+        event.waitUntil(schedule.deliverDue().then(() => schedule.whenIdle()));
+    },
+
+    handleWorkerMessage(event) {
+        const message = event.data || {};
+        const schedule = this.getWorkerSchedule();
+        let update = null;
+        if (message.type === 'schedule-phase-notification') {
+            update = schedule.add(message.notification);
+        } else if (message.type === 'cancel-phase-notification') {
+            update = schedule.cancel(message.id);
+        } else if (message.type === 'deliver-phase-notifications') {
+            update = schedule.deliverDue();
+        }
+        if (update) {
+            this.caughtUp = true;
+            event.waitUntil(update.then(() => schedule.whenIdle()));
+        }
+    }
+};
+
+// Export for use in other files (self is window on pages, the worker global in sw.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PhaseNotifications, PhaseNotificationSchedule, PHASE_NOTIFICATION_TAG, PHASE_NOTIFICATION_CACHE };
+} else {
+    self.PhaseNotifications = PhaseNotifications;
+}
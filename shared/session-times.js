@@ -0,0 +1,91 @@
+// Session Times
+// Start and end moments of recorded study sessions, so sessions can be added
+// or edited by wall-clock time without overlapping one another. Sessions
+// entered by hand are marked with source 'manual'; the timer records 'timer'.
+
+const SessionTimes = {
+    getStart(session) {
+        return new Date(session.timestamp);
+    },
+
+    // A timer session ends with its last running segment; otherwise the end
+    // is the start plus studied and paused time
+    getEnd(session) {
+        if (Array.isArray(session.segments) && session.segments.length > 0) {
+            return new Date(session.segments[session.segments.length - 1].end);
+        }
+        const seconds = (Number(session.seconds) || 0) + (Number(session.pausedSeconds) || 0);
+        return new Date(this.getStart(session).getTime() + seconds * 1000);
+    },
+
+    // First session other than `ignore` whose span overlaps start–end
+    findOverlap(sessions, start, end, ignore = null) {
+        return (sessions || []).find(session => {
+            if (session === ignore || !session.timestamp) return false;
+            const otherStart = this.getStart(session);
+            if (isNaN(otherStart.getTime())) return false;
+            return otherStart < end && start < this.getEnd(session);
+        }) || null;
+    },
+
+    // Check times read from a form; throws with a message for the user.
+    // studiedSeconds may be less than the span, the rest counts as paused.
+    validate({ start, end, studiedSeconds }, sessions = [], ignore = null) {
+        if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+            throw new Error('Enter a start and end time');
+        }
+        if (end <= start) {
+            throw new Error('The session has to end after it starts');
+        }
+        if (end - start > 24 * 60 * 60 * 1000) {
+            throw new Error('A session can be at most 24 hours long');
+        }
+        if (end > new Date()) {
+            throw new Error("A session can't end in the future");
+        }
+        if (!(studiedSeconds >= 60)) {
+            throw new Error('Study time must be at least 1 minute');
+        }
+        if (studiedSeconds > Math.round((end - start) / 1000)) {
+            throw new Error('Study time is longer than the time between start and end');
+        }
+
+        const overlap = this.findOverlap(sessions, start, end, ignore);
+        if (overlap) {
+            throw new Error(`This overlaps the session from ${this.formatSpan(overlap)}`);
+        }
+    },
+
+    // Give a session new times. Its timer segments no longer describe it, so
+    // they are dropped and the difference is kept as paused time.
+    apply(session, { start, end, studiedSeconds }) {
+        session.timestamp = start.toISOString();
+        session.seconds = studiedSeconds;
+        session.minutes = Math.floor(studiedSeconds / 60);
+        session.secondsRemainder = studiedSeconds % 60;
+        session.pausedSeconds = Math.max(0, Math.round((end - start) / 1000) - studiedSeconds);
+        session.segments = undefined;
+        return session;
+    },
+
+    isManual(session) {
+        return session.source === 'manual';
+    },
+
+    // "Mon, Oct 19, 9:00 AM–10:15 AM" in the study timezone
+    formatSpan(session) {
+        const timeZone = typeof StudyDates !== 'undefined' ? StudyDates.getTimeZone() : undefined;
+        const start = this.getStart(session).toLocaleString('en-US', {
+            weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone
+        });
+        const end = this.getEnd(session).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone });
+        return `${start}–${end}`;
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SessionTimes };
+} else {
+    window.SessionTimes = SessionTimes;
+}
@@ -0,0 +1,85 @@
+// Tab Sync
+// Coordinates open Studo tabs over a BroadcastChannel. The tab running the
+// timer owns it and broadcasts its live state; other tabs mirror that state and
+// forward their button presses to the owner. Every tab also hears when another
+// one has saved sessions so it can refresh its heatmap and log.
+
+const TAB_SYNC_CHANNEL = 'studo-tabs';
+
+class TabSync {
+    constructor(channelName = TAB_SYNC_CHANNEL) {
+        // Ids start with the load time, so comparing them favours the oldest tab
+        this.tabId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+        this.handlers = {};
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(channelName) : null;
+
+        if (this.channel) {
+            this.channel.onmessage = (event) => this.dispatch(event.data);
+        }
+    }
+
+    isSupported() {
+        return this.channel !== null;
+    }
+
+    on(type, handler) {
+        this.handlers[type] = handler;
+        return this;
+    }
+
+    send(type, payload = {}) {
+        if (!this.channel) return;
+        try {
+            this.channel.postMessage({ ...payload, type, from: this.tabId });
+        } catch (error) {
+            console.error('Tab sync message failed:', error);
+        }
+    }
+
+    dispatch(message) {
+        if (!message || message.from === this.tabId) return;
+        const handler = this.handlers[message.type];
+        if (handler) handler(message);
+    }
+
+    // When two tabs both claim the timer, the one with the lower id keeps it
+    outranks(otherTabId) {
+        return this.tabId < otherTabId;
+    }
+
+    // Resolves with the owner's timer state if a tab answers within `timeout`
+    // ms, otherwise with null
+    findOwner(timeout = 300) {
+        if (!this.channel) return Promise.resolve(null);
+
+        return new Promise(resolve => {
+            const previous = this.handlers['timer-state'];
+            const finish = (state) => {
+                clearTimeout(timer);
+                this.handlers['timer-state'] = previous;
+                resolve(state);
+            };
+            const timer = setTimeout(() => finish(null), timeout);
+
+            this.handlers['timer-state'] = (message) => {
+                if (previous) previous(message);
+                finish(message.state);
+            };
+            this.send('who-owns-timer');
+        });
+    }
+
+    close() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TabSync, TAB_SYNC_CHANNEL };
+} else {
+    window.TabSync = TabSync;
+}
@@ -0,0 +1,109 @@
+// Timer Engine
+// Countdown and stopwatch timing based on target timestamps rather than on
+// counting interval ticks. Browsers throttle timers in background tabs, so each
+// tick reads the clock and works out where the timer should be. The clock is
+// injectable so the engine can be driven by a fake clock outside the browser.
+
+const systemClock = {
+    now: () => Date.now(),
+    setInterval: (callback, ms) => setInterval(callback, ms),
+    clearInterval: (id) => clearInterval(id)
+};
+
+class TimerEngine {
+    constructor({ clock = systemClock, onTick = null, onComplete = null, tickInterval = 250 } = {}) {
+        this.clock = clock;
+        this.onTick = onTick;           // (seconds) => called whenever the shown seconds change
+        this.onComplete = onComplete;   // () => called once when a countdown reaches zero
+        this.tickInterval = tickInterval;
+
+        this.mode = null;               // 'countdown' or 'stopwatch'
+        this.targetEnd = null;          // ms timestamp a countdown reaches zero
+        this.origin = null;             // ms timestamp a stopwatch would have started at 0
+        this.intervalId = null;
+        this.lastSeconds = null;
+    }
+
+    isRunning() {
+        return this.intervalId !== null;
+    }
+
+    startCountdown(seconds) {
+        this.stop();
+        this.mode = 'countdown';
+        this.targetEnd = this.clock.now() + Math.max(0, seconds) * 1000;
+        this.run();
+    }
+
+    // Resume a countdown towards a known end time, e.g. after a reload
+    startCountdownUntil(targetEnd) {
+        this.stop();
+        this.mode = 'countdown';
+        this.targetEnd = targetEnd;
+        this.run();
+    }
+
+    startStopwatch(elapsedSeconds = 0) {
+        this.stop();
+        this.mode = 'stopwatch';
+        this.origin = this.clock.now() - Math.max(0, elapsedSeconds) * 1000;
+        this.run();
+    }
+
+    run() {
+        this.lastSeconds = null;
+        this.intervalId = this.clock.setInterval(() => this.tick(), this.tickInterval);
+    }
+
+    // Stops ticking and returns the seconds shown at that moment, so the
+    // caller can start again from there (pause/resume)
+    stop() {
+        const seconds = this.mode ? this.getSeconds() : 0;
+        if (this.intervalId !== null) {
+            this.clock.clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        return seconds;
+    }
+
+    // Seconds left on a countdown (rounded up, so 0 only when time is up) or
+    // seconds elapsed on a stopwatch
+    getSeconds() {
+        const now = this.clock.now();
+        if (this.mode === 'countdown') {
+            return Math.max(0, Math.ceil((this.targetEnd - now) / 1000));
+        }
+        if (this.mode === 'stopwatch') {
+            return Math.max(0, Math.floor((now - this.origin) / 1000));
+        }
+        return 0;
+    }
+
+    getTargetEnd() {
+        return this.mode === 'countdown' ? this.targetEnd : null;
+    }
+
+    // Safe to call at any time, e.g. when a background tab becomes visible
+    tick() {
+        if (this.intervalId === null) return;
+
+        const seconds = this.getSeconds();
+        if (seconds !== this.lastSeconds) {
+            this.lastSeconds = seconds;
+            if (this.onTick) this.onTick(seconds);
+        }
+
+        // onTick may have stopped or restarted the engine
+        if (this.intervalId !== null && this.mode === 'countdown' && seconds === 0) {
+            this.stop();
+            if (this.onComplete) this.onComplete();
+        }
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TimerEngine, systemClock };
+} else {
+    window.TimerEngine = TimerEngine;
+}
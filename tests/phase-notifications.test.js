@@ -0,0 +1,125 @@
+// Phase notification schedule, driven by a fake clock
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PhaseNotificationSchedule } = require('../shared/phase-notifications.js');
+
+// Timers only fire when the test moves time on with advance()
+function createFakeClock(start = 0) {
+    let now = start;
+    let nextId = 1;
+    const timers = new Map();
+
+    return {
+        now: () => now,
+        setTimeout(callback, ms) {
+            const id = nextId++;
+            timers.set(id, { at: now + ms, callback });
+            return id;
+        },
+        clearTimeout(id) {
+            timers.delete(id);
+        },
+        pending: () => timers.size,
+        async advance(ms) {
+            now += ms;
+            for (const [id, timer] of [...timers]) {
+                if (timer.at <= now) {
+                    timers.delete(id);
+                    timer.callback();
+                }
+            }
+            // Let the schedule's store updates settle
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    };
+}
+
+function createSchedule(clock, list = []) {
+    const shown = [];
+    const store = {
+        list,
+        async read() { return [...this.list]; },
+        async write(updated) { this.list = [...updated]; }
+    };
+    const schedule = new PhaseNotificationSchedule({ clock, store, show: notification => shown.push(notification.id) });
+    return { schedule, store, shown };
+}
+
+test('shows a notification once its time comes', async () => {
+    const clock = createFakeClock();
+    const { schedule, store, shown } = createSchedule(clock);
+
+    await schedule.add({ id: 'phase-end', title: "Time's up!", body: '', at: 25 * 60 * 1000 });
+    await clock.advance(25 * 60 * 1000 - 1);
+    assert.deepStrictEqual(shown, []);
+
+    await clock.advance(1);
+    assert.deepStrictEqual(shown, ['phase-end']);
+    assert.deepStrictEqual(store.list, []);
+    assert.strictEqual(clock.pending(), 0);
+});
+
+test('scheduling the same id again replaces it', async () => {
+    const clock = createFakeClock();
+    const { schedule, store, shown } = createSchedule(clock);
+
+    await schedule.add({ id: 'phase-end', title: 'Old', body: '', at: 1000 });
+    await schedule.add({ id: 'phase-end', title: 'New', body: '', at: 5000 });
+    assert.strictEqual(store.list.length, 1);
+    assert.strictEqual(clock.pending(), 1);
+
+    await clock.advance(1000);
+    assert.deepStrictEqual(shown, []);
+    await clock.advance(4000);
+    assert.deepStrictEqual(shown, ['phase-end']);
+});
+
+test('a cancelled notification never shows', async () => {
+    const clock = createFakeClock();
+    const { schedule, store, shown } = createSchedule(clock);
+
+    await schedule.add({ id: 'phase-end', title: '', body: '', at: 1000 });
+    await schedule.cancel('phase-end');
+    await clock.advance(2000);
+
+    assert.deepStrictEqual(shown, []);
+    assert.deepStrictEqual(store.list, []);
+    assert.strictEqual(clock.pending(), 0);
+});
+
+test('a restarted worker shows what fell due while it was stopped', async () => {
+    const clock = createFakeClock(10000);
+    const stored = [
+        { id: 'overdue', title: '', body: '', at: 4000 },
+        { id: 'later', title: '', body: '', at: 20000 }
+    ];
+    const { schedule, store, shown } = createSchedule(clock, stored);
+
+    const due = await schedule.deliverDue();
+    assert.deepStrictEqual(due.map(notification => notification.id), ['overdue']);
+    assert.deepStrictEqual(shown, ['overdue']);
+    assert.deepStrictEqual(store.list.map(notification => notification.id), ['later']);
+
+    // Waking again doesn't show it twice
+    await schedule.deliverDue();
+    assert.deepStrictEqual(shown, ['overdue']);
+
+    await clock.advance(10000);
+    assert.deepStrictEqual(shown, ['overdue', 'later']);
+});
+
+test('whenIdle waits for the last pending notification', async () => {
+    const clock = createFakeClock();
+    const { schedule } = createSchedule(clock);
+    let idle = false;
+
+    await schedule.add({ id: 'phase-end', title: '', body: '', at: 1000 });
+    schedule.whenIdle().then(() => { idle = true; });
+    await clock.advance(500);
+    assert.strictEqual(idle, false);
+
+    await clock.advance(500);
+    assert.strictEqual(idle, true);
+});
@@ -0,0 +1,80 @@
+// Timer engine, driven by a fake clock
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { TimerEngine } = require('../shared/timer-engine.js');
+
+// Intervals are ticked by hand, like a throttled background tab that only
+// gets a tick now and then
+function createFakeClock(start = 0) {
+    let now = start;
+    let nextId = 1;
+    const intervals = new Map();
+
+    return {
+        now: () => now,
+        setInterval(callback) {
+            const id = nextId++;
+            intervals.set(id, callback);
+            return id;
+        },
+        clearInterval(id) {
+            intervals.delete(id);
+        },
+        advance(ms) {
+            now += ms;
+            [...intervals.values()].forEach(callback => callback());
+        }
+    };
+}
+
+test('a countdown follows the clock however rarely it ticks', () => {
+    const clock = createFakeClock();
+    const shown = [];
+    const engine = new TimerEngine({ clock, onTick: seconds => shown.push(seconds) });
+
+    engine.startCountdown(25 * 60);
+    clock.advance(10 * 60 * 1000);
+    assert.deepStrictEqual(shown, [15 * 60]);
+    assert.strictEqual(engine.getTargetEnd(), 25 * 60 * 1000);
+});
+
+test('a countdown completes once, at zero', () => {
+    const clock = createFakeClock();
+    let completed = 0;
+    const engine = new TimerEngine({ clock, onComplete: () => completed++ });
+
+    engine.startCountdown(60);
+    clock.advance(59 * 1000);
+    assert.strictEqual(completed, 0);
+
+    clock.advance(5 * 60 * 1000);
+    clock.advance(1000);
+    assert.strictEqual(completed, 1);
+    assert.strictEqual(engine.isRunning(), false);
+});
+
+test('stop returns the seconds left so a countdown can resume from there', () => {
+    const clock = createFakeClock();
+    const engine = new TimerEngine({ clock });
+
+    engine.startCountdown(100);
+    clock.advance(30 * 1000);
+    const left = engine.stop();
+    assert.strictEqual(left, 70);
+
+    clock.advance(60 * 60 * 1000);
+    engine.startCountdown(left);
+    assert.strictEqual(engine.getSeconds(), 70);
+});
+
+test('a stopwatch counts up from where it started', () => {
+    const clock = createFakeClock();
+    const engine = new TimerEngine({ clock });
+
+    engine.startStopwatch(90);
+    clock.advance(30 * 1000);
+    assert.strictEqual(engine.getSeconds(), 120);
+    assert.strictEqual(engine.getTargetEnd(), null);
+});